@@ -0,0 +1,32 @@
+/**
+ * Vercel function: /api/proxy
+ *
+ * Same allow-listed RPC / REST proxy as the Cloudflare function in
+ * functions/api/proxy.js — see src/config/proxy.js for the shared logic.
+ */
+import { forwardProxyRequest, PROXY_CORS_HEADERS } from '../src/config/proxy.js'
+
+export default async function handler(req, res) {
+  for (const [key, value] of Object.entries(PROXY_CORS_HEADERS)) res.setHeader(key, value)
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end()
+  }
+
+  // Vercel parses JSON bodies; re-serialize so batches and single calls forward unchanged
+  let body = null
+  if (req.method === 'POST' && req.body != null) {
+    body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body)
+  }
+
+  const result = await forwardProxyRequest({
+    method: req.method,
+    target: typeof req.query.url === 'string' ? req.query.url : null,
+    body,
+    contentType: req.headers['content-type'],
+  })
+
+  if (result.status >= 500) console.error('[proxy]', result.body)
+  res.setHeader('Content-Type', result.contentType)
+  res.status(result.status).send(result.body)
+}
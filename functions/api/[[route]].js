@@ -0,0 +1,35 @@
+/* global WebSocketPair */
+/**
+ * Cloudflare Pages Function: /api/wht, /api/hook, /api/cbt, /api/tx-id,
+ * /api/cosigner, /api/faucet, /api/health
+ *
+ * Thin adapter around src/server — see src/server/index.js for the routes.
+ * More specific functions (/api/proxy, /api/counter) take precedence over this
+ * catch-all.
+ *
+ * Bindings / environment variables:
+ *   TOOLBOX_KV           – KV namespace for sessions, hooks, handlers and jobs
+ *                          (falls back to per-isolate memory when unbound)
+ *   API_ALLOWED_ORIGINS  – extra origins allowed to call with cookies, comma separated
+ *   COSIGNER_AGENT_TOKEN – bearer token for the cosigner agent
+ *   FIREBLOCKS_API_KEY, FIREBLOCKS_SECRET_KEY, FIREBLOCKS_VAULT_ACCOUNT_ID – faucet
+ */
+import { handleToolboxRequest } from '../../src/server/index.js'
+
+function acceptWebSocket(onOpen) {
+  const [client, server] = Object.values(new WebSocketPair())
+  server.accept()
+  onOpen({
+    send: (data) => server.send(data),
+    close: () => server.close(1000, 'closed'),
+    onClose: (fn) => {
+      server.addEventListener('close', fn)
+      server.addEventListener('error', fn)
+    },
+  })
+  return new Response(null, { status: 101, webSocket: client })
+}
+
+export async function onRequest(context) {
+  return handleToolboxRequest(context.request, { env: context.env, acceptWebSocket })
+}
@@ -1,50 +0,0 @@
-/**
- * Cloudflare Pages Function: proxy for Cortex RPC.
- * Server does the request (like curl) so the browser never hits CORS.
- */
-const CORTEX_RPC = 'https://security.cortexlabs.ai:30088'
-
-export async function onRequest(context) {
-  const { request } = context
-
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  }
-
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { status: 204, headers: corsHeaders })
-  }
-
-  if (request.method !== 'POST') {
-    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-      status: 405,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    })
-  }
-
-  try {
-    const body = await request.text()
-    const response = await fetch(CORTEX_RPC, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body,
-    })
-    const data = await response.json().catch(() => ({}))
-    return new Response(JSON.stringify(data), {
-      status: response.status,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    })
-  } catch (err) {
-    console.error('[cortex-rpc]', err.message)
-    return new Response(
-      JSON.stringify({
-        jsonrpc: '2.0',
-        id: null,
-        error: { code: -32603, message: err.message || 'Proxy request failed' },
-      }),
-      { status: 502, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
-  }
-}
@@ -0,0 +1,33 @@
+/**
+ * Cloudflare Pages Function: /api/proxy
+ *
+ * Forwards GET REST lookups, POST broadcasts and JSON-RPC calls (single or
+ * batch) to hosts in the chain registry allowlist, so the browser never needs
+ * a third-party CORS proxy. Anything outside the allowlist is rejected.
+ *
+ * Usage:
+ *   GET  /api/proxy?url=https%3A%2F%2Frest.cosmos.directory%2Fcosmoshub%2F...
+ *   POST /api/proxy?url=https%3A%2F%2Fsecurity.cortexlabs.ai%3A30088   (JSON-RPC body)
+ */
+import { forwardProxyRequest, PROXY_CORS_HEADERS } from '../../src/config/proxy.js'
+
+export async function onRequest(context) {
+  const { request } = context
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: PROXY_CORS_HEADERS })
+  }
+
+  const result = await forwardProxyRequest({
+    method: request.method,
+    target: new URL(request.url).searchParams.get('url'),
+    body: request.method === 'POST' ? await request.text() : null,
+    contentType: request.headers.get('Content-Type'),
+  })
+
+  if (result.status >= 500) console.error('[proxy]', result.body)
+  return new Response(result.body, {
+    status: result.status,
+    headers: { ...PROXY_CORS_HEADERS, 'Content-Type': result.contentType },
+  })
+}
@@ -0,0 +1,106 @@
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { classifyInput } from '../utils/classifyInput'
+import './CommandBar.css'
+
+/**
+ * Paste-anything bar: classifies a raw tx, hash, explorer link or address and
+ * opens the matching tool pre-filled. Ctrl/Cmd+K focuses it from anywhere.
+ */
+export default function CommandBar() {
+  const [text, setText] = useState('')
+  const [focused, setFocused] = useState(false)
+  const inputRef = useRef(null)
+  const navigate = useNavigate()
+
+  const result = useMemo(() => (text.trim() ? classifyInput(text) : null), [text])
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        inputRef.current?.focus()
+        inputRef.current?.select()
+      }
+    }
+    document.addEventListener('keydown', onKey)
+    return () => document.removeEventListener('keydown', onKey)
+  }, [])
+
+  const open = (action) => {
+    navigate(action.path, { state: { prefill: action.prefill } })
+    setText('')
+    inputRef.current?.blur()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      if (result?.actions.length) open(result.actions[0])
+    } else if (e.key === 'Escape') {
+      setText('')
+      inputRef.current?.blur()
+    }
+  }
+
+  const showPanel = focused && text.trim().length > 0
+
+  return (
+    <div className="command-bar">
+      <div className="command-bar-inner">
+        <span className="command-bar-icon">⌕</span>
+        <textarea
+          ref={inputRef}
+          className="command-bar-input"
+          rows={1}
+          value={text}
+          placeholder="Paste anything — raw tx, hash, explorer link or address…"
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          spellCheck={false}
+        />
+        <kbd className="command-bar-kbd">Ctrl K</kbd>
+      </div>
+
+      {showPanel && (
+        <div className="command-bar-panel">
+          {!result ? (
+            <div className="command-bar-empty">Not recognised — try a raw transaction, tx hash, explorer URL or address.</div>
+          ) : (
+            <>
+              <div className="command-bar-detected">
+                <span className="command-bar-kind">{result.label}</span>
+                <span className="command-bar-count">
+                  {result.tokens.length.toLocaleString()} item{result.tokens.length !== 1 ? 's' : ''}
+                  {result.skipped > 0 && ` · ${result.skipped.toLocaleString()} other line${result.skipped !== 1 ? 's' : ''} ignored`}
+                </span>
+              </div>
+              {result.actions.length === 0 ? (
+                <div className="command-bar-empty">Recognised, but no tool looks this up yet.</div>
+              ) : (
+                <ul className="command-bar-actions">
+                  {result.actions.map((action, i) => (
+                    <li key={`${action.path}-${action.label}`}>
+                      <button
+                        type="button"
+                        className={`command-bar-action ${i === 0 ? 'primary' : ''}`}
+                        // Keep focus in the input so the panel stays open until the click lands
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => open(action)}
+                      >
+                        <span>Open in {action.label}</span>
+                        {i === 0 && <span className="command-bar-hint">Enter ↵</span>}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
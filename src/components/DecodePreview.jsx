@@ -0,0 +1,108 @@
+import { useState } from 'react'
+import './DecodePreview.css'
+
+const PAGE_SIZE = 50
+
+const short = (value, head = 10, tail = 6) =>
+  value && value.length > head + tail + 1 ? `${value.slice(0, head)}…${value.slice(-tail)}` : value
+
+/**
+ * Pre-broadcast preview: one decoded row per input line, from useTxPreview.
+ * Lines that fail to decode are flagged so they can be fixed before sending.
+ */
+export default function DecodePreview({ preview, total }) {
+  const [open, setOpen] = useState(true)
+  const [problemsOnly, setProblemsOnly] = useState(false)
+  const [page, setPage] = useState(1)
+  const { rows, decoding, failed, warned } = preview
+
+  if (total === 0) return null
+
+  const indexed = rows.map((row, i) => ({ ...row, line: i + 1 }))
+  const visible = problemsOnly ? indexed.filter(r => r.error || r.warning) : indexed
+  const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE))
+  const currentPage = Math.min(page, pageCount)
+  const pageRows = visible.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE)
+
+  return (
+    <section className="decode-preview">
+      <div className="decode-preview-header">
+        <button className="decode-preview-toggle" onClick={() => setOpen(o => !o)}>
+          {open ? '▾' : '▸'} 🔍 Decode Preview
+        </button>
+        <div className="decode-preview-summary">
+          <span className="decode-ok">{rows.length - failed} decoded</span>
+          {failed > 0 && <span className="decode-failed">{failed} failed</span>}
+          {warned > 0 && <span className="decode-warned">{warned} warning{warned !== 1 ? 's' : ''}</span>}
+          {decoding && <span className="decode-progress">decoding {rows.length}/{total}…</span>}
+        </div>
+        {open && (
+          <label className="decode-problems-only">
+            <input
+              type="checkbox"
+              checked={problemsOnly}
+              onChange={(e) => { setProblemsOnly(e.target.checked); setPage(1) }}
+            />
+            Problems only
+          </label>
+        )}
+      </div>
+
+      {open && (
+        <>
+          <div className="decode-preview-table-wrapper">
+            <table className="decode-preview-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Chain</th>
+                  <th>Sender</th>
+                  <th>Nonce / Seq</th>
+                  <th>To</th>
+                  <th>Amount</th>
+                  <th>Fee</th>
+                  <th>Hash</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.map(row => row.error ? (
+                  <tr key={row.line} className="decode-row-error">
+                    <td>{row.line}</td>
+                    <td><span className="decode-family">{row.family}</span></td>
+                    <td colSpan={6} className="decode-error-msg" title={row.error}>❌ {row.error}</td>
+                  </tr>
+                ) : (
+                  <tr key={row.line} className={row.warning ? 'decode-row-warning' : ''}>
+                    <td>{row.line}</td>
+                    <td title={row.warning || undefined}>
+                      <span className="decode-family">{row.family}</span> {row.chain}
+                      {row.chainId != null && <span className="decode-chain-id">({row.chainId})</span>}
+                      {row.warning && <div className="decode-warning-msg">⚠️ {row.warning}</div>}
+                    </td>
+                    <td><code title={row.sender}>{short(row.sender) || '—'}</code></td>
+                    <td title={row.nonce}>{row.nonce || '—'}</td>
+                    <td>
+                      <code title={row.to}>{short(row.to) || '—'}</code>
+                      {row.details?.map((d, i) => <div key={i} className="decode-detail" title={d}>{d}</div>)}
+                    </td>
+                    <td>{row.amount || '—'}</td>
+                    <td className="decode-fee">{row.fee || '—'}</td>
+                    <td><code title={`${row.hashKind}: ${row.hash}`}>{short(row.hash, 10, 8)}</code></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {pageCount > 1 && (
+            <div className="decode-preview-pages">
+              <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 1} className="pagination-btn">◀ Prev</button>
+              <span>Page {currentPage} of {pageCount}</span>
+              <button onClick={() => setPage(currentPage + 1)} disabled={currentPage === pageCount} className="pagination-btn">Next ▶</button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
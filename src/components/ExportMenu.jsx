@@ -0,0 +1,110 @@
+import { useEffect, useRef, useState } from 'react'
+import { EXPORT_FORMATS, exportRows } from '../utils/exporter'
+import './ExportMenu.css'
+
+/**
+ * Export button + format menu for a results table. `config` comes from
+ * defineExport (see utils/exporter.js). Pass `filteredRows` when the table has
+ * a filter and `selectedRows` when rows can be ticked; the menu then offers
+ * those scopes and defaults to the narrowest non-empty one.
+ */
+export default function ExportMenu({
+  config,
+  rows,
+  filteredRows = null,
+  selectedRows = null,
+  context,
+  fileName,
+  label = '⬇ Export',
+  buttonClassName = 'export-menu-btn',
+  disabled = false,
+}) {
+  const [open, setOpen] = useState(false)
+  const [scope, setScope] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const rootRef = useRef(null)
+
+  const scopes = [
+    { id: 'all', label: 'All', rows },
+    filteredRows && filteredRows.length !== rows.length && { id: 'filtered', label: 'Filtered', rows: filteredRows },
+    selectedRows?.length > 0 && { id: 'selected', label: 'Selected', rows: selectedRows },
+  ].filter(Boolean)
+  const active = scopes.find(s => s.id === scope) ?? scopes[scopes.length - 1]
+
+  useEffect(() => {
+    if (!open) return
+    const onKey = (e) => { if (e.key === 'Escape') setOpen(false) }
+    const onPointer = (e) => { if (!rootRef.current?.contains(e.target)) setOpen(false) }
+    document.addEventListener('keydown', onKey)
+    document.addEventListener('mousedown', onPointer)
+    return () => {
+      document.removeEventListener('keydown', onKey)
+      document.removeEventListener('mousedown', onPointer)
+    }
+  }, [open])
+
+  const handleExport = async (format) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await exportRows(config, active.rows, format, { context, fileName })
+      setOpen(false)
+    } catch (err) {
+      console.error('Export failed:', err)
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <span className="export-menu" ref={rootRef}>
+      <button
+        type="button"
+        className={buttonClassName}
+        onClick={() => setOpen(o => !o)}
+        disabled={disabled || rows.length === 0}
+        aria-expanded={open}
+      >
+        {label}
+      </button>
+
+      {open && (
+        <div className="export-menu-panel" role="menu">
+          {scopes.length > 1 && (
+            <div className="export-menu-scopes">
+              {scopes.map(s => (
+                <button
+                  key={s.id}
+                  type="button"
+                  className={`export-menu-scope ${s.id === active.id ? 'active' : ''}`}
+                  onClick={() => setScope(s.id)}
+                >
+                  {s.label} <span className="export-menu-count">{s.rows.length.toLocaleString()}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          {EXPORT_FORMATS.map(f => (
+            <button
+              key={f.id}
+              type="button"
+              role="menuitem"
+              className="export-menu-format"
+              disabled={busy || active.rows.length === 0}
+              onClick={() => handleExport(f.id)}
+            >
+              {f.label}
+              <span className="export-menu-ext">.{f.ext}</span>
+            </button>
+          ))}
+          <div className="export-menu-hint">
+            {busy ? 'Preparing…' : `${active.rows.length.toLocaleString()} row${active.rows.length === 1 ? '' : 's'} · ${config.columns.length} columns`}
+          </div>
+          {error && <div className="export-menu-error">{error}</div>}
+        </div>
+      )}
+    </span>
+  )
+}
@@ -0,0 +1,243 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  listRuns,
+  loadRun,
+  deleteRun,
+  clearRuns,
+  diffRuns,
+  failedInputsOf,
+  subscribeRunHistory,
+} from '../utils/runHistory'
+import './RunHistory.css'
+
+const MAX_DIFF_ROWS = 500
+
+function formatWhen(ts) {
+  return new Date(ts).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+}
+
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000))
+  if (s < 60) return `${s}s`
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`
+}
+
+/**
+ * History button + drawer for a batch tool. `config` is the tool's run-history
+ * config (see utils/runHistory.js). onOpenRun(run) restores a saved run;
+ * onRerunFailed(run, inputs) starts a new run over just the failed inputs.
+ */
+export default function RunHistory({ config, onOpenRun, onRerunFailed, rerunLabel = 'Re-run failed', disabled = false }) {
+  const [open, setOpen] = useState(false)
+  const [runs, setRuns] = useState([])
+  const [busyId, setBusyId] = useState(null)
+  const [compareIds, setCompareIds] = useState([])
+  const [diff, setDiff] = useState(null)
+  const [error, setError] = useState(null)
+  const { tool } = config
+
+  const refresh = useCallback(() => {
+    listRuns(tool)
+      .then(setRuns)
+      .catch(err => setError(`History unavailable: ${err.message}`))
+  }, [tool])
+
+  useEffect(() => {
+    if (!open) return
+    refresh()
+    return subscribeRunHistory(changed => { if (changed === tool) refresh() })
+  }, [open, tool, refresh])
+
+  useEffect(() => {
+    if (!open) return
+    const onKey = (e) => { if (e.key === 'Escape') setOpen(false) }
+    document.addEventListener('keydown', onKey)
+    return () => document.removeEventListener('keydown', onKey)
+  }, [open])
+
+  const withRun = async (id, fn) => {
+    setBusyId(id)
+    setError(null)
+    try {
+      await fn(await loadRun(id))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleOpen = (id) => withRun(id, run => {
+    onOpenRun(run)
+    setOpen(false)
+  })
+
+  const handleRerun = (id) => withRun(id, run => {
+    const inputs = failedInputsOf(config, run)
+    if (inputs.length === 0) return
+    onRerunFailed(run, inputs)
+    setOpen(false)
+  })
+
+  const handleDelete = async (id) => {
+    setCompareIds(prev => prev.filter(x => x !== id))
+    setDiff(null)
+    await deleteRun(id).catch(err => setError(err.message))
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete all saved runs for this tool?')) return
+    setCompareIds([])
+    setDiff(null)
+    await clearRuns(tool).catch(err => setError(err.message))
+  }
+
+  const toggleCompare = (id) => {
+    setDiff(null)
+    setCompareIds(prev => {
+      if (prev.includes(id)) return prev.filter(x => x !== id)
+      return [...prev, id].slice(-2)
+    })
+  }
+
+  const handleDiff = async () => {
+    if (compareIds.length !== 2) return
+    setBusyId('diff')
+    setError(null)
+    try {
+      const [a, b] = await Promise.all(compareIds.map(loadRun))
+      // Always diff older → newer
+      const [base, other] = a.finishedAt <= b.finishedAt ? [a, b] : [b, a]
+      setDiff({ base, other, ...diffRuns(config, base, other) })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <>
+      <button type="button" className="history-toggle-btn" onClick={() => setOpen(true)}>
+        🕘 History
+      </button>
+
+      {open && (
+        <div className="history-overlay" onClick={() => setOpen(false)}>
+          <aside className="history-drawer" onClick={e => e.stopPropagation()}>
+            <div className="history-header">
+              <h2>🕘 Run History</h2>
+              <button type="button" className="history-close" onClick={() => setOpen(false)} aria-label="Close">×</button>
+            </div>
+
+            <p className="history-hint">
+              Saved in this browser. Tick two runs to compare them.
+            </p>
+
+            {error && <div className="history-error">{error}</div>}
+
+            {runs.length === 0 ? (
+              <p className="history-empty">No saved runs yet — results are saved automatically when a run finishes.</p>
+            ) : (
+              <ul className="history-list">
+                {runs.map(run => (
+                  <li key={run.id} className={`history-item ${compareIds.includes(run.id) ? 'selected' : ''}`}>
+                    <label className="history-compare">
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(run.id)}
+                        onChange={() => toggleCompare(run.id)}
+                      />
+                    </label>
+                    <div className="history-item-main">
+                      <div className="history-item-title">
+                        <span>{formatWhen(run.finishedAt)}</span>
+                        {run.network?.name && <span className="history-network">{run.network.name}</span>}
+                      </div>
+                      <div className="history-item-stats">
+                        {run.total.toLocaleString()} rows
+                        {run.failed > 0 && <span className="history-failed"> · {run.failed.toLocaleString()} failed</span>}
+                        <span className="history-duration"> · {formatDuration(run.finishedAt - run.startedAt)}</span>
+                      </div>
+                    </div>
+                    <div className="history-item-actions">
+                      <button type="button" className="history-btn" disabled={busyId !== null || disabled} onClick={() => handleOpen(run.id)}>
+                        {busyId === run.id ? '…' : 'Open'}
+                      </button>
+                      <button
+                        type="button"
+                        className="history-btn"
+                        disabled={busyId !== null || disabled || run.failed === 0}
+                        onClick={() => handleRerun(run.id)}
+                        title="Start a new run with only the failed items"
+                      >
+                        {rerunLabel}
+                      </button>
+                      <button type="button" className="history-btn danger" disabled={busyId !== null} onClick={() => handleDelete(run.id)}>
+                        ✕
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {runs.length > 0 && (
+              <div className="history-footer">
+                <button
+                  type="button"
+                  className="history-btn primary"
+                  disabled={compareIds.length !== 2 || busyId !== null}
+                  onClick={handleDiff}
+                >
+                  {busyId === 'diff' ? 'Comparing…' : `Diff selected (${compareIds.length}/2)`}
+                </button>
+                <button type="button" className="history-btn danger" onClick={handleClear}>Clear all</button>
+              </div>
+            )}
+
+            {diff && (
+              <div className="history-diff">
+                <div className="history-diff-summary">
+                  <span>{formatWhen(diff.base.finishedAt)} → {formatWhen(diff.other.finishedAt)}</span>
+                  <span className="history-diff-counts">
+                    <span className="changed">{diff.counts.changed} changed</span>
+                    <span className="added">{diff.counts.added} added</span>
+                    <span className="removed">{diff.counts.removed} removed</span>
+                    <span>{diff.counts.unchanged} unchanged</span>
+                  </span>
+                </div>
+                {diff.rows.length === 0 ? (
+                  <p className="history-empty">No differences.</p>
+                ) : (
+                  <table className="history-diff-table">
+                    <thead>
+                      <tr>
+                        <th>Item</th>
+                        <th>Before</th>
+                        <th>After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diff.rows.slice(0, MAX_DIFF_ROWS).map(row => (
+                        <tr key={row.key} className={row.change}>
+                          <td className="history-diff-key" title={row.key}>{row.key}</td>
+                          <td>{row.before ?? '—'}</td>
+                          <td>{row.after ?? '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {diff.rows.length > MAX_DIFF_ROWS && (
+                  <p className="history-hint">Showing the first {MAX_DIFF_ROWS} of {diff.rows.length.toLocaleString()} differences.</p>
+                )}
+              </div>
+            )}
+          </aside>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,42 @@
+import { useState } from 'react'
+import './ShareLink.css'
+
+/**
+ * "Copy link" button for a page using useUrlState. `getLink(autoRun)` comes
+ * from the hook; pass `canAutoRun` for read-only checks that are safe to start
+ * straight from a link.
+ */
+export default function ShareLink({ getLink, canAutoRun = false }) {
+  const [autoRun, setAutoRun] = useState(false)
+  const [status, setStatus] = useState(null)
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(await getLink(canAutoRun && autoRun))
+      setStatus('copied')
+    } catch (err) {
+      console.error('Copy link failed:', err)
+      setStatus('failed')
+    }
+    setTimeout(() => setStatus(null), 1500)
+  }
+
+  return (
+    <span className="share-link">
+      <button
+        type="button"
+        className={`share-link-btn ${status || ''}`}
+        onClick={handleCopy}
+        title="Copy a link that reopens this tool with the current inputs"
+      >
+        {status === 'copied' ? '✓ Copied' : status === 'failed' ? 'Copy failed' : '🔗 Copy link'}
+      </button>
+      {canAutoRun && (
+        <label className="share-link-autorun" title="Start the check as soon as the link is opened">
+          <input type="checkbox" checked={autoRun} onChange={e => setAutoRun(e.target.checked)} />
+          auto-run
+        </label>
+      )}
+    </span>
+  )
+}
@@ -18,6 +18,7 @@ const NAV_ITEMS = [
   { to: '/callback-handler', icon: '🛡️', label: 'Callback Handler' },
   { to: '/easy-cosigner',   icon: '🔐', label: 'Easy Cosigner' },
   { to: '/tx-id-generator', icon: '🔑', label: 'TxId Generator' },
+  { to: '/networks',        icon: '🌐', label: 'Networks' },
 ]
 
 export default function Sidebar() {
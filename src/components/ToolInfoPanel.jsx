@@ -69,13 +69,18 @@ const TOOL_INFO = {
   },
   'tx-id-generator': {
     title: 'TxId Generator',
-    why: 'Gives you a way to prove that a Fireblocks transaction was initiated by you and not by an attacker who compromised your API key. Every externalTxId you generate is cryptographically signed with a secret key that lives only on the server — an attacker with your API key alone cannot forge a valid ID.',
-    how: 'On first load a secret HMAC-SHA256 key is generated server-side and tied to your session. Your Secret Key is displayed at the top — copy it and paste it into a Callback Handler policy rule to enable verification. Hit Generate to produce a single signed externalTxId (format: base64url(random 16 bytes) + "." + base64url(HMAC-SHA256 signature), ~65 chars total, well under Fireblocks\' 255-char limit). Use Batch Generate to produce up to 100 IDs at once for pre-populating transaction queues. Session History tracks everything generated this visit. Use Rotate Keys to replace the key pair — note that any IDs signed with the old key will no longer verify.',
+    why: 'Gives you a way to prove that a Fireblocks transaction was initiated by you and not by an attacker who compromised your API key. Every externalTxId you generate is signed with a private key that lives only on the server — an attacker with your API key alone cannot forge a valid ID.',
+    how: 'On first load an Ed25519 key pair is generated server-side and tied to your session. Only the Public Key is displayed — copy it and paste it into a Callback Handler policy rule to enable verification; it can check IDs but not create them. Hit Generate to produce a single signed externalTxId (format: base64url(random 16 bytes) + "." + base64url(Ed25519 signature), ~109 chars total, well under Fireblocks\' 255-char limit). Use Batch Generate to produce up to 100 IDs at once for pre-populating transaction queues. Session History tracks everything generated this visit. Use Rotate Keys to replace the key pair — note that any IDs signed with the old key will no longer verify.',
   },
   'cosmos-check': {
     title: 'Cosmos TX Check',
     why: 'Cosmos/Tendermint transactions (Cosmos Hub, Osmosis, Celestia, Injective, dYdX, etc.) include a timeoutHeight field that determines the block at which the transaction expires. If the current chain height has passed the timeout height, the transaction can never be included in a block and is safe to fail.',
-    how: 'Select the chain the transaction was sent on, then paste the base64-encoded raw transaction (copy it from Coralogix after "About to send <ASSET_ID> tx="). You can check multiple transactions at once by pasting one per line — all checked against the same chain. The tool decodes the protobuf in-browser (no backend) to extract timeoutHeight and computes the TX hash (SHA-256 of raw bytes). On-chain lookup races every known endpoint for that chain (publicnode, Cosmostation, cosmos.directory, Polkachu, ecostake, Numia, etc.) in parallel, each tried both directly and through a CORS proxy — first "found" wins, so archive nodes are hit even when fast nodes have pruned. Verdict: If the TX is found on-chain it is NOT safe to fail (already processed). If not found and timeout is in the future, NOT safe to fail (still pending). If not found and timeout is recently in the past, SAFE to fail (expired). If not found and timeout is more than ~7 days in the past, the tool flags it as UNKNOWN and prompts you to verify on Mintscan — because public archives may not retain data that far back.',
+    how: 'Select the chain the transaction was sent on, then paste the base64-encoded raw transaction (copy it from Coralogix after "About to send <ASSET_ID> tx="). You can check multiple transactions at once by pasting one per line — all checked against the same chain. The tool decodes the protobuf in-browser (no backend) to extract timeoutHeight and computes the TX hash (SHA-256 of raw bytes). On-chain lookup races every known endpoint for that chain (publicnode, Cosmostation, cosmos.directory, Polkachu, ecostake, Numia, etc.) in parallel, each tried both directly and through the site\'s own allow-listed proxy — first "found" wins, so archive nodes are hit even when fast nodes have pruned. Verdict: If the TX is found on-chain it is NOT safe to fail (already processed). If not found and timeout is in the future, NOT safe to fail (still pending). If not found and timeout is recently in the past, SAFE to fail (expired). If not found and timeout is more than ~7 days in the past, the tool flags it as UNKNOWN and prompts you to verify on Mintscan — because public archives may not retain data that far back.',
+  },
+  networks: {
+    title: 'Networks',
+    why: 'The built-in network lists cover the common chains, but you may need to target a devnet, a private RPC or a chain we don\'t ship yet. Networks saved here show up in every tool that supports their type, so you only configure them once.',
+    how: 'Pick a type, give the network a name and one or more RPC URLs (preferred first). EVM networks need a chain ID so Auto mode can match signed transactions to them; Cosmos networks take LCD URLs and an optional bech32 prefix. The explorer URL can end with the tx path (hash is appended) or contain {hash} anywhere. Networks are stored in this browser\'s localStorage — use Export JSON to back them up or share them, and Import JSON to merge a file in (networks with the same id are replaced). In Am I Onchain? custom EVM networks are queried directly over JSON-RPC instead of Etherscan.',
   },
   'easy-cosigner': {
     title: 'Easy Cosigner',
@@ -0,0 +1,14 @@
+// ─── Toolbox API base ────────────────────────────────────────────────────────
+// Webhook Tester, Callback Handler, TxId Generator, Easy Cosigner and Faucet
+// talk to the backend in src/server, served from this site's own /api by
+// default (Cloudflare Pages functions in production, the Vite dev server
+// locally). Set VITE_API_BASE to point the UI at a separately hosted backend,
+// e.g. VITE_API_BASE=https://toolbox-api.example.workers.dev
+
+const configured = (import.meta.env.VITE_API_BASE || '/api').replace(/\/+$/, '')
+
+/** Absolute http(s) base — absolute so generated webhook URLs can be copied and shared. */
+export const API_BASE = new URL(configured, window.location.origin).toString().replace(/\/+$/, '')
+
+/** Same base on ws(s):// for the live event feeds. */
+export const WS_BASE = API_BASE.replace(/^http/, 'ws')
@@ -0,0 +1,304 @@
+// ─── Shared chain registry ───────────────────────────────────────────────────
+// Single source of truth for every chain the tools know about. Broadcaster,
+// Simulator, TX Fetcher, Am I Onchain? and Cosmos TX Check all derive their
+// network pickers from this list, so adding a chain here makes it show up in
+// every relevant tool at once.
+//
+// Fields:
+//   id                        – stable slug, also used as the picker value
+//   name                      – display name
+//   family                    – 'evm' | 'solana' | 'xrp' | 'stellar' | 'tron' | 'ton' | 'aptos' | 'sui' | 'substrate' | 'bitcoin' | 'bitcoincash' | 'cosmos'
+//   chainId                   – EVM chain id (EVM only)
+//   rpcs                      – RPC / REST endpoints, preferred first. For Cosmos these are
+//                               LCD endpoints: pruned fast nodes first, archive nodes after.
+//                               Every host listed here is on the /api/proxy allowlist.
+//   explorers                 – tx explorer URLs, preferred first. Either a prefix the hash is
+//                               appended to, or a template containing `{hash}` (Aptos, custom
+//                               networks). Build links with explorerTxUrl(), never by concatenation.
+//   testnet                   – true for test networks
+//   needsProxy                – endpoint has no CORS headers; always called through /api/proxy
+//   corsFallback              – some endpoints lack CORS; retry through /api/proxy on failure
+//   etherscan                 – chain is served by the Etherscan V2 multichain API
+//   fireblocksId              – Fireblocks asset id of the native asset
+//   fireblocksRescanSupported – Fireblocks supports a block rescan for this asset
+//   bech32Prefix              – Cosmos address HRP, used to auto-detect the chain of a TX
+//   aptosChainId              – chain id byte signed into every Aptos TX (Aptos only)
+//   ss58Prefix                – SS58 address format of the chain (Substrate only)
+
+export const CHAIN_FAMILIES = ['evm', 'solana', 'xrp', 'stellar', 'tron', 'ton', 'aptos', 'sui', 'substrate', 'bitcoin', 'bitcoincash', 'cosmos']
+
+export const CHAINS = [
+  // ── EVM ──────────────────────────────────────────────────────────────────
+  { id: 'ethereum', name: 'Ethereum', family: 'evm', chainId: 1, rpcs: ['https://ethereum-rpc.publicnode.com'], explorers: ['https://etherscan.io/tx/'], etherscan: true, fireblocksId: 'ETH' },
+  { id: 'eth-test5', name: 'ETH_TEST5 (Sepolia)', family: 'evm', chainId: 11155111, rpcs: ['https://ethereum-sepolia-rpc.publicnode.com'], explorers: ['https://sepolia.etherscan.io/tx/'], testnet: true, fireblocksId: 'ETH_TEST5' },
+  { id: 'arbitrum', name: 'Arbitrum One', family: 'evm', chainId: 42161, rpcs: ['https://arb1.arbitrum.io/rpc'], explorers: ['https://arbiscan.io/tx/'], etherscan: true, fireblocksId: 'ETH-AETH' },
+  { id: 'astar', name: 'Astar', family: 'evm', chainId: 592, rpcs: ['https://evm.astar.network'], explorers: ['https://astar.blockscout.com/tx/'] },
+  { id: 'aurora', name: 'Aurora', family: 'evm', chainId: 1313161554, rpcs: ['https://mainnet.aurora.dev'], explorers: ['https://explorer.aurora.dev/tx/'] },
+  { id: 'avalanche', name: 'Avalanche C-Chain', family: 'evm', chainId: 43114, rpcs: ['https://api.avax.network/ext/bc/C/rpc'], explorers: ['https://snowtrace.io/tx/'], etherscan: true, fireblocksId: 'AVAX' },
+  { id: 'base', name: 'Base', family: 'evm', chainId: 8453, rpcs: ['https://mainnet.base.org'], explorers: ['https://basescan.org/tx/'], etherscan: true, fireblocksId: 'BASECHAIN_ETH' },
+  { id: 'blast', name: 'Blast Mainnet', family: 'evm', chainId: 238, rpcs: ['https://zkevmrpc.blastchain.org'], explorers: ['https://blastchain.org/tx/'] },
+  { id: 'bsc', name: 'BNB Smart Chain', family: 'evm', chainId: 56, rpcs: ['https://bsc-dataseed.binance.org'], explorers: ['https://bscscan.com/tx/'], etherscan: true, fireblocksId: 'BNB_BSC' },
+  { id: 'canto', name: 'Canto', family: 'evm', chainId: 7700, rpcs: ['https://canto.gravitychain.io'], explorers: ['https://tuber.build/tx/'] },
+  // Cortex RPC has no CORS headers — requests are proxied through our server.
+  { id: 'cortex', name: 'Cortex', family: 'evm', chainId: 21, rpcs: ['https://security.cortexlabs.ai:30088'], explorers: ['https://cerebro.cortexlabs.ai/tx/'], needsProxy: true },
+  { id: 'celo', name: 'Celo', family: 'evm', chainId: 42220, rpcs: ['https://forno.celo.org'], explorers: ['https://celoscan.io/tx/'], etherscan: true, fireblocksId: 'CELO' },
+  { id: 'chiliz', name: 'Chiliz', family: 'evm', chainId: 88888, rpcs: ['https://rpc.ankr.com/chiliz'], explorers: ['https://chiliscan.com/tx/'] },
+  { id: 'etc', name: 'Ethereum Classic (ETC)', family: 'evm', chainId: 61, rpcs: ['https://etc.rivet.link'], explorers: ['https://etc.blockscout.com/tx/'], fireblocksId: 'ETC' },
+  { id: 'ethw', name: 'Ethereum PoW', family: 'evm', chainId: 10001, rpcs: ['https://mainnet.ethereumpow.org'], explorers: ['https://www.oklink.com/ethw/tx/'] },
+  { id: 'evmos', name: 'Evmos', family: 'evm', chainId: 9001, rpcs: ['https://evmos-evm.publicnode.com'], explorers: ['https://escan.live/tx/'] },
+  { id: 'fantom', name: 'Fantom', family: 'evm', chainId: 250, rpcs: ['https://rpcapi.fantom.network'], explorers: ['https://ftmscan.com/tx/'], fireblocksId: 'FTM_FANTOM' },
+  { id: 'gnosis', name: 'Gnosis Chain (xDAI)', family: 'evm', chainId: 100, rpcs: ['https://rpc.gnosischain.com'], explorers: ['https://gnosisscan.io/tx/'], etherscan: true, fireblocksId: 'XDAI' },
+  { id: 'hyperevm', name: 'HyperEVM', family: 'evm', chainId: 999, rpcs: ['https://rpc.hyperliquid.xyz/evm'], explorers: ['https://hyperevmscan.io/tx/'], etherscan: true },
+  { id: 'kava', name: 'KAVA EVM', family: 'evm', chainId: 2222, rpcs: ['https://evm.kava.io'], explorers: ['https://kavascan.com/tx/'] },
+  { id: 'plasma', name: 'Plasma Mainnet', family: 'evm', chainId: 9745, rpcs: ['https://rpc.plasma.to'], explorers: ['https://plasmascan.to/tx/'] },
+  { id: 'linea', name: 'Linea', family: 'evm', chainId: 59144, rpcs: ['https://rpc.linea.build'], explorers: ['https://lineascan.build/tx/'], etherscan: true },
+  { id: 'manta', name: 'Manta Pacific', family: 'evm', chainId: 169, rpcs: ['https://manta.nirvanalabs.xyz/mantapublic'], explorers: ['https://manta.socialscan.io/tx/'] },
+  { id: 'monad', name: 'Monad', family: 'evm', chainId: 143, rpcs: ['https://rpc3.monad.xyz', 'https://rpc.monad.xyz'], explorers: ['https://monadvision.com/tx/'] },
+  { id: 'megaeth', name: 'MegaETH', family: 'evm', chainId: 6342, rpcs: ['https://carrot.megaeth.com/rpc'], explorers: ['https://mega.etherscan.io/tx/'] },
+  { id: 'moonbeam', name: 'Moonbeam', family: 'evm', chainId: 1284, rpcs: ['https://rpc.api.moonbeam.network'], explorers: ['https://moonscan.io/tx/'], etherscan: true, fireblocksId: 'GLMR_GLMR' },
+  { id: 'moonriver', name: 'Moonriver', family: 'evm', chainId: 1285, rpcs: ['https://rpc.api.moonriver.moonbeam.network'], explorers: ['https://moonriver.moonscan.io/tx/'], etherscan: true, fireblocksId: 'MOVR_MOVR' },
+  { id: 'oasys', name: 'Oasys', family: 'evm', chainId: 248, rpcs: ['https://rpc.mainnet.oasys.games'], explorers: ['https://scan.oasys.games/tx/'] },
+  { id: 'optimism', name: 'Optimism', family: 'evm', chainId: 10, rpcs: ['https://mainnet.optimism.io'], explorers: ['https://optimistic.etherscan.io/tx/'], etherscan: true, fireblocksId: 'ETH-OPT' },
+  { id: 'polygon', name: 'Polygon', family: 'evm', chainId: 137, rpcs: ['https://polygon.rpc.subquery.network/public', 'https://polygon-bor-rpc.publicnode.com'], explorers: ['https://polygonscan.com/tx/'], etherscan: true, fireblocksId: 'MATIC_POLYGON' },
+  { id: 'ronin', name: 'Ronin', family: 'evm', chainId: 2020, rpcs: ['https://api.roninchain.com/rpc'], explorers: ['https://app.roninchain.com/tx/'] },
+  { id: 'rsk', name: 'RSK', family: 'evm', chainId: 30, rpcs: ['https://public-node.rsk.co'], explorers: ['https://explorer.rsk.co/tx/'], fireblocksId: 'RBTC' },
+  { id: 'shimmer', name: 'Shimmer EVM', family: 'evm', chainId: 148, rpcs: ['https://json-rpc.evm.shimmer.network'], explorers: ['https://explorer.evm.shimmer.network/tx/'] },
+  { id: 'smartbch', name: 'SmartBCH', family: 'evm', chainId: 10000, rpcs: ['https://smartbch.greyh.at'], explorers: ['https://www.smartscan.cash/tx/'] },
+  { id: 'songbird', name: 'Songbird', family: 'evm', chainId: 19, rpcs: ['https://songbird-api.flare.network/ext/C/rpc'], explorers: ['https://songbird-explorer.flare.network/tx/'], fireblocksId: 'SGB' },
+  { id: 'unichain', name: 'Unichain', family: 'evm', chainId: 130, rpcs: ['https://unichain-mainnet.gateway.tatum.io'], explorers: ['https://uniscan.xyz/tx/'], etherscan: true },
+  { id: 'velas', name: 'Velas', family: 'evm', chainId: 106, rpcs: ['https://evmexplorer.velas.com/rpc'], explorers: ['https://evmexplorer.velas.com/tx/'] },
+  { id: 'worldchain', name: 'Worldchain', family: 'evm', chainId: 480, rpcs: ['https://worldchain-mainnet.g.alchemy.com/public'], explorers: ['https://worldscan.org/tx/'], etherscan: true },
+  { id: 'xdc', name: 'XDC Network', family: 'evm', chainId: 50, rpcs: ['https://rpc.xinfin.network'], explorers: ['https://xdcscan.io/tx/'], etherscan: true, fireblocksId: 'XDC' },
+  { id: 'zkevm', name: 'Polygon zkEVM', family: 'evm', chainId: 1101, rpcs: ['https://zkevm-rpc.com'], explorers: ['https://zkevm.polygonscan.com/tx/'] },
+
+  // ── Solana ───────────────────────────────────────────────────────────────
+  { id: 'solana', name: 'Solana Mainnet', family: 'solana', rpcs: ['https://solana-mainnet.gateway.tatum.io'], explorers: ['https://solscan.io/tx/'], fireblocksId: 'SOL' },
+
+  // ── XRP Ledger ───────────────────────────────────────────────────────────
+  { id: 'xrp', name: 'XRP Mainnet', family: 'xrp', rpcs: ['https://xrplcluster.com/'], explorers: ['https://xrpscan.com/tx/'], fireblocksId: 'XRP' },
+
+  // ── Stellar ──────────────────────────────────────────────────────────────
+  { id: 'stellar', name: 'Stellar Mainnet', family: 'stellar', rpcs: ['https://horizon.stellar.org'], explorers: ['https://stellar.expert/explorer/public/tx/'], fireblocksId: 'XLM' },
+
+  // ── TRON (java-tron HTTP API) ────────────────────────────────────────────
+  { id: 'tron', name: 'TRON Mainnet', family: 'tron', rpcs: ['https://api.trongrid.io'], explorers: ['https://tronscan.org/#/transaction/'], fireblocksId: 'TRX' },
+  { id: 'tron-nile', name: 'TRON Nile Testnet', family: 'tron', rpcs: ['https://nile.trongrid.io'], explorers: ['https://nile.tronscan.org/#/transaction/'], testnet: true },
+
+  // ── TON (toncenter HTTP API v2; v3 is derived from it for lookups) ───────
+  { id: 'ton', name: 'TON Mainnet', family: 'ton', rpcs: ['https://toncenter.com/api/v2'], explorers: ['https://tonviewer.com/transaction/'], fireblocksId: 'TON' },
+  { id: 'ton-testnet', name: 'TON Testnet', family: 'ton', rpcs: ['https://testnet.toncenter.com/api/v2'], explorers: ['https://testnet.tonviewer.com/transaction/'], testnet: true, fireblocksId: 'TON_TEST' },
+
+  // ── Aptos (fullnode REST API) ────────────────────────────────────────────
+  { id: 'aptos', name: 'Aptos Mainnet', family: 'aptos', aptosChainId: 1, rpcs: ['https://fullnode.mainnet.aptoslabs.com/v1'], explorers: ['https://explorer.aptoslabs.com/txn/{hash}?network=mainnet'], fireblocksId: 'APT' },
+  { id: 'aptos-testnet', name: 'Aptos Testnet', family: 'aptos', aptosChainId: 2, rpcs: ['https://fullnode.testnet.aptoslabs.com/v1'], explorers: ['https://explorer.aptoslabs.com/txn/{hash}?network=testnet'], testnet: true, fireblocksId: 'APT_TEST' },
+
+  // ── Sui (fullnode JSON-RPC) ──────────────────────────────────────────────
+  { id: 'sui', name: 'Sui Mainnet', family: 'sui', rpcs: ['https://fullnode.mainnet.sui.io'], explorers: ['https://suiscan.xyz/mainnet/tx/'], fireblocksId: 'SUI' },
+  { id: 'sui-testnet', name: 'Sui Testnet', family: 'sui', rpcs: ['https://fullnode.testnet.sui.io'], explorers: ['https://suiscan.xyz/testnet/tx/'], testnet: true, fireblocksId: 'SUI_TEST' },
+
+  // ── Substrate (JSON-RPC over HTTP) ────────────────────────────────────────
+  // Balances moved from the relay chains to Asset Hub, so transfers signed
+  // after the migration go to the Asset Hub entries.
+  { id: 'polkadot', name: 'Polkadot', family: 'substrate', ss58Prefix: 0, rpcs: ['https://polkadot-rpc.publicnode.com', 'https://rpc.polkadot.io'], explorers: ['https://polkadot.subscan.io/extrinsic/'], fireblocksId: 'DOT' },
+  { id: 'polkadot-asset-hub', name: 'Polkadot Asset Hub', family: 'substrate', ss58Prefix: 0, rpcs: ['https://polkadot-asset-hub-rpc.polkadot.io'], explorers: ['https://assethub-polkadot.subscan.io/extrinsic/'] },
+  { id: 'kusama', name: 'Kusama', family: 'substrate', ss58Prefix: 2, rpcs: ['https://kusama-rpc.publicnode.com', 'https://kusama-rpc.polkadot.io'], explorers: ['https://kusama.subscan.io/extrinsic/'], fireblocksId: 'KSM' },
+  { id: 'kusama-asset-hub', name: 'Kusama Asset Hub', family: 'substrate', ss58Prefix: 2, rpcs: ['https://kusama-asset-hub-rpc.polkadot.io'], explorers: ['https://assethub-kusama.subscan.io/extrinsic/'] },
+  { id: 'westend', name: 'Westend Testnet', family: 'substrate', ss58Prefix: 42, rpcs: ['https://westend-rpc.polkadot.io'], explorers: ['https://westend.subscan.io/extrinsic/'], testnet: true, fireblocksId: 'WND' },
+
+  // ── Bitcoin-style (REST) ─────────────────────────────────────────────────
+  // Esplora (mempool.space, litecoinspace), BlockCypher, Bitcoin.com or
+  // Blockchair — utils/utxoApi.js picks the broadcast call from the endpoint.
+  // Zcash is transparent-only.
+  { id: 'bitcoin', name: 'Bitcoin (BTC)', family: 'bitcoin', rpcs: ['https://mempool.space/api'], explorers: ['https://mempool.space/tx/'], fireblocksId: 'BTC' },
+  { id: 'litecoin', name: 'Litecoin (LTC)', family: 'bitcoin', rpcs: ['https://litecoinspace.org/api'], explorers: ['https://litecoinspace.org/tx/'], fireblocksId: 'LTC' },
+  { id: 'dogecoin', name: 'Dogecoin (DOGE)', family: 'bitcoin', rpcs: ['https://api.blockcypher.com/v1/doge/main'], explorers: ['https://blockchair.com/dogecoin/transaction/'], fireblocksId: 'DOGE' },
+  { id: 'dash', name: 'Dash (DASH)', family: 'bitcoin', rpcs: ['https://api.blockcypher.com/v1/dash/main'], explorers: ['https://blockchair.com/dash/transaction/'], fireblocksId: 'DASH' },
+  { id: 'zcash', name: 'Zcash (ZEC, transparent)', family: 'bitcoin', rpcs: ['https://api.blockchair.com/zcash'], explorers: ['https://blockchair.com/zcash/transaction/'], fireblocksId: 'ZEC' },
+  { id: 'bitcoincash', name: 'Bitcoin Cash (BCH)', family: 'bitcoincash', rpcs: ['https://rest.bitcoin.com/v2/rawtransactions'], explorers: ['https://blockchair.com/bitcoin-cash/transaction/'], fireblocksId: 'BCH' },
+  { id: 'bitcoin-testnet', name: 'Bitcoin Testnet3', family: 'bitcoin', rpcs: ['https://mempool.space/testnet/api'], explorers: ['https://mempool.space/testnet/tx/'], testnet: true, fireblocksId: 'BTC_TEST' },
+  { id: 'bitcoin-testnet4', name: 'Bitcoin Testnet4', family: 'bitcoin', rpcs: ['https://mempool.space/testnet4/api'], explorers: ['https://mempool.space/testnet4/tx/'], testnet: true },
+  { id: 'bitcoin-signet', name: 'Bitcoin Signet', family: 'bitcoin', rpcs: ['https://mempool.space/signet/api'], explorers: ['https://mempool.space/signet/tx/'], testnet: true },
+  { id: 'litecoin-testnet', name: 'Litecoin Testnet', family: 'bitcoin', rpcs: ['https://litecoinspace.org/testnet/api'], explorers: ['https://litecoinspace.org/testnet/tx/'], testnet: true, fireblocksId: 'LTC_TEST' },
+
+  // ── Cosmos SDK (LCD REST) ────────────────────────────────────────────────
+  // The first endpoint is also used for the current block height, so keep a
+  // fast pruned node there. Note: thornode.ninerealms.com does a 301 to the
+  // liquify gateway which breaks cross-origin redirects in the browser, so
+  // cosmos.directory leads for THORChain. MANTRA's publicnode returns 403.
+  {
+    id: 'cosmos', name: 'Cosmos Hub', family: 'cosmos', fireblocksId: 'ATOM_COS', fireblocksRescanSupported: true, bech32Prefix: 'cosmos', corsFallback: true,
+    rpcs: ['https://cosmos-rest.publicnode.com', 'https://lcd-cosmos.cosmostation.io', 'https://rest.cosmos.directory/cosmoshub', 'https://cosmos-api.polkachu.com', 'https://rest-cosmoshub.ecostake.com', 'https://cosmos-lcd.quickapi.com'],
+    explorers: ['https://www.mintscan.io/cosmos/txs/'],
+  },
+  {
+    id: 'osmosis', name: 'Osmosis', family: 'cosmos', fireblocksId: 'OSMO', fireblocksRescanSupported: true, bech32Prefix: 'osmo', corsFallback: true,
+    rpcs: ['https://osmosis-rest.publicnode.com', 'https://lcd-osmosis.cosmostation.io', 'https://rest.cosmos.directory/osmosis', 'https://osmosis-api.polkachu.com', 'https://rest.osmosis.zone', 'https://osmosis-lcd.quickapi.com'],
+    explorers: ['https://www.mintscan.io/osmosis/txs/'],
+  },
+  {
+    id: 'celestia', name: 'Celestia', family: 'cosmos', fireblocksId: 'CELESTIA', fireblocksRescanSupported: true, bech32Prefix: 'celestia', corsFallback: true,
+    rpcs: ['https://celestia-rest.publicnode.com', 'https://rest.cosmos.directory/celestia', 'https://public-celestia-lcd.numia.xyz', 'https://celestia-api.polkachu.com', 'https://api-celestia.mzonder.com'],
+    explorers: ['https://www.mintscan.io/celestia/txs/'],
+  },
+  {
+    id: 'injective', name: 'Injective', family: 'cosmos', fireblocksId: 'INJ_INJ', bech32Prefix: 'inj', corsFallback: true,
+    rpcs: ['https://injective-rest.publicnode.com', 'https://lcd-injective.cosmostation.io', 'https://rest.cosmos.directory/injective', 'https://injective-api.polkachu.com', 'https://sentry.lcd.injective.network'],
+    explorers: ['https://www.mintscan.io/injective/txs/'],
+  },
+  {
+    id: 'dydx', name: 'dYdX', family: 'cosmos', fireblocksId: 'DYDX_DYDX', fireblocksRescanSupported: true, bech32Prefix: 'dydx', corsFallback: true,
+    rpcs: ['https://dydx-rest.publicnode.com', 'https://rest.cosmos.directory/dydx', 'https://dydx-api.polkachu.com', 'https://dydx-dao-api.polkachu.com', 'https://dydx-mainnet-lcd.autostake.com'],
+    explorers: ['https://www.mintscan.io/dydx/txs/'],
+  },
+  {
+    id: 'thor', name: 'THORChain', family: 'cosmos', fireblocksId: 'RUNE_THOR', fireblocksRescanSupported: true, bech32Prefix: 'thor', corsFallback: true,
+    rpcs: ['https://rest.cosmos.directory/thorchain', 'https://thornode.ninerealms.com', 'https://thornode-v2.ninerealms.com'],
+    explorers: ['https://www.mintscan.io/thorchain/txs/'],
+  },
+  {
+    id: 'axelar', name: 'Axelar', family: 'cosmos', fireblocksId: 'AXL', fireblocksRescanSupported: true, bech32Prefix: 'axelar', corsFallback: true,
+    rpcs: ['https://axelar-rest.publicnode.com', 'https://lcd-axelar.cosmostation.io', 'https://rest.cosmos.directory/axelar', 'https://axelar-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/axelar/txs/'],
+  },
+  {
+    id: 'kava-cosmos', name: 'Kava (Cosmos SDK)', family: 'cosmos', bech32Prefix: 'kava', corsFallback: true,
+    rpcs: ['https://kava-rest.publicnode.com', 'https://lcd-kava.cosmostation.io', 'https://rest.cosmos.directory/kava', 'https://kava-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/kava/txs/'],
+  },
+  {
+    id: 'noble', name: 'Noble', family: 'cosmos', bech32Prefix: 'noble', corsFallback: true,
+    rpcs: ['https://noble-api.polkachu.com', 'https://rest.cosmos.directory/noble', 'https://lcd-noble.cosmostation.io'],
+    explorers: ['https://www.mintscan.io/noble/txs/'],
+  },
+  {
+    id: 'kujira', name: 'Kujira', family: 'cosmos', bech32Prefix: 'kujira', corsFallback: true,
+    rpcs: ['https://kujira-rest.publicnode.com', 'https://lcd-kujira.cosmostation.io', 'https://rest.cosmos.directory/kujira', 'https://kujira-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/kujira/txs/'],
+  },
+  {
+    id: 'stargaze', name: 'Stargaze', family: 'cosmos', bech32Prefix: 'stars', corsFallback: true,
+    rpcs: ['https://stargaze-rest.publicnode.com', 'https://lcd-stargaze.cosmostation.io', 'https://rest.cosmos.directory/stargaze', 'https://stargaze-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/stargaze/txs/'],
+  },
+  {
+    id: 'stride', name: 'Stride', family: 'cosmos', bech32Prefix: 'stride', corsFallback: true,
+    rpcs: ['https://stride-rest.publicnode.com', 'https://lcd-stride.cosmostation.io', 'https://rest.cosmos.directory/stride', 'https://stride-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/stride/txs/'],
+  },
+  {
+    id: 'sei', name: 'Sei', family: 'cosmos', bech32Prefix: 'sei', corsFallback: true,
+    rpcs: ['https://sei-rest.publicnode.com', 'https://lcd-sei.cosmostation.io', 'https://rest.cosmos.directory/sei', 'https://sei-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/sei/txs/'],
+  },
+  {
+    id: 'neutron', name: 'Neutron', family: 'cosmos', bech32Prefix: 'neutron', corsFallback: true,
+    rpcs: ['https://neutron-rest.publicnode.com', 'https://lcd-neutron.cosmostation.io', 'https://rest.cosmos.directory/neutron', 'https://neutron-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/neutron/txs/'],
+  },
+  {
+    id: 'akash', name: 'Akash', family: 'cosmos', bech32Prefix: 'akash', corsFallback: true,
+    rpcs: ['https://akash-rest.publicnode.com', 'https://lcd-akash.cosmostation.io', 'https://rest.cosmos.directory/akash', 'https://akash-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/akash/txs/'],
+  },
+  {
+    id: 'juno', name: 'Juno', family: 'cosmos', bech32Prefix: 'juno', corsFallback: true,
+    rpcs: ['https://juno-rest.publicnode.com', 'https://rest.cosmos.directory/juno', 'https://juno-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/juno/txs/'],
+  },
+  {
+    id: 'persistence', name: 'Persistence', family: 'cosmos', bech32Prefix: 'persistence', corsFallback: true,
+    rpcs: ['https://persistence-rest.publicnode.com', 'https://lcd-persistence.cosmostation.io', 'https://rest.cosmos.directory/persistence', 'https://persistence-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/persistence/txs/'],
+  },
+  {
+    id: 'mantra', name: 'MANTRA', family: 'cosmos', bech32Prefix: 'mantra', corsFallback: true,
+    rpcs: ['https://rest.cosmos.directory/mantrachain', 'https://mantra-api.polkachu.com', 'https://lcd-mantra.cosmostation.io'],
+    explorers: ['https://www.mintscan.io/mantra/txs/'],
+  },
+  {
+    id: 'zigchain', name: 'ZIGChain', family: 'cosmos', bech32Prefix: 'zig', corsFallback: true,
+    rpcs: ['https://rest.cosmos.directory/zigchain', 'https://zigchain-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/zigchain/txs/'],
+  },
+  {
+    id: 'initia', name: 'Initia', family: 'cosmos', bech32Prefix: 'init', corsFallback: true,
+    rpcs: ['https://rest.initia.xyz', 'https://rest.cosmos.directory/initia', 'https://initia-api.polkachu.com'],
+    explorers: ['https://scan.initia.xyz/initia-1/txs/'],
+  },
+  {
+    id: 'babylon', name: 'Babylon', family: 'cosmos', bech32Prefix: 'bbn', corsFallback: true,
+    rpcs: ['https://babylon-rest.publicnode.com', 'https://rest.cosmos.directory/babylon', 'https://babylon-api.polkachu.com'],
+    explorers: ['https://www.mintscan.io/babylon/txs/'],
+  },
+  // Cosmos testnets
+  { id: 'cosmos-test', name: 'Cosmos Hub Testnet', family: 'cosmos', testnet: true, fireblocksId: 'ATOM_COS_TEST', fireblocksRescanSupported: true, bech32Prefix: 'cosmos', corsFallback: true, rpcs: ['https://rest.testcosmos.directory/cosmoshubtestnet'], explorers: [] },
+  { id: 'osmosis-test', name: 'Osmosis Testnet', family: 'cosmos', testnet: true, bech32Prefix: 'osmo', corsFallback: true, rpcs: ['https://rest.testcosmos.directory/osmosistestnet'], explorers: [] },
+  { id: 'celestia-test', name: 'Celestia Testnet', family: 'cosmos', testnet: true, fireblocksId: 'CELESTIA_TEST', fireblocksRescanSupported: true, bech32Prefix: 'celestia', corsFallback: true, rpcs: ['https://celestia-mocha-rest.publicnode.com'], explorers: [] },
+  { id: 'injective-test', name: 'Injective Testnet', family: 'cosmos', testnet: true, bech32Prefix: 'inj', corsFallback: true, rpcs: ['https://injective-testnet-rest.publicnode.com'], explorers: [] },
+]
+
+const CHAINS_BY_ID = new Map(CHAINS.map(c => [c.id, c]))
+const EVM_CHAINS_BY_CHAIN_ID = new Map(CHAINS.filter(c => c.family === 'evm').map(c => [c.chainId, c]))
+
+/** Look up a chain by its registry id. */
+export function getChain(id) {
+  return CHAINS_BY_ID.get(id) || null
+}
+
+/** All chains of one family, in registry order. */
+export function getChainsByFamily(family) {
+  return CHAINS.filter(c => c.family === family)
+}
+
+/**
+ * Look up an EVM chain by its numeric chain id (as decoded from a signed tx).
+ * `extraChains` (e.g. user-defined custom networks) are searched after the registry.
+ */
+export function getEvmChain(chainId, extraChains = []) {
+  if (chainId == null) return null
+  const id = Number(chainId)
+  return EVM_CHAINS_BY_CHAIN_ID.get(id) ||
+    extraChains.find(c => c.family === 'evm' && c.chainId === id) ||
+    null
+}
+
+/** Number of EVM chains the registry can auto-detect. */
+export const EVM_CHAIN_COUNT = EVM_CHAINS_BY_CHAIN_ID.size
+
+/** Preferred RPC / REST endpoint of a chain. */
+export function primaryRpc(chain) {
+  return chain?.rpcs?.[0] || ''
+}
+
+/** Preferred tx explorer (prefix or `{hash}` template) of a chain, or null when it has none. */
+export function primaryExplorer(chain) {
+  return chain?.explorers?.[0] || null
+}
+
+/**
+ * Build a tx explorer link. Explorers are either a prefix the hash is appended
+ * to or a template containing `{hash}` (Aptos, custom networks).
+ */
+export function explorerTxUrl(explorer, hash) {
+  if (!explorer || !hash) return null
+  return explorer.includes('{hash}') ? explorer.replaceAll('{hash}', hash) : `${explorer}${hash}`
+}
+
+/**
+ * Flatten a registry entry into the `{ id, name, rpc, type, chainId, explorer }`
+ * shape the network pickers render. `rpcs` is kept for tools that fail over.
+ */
+export function toNetworkOption(chain) {
+  return {
+    id: chain.id,
+    name: chain.name,
+    type: chain.family,
+    chainId: chain.chainId,
+    rpc: primaryRpc(chain),
+    rpcs: chain.rpcs,
+    explorer: primaryExplorer(chain),
+    fireblocksId: chain.fireblocksId || null,
+    testnet: !!chain.testnet,
+    custom: !!chain.custom,
+  }
+}
@@ -0,0 +1,65 @@
+// ─── Faucet assets ───────────────────────────────────────────────────────────
+// Shared by the Faucet page and the /api/faucet backend, so the amounts and
+// address checks the user sees are exactly what the server enforces.
+
+export const FAUCET_NETWORKS = [
+  {
+    id: 'sepolia',
+    name: 'Sepolia',
+    icon: '🔷',
+    assets: [
+      { assetId: 'ETH_TEST5', symbol: 'ETH', amount: '0.01', icon: '⟠' },
+      { assetId: 'USDC_ETH_TEST5_0GER', symbol: 'USDC', amount: '0.25', icon: '💵' },
+      { assetId: 'LINK_ETH_TEST5_BOTX', symbol: 'LINK', amount: '0.05', icon: '🔗' },
+    ],
+    validateAddress: (addr) => /^0x[0-9a-fA-F]{40}$/.test(addr),
+    placeholder: '0x...',
+    addressType: 'EVM',
+  },
+  {
+    id: 'hoodi',
+    name: 'Hoodi',
+    icon: '🟣',
+    assets: [
+      { assetId: 'ETH_TEST_HOODI', symbol: 'ETH', amount: '0.01', icon: '⟠' },
+    ],
+    validateAddress: (addr) => /^0x[0-9a-fA-F]{40}$/.test(addr),
+    placeholder: '0x...',
+    addressType: 'EVM',
+  },
+  {
+    id: 'bitcoin-testnet',
+    name: 'Bitcoin Testnet',
+    icon: '₿',
+    assets: [
+      { assetId: 'BTC_TEST', symbol: 'BTC', amount: '0.0125', icon: '₿' },
+    ],
+    validateAddress: (addr) => {
+      if (/^[mn2][a-km-zA-HJ-NP-Z1-9]{25,34}$/.test(addr)) return true
+      if (/^(tb1|bcrt1)[a-zA-HJ-NP-Z0-9]{25,}$/.test(addr)) return true
+      return false
+    },
+    placeholder: 'tb1... or m/n/2...',
+    addressType: 'BTC',
+  },
+  {
+    id: 'solana-devnet',
+    name: 'Solana Devnet',
+    icon: '◎',
+    assets: [
+      { assetId: 'SOL_TEST', symbol: 'SOL', amount: '0.0125', icon: '◎' },
+    ],
+    validateAddress: (addr) => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(addr),
+    placeholder: 'Base58 address...',
+    addressType: 'Solana',
+  },
+]
+
+/** { asset, network } for a Fireblocks asset id, or null. */
+export function findFaucetAsset(assetId) {
+  for (const network of FAUCET_NETWORKS) {
+    const asset = network.assets.find(a => a.assetId === assetId)
+    if (asset) return { asset, network }
+  }
+  return null
+}
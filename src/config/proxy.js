@@ -0,0 +1,154 @@
+// ─── First-party RPC / REST proxy (/api/proxy) ───────────────────────────────
+// Some chain endpoints send no CORS headers (Cortex), and some Cosmos LCDs only
+// fail cross-origin. Instead of pushing those requests — including signed
+// production transactions — through a third-party CORS proxy, the tools call
+// our own /api/proxy function, which forwards only to hosts that appear in the
+// shared chain registry. Anything else (custom networks included) is only ever
+// called directly; when that fails the tools report a CORS error.
+//
+// This module is shared by the browser (URL helpers), the Cloudflare function
+// (functions/api/proxy.js), the Vercel function (api/proxy.js) and the Vite dev
+// server, so it only uses fetch and URL.
+//
+// Usage:
+//   GET  /api/proxy?url=<encoded target>         → REST lookup
+//   POST /api/proxy?url=<encoded target>  <body> → JSON-RPC call or batch, REST broadcast
+
+import { CHAINS } from './chains.js'
+
+export const PROXY_PATH = '/api/proxy'
+
+const MAX_BODY_BYTES = 1024 * 1024
+const MAX_BATCH_SIZE = 100
+const MAX_REDIRECTS = 3
+const UPSTREAM_TIMEOUT_MS = 25000
+
+function hostOf(url) {
+  try {
+    return new URL(url).host
+  } catch {
+    return null
+  }
+}
+
+/** host[:port] of every registry endpoint — the only places the proxy will forward to. */
+export const PROXY_ALLOWED_HOSTS = new Set(CHAINS.flatMap(c => c.rpcs).map(hostOf).filter(Boolean))
+
+/** True when `url` is an https URL on an allowlisted host. */
+export function isProxyAllowed(url) {
+  try {
+    const parsed = new URL(url)
+    return parsed.protocol === 'https:' && PROXY_ALLOWED_HOSTS.has(parsed.host)
+  } catch {
+    return false
+  }
+}
+
+/** URL that sends `targetUrl` through our own proxy. */
+export function proxiedUrl(targetUrl) {
+  return `${PROXY_PATH}?url=${encodeURIComponent(targetUrl)}`
+}
+
+/**
+ * CORS fallback for a browser request that failed directly: our proxy when the
+ * host is allowlisted, null otherwise (report corsError instead).
+ */
+export function corsFallbackUrl(targetUrl) {
+  return isProxyAllowed(targetUrl) ? proxiedUrl(targetUrl) : null
+}
+
+/** Error for a direct request that failed and has no proxy to fall back on. */
+export function corsError(targetUrl, reason) {
+  const host = hostOf(targetUrl) || targetUrl
+  return `${reason || 'Request failed'} — the browser could not reach ${host} (likely CORS), and only registry endpoints can go through ${PROXY_PATH}`
+}
+
+const NEEDS_PROXY_RPCS = new Set(CHAINS.filter(c => c.needsProxy).flatMap(c => c.rpcs))
+
+/** RPC URL the browser should actually call — registry endpoints flagged `needsProxy` go through /api/proxy. */
+export function browserRpcUrl(url) {
+  if (!url) return url
+  return NEEDS_PROXY_RPCS.has(url) ? proxiedUrl(url) : url
+}
+
+// ── Server side ─────────────────────────────────────────────────────────────
+
+export const PROXY_CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+}
+
+function jsonError(status, message) {
+  return {
+    status,
+    contentType: 'application/json',
+    body: JSON.stringify({ error: message }),
+  }
+}
+
+// A JSON-RPC batch is forwarded as-is, but capped so the proxy can't be used to
+// fan one request out into thousands of upstream calls.
+function checkBatchSize(body, contentType) {
+  if (!body || !(contentType || '').includes('json')) return null
+  try {
+    const parsed = JSON.parse(body)
+    if (Array.isArray(parsed) && parsed.length > MAX_BATCH_SIZE) {
+      return `JSON-RPC batch too large (${parsed.length} > ${MAX_BATCH_SIZE})`
+    }
+  } catch {
+    // Not JSON after all — let the upstream reject it
+  }
+  return null
+}
+
+/**
+ * Platform-neutral proxy core. Takes the incoming method, the `url` query
+ * parameter, the raw body and its content type; returns { status, contentType,
+ * body } for the platform adapter to send. Redirects are followed manually and
+ * only while they stay on allowlisted hosts.
+ */
+export async function forwardProxyRequest({ method, target, body, contentType }) {
+  if (method !== 'GET' && method !== 'POST') return jsonError(405, 'Method not allowed')
+  if (!target) return jsonError(400, 'Missing ?url= parameter')
+  if (!isProxyAllowed(target)) return jsonError(403, `Host not allowed: ${hostOf(target) || target}`)
+
+  if (method === 'POST') {
+    if (body && body.length > MAX_BODY_BYTES) return jsonError(413, 'Request body too large')
+    const batchError = checkBatchSize(body, contentType)
+    if (batchError) return jsonError(413, batchError)
+  }
+
+  let url = target
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const response = await fetch(url, {
+        method,
+        headers: method === 'POST'
+          ? { 'Content-Type': contentType || 'application/json', Accept: 'application/json' }
+          : { Accept: 'application/json' },
+        body: method === 'POST' ? body : undefined,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+      })
+
+      const location = response.headers.get('Location')
+      if (response.status >= 300 && response.status < 400 && location) {
+        const next = new URL(location, url).toString()
+        if (!isProxyAllowed(next)) return jsonError(502, `Upstream redirected to a host that is not allowed: ${hostOf(next)}`)
+        url = next
+        continue
+      }
+
+      return {
+        status: response.status,
+        contentType: response.headers.get('Content-Type') || 'application/json',
+        body: await response.text(),
+      }
+    }
+    return jsonError(502, 'Too many upstream redirects')
+  } catch (err) {
+    const message = err.name === 'TimeoutError' ? 'Upstream request timed out' : (err.message || 'Proxy request failed')
+    return jsonError(502, message)
+  }
+}
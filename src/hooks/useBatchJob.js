@@ -0,0 +1,8 @@
+import { useCallback, useSyncExternalStore } from 'react'
+import { getJob, subscribeJobs } from '../utils/jobRunner'
+
+/** Live snapshot of `tool`'s background job (see utils/jobRunner.js), or null. */
+export function useBatchJob(tool) {
+  const getSnapshot = useCallback(() => getJob(tool), [tool])
+  return useSyncExternalStore(subscribeJobs, getSnapshot)
+}
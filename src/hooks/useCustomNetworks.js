@@ -0,0 +1,14 @@
+import { useMemo, useSyncExternalStore } from 'react'
+import { subscribeCustomNetworks, getCustomNetworksSnapshot, parseCustomNetworks } from '../utils/customNetworks'
+
+/**
+ * Live list of user-defined custom networks, optionally limited to one family.
+ * Re-renders when networks are added, removed or imported — in this tab or another.
+ */
+export function useCustomNetworks(family = null) {
+  const snapshot = useSyncExternalStore(subscribeCustomNetworks, getCustomNetworksSnapshot)
+  return useMemo(() => {
+    const all = parseCustomNetworks(snapshot)
+    return family ? all.filter(n => n.family === family) : all
+  }, [snapshot, family])
+}
@@ -0,0 +1,25 @@
+import { useEffect, useRef } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+
+/**
+ * Applies a `prefill` object handed over in router state (by the paste-anything
+ * command bar) once, then clears it so a refresh or Back doesn't re-apply it.
+ * Works whether the page is freshly mounted or already open.
+ */
+export function usePrefill(apply) {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const applyRef = useRef(apply)
+  const prefill = location.state?.prefill
+  const { pathname, search, hash } = location
+
+  useEffect(() => {
+    applyRef.current = apply
+  })
+
+  useEffect(() => {
+    if (!prefill) return
+    applyRef.current(prefill)
+    navigate(`${pathname}${search}${hash}`, { replace: true, state: null })
+  }, [prefill, pathname, search, hash, navigate])
+}
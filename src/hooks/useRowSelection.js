@@ -0,0 +1,43 @@
+import { useCallback, useMemo, useState } from 'react'
+
+/**
+ * Tick-box selection over a results table, for exporting selected rows.
+ * `keyOf(row)` must be stable (define it at module scope). Keys of rows that
+ * are no longer in `rows` are ignored, so a new run needs no explicit reset.
+ */
+export function useRowSelection(rows, keyOf) {
+  const [selected, setSelected] = useState(() => new Set())
+
+  const selectedRows = useMemo(
+    () => (selected.size === 0 ? [] : rows.filter(r => r != null && selected.has(keyOf(r)))),
+    [rows, selected, keyOf]
+  )
+
+  const toggle = useCallback((key) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+  }, [])
+
+  // Tick or untick every row in `list` (e.g. the rows currently shown)
+  const setRows = useCallback((list, on) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      for (const row of list) {
+        if (on) next.add(keyOf(row))
+        else next.delete(keyOf(row))
+      }
+      return next
+    })
+  }, [keyOf])
+
+  const clear = useCallback(() => setSelected(new Set()), [])
+
+  const isSelected = useCallback((key) => selected.has(key), [selected])
+  const allSelected = (list) => list.length > 0 && list.every(row => selected.has(keyOf(row)))
+
+  return { selectedRows, isSelected, allSelected, toggle, setRows, clear }
+}
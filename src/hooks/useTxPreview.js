@@ -0,0 +1,49 @@
+import { useEffect, useMemo, useState } from 'react'
+import { decodeTxPreview } from '../utils/txDecode'
+
+const CHUNK_SIZE = 50
+const START_DELAY_MS = 250
+
+const NO_ROWS = []
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Decodes the Broadcaster's input lines for the pre-broadcast preview. Runs in
+ * chunks so a long batch doesn't freeze typing, and starts over (after a short
+ * pause) whenever the lines or the network change. Rows arrive progressively;
+ * `decoding` stays true until every line has one.
+ */
+export function useTxPreview(transactions, { network, isAuto, customNetworks }) {
+  const [state, setState] = useState({ transactions: null, network: null, rows: [] })
+
+  useEffect(() => {
+    if (transactions.length === 0) return
+    let cancelled = false
+    const run = async () => {
+      await pause(START_DELAY_MS)
+      const rows = []
+      for (let i = 0; i < transactions.length && !cancelled; i += CHUNK_SIZE) {
+        const chunk = await Promise.all(
+          transactions.slice(i, i + CHUNK_SIZE).map(tx => decodeTxPreview(tx, { network, isAuto, customNetworks }))
+        )
+        if (cancelled) return
+        rows.push(...chunk)
+        setState({ transactions, network, rows: rows.slice() })
+        await pause(0)
+      }
+    }
+    run()
+    return () => { cancelled = true }
+  }, [transactions, network, isAuto, customNetworks])
+
+  // Rows from a previous input are stale — show nothing until the new ones land
+  const rows = state.transactions === transactions && state.network === network ? state.rows : NO_ROWS
+
+  return useMemo(() => ({
+    rows,
+    decoding: rows.length < transactions.length,
+    failed: rows.filter(r => r.error).length,
+    warned: rows.filter(r => !r.error && r.warning).length,
+  }), [rows, transactions.length])
+}
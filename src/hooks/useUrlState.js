@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { buildStateUrl, flattenState, readStateUrl } from '../utils/urlState'
+
+const WRITE_DEBOUNCE_MS = 300
+
+/**
+ * Mirrors a page's inputs into the URL and restores them on load.
+ *
+ * `values` is a flat object of the inputs to share (strings, numbers, booleans
+ * or lists); keys become query params and entries equal to `defaults` are left
+ * out. `restore(params)` receives the flat string map read from the URL and
+ * should apply it to page state. `run`, when given, is called once after
+ * restoring if the link carries `run=1`.
+ *
+ * Returns `shareLink(autoRun)` which resolves to an absolute link for the
+ * current inputs.
+ */
+export function useUrlState({ values, defaults = {}, restore, run = null }) {
+  const { pathname } = useLocation()
+  const navigate = useNavigate()
+  const [restored, setRestored] = useState(null)
+  const restoreRef = useRef(restore)
+  const runRef = useRef(run)
+  const valuesRef = useRef(values)
+  const defaultsRef = useRef(defaults)
+  const syncedRef = useRef(false)
+  const timerRef = useRef(null)
+
+  useEffect(() => {
+    restoreRef.current = restore
+    runRef.current = run
+    defaultsRef.current = defaults
+  })
+
+  // Read the link once on mount. The fragment may need decompressing, so this
+  // is async; nothing is written back until it has been applied.
+  useEffect(() => {
+    let cancelled = false
+    readStateUrl(window.location).then(state => {
+      if (cancelled) return
+      if (state) restoreRef.current(state.values)
+      setRestored({ autoRun: Boolean(state?.autoRun) })
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  // Auto-run on the render after restore, so run() sees the restored inputs
+  useEffect(() => {
+    if (restored?.autoRun && runRef.current) runRef.current()
+  }, [restored])
+
+  // Write back (debounced) whenever a shared input changes
+  useEffect(() => {
+    const prev = valuesRef.current
+    valuesRef.current = values
+    if (!restored) return
+    const changed = !syncedRef.current || Object.keys(values).some(k => !Object.is(prev[k], values[k]))
+    if (!changed) return
+
+    syncedRef.current = true
+    clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(() => {
+      buildStateUrl(pathname, flattenState(valuesRef.current, defaultsRef.current)).then(url => {
+        const current = `${window.location.pathname}${window.location.search}${window.location.hash}`
+        // The user may have left the page while the fragment was compressing
+        if (window.location.pathname === pathname && url !== current) {
+          navigate(url, { replace: true, state: null })
+        }
+      }).catch(console.error)
+    }, WRITE_DEBOUNCE_MS)
+  })
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  return useCallback(async (autoRun = false) => {
+    const url = await buildStateUrl(pathname, flattenState(valuesRef.current, defaultsRef.current), { autoRun })
+    return `${window.location.origin}${url}`
+  }, [pathname])
+}
@@ -1,11 +1,13 @@
 import { Outlet } from 'react-router-dom'
 import Sidebar from '../components/Sidebar'
+import CommandBar from '../components/CommandBar'
 
 export default function AppLayout() {
   return (
     <div className="app-layout">
       <Sidebar />
       <main className="app-main-content">
+        <CommandBar />
         <Outlet />
       </main>
     </div>
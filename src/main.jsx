@@ -26,6 +26,7 @@ import CallbackHandler from './pages/CallbackHandler.jsx'
 import EasyCosigner from './pages/EasyCosigner.jsx'
 import TxIdGenerator from './pages/TxIdGenerator.jsx'
 import CosmosCheck from './pages/CosmosCheck.jsx'
+import NetworkSettings from './pages/NetworkSettings.jsx'
 
 // Get Dynamic Environment ID from environment variable
 const dynamicEnvironmentId = import.meta.env.VITE_DYNAMIC_ENVIRONMENT_ID
@@ -142,6 +143,7 @@ createRoot(document.getElementById('root')).render(
           <Route path="/easy-cosigner" element={<EasyCosigner />} />
           <Route path="/tx-id-generator" element={<TxIdGenerator />} />
           <Route path="/cosmos-check" element={<CosmosCheck />} />
+          <Route path="/networks" element={<NetworkSettings />} />
           <Route path="*" element={<Navigate to="/broadcaster" replace />} />
         </Route>
       </Routes>
@@ -1,321 +1,96 @@
-import { useState, useRef, useCallback, useEffect } from 'react'
+import { Fragment, useState, useRef, useCallback, useEffect, useMemo } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import RunHistory from '../components/RunHistory'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { useRowSelection } from '../hooks/useRowSelection'
+import { getChainsByFamily, getEvmChain, primaryRpc, primaryExplorer, explorerTxUrl, toNetworkOption, EVM_CHAIN_COUNT } from '../config/chains'
+import { useCustomNetworks } from '../hooks/useCustomNetworks'
+import { browserRpcUrl, corsError, corsFallbackUrl } from '../config/proxy'
+import { saveRun } from '../utils/runHistory'
+import { defineExport } from '../utils/exporter'
+import { linesParam, listParam, numberParam } from '../utils/urlState'
+import { detectAutoNetworkType } from '../utils/autoDetect'
+import { encodeBase58 } from '../utils/base58'
+import DecodePreview from '../components/DecodePreview'
+import { useTxPreview } from '../hooks/useTxPreview'
+import { createReceiptTracker, hasReceiptLookup, RECEIPT_STATUSES } from '../utils/receiptTracker'
+import { classifyBroadcastError, errorCategory } from '../utils/broadcastErrors'
+import { planNonceQueue, waitForNonceTurn, describeNonceIssues } from '../utils/nonceQueue'
+import { findBatchConflicts, describeBatchConflicts } from '../utils/batchConflicts'
+import { decodeTxPreview } from '../utils/txDecode'
+import { tronPayloadFormat, tronErrorMessage } from '../utils/tronTx'
+import { tonBocBase64, tonHashToHex, decodeTonExternalMessage } from '../utils/tonBoc'
+import { aptosTxBytes } from '../utils/aptosTx'
+import { parseSuiPayload } from '../utils/suiTx'
+import { decodeSubstrateExtrinsic, validateSubstrateExtrinsic } from '../utils/substrateTx'
+import { decodeRlpChainId, parseEvmEnvelope } from '../utils/evmTx'
+import { parseUtxoTx, utxoChainCandidates } from '../utils/utxoTx'
+import { isPsbt, finalizePsbt } from '../utils/psbt'
+import { UTXO_AUTO_CHAINS, utxoBroadcastRequest, utxoBroadcastTxid, utxoBroadcastError, utxoTxUrl } from '../utils/utxoApi'
+import { RELAY_METHODS, DEFAULT_RELAY_URL, DEFAULT_RELAY_CHAIN_ID, DEFAULT_RELAY_BLOCKS, MAX_RELAY_BLOCKS, sendViaRelay, describeRelay, relayChainMismatch } from '../utils/privateRelay'
+import { startCheckpoint, markCheckpoint, loadCheckpoint, clearCheckpoint, createCheckpointWriter } from '../utils/runCheckpoint'
 import './Broadcaster.css'
 
+// Tool-specific pseudo networks (auto-detect and free-form custom RPC entries)
+// wrap the shared chain registry. Each family's custom entry sits after its chains.
+const customNetwork = (id, name, type) => ({ id, name, rpc: '', type })
+
+// TON mainnet results link to TON Details, which resolves the message hash to
+// its transaction (explorers only know transaction hashes)
+const TON_DETAILS_LINK = '/ton-details?tx={hash}&run=1'
+
 const NETWORKS = [
-  // EVM Networks
   { id: 'auto-evm', name: '🔄 Auto (Detect Chain)', rpc: '', type: 'evm', isAuto: true },
-  { id: 'ethereum', name: 'Ethereum', rpc: 'https://ethereum-rpc.publicnode.com', type: 'evm', chainId: 1, explorer: 'https://etherscan.io/tx/' },
-  { id: 'eth-test5', name: 'ETH_TEST5 (Sepolia)', rpc: 'https://ethereum-sepolia-rpc.publicnode.com', type: 'evm', chainId: 11155111, explorer: 'https://sepolia.etherscan.io/tx/' },
-  { id: 'custom-evm', name: 'Custom EVM RPC...', rpc: '', type: 'evm' },
-  { id: 'arbitrum', name: 'Arbitrum One', rpc: 'https://arb1.arbitrum.io/rpc', type: 'evm', chainId: 42161, explorer: 'https://arbiscan.io/tx/' },
-  { id: 'astar', name: 'Astar', rpc: 'https://evm.astar.network', type: 'evm', chainId: 592, explorer: 'https://astar.blockscout.com/tx/' },
-  { id: 'aurora', name: 'Aurora', rpc: 'https://mainnet.aurora.dev', type: 'evm', chainId: 1313161554, explorer: 'https://explorer.aurora.dev/tx/' },
-  { id: 'avalanche', name: 'Avalanche C-Chain', rpc: 'https://api.avax.network/ext/bc/C/rpc', type: 'evm', chainId: 43114, explorer: 'https://snowtrace.io/tx/' },
-  { id: 'base', name: 'Base', rpc: 'https://mainnet.base.org', type: 'evm', chainId: 8453, explorer: 'https://basescan.org/tx/' },
-  { id: 'blast', name: 'Blast Mainnet', rpc: 'https://zkevmrpc.blastchain.org', type: 'evm', chainId: 238, explorer: 'https://blastchain.org/tx/' },
-  { id: 'bsc', name: 'BNB Smart Chain', rpc: 'https://bsc-dataseed.binance.org', type: 'evm', chainId: 56, explorer: 'https://bscscan.com/tx/' },
-  { id: 'canto', name: 'Canto', rpc: 'https://canto.gravitychain.io', type: 'evm', chainId: 7700, explorer: 'https://tuber.build/tx/' },
-  { id: 'cortex', name: 'Cortex', rpc: 'https://security.cortexlabs.ai:30088', type: 'evm', chainId: 21, explorer: 'https://cerebro.cortexlabs.ai/tx/' },
-  { id: 'celo', name: 'Celo', rpc: 'https://forno.celo.org', type: 'evm', chainId: 42220, explorer: 'https://celoscan.io/tx/' },
-  { id: 'chiliz', name: 'Chiliz', rpc: 'https://rpc.ankr.com/chiliz', type: 'evm', chainId: 88888, explorer: 'https://chiliscan.com/tx/' },
-  { id: 'etc', name: 'Ethereum Classic (ETC)', rpc: 'https://etc.rivet.link', type: 'evm', chainId: 61, explorer: 'https://etc.blockscout.com/tx/' },
-  { id: 'ethw', name: 'Ethereum PoW', rpc: 'https://mainnet.ethereumpow.org', type: 'evm', chainId: 10001, explorer: 'https://www.oklink.com/ethw/tx/' },
-  { id: 'evmos', name: 'Evmos', rpc: 'https://evmos-evm.publicnode.com', type: 'evm', chainId: 9001, explorer: 'https://escan.live/tx/' },
-  { id: 'fantom', name: 'Fantom', rpc: 'https://rpcapi.fantom.network', type: 'evm', chainId: 250, explorer: 'https://ftmscan.com/tx/' },
-  { id: 'gnosis', name: 'Gnosis Chain (xDAI)', rpc: 'https://rpc.gnosischain.com', type: 'evm', chainId: 100, explorer: 'https://gnosisscan.io/tx/' },
-  { id: 'kava', name: 'KAVA EVM', rpc: 'https://evm.kava.io', type: 'evm', chainId: 2222, explorer: 'https://kavascan.com/tx/' },
-  { id: 'plasma', name: 'Plasma Mainnet', rpc: 'https://rpc.plasma.to', type: 'evm', chainId: 9745, explorer: 'https://plasmascan.to/tx/' },
-  { id: 'linea', name: 'Linea', rpc: 'https://rpc.linea.build', type: 'evm', chainId: 59144, explorer: 'https://lineascan.build/tx/' },
-  { id: 'manta', name: 'Manta Pacific', rpc: 'https://manta.nirvanalabs.xyz/mantapublic', type: 'evm', chainId: 169, explorer: 'https://manta.socialscan.io/tx/' },
-  { id: 'monad', name: 'Monad', rpc: 'https://rpc3.monad.xyz', type: 'evm', chainId: 143, explorer: 'https://monadvision.com/tx/' },
-  { id: 'megaeth', name: 'MegaETH', rpc: 'https://carrot.megaeth.com/rpc', type: 'evm', chainId: 6342, explorer: 'https://mega.etherscan.io/tx/' },
-  { id: 'moonbeam', name: 'Moonbeam', rpc: 'https://rpc.api.moonbeam.network', type: 'evm', chainId: 1284, explorer: 'https://moonscan.io/tx/' },
-  { id: 'moonriver', name: 'Moonriver', rpc: 'https://rpc.api.moonriver.moonbeam.network', type: 'evm', chainId: 1285, explorer: 'https://moonriver.moonscan.io/tx/' },
-  { id: 'oasys', name: 'Oasys', rpc: 'https://rpc.mainnet.oasys.games', type: 'evm', chainId: 248, explorer: 'https://scan.oasys.games/tx/' },
-  { id: 'optimism', name: 'Optimism', rpc: 'https://mainnet.optimism.io', type: 'evm', chainId: 10, explorer: 'https://optimistic.etherscan.io/tx/' },
-  { id: 'polygon', name: 'Polygon', rpc: 'https://polygon.rpc.subquery.network/public', type: 'evm', chainId: 137, explorer: 'https://polygonscan.com/tx/' },
-  { id: 'ronin', name: 'Ronin', rpc: 'https://api.roninchain.com/rpc', type: 'evm', chainId: 2020, explorer: 'https://app.roninchain.com/tx/' },
-  { id: 'rsk', name: 'RSK', rpc: 'https://public-node.rsk.co', type: 'evm', chainId: 30, explorer: 'https://explorer.rsk.co/tx/' },
-  { id: 'shimmer', name: 'Shimmer EVM', rpc: 'https://json-rpc.evm.shimmer.network', type: 'evm', chainId: 148, explorer: 'https://explorer.evm.shimmer.network/tx/' },
-  { id: 'smartbch', name: 'SmartBCH', rpc: 'https://smartbch.greyh.at', type: 'evm', chainId: 10000, explorer: 'https://www.smartscan.cash/tx/' },
-  { id: 'songbird', name: 'Songbird', rpc: 'https://songbird-api.flare.network/ext/C/rpc', type: 'evm', chainId: 19, explorer: 'https://songbird-explorer.flare.network/tx/' },
-  { id: 'unichain', name: 'Unichain', rpc: 'https://unichain-mainnet.gateway.tatum.io', type: 'evm', chainId: 130, explorer: 'https://uniscan.xyz/tx/' },
-  { id: 'velas', name: 'Velas', rpc: 'https://evmexplorer.velas.com/rpc', type: 'evm', chainId: 106, explorer: 'https://evmexplorer.velas.com/tx/' },
-  { id: 'worldchain', name: 'Worldchain', rpc: 'https://worldchain-mainnet.g.alchemy.com/public', type: 'evm', chainId: 480, explorer: 'https://worldscan.org/tx/' },
-  { id: 'xdc', name: 'XDC Network', rpc: 'https://rpc.xinfin.network', type: 'evm', chainId: 50, explorer: 'https://xdcscan.io/tx/' },
-  { id: 'zkevm', name: 'Polygon zkEVM', rpc: 'https://zkevm-rpc.com', type: 'evm', chainId: 1101, explorer: 'https://zkevm.polygonscan.com/tx/' },
-  // Solana Networks
-  { id: 'solana', name: 'Solana Mainnet', rpc: 'https://solana-mainnet.gateway.tatum.io', type: 'solana', explorer: 'https://solscan.io/tx/' },
-  { id: 'custom-solana', name: 'Custom Solana RPC...', rpc: '', type: 'solana' },
-  // XRP Ledger
-  { id: 'xrp', name: 'XRP Mainnet', rpc: 'https://xrplcluster.com/', type: 'xrp', explorer: 'https://xrpscan.com/tx/' },
-  // Stellar (XLM)
-  { id: 'stellar', name: 'Stellar Mainnet', rpc: 'https://horizon.stellar.org', type: 'stellar', explorer: 'https://stellar.expert/explorer/public/tx/' },
-  // Bitcoin-style chains
-  { id: 'bitcoin', name: 'Bitcoin (BTC)', rpc: 'https://mempool.space/api', type: 'bitcoin', explorer: 'https://mempool.space/tx/' },
-  { id: 'litecoin', name: 'Litecoin (LTC)', rpc: 'https://litecoinspace.org/api', type: 'bitcoin', explorer: 'https://litecoinspace.org/tx/' },
-  { id: 'bitcoincash', name: 'Bitcoin Cash (BCH)', rpc: 'https://rest.bitcoin.com/v2/rawtransactions', type: 'bitcoincash', explorer: 'https://blockchair.com/bitcoin-cash/transaction/' },
-  { id: 'custom-bitcoin', name: 'Custom Bitcoin/Forks RPC...', rpc: '', type: 'bitcoin' },
+  ...getChainsByFamily('evm').map(toNetworkOption),
+  customNetwork('custom-evm', 'Custom EVM RPC...', 'evm'),
+  ...getChainsByFamily('solana').map(toNetworkOption),
+  customNetwork('custom-solana', 'Custom Solana RPC...', 'solana'),
+  ...getChainsByFamily('xrp').map(toNetworkOption),
+  ...getChainsByFamily('stellar').map(toNetworkOption),
+  // TRON — signed JSON to /wallet/broadcasttransaction, protobuf hex to /wallet/broadcasthex
+  ...getChainsByFamily('tron').map(toNetworkOption),
+  customNetwork('custom-tron', 'Custom TRON node...', 'tron'),
+  // TON — external-message BOCs to toncenter /sendBocReturnHash
+  ...getChainsByFamily('ton').map(c => ({ ...toNetworkOption(c), explorer: c.testnet ? primaryExplorer(c) : TON_DETAILS_LINK })),
+  customNetwork('custom-ton', 'Custom toncenter API...', 'ton'),
+  // Aptos — BCS SignedTransaction to /v1/transactions; Sui — tx bytes + signatures to sui_executeTransactionBlock
+  ...getChainsByFamily('aptos').map(toNetworkOption),
+  customNetwork('custom-aptos', 'Custom Aptos fullnode...', 'aptos'),
+  ...getChainsByFamily('sui').map(toNetworkOption),
+  customNetwork('custom-sui', 'Custom Sui RPC...', 'sui'),
+  // Substrate — hex extrinsics to author_submitExtrinsic
+  ...getChainsByFamily('substrate').map(toNetworkOption),
+  customNetwork('custom-substrate', 'Custom Substrate RPC...', 'substrate'),
+  ...getChainsByFamily('bitcoin').map(toNetworkOption),
+  ...getChainsByFamily('bitcoincash').map(toNetworkOption),
+  customNetwork('custom-bitcoin', 'Custom Bitcoin/Forks RPC...', 'bitcoin'),
   // Cosmos SDK chains — POST /cosmos/tx/v1beta1/txs with { tx_bytes: base64, mode: BROADCAST_MODE_SYNC }
-  { id: 'cosmos', name: 'Cosmos Hub — ATOM_COS', rpc: 'https://cosmos-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/cosmos/txs/' },
-  { id: 'osmosis', name: 'Osmosis — OSMO', rpc: 'https://osmosis-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/osmosis/txs/' },
-  { id: 'celestia', name: 'Celestia — CELESTIA', rpc: 'https://celestia-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/celestia/txs/' },
-  { id: 'injective', name: 'Injective — INJ_INJ', rpc: 'https://injective-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/injective/txs/' },
-  { id: 'dydx', name: 'dYdX — DYDX_DYDX', rpc: 'https://dydx-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/dydx/txs/' },
-  { id: 'thor', name: 'THORChain — RUNE_THOR', rpc: 'https://rest.cosmos.directory/thorchain', type: 'cosmos', explorer: 'https://www.mintscan.io/thorchain/txs/' },
-  { id: 'axelar', name: 'Axelar — AXL', rpc: 'https://axelar-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/axelar/txs/' },
-  { id: 'kava-cosmos', name: 'Kava (Cosmos SDK)', rpc: 'https://kava-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/kava/txs/' },
-  { id: 'noble', name: 'Noble', rpc: 'https://noble-api.polkachu.com', type: 'cosmos', explorer: 'https://www.mintscan.io/noble/txs/' },
-  { id: 'kujira', name: 'Kujira', rpc: 'https://kujira-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/kujira/txs/' },
-  { id: 'stargaze', name: 'Stargaze', rpc: 'https://stargaze-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/stargaze/txs/' },
-  { id: 'stride', name: 'Stride', rpc: 'https://stride-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/stride/txs/' },
-  { id: 'sei', name: 'Sei', rpc: 'https://sei-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/sei/txs/' },
-  { id: 'neutron', name: 'Neutron', rpc: 'https://neutron-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/neutron/txs/' },
-  { id: 'akash', name: 'Akash', rpc: 'https://akash-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/akash/txs/' },
-  { id: 'juno', name: 'Juno', rpc: 'https://juno-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/juno/txs/' },
-  { id: 'persistence', name: 'Persistence', rpc: 'https://persistence-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/persistence/txs/' },
-  { id: 'mantra', name: 'MANTRA', rpc: 'https://rest.cosmos.directory/mantrachain', type: 'cosmos', explorer: 'https://www.mintscan.io/mantra/txs/' },
-  { id: 'zigchain', name: 'ZIGChain', rpc: 'https://rest.cosmos.directory/zigchain', type: 'cosmos', explorer: 'https://www.mintscan.io/zigchain/txs/' },
-  { id: 'initia', name: 'Initia', rpc: 'https://rest.initia.xyz', type: 'cosmos', explorer: 'https://scan.initia.xyz/initia-1/txs/' },
-  { id: 'babylon', name: 'Babylon', rpc: 'https://babylon-rest.publicnode.com', type: 'cosmos', explorer: 'https://www.mintscan.io/babylon/txs/' },
-  // Cosmos testnets
-  { id: 'cosmos-test', name: 'Cosmos Hub Testnet — ATOM_COS_TEST', rpc: 'https://rest.testcosmos.directory/cosmoshubtestnet', type: 'cosmos', explorer: null },
-  { id: 'celestia-test', name: 'Celestia Testnet — CELESTIA_TEST', rpc: 'https://celestia-mocha-rest.publicnode.com', type: 'cosmos', explorer: null },
-  { id: 'custom-cosmos', name: 'Custom Cosmos LCD...', rpc: '', type: 'cosmos' },
+  ...getChainsByFamily('cosmos').map(c => ({
+    ...toNetworkOption(c),
+    name: c.fireblocksId ? `${c.name} — ${c.fireblocksId}` : c.name,
+  })),
+  customNetwork('custom-cosmos', 'Custom Cosmos LCD...', 'cosmos'),
 ]
 
-// CORS proxy used as a fallback when a Cosmos LCD endpoint lacks CORS headers.
-const COSMOS_CORS_PROXY = 'https://corsproxy.io/?url='
-
-// Chain ID to network mapping for auto-detection
-const CHAIN_ID_MAP = {
-  1: { name: 'Ethereum', rpc: 'https://ethereum-rpc.publicnode.com', explorer: 'https://etherscan.io/tx/' },
-  11155111: { name: 'ETH_TEST5 (Sepolia)', rpc: 'https://ethereum-sepolia-rpc.publicnode.com', explorer: 'https://sepolia.etherscan.io/tx/' },
-  10: { name: 'Optimism', rpc: 'https://mainnet.optimism.io', explorer: 'https://optimistic.etherscan.io/tx/' },
-  19: { name: 'Songbird', rpc: 'https://songbird-api.flare.network/ext/C/rpc', explorer: 'https://songbird-explorer.flare.network/tx/' },
-  21: { name: 'Cortex', rpc: 'https://security.cortexlabs.ai:30088', explorer: 'https://cerebro.cortexlabs.ai/tx/' },
-  30: { name: 'RSK', rpc: 'https://public-node.rsk.co', explorer: 'https://explorer.rsk.co/tx/' },
-  50: { name: 'XDC Network', rpc: 'https://rpc.xinfin.network', explorer: 'https://xdcscan.io/tx/' },
-  56: { name: 'BNB Smart Chain', rpc: 'https://bsc-dataseed.binance.org', explorer: 'https://bscscan.com/tx/' },
-  61: { name: 'Ethereum Classic (ETC)', rpc: 'https://etc.rivet.link', explorer: 'https://etc.blockscout.com/tx/' },
-  100: { name: 'Gnosis Chain', rpc: 'https://rpc.gnosischain.com', explorer: 'https://gnosisscan.io/tx/' },
-  106: { name: 'Velas', rpc: 'https://evmexplorer.velas.com/rpc', explorer: 'https://evmexplorer.velas.com/tx/' },
-  137: { name: 'Polygon', rpc: 'https://polygon.rpc.subquery.network/public', explorer: 'https://polygonscan.com/tx/' },
-  143: { name: 'Monad', rpc: 'https://rpc3.monad.xyz', explorer: 'https://monadvision.com/tx/' },
-  169: { name: 'Manta Pacific', rpc: 'https://manta.nirvanalabs.xyz/mantapublic', explorer: 'https://manta.socialscan.io/tx/' },
-  6342: { name: 'MegaETH', rpc: 'https://carrot.megaeth.com/rpc', explorer: 'https://mega.etherscan.io/tx/' },
-  148: { name: 'Shimmer EVM', rpc: 'https://json-rpc.evm.shimmer.network', explorer: 'https://explorer.evm.shimmer.network/tx/' },
-  248: { name: 'Oasys', rpc: 'https://rpc.mainnet.oasys.games', explorer: 'https://scan.oasys.games/tx/' },
-  250: { name: 'Fantom', rpc: 'https://rpcapi.fantom.network', explorer: 'https://ftmscan.com/tx/' },
-  238: { name: 'Blast Mainnet', rpc: 'https://zkevmrpc.blastchain.org', explorer: 'https://blastchain.org/tx/' },
-  480: { name: 'Worldchain', rpc: 'https://worldchain-mainnet.g.alchemy.com/public', explorer: 'https://worldscan.org/tx/' },
-  592: { name: 'Astar', rpc: 'https://evm.astar.network', explorer: 'https://astar.blockscout.com/tx/' },
-  1101: { name: 'Polygon zkEVM', rpc: 'https://zkevm-rpc.com', explorer: 'https://zkevm.polygonscan.com/tx/' },
-  1284: { name: 'Moonbeam', rpc: 'https://rpc.api.moonbeam.network', explorer: 'https://moonscan.io/tx/' },
-  1285: { name: 'Moonriver', rpc: 'https://rpc.api.moonriver.moonbeam.network', explorer: 'https://moonriver.moonscan.io/tx/' },
-  2020: { name: 'Ronin', rpc: 'https://api.roninchain.com/rpc', explorer: 'https://app.roninchain.com/tx/' },
-  2222: { name: 'KAVA EVM', rpc: 'https://evm.kava.io', explorer: 'https://kavascan.com/tx/' },
-  7700: { name: 'Canto', rpc: 'https://canto.gravitychain.io', explorer: 'https://tuber.build/tx/' },
-  8453: { name: 'Base', rpc: 'https://mainnet.base.org', explorer: 'https://basescan.org/tx/' },
-  9001: { name: 'Evmos', rpc: 'https://evmos-evm.publicnode.com', explorer: 'https://escan.live/tx/' },
-  9745: { name: 'Plasma Mainnet', rpc: 'https://rpc.plasma.to', explorer: 'https://plasmascan.to/tx/' },
-  10000: { name: 'SmartBCH', rpc: 'https://smartbch.greyh.at', explorer: 'https://www.smartscan.cash/tx/' },
-  10001: { name: 'Ethereum PoW', rpc: 'https://mainnet.ethereumpow.org', explorer: 'https://www.oklink.com/ethw/tx/' },
-  42161: { name: 'Arbitrum One', rpc: 'https://arb1.arbitrum.io/rpc', explorer: 'https://arbiscan.io/tx/' },
-  42220: { name: 'Celo', rpc: 'https://forno.celo.org', explorer: 'https://celoscan.io/tx/' },
-  43114: { name: 'Avalanche C-Chain', rpc: 'https://api.avax.network/ext/bc/C/rpc', explorer: 'https://snowtrace.io/tx/' },
-  59144: { name: 'Linea', rpc: 'https://rpc.linea.build', explorer: 'https://lineascan.build/tx/' },
-  88888: { name: 'Chiliz', rpc: 'https://rpc.ankr.com/chiliz', explorer: 'https://chiliscan.com/tx/' },
-  130: { name: 'Unichain', rpc: 'https://unichain-mainnet.gateway.tatum.io', explorer: 'https://uniscan.xyz/tx/' },
-  1313161554: { name: 'Aurora', rpc: 'https://mainnet.aurora.dev', explorer: 'https://explorer.aurora.dev/tx/' },
-}
-
-// Cortex RPC has no CORS; we proxy on our server (same as curl from server)
-const CORTEX_RPC = 'https://security.cortexlabs.ai:30088'
-const effectiveRpcUrl = (url) => {
-  if (!url) return url
-  if (import.meta.env.DEV && url === CORTEX_RPC) return '/rpc/cortex'
-  if (!import.meta.env.DEV && url === CORTEX_RPC) return '/api/cortex-rpc'
-  return url
-}
-
-// Decode RLP to extract chain ID from EVM transaction for AUTO MODE
-const decodeRlpChainId = (rlpHex) => {
-  try {
-    const hex = rlpHex.startsWith('0x') ? rlpHex.slice(2) : rlpHex
-    const bytes = new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)))
-    
-    // Check transaction type (EIP-2718)
-    const txType = bytes[0]
-    
-    if (txType === 0x01) {
-      // EIP-2930 (Type 1) - chain ID is first item after type byte
-      return decodeRlpItem(bytes, 1).chainId
-    } else if (txType === 0x02) {
-      // EIP-1559 (Type 2) - chain ID is first item after type byte
-      return decodeRlpItem(bytes, 1).chainId
-    } else if (txType === 0x03) {
-      // EIP-4844 (Type 3) - chain ID is first item after type byte
-      return decodeRlpItem(bytes, 1).chainId
-    } else if (txType >= 0xc0) {
-      // Legacy transaction (starts with RLP list prefix)
-      // Chain ID derived from v value: chainId = (v - 35) / 2 for EIP-155
-      // Or v = 27/28 for pre-EIP-155 (mainnet assumed)
-      return decodeLegacyChainId(bytes)
-    }
-    
-    return null
-  } catch (e) {
-    console.error('Failed to decode RLP:', e)
-    return null
-  }
-}
-
-// Decode RLP item to get chain ID (for typed transactions)
-const decodeRlpItem = (bytes, offset) => {
-  // Skip the type byte, then decode the RLP list
-  const listByte = bytes[offset]
-  let listStart = offset + 1
-  let listLength = 0
-  
-  if (listByte <= 0xf7) {
-    // Short list (0-55 bytes)
-    listLength = listByte - 0xc0
-  } else {
-    // Long list
-    const lengthOfLength = listByte - 0xf7
-    listLength = 0
-    for (let i = 0; i < lengthOfLength; i++) {
-      listLength = (listLength << 8) + bytes[listStart + i]
-    }
-    listStart += lengthOfLength
-  }
-  
-  // First item in the list is the chain ID
-  const chainIdByte = bytes[listStart]
-  let chainId = 0
-  
-  if (chainIdByte <= 0x7f) {
-    // Single byte value
-    chainId = chainIdByte
-  } else if (chainIdByte <= 0xb7) {
-    // String 0-55 bytes
-    const strLength = chainIdByte - 0x80
-    for (let i = 0; i < strLength; i++) {
-      chainId = (chainId << 8) + bytes[listStart + 1 + i]
+// Slot saved custom networks (Networks page) in after the last built-in chain of
+// their family, so they sit above that family's "Custom ... RPC" entry.
+const withCustomNetworks = (networks, customNetworks) => {
+  const result = [...networks]
+  for (const chain of customNetworks) {
+    let at = result.length
+    for (let i = result.length - 1; i >= 0; i--) {
+      if (result[i].type === chain.family && !result[i].id.startsWith('custom-')) { at = i + 1; break }
     }
-  }
-  
-  return { chainId }
-}
-
-// Decode legacy transaction to get chain ID from v value
-const decodeLegacyChainId = (bytes) => {
-  // Parse the RLP list to find the v value (7th item: nonce, gasPrice, gasLimit, to, value, data, v, r, s)
-  let offset = 0
-  const listByte = bytes[offset]
-  
-  if (listByte <= 0xf7) {
-    offset = 1
-  } else {
-    const lengthOfLength = listByte - 0xf7
-    offset = 1 + lengthOfLength
-  }
-  
-  // Skip first 6 items (nonce, gasPrice, gasLimit, to, value, data)
-  for (let i = 0; i < 6; i++) {
-    offset = skipRlpItem(bytes, offset)
-  }
-  
-  // Now read v value
-  const vByte = bytes[offset]
-  let v = 0
-  
-  if (vByte <= 0x7f) {
-    v = vByte
-  } else if (vByte <= 0xb7) {
-    const strLength = vByte - 0x80
-    for (let i = 0; i < strLength; i++) {
-      v = (v << 8) + bytes[offset + 1 + i]
-    }
-  }
-  
-  // EIP-155: v = chainId * 2 + 35 or chainId * 2 + 36
-  // So chainId = (v - 35) / 2
-  if (v === 27 || v === 28) {
-    // Pre-EIP-155, assume mainnet
-    return 1
-  } else if (v >= 35) {
-    return Math.floor((v - 35) / 2)
-  }
-  
-  return null
-}
-
-// Skip an RLP item and return the new offset
-const skipRlpItem = (bytes, offset) => {
-  const byte = bytes[offset]
-  
-  if (byte <= 0x7f) {
-    // Single byte
-    return offset + 1
-  } else if (byte <= 0xb7) {
-    // String 0-55 bytes
-    return offset + 1 + (byte - 0x80)
-  } else if (byte <= 0xbf) {
-    // String > 55 bytes
-    const lengthOfLength = byte - 0xb7
-    let strLength = 0
-    for (let i = 0; i < lengthOfLength; i++) {
-      strLength = (strLength << 8) + bytes[offset + 1 + i]
-    }
-    return offset + 1 + lengthOfLength + strLength
-  } else if (byte <= 0xf7) {
-    // List 0-55 bytes
-    return offset + 1 + (byte - 0xc0)
-  } else {
-    // List > 55 bytes
-    const lengthOfLength = byte - 0xf7
-    let listLength = 0
-    for (let i = 0; i < lengthOfLength; i++) {
-      listLength = (listLength << 8) + bytes[offset + 1 + i]
-    }
-    return offset + 1 + lengthOfLength + listLength
-  }
-}
-
-// Base58 alphabet for Solana
-const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
-
-// Convert bytes to base58
-const bytesToBase58 = (bytes) => {
-  const digits = [0]
-  for (const byte of bytes) {
-    let carry = byte
-    for (let i = 0; i < digits.length; i++) {
-      carry += digits[i] << 8
-      digits[i] = carry % 58
-      carry = (carry / 58) | 0
-    }
-    while (carry > 0) {
-      digits.push(carry % 58)
-      carry = (carry / 58) | 0
-    }
-  }
-  // Handle leading zeros
-  let result = ''
-  for (const byte of bytes) {
-    if (byte === 0) result += BASE58_ALPHABET[0]
-    else break
-  }
-  for (let i = digits.length - 1; i >= 0; i--) {
-    result += BASE58_ALPHABET[digits[i]]
+    result.splice(at, 0, toNetworkOption(chain))
   }
   return result
 }
 
+
 // Detect encoding type for Solana transactions
 const detectSolanaEncoding = (input) => {
   const trimmed = input.trim().replace(/^["']|["']$/g, '')
@@ -340,7 +115,7 @@ const detectSolanaEncoding = (input) => {
       for (let i = 0; i < hex.length; i += 2) {
         bytes[i / 2] = parseInt(hex.substr(i, 2), 16)
       }
-      return { payload: bytesToBase58(bytes), encoding: 'base58' }
+      return { payload: encodeBase58(bytes), encoding: 'base58' }
     }
   }
   
@@ -359,11 +134,19 @@ const detectSolanaEncoding = (input) => {
   }
 }
 
+// A type-3 payload without its blob sidecar — every node refuses it over
+// eth_sendRawTransaction, so it isn't sent
+const isBareBlobTx = (payload) => {
+  try {
+    return parseEvmEnvelope(payload).blobs?.wrapped === false
+  } catch {
+    return false
+  }
+}
+
 // UTXO chain candidates for auto-detection of bitcoin-style transactions
-const UTXO_CHAINS = [
-  { rpc: 'https://mempool.space/api', chainName: 'Bitcoin (BTC)', explorer: 'https://mempool.space/tx/' },
-  { rpc: 'https://litecoinspace.org/api', chainName: 'Litecoin (LTC)', explorer: 'https://litecoinspace.org/tx/' },
-]
+const UTXO_CHAINS = UTXO_AUTO_CHAINS
+  .map(c => ({ id: c.id, type: c.family, rpc: primaryRpc(c), rpcs: c.rpcs, chainName: c.name, explorer: primaryExplorer(c) }))
 
 // Extract the first input's prev txid from a raw bitcoin-style transaction
 const extractBitcoinPrevTxid = (hex) => {
@@ -399,91 +182,34 @@ const extractBitcoinPrevTxid = (hex) => {
   }
 }
 
-// Look up which UTXO chain a txid exists on
-const detectUtxoChain = async (prevTxid) => {
-  for (const chain of UTXO_CHAINS) {
-    try {
-      const resp = await fetch(`${chain.rpc}/tx/${prevTxid}`, { method: 'GET' })
-      if (resp.ok) {
-        return { type: 'bitcoin', ...chain }
-      }
-    } catch { /* try next chain */ }
-  }
-  // Default to BTC if lookup fails
-  return { type: 'bitcoin', ...UTXO_CHAINS[0] }
-}
-
-// Auto-detect network type from a raw transaction payload
-// Returns { type, rpc, chainName, explorer } or null if unknown
-const detectAutoNetworkType = (txPayload) => {
-  const trimmed = txPayload.trim().replace(/^["']|["']$/g, '')
-  if (!trimmed) return null
-
-  const isHexInput = /^(?:0x)?[0-9a-fA-F]+$/.test(trimmed)
-
-  if (isHexInput) {
-    const hex = (trimmed.startsWith('0x') ? trimmed.slice(2) : trimmed).toLowerCase()
-    if (hex.length % 2 !== 0) return null
-
-    const b0 = parseInt(hex.slice(0, 2), 16)
-
-    // Bitcoin-style (BTC / LTC / BCH): version field is 4 bytes LE
-    // Version 1 → 01000000, Version 2 → 02000000
-    // Must check before EVM since 0x01/0x02 overlap with EIP-2930/EIP-1559 type bytes.
-    // Bitcoin versions have 3 zero bytes after; EVM typed txs have an RLP list (0xc0+).
-    if (hex.startsWith('01000000') || hex.startsWith('02000000')) {
-      return {
-        type: 'bitcoin',
-        needsUtxoLookup: true,
-        rawHex: hex,
-      }
-    }
-
-    // XRP: binary-serialized ledger objects always start with the
-    // TransactionType field code (0x12) followed by value high byte (0x00)
-    if (hex.startsWith('1200')) {
-      return {
-        type: 'xrp',
-        rpc: 'https://xrplcluster.com/',
-        chainName: 'XRP Mainnet',
-        explorer: 'https://xrpscan.com/tx/',
-      }
-    }
-
-    // EVM: typed transactions (0x01–0x03) or legacy RLP list (0xc0–0xff)
-    if (b0 === 0x01 || b0 === 0x02 || b0 === 0x03 || b0 >= 0xc0) {
-      return { type: 'evm' }
-    }
-
-    return null
-  }
-
-  // Solana base58: only base58 alphabet, minimum ~87 chars for a real tx
-  if (/^[1-9A-HJ-NP-Za-km-z]{87,}$/.test(trimmed)) {
-    return {
-      type: 'solana',
-      rpc: 'https://solana-mainnet.gateway.tatum.io',
-      chainName: 'Solana Mainnet',
-      explorer: 'https://solscan.io/tx/',
-    }
+// Work out which UTXO chain a raw tx belongs to. The tx structure first rules
+// out chains it can't be on (Zcash/Dash formats, segwit, FORKID signatures);
+// the remaining chains are asked for the first input's previous tx. When that
+// probe is ambiguous — no chain or several know it — the structural guess wins.
+const detectUtxoChain = async (rawHex) => {
+  let candidates = UTXO_CHAINS
+  let prevTxid = null
+  try {
+    const parsed = parseUtxoTx(rawHex)
+    const ids = utxoChainCandidates(parsed, UTXO_CHAINS.map(c => c.id))
+    if (ids.length) candidates = UTXO_CHAINS.filter(c => ids.includes(c.id))
+    prevTxid = parsed.inputs[0].prevTxid
+  } catch {
+    prevTxid = extractBitcoinPrevTxid(rawHex)
   }
+  if (candidates.length === 1 || !prevTxid) return candidates[0]
 
-  // Solana base64: standard base64 chars, long enough to hold ≥64 decoded bytes
-  if (/^[A-Za-z0-9+/]+=*$/.test(trimmed) && trimmed.length >= 88) {
+  const known = await Promise.all(candidates.map(async (chain) => {
     try {
-      const decoded = atob(trimmed)
-      if (decoded.length >= 64) {
-        return {
-          type: 'solana',
-          rpc: 'https://solana-mainnet.gateway.tatum.io',
-          chainName: 'Solana Mainnet',
-          explorer: 'https://solscan.io/tx/',
-        }
-      }
-    } catch { /* not valid base64 */ }
-  }
-
-  return null
+      const resp = await fetch(utxoTxUrl(chain.rpc, prevTxid), { method: 'GET' })
+      return resp.ok
+    } catch {
+      return false
+    }
+  }))
+  const hits = candidates.filter((_, i) => known[i])
+  // Default to the first (BTC when nothing narrowed it down)
+  return hits[0] ?? candidates[0]
 }
 
 // Network picker categories (horizontal tabs above the grid). Each category has
@@ -498,8 +224,107 @@ const NETWORK_CATEGORIES = [
   { key: 'bitcoin', label: 'Bitcoin/Forks', icon: '₿', match: (n) => n.type === 'bitcoin' || n.type === 'bitcoincash' },
   { key: 'xrp',     label: 'XRP',         icon: '✕',  match: (n) => n.type === 'xrp' },
   { key: 'stellar', label: 'Stellar',     icon: '✦',  match: (n) => n.type === 'stellar' },
+  { key: 'tron',    label: 'TRON',        icon: '◈',  match: (n) => n.type === 'tron' },
+  { key: 'ton',     label: 'TON',         icon: '💎', match: (n) => n.type === 'ton' },
+  { key: 'move',    label: 'Aptos/Sui',   icon: '💧', match: (n) => n.type === 'aptos' || n.type === 'sui' },
+  { key: 'substrate', label: 'Substrate', icon: '●',  match: (n) => n.type === 'substrate' },
 ]
 
+const HISTORY = {
+  tool: 'broadcaster',
+  keyOf: (r) => r.rlp,
+  statusOf: (r) => r.success ? 'success' : (r.error || 'failed'),
+  isFailed: (r) => !r.success,
+}
+
+// Sui reports the execution status with the submission; Aptos only once the
+// receipt lookup finds the committed transaction
+const vmStatusOf = (r, receipt) => {
+  if (r.vmStatus) return { text: r.vmStatus, ok: r.vmStatus === 'success' }
+  if (r.networkType === 'aptos' && receipt?.detail && receipt.status !== 'pending') {
+    return { text: receipt.detail, ok: receipt.status === 'confirmed' }
+  }
+  return null
+}
+
+const EXPORT = defineExport('broadcast-results', [
+  { key: 'index', value: r => r.index },
+  { key: 'raw_tx', value: r => r.rlp },
+  { key: 'success', value: r => r.success },
+  { key: 'tx_hash', value: r => r.txHash },
+  { key: 'explorer_url', value: r => (r.success && r.explorer && r.txHash ? explorerTxUrl(r.explorer, r.txHash) : null) },
+  { key: 'error', value: r => r.error },
+  { key: 'error_category', value: r => failureCategory(r) },
+  { key: 'attempts', value: r => r.attempts || 1 },
+  { key: 'retryable', value: r => !!r.retryable },
+  { key: 'receipt_status', value: (r, ctx) => ctx.receipts[r.index]?.status ?? null },
+  { key: 'block', value: (r, ctx) => ctx.receipts[r.index]?.block ?? null },
+  { key: 'chain_id', value: r => r.chainId },
+  { key: 'chain_name', value: r => r.chainName },
+  { key: 'rpc_used', value: r => r.rpcUsed },
+  { key: 'endpoint_responses', value: r => r.endpoints?.map(describeEndpoint).join(' | ') ?? null },
+  { key: 'private_relay', value: r => describeRelay(r.relay) },
+  { key: 'vm_status', value: (r, ctx) => vmStatusOf(r, ctx.receipts[r.index])?.text ?? null },
+  { key: 'timestamp', value: r => r.timestamp },
+])
+
+const resultKey = (r) => r.index
+
+// ── Resumable runs ──
+// A line counts as sent once it has a hash; resuming skips those and re-sends
+// the rest. Checkpoint outcomes drop the raw tx, which the input already holds.
+const isSent = (outcome) => !!outcome?.txHash
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i])
+
+const toCheckpointOutcome = (result) => ({ ...result, rlp: undefined })
+
+const fromCheckpoint = (checkpoint) =>
+  checkpoint.outcomes.flatMap((outcome, i) => (outcome ? [{ ...outcome, rlp: checkpoint.input[i] }] : []))
+
+// ── Multi-RPC fan-out ──
+// In fan-out mode each tx goes to every endpoint of its chain at once. The row
+// counts as sent if any endpoint accepted it; the fastest acceptance supplies
+// the hash and RPC. With no acceptance, the first final error (else the
+// preferred endpoint's) stands — it says more than a sibling's timeout.
+const mergeFanOut = (endpoints) => {
+  const accepted = endpoints.filter(ep => ep.success).sort((a, b) => a.latencyMs - b.latencyMs)
+  const primary = accepted[0] || endpoints.find(ep => !ep.retryable) || endpoints[0]
+  return {
+    ...primary,
+    attempts: Math.max(...endpoints.map(ep => ep.attempts || 1)),
+    rpcUsed: primary.rpc,
+    endpoints,
+  }
+}
+
+const describeEndpoint = (ep) =>
+  `${ep.rpc} → ${ep.success ? 'accepted' : ep.error} (${ep.latencyMs}ms)`
+
+// Per-endpoint acceptance and latency across a run's fan-out results
+const summarizeEndpoints = (results) => {
+  const byRpc = new Map()
+  for (const r of results) {
+    for (const ep of r.endpoints || []) {
+      if (!byRpc.has(ep.rpc)) byRpc.set(ep.rpc, { rpc: ep.rpc, accepted: 0, rejected: 0, totalMs: 0, fastest: 0 })
+      const row = byRpc.get(ep.rpc)
+      if (ep.success) row.accepted++
+      else row.rejected++
+      row.totalMs += ep.latencyMs
+      if (ep.success && ep.rpc === r.rpcUsed) row.fastest++
+    }
+  }
+  return [...byRpc.values()].map(row => ({ ...row, avgMs: Math.round(row.totalMs / (row.accepted + row.rejected)) }))
+}
+
+// Ordered mode: how long a tx waits for its predecessor nonce to show up
+const NONCE_WAIT_TIMEOUT_MS = 120000
+// Failures after which the rest of a sender's queue can still go out
+const QUEUE_SAFE_CATEGORIES = new Set(['AlreadyKnown', 'NonceConsumed'])
+
+// Results saved before categories existed are classified on the fly
+const failureCategory = (r) => (r.success ? null : r.errorCategory || classifyBroadcastError(r.error).category)
+
 function categoryForNetwork(network) {
   // Skip the "all" catch-all and find the most specific category for this network.
   for (const cat of NETWORK_CATEGORIES) {
@@ -511,6 +336,8 @@ function categoryForNetwork(network) {
 }
 
 function Broadcaster() {
+  const customNetworks = useCustomNetworks()
+  const networks = useMemo(() => withCustomNetworks(NETWORKS, customNetworks), [customNetworks])
   const [selectedNetwork, setSelectedNetwork] = useState(NETWORKS[0])
   const [customRpc, setCustomRpc] = useState('')
   const [inputText, setInputText] = useState('')
@@ -539,6 +366,14 @@ function Broadcaster() {
   const [isBroadcasting, setIsBroadcasting] = useState(false)
   const [broadcastProgress, setBroadcastProgress] = useState({ current: 0, total: 0 })
   const fileInputRef = useRef(null)
+
+  usePrefill(({ input, network: networkId }) => {
+    const network = networks.find(n => n.id === networkId) || selectedNetwork
+    setSelectedNetwork(network)
+    setInputText(input)
+    setTransactions(parseTransactions(input, network.type))
+    setResults([])
+  })
   
   // Set page title
   useEffect(() => {
@@ -555,6 +390,46 @@ function Broadcaster() {
   const [maxRetries, setMaxRetries] = useState(3)
   const [retryDelay, setRetryDelay] = useState(1000) // Base delay for exponential backoff
   
+  // Receipt tracking: seconds to wait for inclusion before a tx counts as dropped (0 = off)
+  const [receiptTimeout, setReceiptTimeout] = useState(300)
+  const [receipts, setReceipts] = useState({})
+  const trackerRef = useRef(null)
+
+  useEffect(() => () => trackerRef.current?.stop(), [])
+
+  // Nonce-ordered mode (EVM only): send each sender's txs in nonce order
+  const [nonceOrdered, setNonceOrdered] = useState(false)
+
+  // Fan-out mode: send each tx to every configured endpoint of its chain
+  const [fanOut, setFanOut] = useState(false)
+  const [expandedEndpoints, setExpandedEndpoints] = useState(null)
+
+  // Private relay (EVM only): '' sends to the public mempool, otherwise the
+  // relay method; the relay only takes txs for its chain, and the window is
+  // how many blocks it may try
+  const [relayMethod, setRelayMethod] = useState('')
+  const [relayUrl, setRelayUrl] = useState(DEFAULT_RELAY_URL)
+  const [relayChainId, setRelayChainId] = useState(DEFAULT_RELAY_CHAIN_ID)
+  const [relayBlocks, setRelayBlocks] = useState(DEFAULT_RELAY_BLOCKS)
+
+  // Batch checks: leave out repeated copies of a tx, and refuse to start while
+  // two different txs spend the same nonce / outpoint / sequence
+  const [skipDuplicates, setSkipDuplicates] = useState(false)
+  const [stopOnConflicts, setStopOnConflicts] = useState(false)
+
+  // Interrupted run found on load (offered as a banner), and the run the next
+  // Broadcast continues — both checkpoints: { network, settings, input, outcomes, … }
+  const [interruptedRun, setInterruptedRun] = useState(null)
+  const [resumeRun, setResumeRun] = useState(null)
+
+  useEffect(() => {
+    loadCheckpoint(HISTORY.tool)
+      .then(checkpoint => {
+        if (checkpoint && checkpoint.input.some((_, i) => !isSent(checkpoint.outcomes[i]))) setInterruptedRun(checkpoint)
+      })
+      .catch(err => console.error('Failed to load run checkpoint:', err))
+  }, [])
+
   // Solana-specific settings
   const [solanaSkipPreflight, setSolanaSkipPreflight] = useState(false)
   
@@ -563,6 +438,7 @@ function Broadcaster() {
   const [resultsPerPage, setResultsPerPage] = useState(100)
   const [searchQuery, setSearchQuery] = useState('')
   const [statusFilter, setStatusFilter] = useState('all') // 'all', 'success', 'failed'
+  const [categoryFilter, setCategoryFilter] = useState('all') // 'all' or an error category key
   
   // Copy to clipboard with visual feedback
   const [copiedId, setCopiedId] = useState(null)
@@ -577,13 +453,30 @@ function Broadcaster() {
   const isStellar = selectedNetwork.type === 'stellar'
   const isBitcoin = selectedNetwork.type === 'bitcoin' || selectedNetwork.type === 'bitcoincash'
   const isCosmos = selectedNetwork.type === 'cosmos'
+  const isTron = selectedNetwork.type === 'tron'
+  const isTon = selectedNetwork.type === 'ton'
+  const isAptos = selectedNetwork.type === 'aptos'
+  const isSui = selectedNetwork.type === 'sui'
+  const isSubstrate = selectedNetwork.type === 'substrate'
   const isAutoMode = selectedNetwork.id === 'auto-evm'
+  const preview = useTxPreview(transactions, { network: selectedNetwork, isAuto: isAutoMode, customNetworks })
+  const canOrderByNonce = isAutoMode || selectedNetwork.type === 'evm'
+  const orderedMode = nonceOrdered && canOrderByNonce
+  const noncePlan = useMemo(
+    () => (orderedMode && !preview.decoding && preview.rows.length > 0 ? planNonceQueue(preview.rows) : null),
+    [orderedMode, preview]
+  )
+  const batchReport = useMemo(
+    () => (!preview.decoding && preview.rows.length > 1 ? findBatchConflicts(preview.rows) : null),
+    [preview]
+  )
   
   // Filter and paginate results
   const filteredResults = results.filter(r => {
     // Status filter
     if (statusFilter === 'success' && !r.success) return false
     if (statusFilter === 'failed' && r.success) return false
+    if (categoryFilter !== 'all' && failureCategory(r) !== categoryFilter) return false
     
     // Search filter
     if (searchQuery) {
@@ -599,6 +492,14 @@ function Broadcaster() {
     return true
   })
   
+  const selection = useRowSelection(results, resultKey)
+  const endpointSummary = useMemo(() => summarizeEndpoints(results), [results])
+  const resumable = useMemo(() => {
+    if (!resumeRun || !sameLines(resumeRun.input, transactions)) return null
+    const unsent = resumeRun.input.map((_, i) => i).filter(i => !isSent(resumeRun.outcomes[i]))
+    return { firstLine: unsent[0] + 1, remaining: unsent.length }
+  }, [resumeRun, transactions])
+
   const totalPages = Math.ceil(filteredResults.length / resultsPerPage)
   const paginatedResults = filteredResults.slice(
     (resultsPage - 1) * resultsPerPage,
@@ -615,12 +516,20 @@ function Broadcaster() {
     setStatusFilter(filter)
     setResultsPage(1)
   }
+
+  const handleCategoryFilterChange = (category) => {
+    setCategoryFilter(category)
+    setResultsPage(1)
+  }
   
   // Get chain info for a transaction (for auto mode)
   const getChainInfo = (txPayload) => {
     if (isAutoMode) {
       // Try to detect non-EVM types first (Solana, XRP, Bitcoin-style)
       const detected = detectAutoNetworkType(txPayload)
+      if (detected?.type === 'ton') {
+        return { ...detected, explorer: TON_DETAILS_LINK }
+      }
       if (detected && detected.type !== 'evm') {
         return detected
       }
@@ -632,6 +541,7 @@ function Broadcaster() {
         chainId: null,
         chainName: selectedNetwork.name,
         rpc: getRpcUrl(),
+        rpcs: selectedNetwork.rpcs || null,
         explorer: selectedNetwork.explorer || null,
         type: 'cosmos',
       }
@@ -640,13 +550,15 @@ function Broadcaster() {
     // EVM path: decode chain ID from RLP
     const chainId = decodeRlpChainId(txPayload)
     
-    // If we have a chain ID in the map, use that format for display
-    if (chainId && CHAIN_ID_MAP[chainId]) {
+    // If the chain ID is in the registry, use that format for display
+    const knownChain = getEvmChain(chainId, customNetworks)
+    if (knownChain) {
       return {
         chainId,
-        chainName: CHAIN_ID_MAP[chainId].name,
-        rpc: isAutoMode ? CHAIN_ID_MAP[chainId].rpc : getRpcUrl(),
-        explorer: CHAIN_ID_MAP[chainId].explorer,
+        chainName: knownChain.name,
+        rpc: isAutoMode ? primaryRpc(knownChain) : getRpcUrl(),
+        rpcs: isAutoMode ? knownChain.rpcs : selectedNetwork.rpcs || null,
+        explorer: primaryExplorer(knownChain),
         type: 'evm',
       }
     }
@@ -657,6 +569,7 @@ function Broadcaster() {
         chainId: selectedNetwork.chainId || chainId || null, 
         chainName: selectedNetwork.name, 
         rpc: getRpcUrl(),
+        rpcs: selectedNetwork.rpcs || null,
         explorer: selectedNetwork.explorer || null,
         type: selectedNetwork.type,
       }
@@ -691,8 +604,33 @@ function Broadcaster() {
       return trimmed
     }
     
+    if (networkType === 'tron') {
+      // For TRON, signed JSON stays as-is; protobuf hex loses any 0x prefix
+      return trimmed.startsWith('{') || !trimmed.startsWith('0x') ? trimmed : trimmed.slice(2)
+    }
+
+    if (networkType === 'ton') {
+      // For TON, base64 BOCs stay as-is; hex BOCs lose any 0x prefix
+      return trimmed.startsWith('0x') ? trimmed.slice(2) : trimmed
+    }
+
+    if (networkType === 'aptos') {
+      // For Aptos, BCS hex with the 0x prefix the fullnode APIs print
+      return trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`
+    }
+
+    if (networkType === 'substrate') {
+      // For Substrate, the hex extrinsic with its 0x prefix (author_submitExtrinsic expects Bytes)
+      return trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`
+    }
+
+    if (networkType === 'sui') {
+      // For Sui, the JSON or "txBytes signature…" line is split at broadcast time
+      return trimmed
+    }
+
     if (networkType === 'bitcoin' || networkType === 'bitcoincash') {
-      // For Bitcoin-style chains, return raw hex (strip 0x if present)
+      // For Bitcoin-style chains, return raw hex or a PSBT (strip 0x if present)
       return trimmed.startsWith('0x') ? trimmed.slice(2) : trimmed
     }
 
@@ -777,6 +715,8 @@ function Broadcaster() {
   }
 
   const clearAll = () => {
+    stopReceiptTracking()
+    discardResume()
     setInputText('')
     setTransactions([])
     setResults([])
@@ -787,6 +727,11 @@ function Broadcaster() {
       selectedNetwork.id === 'custom-evm' ||
       selectedNetwork.id === 'custom-solana' ||
       selectedNetwork.id === 'custom-bitcoin' ||
+      selectedNetwork.id === 'custom-tron' ||
+      selectedNetwork.id === 'custom-ton' ||
+      selectedNetwork.id === 'custom-aptos' ||
+      selectedNetwork.id === 'custom-sui' ||
+      selectedNetwork.id === 'custom-substrate' ||
       selectedNetwork.id === 'custom-cosmos'
     ) {
       return customRpc
@@ -811,128 +756,8 @@ function Broadcaster() {
     return `${hours}h ${mins}m`
   }
 
-  // Patterns that indicate a retryable error
-  const RETRYABLE_PATTERNS = [
-    /rate limit/i,
-    /too many requests/i,
-    /timeout/i,
-    /timed out/i,
-    /ETIMEDOUT/i,
-    /ECONNRESET/i,
-    /ECONNREFUSED/i,
-    /ENOTFOUND/i,
-    /network/i,
-    /socket hang up/i,
-    /502/i,
-    /503/i,
-    /504/i,
-    /server error/i,
-    /internal error/i,
-    /temporarily unavailable/i,
-    /try again/i,
-    /overloaded/i,
-    /capacity/i,
-  ]
-
-  // Patterns that indicate a permanent failure (do NOT retry)
-  const PERMANENT_FAILURE_PATTERNS = [
-    // EVM errors
-    /nonce too low/i,
-    /nonce too high/i,
-    /insufficient funds/i,
-    /insufficient balance/i,
-    /gas too low/i,
-    /intrinsic gas too low/i,
-    /exceeds block gas limit/i,
-    /already known/i,
-    /already imported/i,
-    /replacement transaction underpriced/i,
-    /transaction underpriced/i,
-    /invalid sender/i,
-    /invalid signature/i,
-    /invalid transaction/i,
-    /invalid nonce/i,
-    /invalid chain id/i,
-    /wrong chain/i,
-    /tx type not supported/i,
-    /max fee per gas less than block base fee/i,
-    // Solana errors
-    /Blockhash not found/i,
-    /Transaction signature verification failure/i,
-    /This transaction has already been processed/i,
-    /Transaction already processed/i,
-    /AlreadyProcessed/i,
-    /Instruction .* failed/i,
-    /custom program error/i,
-    /Program failed/i,
-    /insufficient lamports/i,
-    /account not found/i,
-    /invalid account data/i,
-    /invalid program id/i,
-    /AccountNotFound/i,
-    /InstructionError/i,
-    /max priority fee per gas higher than max fee per gas/i,
-    /sender doesn't have enough funds/i,
-    /execution reverted/i,
-    /contract creation code storage out of gas/i,
-    /max initcode size exceeded/i,
-    // XRP errors
-    /tefPAST_SEQ/i,
-    /tefMAX_LEDGER/i,
-    /tecUNFUNDED/i,
-    /tecNO_DST/i,
-    /tecNO_DST_INSUF_XRP/i,
-    /tecPATH_DRY/i,
-    /tecINSUF_FEE/i,
-    /temBAD_SEQUENCE/i,
-    /temBAD_FEE/i,
-    /temBAD_SIGNATURE/i,
-    /temINVALID/i,
-    /tefALREADY/i,
-    // Cosmos SDK errors (tx_response.code mappings / raw_log substrings)
-    /account sequence mismatch/i,
-    /incorrect account sequence/i,
-    /signature verification failed/i,
-    /tx already in mempool/i,
-    /tx already exists in cache/i,
-    /timeout height/i,
-    /insufficient fees/i,
-    /insufficient fee/i,
-    /insufficient gas/i,
-    /out of gas/i,
-    /unauthorized/i,
-    /invalid pubkey/i,
-    /memo too large/i,
-    /tx parse error/i,
-    /invalid request/i,
-    /unknown request/i,
-    /tx intended signer does not match/i,
-  ]
-
-  const isRetryableError = (error, httpStatus) => {
-    // HTTP 429 is always retryable
-    if (httpStatus === 429) return true
-    // HTTP 5xx are retryable
-    if (httpStatus >= 500 && httpStatus < 600) return true
-    
-    if (!error) return false
-    const errorStr = typeof error === 'string' ? error : JSON.stringify(error)
-    
-    // Check if it's a permanent failure first (takes priority)
-    for (const pattern of PERMANENT_FAILURE_PATTERNS) {
-      if (pattern.test(errorStr)) return false
-    }
-    
-    // Check if it matches retryable patterns
-    for (const pattern of RETRYABLE_PATTERNS) {
-      if (pattern.test(errorStr)) return true
-    }
-    
-    return false
-  }
-
   const broadcastTransaction = async (txPayload, signal, overrideRpc = null, networkTypeOverride = null) => {
-    const rpcUrl = effectiveRpcUrl(overrideRpc || getRpcUrl())
+    const rpcUrl = browserRpcUrl(overrideRpc || getRpcUrl())
 
     // When a type is explicitly detected (auto mode), use it; otherwise fall back
     // to the currently selected network type.
@@ -942,13 +767,18 @@ function Broadcaster() {
     const effectiveStellar = effectiveType === 'stellar'
     const effectiveBitcoin = effectiveType === 'bitcoin' || effectiveType === 'bitcoincash'
     const effectiveCosmos  = effectiveType === 'cosmos'
+    const effectiveTron    = effectiveType === 'tron'
+    const effectiveTon     = effectiveType === 'ton'
+    const effectiveAptos   = effectiveType === 'aptos'
+    const effectiveSui     = effectiveType === 'sui'
+    const effectiveSubstrate = effectiveType === 'substrate'
+    const effectiveRelay = !!relayMethod && effectiveType === 'evm'
     
     if (!rpcUrl) {
       return {
         success: false,
         error: 'No RPC URL available for this chain',
         txHash: null,
-        retryable: false,
         httpStatus: null
       }
     }
@@ -978,7 +808,6 @@ function Broadcaster() {
             success: true,
             error: null,
             txHash: data.hash,
-            retryable: false,
             httpStatus
           }
         } else {
@@ -991,39 +820,17 @@ function Broadcaster() {
             success: false,
             error: errorMsg,
             txHash: null,
-            retryable: isRetryableError(errorMsg, httpStatus),
             httpStatus
           }
         }
       }
       
       if (effectiveBitcoin) {
-        // Bitcoin-style chains use different APIs
-        // Mempool.space: POST raw hex to /tx
-        // BlockCypher: POST JSON to /txs/push
-        // Bitcoin.com: POST JSON to /sendRawTransaction
-        let endpoint
-        let requestBody
-        let headers = {}
-        
-        if (rpcUrl.includes('mempool.space')) {
-          endpoint = `${rpcUrl}/tx`
-          requestBody = txPayload
-          headers = { 'Content-Type': 'text/plain' }
-        } else if (rpcUrl.includes('blockcypher')) {
-          endpoint = `${rpcUrl}/txs/push`
-          requestBody = JSON.stringify({ tx: txPayload })
-          headers = { 'Content-Type': 'application/json' }
-        } else if (rpcUrl.includes('bitcoin.com')) {
-          endpoint = `${rpcUrl}/sendRawTransaction`
-          requestBody = JSON.stringify({ hexes: [txPayload] })
-          headers = { 'Content-Type': 'application/json' }
-        } else {
-          // Default to mempool.space format
-          endpoint = `${rpcUrl}/tx`
-          requestBody = txPayload
-          headers = { 'Content-Type': 'text/plain' }
-        }
+        // Bitcoin-style chains use different REST APIs (Esplora, BlockCypher,
+        // Bitcoin.com, Blockchair); utxoApi picks the call from the endpoint.
+        // PSBTs are finalized here and go out as the extracted transaction.
+        const rawHex = isPsbt(txPayload) ? finalizePsbt(txPayload).hex : txPayload
+        const { url: endpoint, headers, body: requestBody } = utxoBroadcastRequest(rpcUrl, rawHex)
         
         response = await fetch(endpoint, {
           method: 'POST',
@@ -1035,44 +842,216 @@ function Broadcaster() {
         const httpStatus = response.status
         
         if (response.ok) {
-          const responseText = await response.text()
-          // Mempool.space returns just the txid as plain text
-          // BlockCypher returns JSON with tx.hash
-          // Bitcoin.com returns JSON array [txid]
-          let txHash
-          try {
-            const jsonData = JSON.parse(responseText)
-            if (Array.isArray(jsonData) && jsonData.length > 0) {
-              // Bitcoin.com format
-              txHash = jsonData[0]
-            } else {
-              // BlockCypher or other JSON format
-              txHash = jsonData.tx?.hash || jsonData.txid || responseText.trim()
-            }
-          } catch {
-            // Plain text response (mempool.space)
-            txHash = responseText.trim()
-          }
-          
           return {
             success: true,
             error: null,
-            txHash,
-            retryable: false,
+            txHash: utxoBroadcastTxid(await response.text()),
             httpStatus
           }
         } else {
           const errorText = await response.text()
           return {
             success: false,
-            error: errorText || `HTTP ${httpStatus}`,
+            error: utxoBroadcastError(errorText) || `HTTP ${httpStatus}`,
             txHash: null,
-            retryable: isRetryableError(errorText, httpStatus),
             httpStatus
           }
         }
       }
       
+      if (effectiveTron) {
+        // TRON: signed JSON → /wallet/broadcasttransaction, protobuf hex → /wallet/broadcasthex.
+        // Both answer { result: true, txid } or { code, message (hex-encoded text) }.
+        const isJson = tronPayloadFormat(txPayload) === 'json'
+        const endpoint = `${rpcUrl.replace(/\/$/, '')}/wallet/${isJson ? 'broadcasttransaction' : 'broadcasthex'}`
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: isJson ? txPayload : JSON.stringify({ transaction: txPayload.replace(/^0x/, '') }),
+          signal,
+        })
+
+        const httpStatus = response.status
+        const data = await response.json()
+
+        if (data.result === true) {
+          return {
+            success: true,
+            error: null,
+            txHash: data.txid || null,
+            httpStatus,
+          }
+        }
+        const message = tronErrorMessage(data.message)
+        return {
+          success: false,
+          error: `${data.code || data.Error || 'Broadcast failed'}${message ? `: ${message}` : ''}`,
+          txHash: null,
+          httpStatus,
+        }
+      }
+
+      if (effectiveTon) {
+        // TON: toncenter /sendBocReturnHash with { boc (base64) } answers
+        // { ok: true, result: { hash (base64) } } or { ok: false, error, code }.
+        // APIs without it only have /sendBoc, so the hash is computed locally.
+        const apiKey = import.meta.env.VITE_TONCENTER_API_KEY
+        const boc = tonBocBase64(txPayload)
+        const send = (method) => fetch(`${rpcUrl.replace(/\/$/, '')}/${method}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(apiKey ? { 'X-API-Key': apiKey } : {}) },
+          body: JSON.stringify({ boc }),
+          signal,
+        })
+        response = await send('sendBocReturnHash')
+        let returnsHash = true
+        if (response.status === 404 || response.status === 405) {
+          response = await send('sendBoc')
+          returnsHash = false
+        }
+
+        const httpStatus = response.status
+        const data = await response.json().catch(() => null)
+
+        if (data?.ok) {
+          return {
+            success: true,
+            error: null,
+            txHash: (returnsHash && tonHashToHex(data.result?.hash)) || decodeTonExternalMessage(txPayload).hash,
+            httpStatus,
+          }
+        }
+        return {
+          success: false,
+          error: data?.error || `HTTP ${httpStatus}`,
+          txHash: null,
+          httpStatus,
+        }
+      }
+
+      if (effectiveAptos) {
+        // Aptos: POST /transactions with the raw BCS body → 202 { hash, ... } (pending;
+        // the VM status comes with the receipt). Rejections are { message, error_code, vm_error_code }.
+        response = await fetch(`${rpcUrl.replace(/\/$/, '')}/transactions`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x.aptos.signed_transaction+bcs' },
+          body: aptosTxBytes(txPayload),
+          signal,
+        })
+
+        const httpStatus = response.status
+        const data = await response.json().catch(() => null)
+
+        if (response.ok && data?.hash) {
+          return {
+            success: true,
+            error: null,
+            txHash: data.hash,
+            httpStatus,
+          }
+        }
+        return {
+          success: false,
+          error: data?.message ? `${data.error_code ? `${data.error_code}: ` : ''}${data.message}` : `HTTP ${httpStatus}`,
+          txHash: null,
+          httpStatus,
+        }
+      }
+
+      if (effectiveSui) {
+        // Sui: sui_executeTransactionBlock [txBytes, signatures, options, requestType].
+        // With showEffects the answer already carries the execution status — a
+        // failed execution is still final (gas is charged), so it counts as sent.
+        const parsed = parseSuiPayload(txPayload)
+        if (!parsed) {
+          return { success: false, error: 'Invalid Sui transaction: expected base64 tx bytes followed by signatures', txHash: null, httpStatus: null }
+        }
+        response = await fetch(rpcUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'sui_executeTransactionBlock',
+            params: [parsed.txBytes, parsed.signatures, { showEffects: true }, 'WaitForEffectsCert'],
+          }),
+          signal,
+        })
+
+        const httpStatus = response.status
+        const data = await response.json().catch(() => null)
+        const result = data?.result
+
+        if (result?.digest) {
+          const status = result.effects?.status
+          return {
+            success: true,
+            error: null,
+            txHash: result.digest,
+            vmStatus: status ? (status.status === 'success' ? 'success' : `failure: ${status.error || 'unknown'}`) : null,
+            httpStatus,
+          }
+        }
+        return {
+          success: false,
+          error: data?.error?.message || `HTTP ${httpStatus}`,
+          txHash: null,
+          httpStatus,
+        }
+      }
+
+      if (effectiveSubstrate) {
+        // The node validates the extrinsic against its best block first: an
+        // expired mortal era only shows up there (as AncientBirthBlock, or as a
+        // bad proof since the birth hash it signed is gone). Nodes without the
+        // runtime API just get the submit.
+        const validity = await validateSubstrateExtrinsic(rpcUrl, txPayload, { signal }).catch(err => {
+          if (err.name === 'AbortError') throw err
+          return null
+        })
+        if (validity?.valid === false) {
+          const mortal = (() => {
+            try { return decodeSubstrateExtrinsic(txPayload).era?.immortal === false } catch { return false }
+          })()
+          const expired = /AncientBirthBlock/.test(validity.reason) || (mortal && /BadProof/.test(validity.reason))
+          return {
+            success: false,
+            error: expired ? `Era expired (${validity.reason}) — re-sign against a recent block` : `Node validation failed: ${validity.reason}`,
+            txHash: null,
+            httpStatus: null,
+          }
+        }
+
+        // Substrate: author_submitExtrinsic [hex] → { result: extrinsic hash }, or
+        // { error: { code, message, data } } — 1010 invalid, 1012 future, 1013 already
+        // imported, 1014 priority too low; the reason is in `data`.
+        response = await fetch(rpcUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'author_submitExtrinsic', params: [txPayload] }),
+          signal,
+        })
+
+        const httpStatus = response.status
+        const data = await response.json().catch(() => null)
+
+        if (typeof data?.result === 'string') {
+          return {
+            success: true,
+            error: null,
+            txHash: data.result,
+            httpStatus,
+          }
+        }
+        const rpcError = data?.error
+        return {
+          success: false,
+          error: rpcError ? `${rpcError.message}${rpcError.data ? `: ${typeof rpcError.data === 'string' ? rpcError.data : JSON.stringify(rpcError.data)}` : ''}` : `HTTP ${httpStatus}`,
+          txHash: null,
+          httpStatus,
+        }
+      }
+
       if (effectiveCosmos) {
         // Cosmos SDK chains: POST /cosmos/tx/v1beta1/txs with { tx_bytes (base64), mode }
         // Success: tx_response.code === 0. Non-zero code = rejected by CheckTx.
@@ -1082,7 +1061,9 @@ function Broadcaster() {
           mode: 'BROADCAST_MODE_SYNC',
         })
 
-        // Try direct first; on any network/CORS error fall back to CORS proxy.
+        // Try direct first; on any network/CORS error fall back to our /api/proxy.
+        // LCDs outside the registry allowlist are never proxied — the signed tx
+        // stays between the browser and the node, and the error is reported.
         const attempt = async (url) => fetch(url, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
@@ -1094,7 +1075,9 @@ function Broadcaster() {
           res = await attempt(endpoint)
         } catch (directErr) {
           if (directErr.name === 'AbortError') throw directErr
-          res = await attempt(`${COSMOS_CORS_PROXY}${encodeURIComponent(endpoint)}`)
+          const fallback = corsFallbackUrl(endpoint)
+          if (!fallback) return { success: false, error: corsError(endpoint, directErr.message), txHash: null, httpStatus: null }
+          res = await attempt(fallback)
         }
 
         const httpStatus = res.status
@@ -1107,7 +1090,6 @@ function Broadcaster() {
             success: false,
             error: text || `HTTP ${httpStatus}: non-JSON response`,
             txHash: null,
-            retryable: isRetryableError(text || `HTTP ${httpStatus}`, httpStatus),
             httpStatus,
           }
         }
@@ -1119,7 +1101,6 @@ function Broadcaster() {
             success: false,
             error: errorMsg,
             txHash: null,
-            retryable: isRetryableError(errorMsg, httpStatus),
             httpStatus,
           }
         }
@@ -1133,7 +1114,6 @@ function Broadcaster() {
             success: true,
             error: null,
             txHash,
-            retryable: false,
             httpStatus,
           }
         }
@@ -1142,7 +1122,6 @@ function Broadcaster() {
           success: false,
           error: errorMsg,
           txHash,
-          retryable: isRetryableError(errorMsg, httpStatus),
           httpStatus,
         }
       }
@@ -1176,7 +1155,19 @@ function Broadcaster() {
           ]
         }
       } else {
-        // EVM transaction
+        // EVM transaction (blob txs go out in their network-wrapper form as pasted)
+        if (isBareBlobTx(txPayload)) {
+          return {
+            success: false,
+            error: 'Bare EIP-4844 transaction: blobs, commitments and proofs are missing, so nodes reject it. Paste the network-wrapper form.',
+            txHash: null,
+            httpStatus: null
+          }
+        }
+        // Private relay: the chain RPC only supplies the head block
+        if (effectiveRelay) {
+          return sendViaRelay({ url: relayUrl.trim(), method: relayMethod, chainId: relayChainId, blocks: relayBlocks, chainRpc: rpcUrl, rawTx: txPayload, signal })
+        }
         body = {
           jsonrpc: '2.0',
           id: 1,
@@ -1205,7 +1196,6 @@ function Broadcaster() {
             success: false,
             error: 'No result in response',
             txHash: null,
-            retryable: true,
             httpStatus
           }
         }
@@ -1220,7 +1210,6 @@ function Broadcaster() {
             success: true,
             error: null,
             txHash,
-            retryable: false,
             httpStatus
           }
         } else {
@@ -1229,7 +1218,6 @@ function Broadcaster() {
             success: false,
             error: errorMsg,
             txHash,
-            retryable: isRetryableError(errorMsg, httpStatus),
             httpStatus
           }
         }
@@ -1241,7 +1229,6 @@ function Broadcaster() {
           success: false,
           error: errorMsg,
           txHash: null,
-          retryable: isRetryableError(errorMsg, httpStatus),
           httpStatus
         }
       }
@@ -1250,7 +1237,6 @@ function Broadcaster() {
         success: true,
         error: null,
         txHash: data.result,
-        retryable: false,
         httpStatus
       }
     } catch (err) {
@@ -1259,7 +1245,6 @@ function Broadcaster() {
           success: false,
           error: 'Aborted',
           txHash: null,
-          retryable: false,
           httpStatus: null
         }
       }
@@ -1267,7 +1252,6 @@ function Broadcaster() {
         success: false,
         error: err.message,
         txHash: null,
-        retryable: isRetryableError(err.message, null),
         httpStatus: null
       }
     }
@@ -1284,6 +1268,12 @@ function Broadcaster() {
       
       lastResult = await broadcastTransaction(rlpHex, signal, overrideRpc, networkTypeOverride)
       attempts++
+      if (lastResult.success) {
+        lastResult = { ...lastResult, retryable: false, errorCategory: null }
+      } else {
+        const verdict = classifyBroadcastError(lastResult.error, lastResult.httpStatus)
+        lastResult = { ...lastResult, retryable: verdict.retryable, errorCategory: verdict.category }
+      }
       
       // Success or non-retryable error - we're done
       if (lastResult.success || !lastResult.retryable) {
@@ -1310,18 +1300,122 @@ function Broadcaster() {
     return { ...lastResult, attempts }
   }
 
+  // Every configured endpoint for a tx's chain, preferred first. Custom RPC
+  // entries have just the one URL.
+  const chainEndpoints = (chainInfo) => {
+    const list = chainInfo.rpcs?.length ? chainInfo.rpcs : [chainInfo.rpc]
+    return [...new Set(list.filter(Boolean))]
+  }
+
+  // Send to all endpoints at the same time, each with its own retries
+  const broadcastFanOut = async (txPayload, signal, rpcs, networkTypeOverride = null) => {
+    const endpoints = await Promise.all(rpcs.map(async (rpc) => {
+      const started = performance.now()
+      const r = await broadcastWithRetry(txPayload, signal, null, rpc, networkTypeOverride)
+      return {
+        rpc,
+        success: r.success,
+        txHash: r.txHash || null,
+        error: r.error || null,
+        httpStatus: r.httpStatus ?? null,
+        attempts: r.attempts,
+        retryable: r.retryable,
+        errorCategory: r.errorCategory,
+        exhaustedRetries: r.exhaustedRetries,
+        vmStatus: r.vmStatus ?? null,
+        latencyMs: Math.round(performance.now() - started),
+      }
+    }))
+    return mergeFanOut(endpoints)
+  }
+
+  // Replace any running tracker; returns null when tracking is turned off
+  const startReceiptTracking = () => {
+    trackerRef.current?.stop()
+    trackerRef.current = null
+    setReceipts({})
+    if (receiptTimeout <= 0) return null
+    trackerRef.current = createReceiptTracker({
+      timeoutMs: receiptTimeout * 1000,
+      onUpdate: (changes) => setReceipts(prev => ({ ...prev, ...changes })),
+    })
+    return trackerRef.current
+  }
+
+  const stopReceiptTracking = () => {
+    trackerRef.current?.stop()
+    trackerRef.current = null
+    setReceipts({})
+  }
+
+  const trackReceipt = (tracker, index, target) => {
+    if (!hasReceiptLookup(target.type)) return
+    tracker.add(index, { ...target, sentAt: Date.now() })
+    setReceipts(prev => ({ ...prev, [index]: { status: 'pending', block: null, detail: null, checkedAt: null } }))
+  }
+
+  // Re-check inclusion for every successful result on screen (e.g. an opened run)
+  const handleTrackReceipts = () => {
+    const tracker = startReceiptTracking()
+    if (!tracker) return
+    for (const r of results) {
+      if (!r.success || !r.txHash) continue
+      trackReceipt(tracker, r.index, { type: r.networkType || selectedNetwork.type, rpc: r.rpcUsed || getRpcUrl(), txHash: r.txHash, deadlineBlock: r.relay?.deadlineBlock })
+    }
+  }
+
+  // Stopping keeps the checkpoint: the next Broadcast resumes from the first unsent line
   const handleStop = () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort()
     }
   }
 
+  // Load an interrupted run back into the form. Broadcasting is never started
+  // implicitly — the Broadcast button then resumes it.
+  const handleRestoreInterrupted = () => {
+    const checkpoint = interruptedRun
+    const network = restoreRunSetup(checkpoint)
+    const text = checkpoint.input.join('\n')
+    setInputText(text)
+    setTransactions(parseTransactions(text, network.type))
+    setResults(fromCheckpoint(checkpoint))
+    setResultsPage(1)
+    setResumeRun(checkpoint)
+    setInterruptedRun(null)
+  }
+
+  const discardResume = () => {
+    if (!interruptedRun && !resumeRun) return
+    setInterruptedRun(null)
+    setResumeRun(null)
+    clearCheckpoint(HISTORY.tool).catch(err => console.error('Failed to clear run checkpoint:', err))
+  }
+
   const handleBroadcast = async () => {
     if (transactions.length === 0) {
       alert('No transactions to broadcast')
       return
     }
 
+    if (preview.failed > 0 && !window.confirm(
+      `${preview.failed} of ${transactions.length} line${preview.failed !== 1 ? 's' : ''} failed to decode and will most likely be rejected. Broadcast anyway?`
+    )) {
+      return
+    }
+
+    const expired = preview.rows.filter(r => r.expired).length
+    if (expired > 0 && !window.confirm(
+      `${expired} transaction${expired !== 1 ? 's have' : ' has'} already expired and will be rejected (see the decode preview). Broadcast anyway?`
+    )) {
+      return
+    }
+
+    if (relayMethod && !/^https?:\/\/\S+$/i.test(relayUrl.trim())) {
+      alert('Please enter a valid private relay URL')
+      return
+    }
+
     // For non-auto mode, validate RPC URL
     if (!isAutoMode) {
       const rpcUrl = getRpcUrl()
@@ -1331,26 +1425,97 @@ function Broadcaster() {
       }
     }
 
+    // Decoded lines for the checks below (the preview may still be running)
+    const rows = preview.decoding
+      ? await Promise.all(transactions.map(tx => decodeTxPreview(tx, { network: selectedNetwork, isAuto: isAutoMode, customNetworks })))
+      : preview.rows
+
+    // Repeated txs and txs fighting over the same nonce / outpoint / sequence
+    const batch = findBatchConflicts(rows)
+    const batchIssues = describeBatchConflicts(batch)
+    if (stopOnConflicts && batch.conflicts.length > 0) {
+      alert(`Not broadcasting: ${batch.conflicts.length} conflict${batch.conflicts.length !== 1 ? 's' : ''} in the batch — only one tx per slot can land.\n\n${describeBatchConflicts({ ...batch, duplicates: [] }).slice(0, 15).join('\n')}`)
+      return
+    }
+    const unresolved = (skipDuplicates ? batch.conflicts.length : batchIssues.length) > 0
+    if (unresolved && !window.confirm(
+      `Batch check found ${batchIssues.length} issue${batchIssues.length !== 1 ? 's' : ''}:\n\n${batchIssues.slice(0, 15).join('\n')}${batchIssues.length > 15 ? '\n…' : ''}\n\n${skipDuplicates && batch.duplicates.length ? 'Repeated copies will be skipped. ' : ''}Broadcast anyway?`
+    )) {
+      return
+    }
+
+    // The relay refuses EVM txs signed for another chain, and pre-EIP-155 txs
+    // (no chain id) that could be replayed on any chain
+    const offRelay = relayMethod ? rows.filter(r => r.family === 'evm' && relayChainMismatch(r.chainId, relayChainId)) : []
+    const unprotected = offRelay.filter(r => r.chainId == null).length
+    const otherChain = offRelay.length - unprotected
+    if (offRelay.length > 0 && !window.confirm(
+      [
+        otherChain > 0 && `${otherChain} EVM transaction${otherChain !== 1 ? 's are' : ' is'} not signed for chain ${relayChainId}, the private relay's chain.`,
+        unprotected > 0 && `${unprotected} EVM transaction${unprotected !== 1 ? 's are' : ' is'} pre-EIP-155: no chain id, replayable on any EVM chain.`,
+        `${offRelay.length !== 1 ? 'These' : 'It'} will not be sent. Switch "Submit Via" to the public mempool to broadcast ${offRelay.length !== 1 ? 'them' : 'it'} through the chain RPC. Broadcast the rest?`,
+      ].filter(Boolean).join('\n\n')
+    )) {
+      return
+    }
+
+    // Ordered mode: plan the queue up front and surface gaps/duplicates
+    let plan = null
+    if (orderedMode) {
+      plan = planNonceQueue(rows)
+      const issues = describeNonceIssues(plan)
+      if (issues.length > 0 && !window.confirm(
+        `Nonce check found ${issues.length} issue${issues.length !== 1 ? 's' : ''}:\n\n${issues.slice(0, 15).join('\n')}${issues.length > 15 ? '\n…' : ''}\n\nTxs after a gap will wait for the missing nonce and then fail. Broadcast anyway?`
+      )) {
+        return
+      }
+    }
+
+    // Continue the restored/stopped run if the input is still the same lines
+    const resume = resumeRun && sameLines(resumeRun.input, transactions) ? resumeRun : null
+    const settings = { txPerMinute, maxRetries, retryDelay, solanaSkipPreflight, customRpc, receiptTimeout, nonceOrdered, fanOut, relayMethod, relayUrl, relayChainId, relayBlocks, skipDuplicates, stopOnConflicts }
+    const startedAt = resume ? resume.startedAt : Date.now()
+    try {
+      if (resume) await markCheckpoint(HISTORY.tool, 'running')
+      else await startCheckpoint(HISTORY.tool, { network: { id: selectedNetwork.id, name: selectedNetwork.name }, settings, input: transactions, startedAt })
+    } catch (err) {
+      console.error('Failed to save run checkpoint:', err)
+    }
+    const checkpoint = createCheckpointWriter(HISTORY.tool)
+    setInterruptedRun(null)
+
     // Create abort controller
     abortControllerRef.current = new AbortController()
     const signal = abortControllerRef.current.signal
 
     trackUsage('bcaster', transactions.length)
 
+    const newResults = resume ? fromCheckpoint(resume).filter(isSent) : []
     setIsBroadcasting(true)
-    setBroadcastProgress({ current: 0, total: transactions.length })
-    setResults([])
+    setBroadcastProgress({ current: newResults.length, total: transactions.length })
+    setResults([...newResults])
+    setCategoryFilter('all')
+    const tracker = startReceiptTracking()
 
-    const newResults = []
     const delay = getDelay()
 
     // Cache for UTXO chain detection (lookup first bitcoin-style tx, reuse for rest)
     let cachedUtxoChain = null
 
+    // Input order, or each sender's txs by nonce in ordered mode; a resumed
+    // run skips lines that already have a hash
+    const order = (plan ? plan.order : transactions.map((_, i) => i))
+      .filter(i => !resume || !isSent(resume.outcomes[i]))
+    const skipped = transactions.length - order.length
+    // Senders whose queue is blocked by a failed nonce
+    const stalledSenders = new Set()
+    const acceptedNonces = new Set()
+
     // Process transactions one at a time with rate limiting
-    for (let i = 0; i < transactions.length; i++) {
+    for (let step = 0; step < order.length; step++) {
       if (signal.aborted) break
 
+      const i = order[step]
       const tx = transactions[i]
       const txStartTime = Date.now()
 
@@ -1360,20 +1525,44 @@ function Broadcaster() {
       // For bitcoin-style txs in auto mode, detect chain via UTXO lookup (first tx only)
       if (chainInfo.needsUtxoLookup) {
         if (!cachedUtxoChain) {
-          const prevTxid = extractBitcoinPrevTxid(chainInfo.rawHex)
-          if (prevTxid) {
-            cachedUtxoChain = await detectUtxoChain(prevTxid)
-          } else {
-            cachedUtxoChain = { type: 'bitcoin', ...UTXO_CHAINS[0] }
-          }
+          cachedUtxoChain = await detectUtxoChain(chainInfo.rawHex)
         }
         chainInfo = { ...chainInfo, ...cachedUtxoChain }
       }
 
-      // Broadcast with retry support, using chain-specific RPC and type for auto mode
-      const result = await broadcastWithRetry(tx, signal, null, chainInfo.rpc, chainInfo.type || null)
+      // In ordered mode, hold each tx until its predecessor nonce is pending
+      const slot = plan?.slots.get(i)
+      let turn = { ok: true }
+      if (skipDuplicates && batch.repeats.has(i)) {
+        turn = { ok: false, error: `duplicate of line ${batch.repeats.get(i) + 1}: skipped, the same tx is sent from there` }
+      } else if (slot && stalledSenders.has(slot.key)) {
+        turn = { ok: false, error: `nonce gap: skipped because an earlier nonce from ${slot.sender} was not accepted` }
+      } else if (slot && chainInfo.rpc) {
+        turn = await waitForNonceTurn(chainInfo.rpc, slot.sender, slot.nonce, { signal, timeoutMs: NONCE_WAIT_TIMEOUT_MS })
+          .catch(err => ({ ok: false, error: err.name === 'AbortError' ? 'Aborted' : err.message }))
+      }
+
+      // Broadcast with retry support, using chain-specific RPC and type for auto mode.
+      // Relayed txs skip fan-out: the relay is the only place they should go.
+      const relayed = !!relayMethod && (chainInfo.type || selectedNetwork.type) === 'evm'
+      const endpoints = fanOut && !relayed ? chainEndpoints(chainInfo) : []
+      let result
+      if (turn.ok && endpoints.length > 0) {
+        result = await broadcastFanOut(tx, signal, endpoints, chainInfo.type || null)
+      } else if (turn.ok) {
+        result = await broadcastWithRetry(tx, signal, null, chainInfo.rpc, chainInfo.type || null)
+      } else {
+        const verdict = classifyBroadcastError(turn.error)
+        result = { success: false, txHash: null, error: turn.error, attempts: 0, retryable: verdict.retryable, errorCategory: verdict.category }
+      }
+      if (slot) {
+        const nonceKey = `${slot.key}:${slot.nonce}`
+        if (result.success) acceptedNonces.add(nonceKey)
+        // A rejected duplicate doesn't block the queue if its nonce already went out
+        else if (!acceptedNonces.has(nonceKey) && !QUEUE_SAFE_CATEGORIES.has(result.errorCategory)) stalledSenders.add(slot.key)
+      }
       
-      newResults.push({
+      const row = {
         index: i + 1,
         rlp: tx,
         success: result.success,
@@ -1382,18 +1571,28 @@ function Broadcaster() {
         timestamp: new Date().toISOString(),
         attempts: result.attempts || 1,
         retryable: result.retryable,
+        errorCategory: result.errorCategory,
         exhaustedRetries: result.exhaustedRetries,
         chainId: chainInfo.chainId,
         chainName: chainInfo.chainName,
-        rpcUsed: chainInfo.rpc,
-        explorer: chainInfo.explorer
-      })
+        rpcUsed: result.rpcUsed || chainInfo.rpc,
+        endpoints: result.endpoints,
+        relay: result.relay ?? null,
+        vmStatus: result.vmStatus ?? null,
+        explorer: chainInfo.explorer,
+        networkType: chainInfo.type || selectedNetwork.type,
+      }
+      newResults.push(row)
+      checkpoint.record(i, toCheckpointOutcome(row))
+      if (tracker && result.success && result.txHash) {
+        trackReceipt(tracker, i + 1, { type: chainInfo.type || selectedNetwork.type, rpc: result.rpcUsed || chainInfo.rpc, txHash: result.txHash, deadlineBlock: result.relay?.deadlineBlock })
+      }
       
-      setBroadcastProgress({ current: i + 1, total: transactions.length })
+      setBroadcastProgress({ current: skipped + step + 1, total: transactions.length })
       setResults([...newResults])
 
       // Rate limiting delay (only if not last tx and delay > 0)
-      if (delay > 0 && i < transactions.length - 1 && !signal.aborted) {
+      if (delay > 0 && step < order.length - 1 && !signal.aborted) {
         const elapsed = Date.now() - txStartTime
         const waitTime = Math.max(0, delay - elapsed)
         if (waitTime > 0) {
@@ -1404,48 +1603,129 @@ function Broadcaster() {
 
     setIsBroadcasting(false)
     abortControllerRef.current = null
-  }
 
-  const downloadCSV = () => {
-    if (results.length === 0) {
-      alert('No results to download')
-      return
+    // Stopped: keep the checkpoint so Broadcast picks up from here. Finished:
+    // the run is in history and there is nothing left to resume.
+    await checkpoint.flush()
+    const outcomes = new Array(transactions.length)
+    for (const r of newResults) outcomes[r.index - 1] = toCheckpointOutcome(r)
+    const unsent = transactions.some((_, i) => !isSent(outcomes[i]))
+    if (signal.aborted && unsent) {
+      markCheckpoint(HISTORY.tool, 'stopped').catch(err => console.error('Failed to save run checkpoint:', err))
+      setResumeRun({ network: { id: selectedNetwork.id, name: selectedNetwork.name }, settings, input: transactions, outcomes, startedAt })
+    } else {
+      clearCheckpoint(HISTORY.tool).catch(err => console.error('Failed to clear run checkpoint:', err))
+      setResumeRun(null)
     }
 
-    const headers = ['Index', 'RLP', 'Success', 'TxHash', 'ExplorerLink', 'Error', 'Attempts', 'Retryable', 'ChainId', 'ChainName', 'RpcUsed', 'Timestamp']
-    const rows = results.map(r => [
-      r.index,
-      `"${r.rlp}"`,
-      r.success,
-      r.txHash || '',
-      r.success && r.explorer && r.txHash ? `${r.explorer}${r.txHash}` : '',
-      `"${(r.error || '').replace(/"/g, '""')}"`,
-      r.attempts || 1,
-      r.retryable ? 'yes' : 'no',
-      r.chainId || '',
-      r.chainName || '',
-      `"${r.rpcUsed || ''}"`,
-      r.timestamp
-    ])
-
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n')
-
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = `broadcast-results-${selectedNetwork.id}-${Date.now()}.csv`
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-    URL.revokeObjectURL(url)
+    if (newResults.length > 0) {
+      saveRun(HISTORY, {
+        network: { id: selectedNetwork.id, name: selectedNetwork.name },
+        settings,
+        input: inputText,
+        items: newResults,
+        startedAt,
+      }).catch(err => console.error('Failed to save run history:', err))
+    }
   }
 
+  // Restore the network and settings a saved run used
+  const restoreRunSetup = (run) => {
+    const network = networks.find(n => n.id === run.network?.id) || selectedNetwork
+    const { settings } = run
+    setSelectedNetwork(network)
+    if (settings.txPerMinute != null) setTxPerMinute(settings.txPerMinute)
+    if (settings.maxRetries != null) setMaxRetries(settings.maxRetries)
+    if (settings.retryDelay != null) setRetryDelay(settings.retryDelay)
+    if (settings.solanaSkipPreflight != null) setSolanaSkipPreflight(settings.solanaSkipPreflight)
+    if (settings.customRpc != null) setCustomRpc(settings.customRpc)
+    if (settings.receiptTimeout != null) setReceiptTimeout(settings.receiptTimeout)
+    if (settings.nonceOrdered != null) setNonceOrdered(settings.nonceOrdered)
+    if (settings.fanOut != null) setFanOut(settings.fanOut)
+    if (settings.relayMethod != null) setRelayMethod(settings.relayMethod)
+    if (settings.relayUrl != null) setRelayUrl(settings.relayUrl)
+    if (settings.relayChainId != null) setRelayChainId(settings.relayChainId)
+    if (settings.relayBlocks != null) setRelayBlocks(settings.relayBlocks)
+    if (settings.skipDuplicates != null) setSkipDuplicates(settings.skipDuplicates)
+    if (settings.stopOnConflicts != null) setStopOnConflicts(settings.stopOnConflicts)
+    stopReceiptTracking()
+    return network
+  }
+
+  const handleOpenRun = (run) => {
+    const network = restoreRunSetup(run)
+    setInputText(run.input)
+    setTransactions(parseTransactions(run.input, network.type))
+    setResults(run.items)
+    setResultsPage(1)
+  }
+
+  // Broadcasting is never started implicitly — the failed transactions are
+  // loaded on the original network, ready for the Broadcast button.
+  const handleRerunFailed = (run, failedTxs) => {
+    const network = restoreRunSetup(run)
+    const text = failedTxs.join('\n')
+    setInputText(text)
+    setTransactions(parseTransactions(text, network.type))
+    setResults([])
+    setResultsPage(1)
+  }
+
+  // Link state: ?network=auto-evm&txs=<raw>%0A…&rate=…&retries=…&backoff=…&skipPreflight=1&confirmTimeout=…&ordered=1&fanOut=1&relay=…&relayChain=…&relayBlocks=…&skipDuplicates=1&stopOnConflicts=1
+  // No auto-run — opening a link must never broadcast. The custom RPC and
+  // relay URLs are left out because they often embed an API key. Lines are
+  // newline-joined: TRON and Sui JSON lines contain commas, and so does a plain
+  // Sui line between its bytes and signatures (`tx` is the comma-joined form of
+  // older links).
+  const inputLines = useMemo(() => inputText.split(/\n+/).map(l => l.trim()).filter(Boolean), [inputText])
+  const shareLink = useUrlState({
+    values: {
+      network: selectedNetwork.id,
+      txs: inputLines.join('\n'),
+      rate: txPerMinute,
+      retries: maxRetries,
+      backoff: retryDelay,
+      skipPreflight: solanaSkipPreflight,
+      confirmTimeout: receiptTimeout,
+      ordered: nonceOrdered,
+      fanOut,
+      relay: relayMethod,
+      relayChain: relayChainId,
+      relayBlocks,
+      skipDuplicates,
+      stopOnConflicts,
+    },
+    defaults: { network: NETWORKS[0].id, rate: 50, retries: 3, backoff: 1000, confirmTimeout: 300, relayChain: DEFAULT_RELAY_CHAIN_ID, relayBlocks: DEFAULT_RELAY_BLOCKS },
+    restore: (params) => {
+      const network = networks.find(n => n.id === params.network) || selectedNetwork
+      const text = (params.txs != null ? linesParam(params.txs) : listParam(params.tx)).join('\n')
+      setSelectedNetwork(network)
+      setActiveCategory(categoryForNetwork(network))
+      setInputText(text)
+      setTransactions(parseTransactions(text, network.type))
+      setTxPerMinute(Math.max(1, numberParam(params.rate, 50)))
+      setMaxRetries(Math.max(0, Math.min(10, numberParam(params.retries, 3))))
+      setRetryDelay(Math.max(100, numberParam(params.backoff, 1000)))
+      setSolanaSkipPreflight(params.skipPreflight === '1')
+      setReceiptTimeout(Math.max(0, numberParam(params.confirmTimeout, 300)))
+      setNonceOrdered(params.ordered === '1')
+      setFanOut(params.fanOut === '1')
+      setRelayMethod(RELAY_METHODS[params.relay] ? params.relay : '')
+      setRelayChainId(Math.max(1, numberParam(params.relayChain, DEFAULT_RELAY_CHAIN_ID)))
+      setRelayBlocks(Math.max(1, Math.min(MAX_RELAY_BLOCKS, numberParam(params.relayBlocks, DEFAULT_RELAY_BLOCKS))))
+      setSkipDuplicates(params.skipDuplicates === '1')
+      setStopOnConflicts(params.stopOnConflicts === '1')
+    },
+  })
+
   const successCount = results.filter(r => r.success).length
   const failCount = results.filter(r => !r.success).length
+  const categoryCounts = results.reduce((acc, r) => {
+    const category = failureCategory(r)
+    if (category) acc[category] = (acc[category] || 0) + 1
+    return acc
+  }, {})
+  const receiptCounts = Object.values(receipts).reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {})
 
   const getNetworkTypeLabel = () => {
     if (isSolana) return 'Solana'
@@ -1453,6 +1733,11 @@ function Broadcaster() {
     if (isStellar) return 'Stellar (XLM)'
     if (isBitcoin) return 'Bitcoin'
     if (isCosmos) return 'Cosmos LCD'
+    if (isTron) return 'TRON'
+    if (isTon) return 'TON'
+    if (isAptos) return 'Aptos'
+    if (isSui) return 'Sui'
+    if (isSubstrate) return 'Substrate'
     return 'EVM'
   }
 
@@ -1461,7 +1746,7 @@ function Broadcaster() {
       <div className="broadcaster-container">
         <header className="broadcaster-header">
           <h1>⚡ Transaction Broadcaster</h1>
-          <p>Broadcast raw transactions to EVM, Solana, Bitcoin-style chains, XRP, Stellar, and Cosmos SDK chains.</p>
+          <p>Broadcast raw transactions to EVM, Solana, Bitcoin-style chains, XRP, Stellar, TRON, TON, Aptos, Sui, Substrate, and Cosmos SDK chains.</p>
         </header>
 
         <section className="network-section">
@@ -1495,7 +1780,7 @@ function Broadcaster() {
                 {/* Horizontal category tabs with counts */}
                 <div className="network-category-tabs">
                   {NETWORK_CATEGORIES.map(cat => {
-                    const count = NETWORKS.filter(cat.match).length
+                    const count = networks.filter(cat.match).length
                     if (count === 0) return null
                     return (
                       <button
@@ -1531,7 +1816,7 @@ function Broadcaster() {
                 <div className="network-grid">
                   {(() => {
                     const cat = NETWORK_CATEGORIES.find(c => c.key === activeCategory)
-                    const filtered = NETWORKS
+                    const filtered = networks
                       .filter(n => cat ? cat.match(n) : true)
                       .filter(n => {
                         if (!networkSearch) return true
@@ -1605,6 +1890,36 @@ function Broadcaster() {
             </div>
           )}
           
+          {isTron && (
+            <div className="network-type-badge tron">
+              ◈ TRON Mode
+            </div>
+          )}
+
+          {isTon && (
+            <div className="network-type-badge ton">
+              💎 TON Mode
+            </div>
+          )}
+
+          {isAptos && (
+            <div className="network-type-badge aptos">
+              Ⓐ Aptos Mode
+            </div>
+          )}
+
+          {isSui && (
+            <div className="network-type-badge sui">
+              💧 Sui Mode
+            </div>
+          )}
+
+          {isSubstrate && (
+            <div className="network-type-badge substrate">
+              ● Substrate Mode
+            </div>
+          )}
+
           {isBitcoin && (
             <div className="network-type-badge bitcoin">
               ₿ Bitcoin Mode
@@ -1619,7 +1934,7 @@ function Broadcaster() {
           
           {isAutoMode && (
             <div className="network-type-badge auto">
-              🔄 Auto Mode - chains supported: {Object.keys(CHAIN_ID_MAP).length}
+              🔄 Auto Mode - chains supported: {EVM_CHAIN_COUNT}
             </div>
           )}
         </section>
@@ -1671,6 +1986,158 @@ function Broadcaster() {
                 </>
               )}
 
+              {canOrderByNonce && (
+                <>
+                  <div className="settings-divider">
+                    <span>EVM Ordering</span>
+                  </div>
+
+                  <div className="settings-row">
+                    <label>Nonce Order:</label>
+                    <label className="toggle-switch">
+                      <input
+                        type="checkbox"
+                        checked={nonceOrdered}
+                        onChange={(e) => setNonceOrdered(e.target.checked)}
+                      />
+                      <span className="toggle-slider"></span>
+                    </label>
+                    <span className="settings-hint">
+                      {nonceOrdered
+                        ? 'Per sender and chain, in nonce order; each tx waits for the previous nonce to be pending'
+                        : 'Input order'}
+                    </span>
+                  </div>
+
+                  <div className="settings-divider">
+                    <span>Private Relay</span>
+                  </div>
+
+                  <div className="settings-row">
+                    <label>Submit Via:</label>
+                    <select
+                      value={relayMethod}
+                      onChange={(e) => setRelayMethod(e.target.value)}
+                      className="settings-select"
+                    >
+                      <option value="">Public mempool (chain RPC)</option>
+                      {Object.entries(RELAY_METHODS).map(([method, label]) => (
+                        <option key={method} value={method}>{label} — {method}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {relayMethod && (
+                    <>
+                      <div className="settings-row">
+                        <label>Relay URL:</label>
+                        <input
+                          type="text"
+                          value={relayUrl}
+                          onChange={(e) => setRelayUrl(e.target.value)}
+                          placeholder={DEFAULT_RELAY_URL}
+                          className="settings-input relay-url-input"
+                        />
+                      </div>
+
+                      <div className="settings-row">
+                        <label>Relay Chain ID:</label>
+                        <input
+                          type="number"
+                          value={relayChainId}
+                          onChange={(e) => setRelayChainId(Math.max(1, parseInt(e.target.value) || 1))}
+                          min="1"
+                          className="settings-input"
+                        />
+                        <span className="settings-hint">
+                          {relayChainId === DEFAULT_RELAY_CHAIN_ID ? 'Ethereum mainnet' : `Chain ${relayChainId}`} — EVM txs signed for any other chain are refused, not relayed
+                          {!isAutoMode && selectedNetwork.type === 'evm' && selectedNetwork.chainId && selectedNetwork.chainId !== relayChainId && ` (${selectedNetwork.name} is chain ${selectedNetwork.chainId})`}
+                        </span>
+                      </div>
+
+                      <div className="settings-row">
+                        <label>Block Window:</label>
+                        <input
+                          type="number"
+                          value={relayBlocks}
+                          onChange={(e) => setRelayBlocks(Math.max(1, Math.min(MAX_RELAY_BLOCKS, parseInt(e.target.value) || 1)))}
+                          min="1"
+                          max={MAX_RELAY_BLOCKS}
+                          className="settings-input"
+                        />
+                        <span className="settings-hint">
+                          {relayMethod === 'eth_sendBundle'
+                            ? `One bundle for each of the next ${relayBlocks} block(s); Dropped once the chain passes the last`
+                            : `The relay may include it up to ${relayBlocks} block(s) from now; Dropped after that`}
+                          {nonceOrdered && ' — relayed txs stay out of the mempool, so each nonce waits for the previous one to be mined'}
+                        </span>
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
+
+              <div className="settings-divider">
+                <span>Batch Checks</span>
+              </div>
+
+              <div className="settings-row">
+                <label>Skip Duplicates:</label>
+                <label className="toggle-switch">
+                  <input
+                    type="checkbox"
+                    checked={skipDuplicates}
+                    onChange={(e) => setSkipDuplicates(e.target.checked)}
+                  />
+                  <span className="toggle-slider"></span>
+                </label>
+                <span className="settings-hint">
+                  {skipDuplicates ? 'A tx pasted more than once is sent from its first line only' : 'Every line is sent, repeats included'}
+                </span>
+              </div>
+
+              <div className="settings-row">
+                <label>Stop on Conflicts:</label>
+                <label className="toggle-switch">
+                  <input
+                    type="checkbox"
+                    checked={stopOnConflicts}
+                    onChange={(e) => setStopOnConflicts(e.target.checked)}
+                  />
+                  <span className="toggle-slider"></span>
+                </label>
+                <span className="settings-hint">
+                  {stopOnConflicts
+                    ? "Don't start while different txs spend the same nonce, outpoint or sequence"
+                    : 'Conflicts are listed and confirmed before sending'}
+                </span>
+              </div>
+
+              <div className="settings-divider">
+                <span>Endpoints</span>
+              </div>
+
+              <div className="settings-row">
+                <label>RPC Fan-out:</label>
+                <label className="toggle-switch">
+                  <input
+                    type="checkbox"
+                    checked={fanOut}
+                    onChange={(e) => setFanOut(e.target.checked)}
+                  />
+                  <span className="toggle-slider"></span>
+                </label>
+                <span className="settings-hint">
+                  {!fanOut
+                    ? 'Preferred endpoint only'
+                    : relayMethod
+                      ? 'Non-EVM txs only — EVM txs go to the private relay'
+                    : isAutoMode
+                      ? 'Every configured endpoint of each detected chain, in parallel'
+                      : `All ${Math.max(1, selectedNetwork.rpcs?.length || 0)} configured endpoint(s) in parallel; success if any accepts`}
+                </span>
+              </div>
+
               <div className="settings-divider">
                 <span>Retry Settings</span>
               </div>
@@ -1705,6 +2172,25 @@ function Broadcaster() {
                 </span>
               </div>
 
+              <div className="settings-divider">
+                <span>Confirmations</span>
+              </div>
+
+              <div className="settings-row">
+                <label>Drop Timeout:</label>
+                <input
+                  type="number"
+                  value={receiptTimeout}
+                  onChange={(e) => setReceiptTimeout(Math.max(0, parseInt(e.target.value) || 0))}
+                  min="0"
+                  step="30"
+                  className="settings-input"
+                />
+                <span className="settings-hint">
+                  {receiptTimeout === 0 ? 'Receipt tracking off' : `Seconds to wait for inclusion before marking a tx Dropped`}
+                </span>
+              </div>
+
               <div className="settings-info">
                 <p className="est-time">
                   Est. time for {transactions.length.toLocaleString()} txs:{' '}
@@ -1728,13 +2214,23 @@ function Broadcaster() {
                 ? 'Paste signed XRP transaction blobs (one per line) - hex format'
                 : isStellar
                   ? 'Paste signed Stellar transactions (one per line) - base64 XDR format'
-                  : isBitcoin
-                    ? 'Paste signed Bitcoin transactions (one per line) - raw hex format'
-                    : isCosmos
-                      ? 'Paste signed Cosmos SDK transactions (one per line) - base64 protobuf (cosmos.tx.v1beta1.Tx)'
-                      : isAutoMode
-                        ? 'Paste RLP-encoded transactions from ANY chain (one per line) - chain will be auto-detected'
-                        : 'Paste RLP-encoded transactions (one per line), with or without 0x prefix'
+                  : isTron
+                    ? 'Paste signed TRON transactions (one per line) - single-line JSON with raw_data_hex, or protobuf hex'
+                    : isTon
+                      ? 'Paste signed TON external messages (one per line) - BOC in base64 (te6cc…) or hex (b5ee9c72…)'
+                      : isAptos
+                        ? 'Paste signed Aptos transactions (one per line) - BCS-serialized SignedTransaction hex'
+                        : isSui
+                          ? 'Paste signed Sui transactions (one per line) - {"bytes","signature"} JSON, or base64 tx bytes then signature(s) separated by spaces'
+                          : isSubstrate
+                            ? 'Paste signed extrinsics (one per line) - SCALE-encoded hex, length prefix included'
+                            : isBitcoin
+                              ? 'Paste signed Bitcoin-style transactions (one per line) - raw hex (Zcash: transparent v4/v5), or signed PSBTs in base64/hex'
+                              : isCosmos
+                                ? 'Paste signed Cosmos SDK transactions (one per line) - base64 protobuf (cosmos.tx.v1beta1.Tx)'
+                                : isAutoMode
+                                  ? 'Paste RLP-encoded transactions from ANY chain (one per line) - chain will be auto-detected'
+                                  : 'Paste RLP-encoded transactions (one per line), with or without 0x prefix'
             }
           </p>
           
@@ -1798,7 +2294,61 @@ function Broadcaster() {
           </div>
         </section>
 
+        <DecodePreview preview={preview} total={transactions.length} />
+
         <section className="broadcast-section">
+          {interruptedRun && !isBroadcasting && (
+            <div className="resume-banner">
+              <span>
+                ⏸️ Unfinished broadcast: {interruptedRun.outcomes.filter(isSent).length.toLocaleString()} of {interruptedRun.total.toLocaleString()} lines
+                sent{interruptedRun.network?.name ? ` on ${interruptedRun.network.name}` : ''}, last saved {new Date(interruptedRun.updatedAt).toLocaleString()}
+                {interruptedRun.status === 'running' && ' (tab closed mid-run, or still running in another tab)'}
+              </span>
+              <div className="resume-actions">
+                <button onClick={handleRestoreInterrupted} className="resume-btn">Restore &amp; resume</button>
+                <button onClick={discardResume} className="resume-discard-btn">Discard</button>
+              </div>
+            </div>
+          )}
+          {resumable && !isBroadcasting && (
+            <div className="resume-banner">
+              <span>
+                ▶️ Broadcast resumes from line {resumable.firstLine.toLocaleString()} — {resumable.remaining.toLocaleString()} unsent line{resumable.remaining !== 1 ? 's' : ''}; lines with a hash are skipped.
+              </span>
+              <div className="resume-actions">
+                <button onClick={discardResume} className="resume-discard-btn">Start over</button>
+              </div>
+            </div>
+          )}
+          {preview.failed > 0 && !isBroadcasting && (
+            <div className="decode-blocker">
+              ⚠️ {preview.failed} line{preview.failed !== 1 ? 's' : ''} failed to decode — check the preview above before broadcasting.
+            </div>
+          )}
+          {batchReport && (batchReport.duplicates.length > 0 || batchReport.conflicts.length > 0) && (
+            <div className={`batch-check ${batchReport.conflicts.length ? 'has-conflicts' : ''}`}>
+              <div>
+                🧬 Batch check: {batchReport.duplicates.length} repeated tx{batchReport.duplicates.length !== 1 ? 's' : ''}
+                {skipDuplicates && batchReport.repeats.size > 0 && ` (${batchReport.repeats.size} line${batchReport.repeats.size !== 1 ? 's' : ''} will be skipped)`}
+                {' · '}{batchReport.conflicts.length} conflict{batchReport.conflicts.length !== 1 ? 's' : ''}
+                {stopOnConflicts && batchReport.conflicts.length > 0 && ' — broadcast is blocked'}
+              </div>
+              {describeBatchConflicts(batchReport).slice(0, 10).map(issue => (
+                <div key={issue} className="batch-check-issue">⚠️ {issue}</div>
+              ))}
+            </div>
+          )}
+          {noncePlan && noncePlan.groups.length > 0 && (
+            <div className={`nonce-plan ${noncePlan.gaps.length || noncePlan.duplicates.length ? 'has-issues' : ''}`}>
+              <div>
+                🔢 Nonce order: {noncePlan.slots.size} EVM tx{noncePlan.slots.size !== 1 ? 's' : ''} from {noncePlan.groups.length} sender{noncePlan.groups.length !== 1 ? 's' : ''}
+                {noncePlan.order.length > noncePlan.slots.size && ` · ${noncePlan.order.length - noncePlan.slots.size} other line(s) sent after`}
+              </div>
+              {describeNonceIssues(noncePlan).slice(0, 10).map(issue => (
+                <div key={issue} className="nonce-plan-issue">⚠️ {issue}</div>
+              ))}
+            </div>
+          )}
           <div className="broadcast-buttons">
             <button
               onClick={handleBroadcast}
@@ -1811,7 +2361,9 @@ function Broadcaster() {
                   Broadcasting {broadcastProgress.current}/{broadcastProgress.total}...
                 </>
               ) : (
-                <>🚀 Broadcast {transactions.length > 0 ? `(${transactions.length})` : ''}</>
+                resumable
+                  ? <>▶️ Resume ({resumable.remaining} left)</>
+                  : <>🚀 Broadcast {transactions.length > 0 ? `(${transactions.length})` : ''}</>
               )}
             </button>
 
@@ -1820,6 +2372,15 @@ function Broadcaster() {
                 ⏹️ Stop
               </button>
             )}
+
+            <RunHistory
+              config={HISTORY}
+              onOpenRun={handleOpenRun}
+              onRerunFailed={handleRerunFailed}
+              rerunLabel="Load failed"
+              disabled={isBroadcasting}
+            />
+            <ShareLink getLink={shareLink} />
           </div>
 
           {isBroadcasting && (
@@ -1845,10 +2406,25 @@ function Broadcaster() {
                 {results.some(r => r.attempts > 1) && (
                   <span className="retry-count">🔄 {results.filter(r => r.attempts > 1).length} retried</span>
                 )}
+                {Object.entries(RECEIPT_STATUSES).map(([status, { label, icon }]) => receiptCounts[status] > 0 && (
+                  <span key={status} className={`receipt-count receipt-${status}`}>{icon} {receiptCounts[status]} {label.toLowerCase()}</span>
+                ))}
               </div>
-              <button onClick={downloadCSV} className="download-btn">
-                ⬇️ Download CSV
-              </button>
+              {!isBroadcasting && successCount > 0 && receiptTimeout > 0 && (
+                <button onClick={handleTrackReceipts} className="track-receipts-btn" title="Poll each successful tx for inclusion again">
+                  🔎 Track confirmations
+                </button>
+              )}
+              <ExportMenu
+                config={EXPORT}
+                context={{ receipts }}
+                rows={results}
+                filteredRows={filteredResults}
+                selectedRows={selection.selectedRows}
+                fileName={`broadcast-results-${selectedNetwork.id}`}
+                label="⬇️ Export"
+                buttonClassName="download-btn"
+              />
             </div>
 
             {/* Search and Filter Controls */}
@@ -1876,6 +2452,22 @@ function Broadcaster() {
                   <option value="success">Success ({successCount})</option>
                   <option value="failed">Failed ({failCount})</option>
                 </select>
+
+                {failCount > 0 && (
+                  <select
+                    value={categoryFilter}
+                    onChange={(e) => handleCategoryFilterChange(e.target.value)}
+                    className="status-filter"
+                    title="Filter failures by normalized error category"
+                  >
+                    <option value="all">All error types</option>
+                    {Object.entries(categoryCounts).map(([key, count]) => (
+                      <option key={key} value={key}>
+                        {errorCategory(key).label} ({count}) · {errorCategory(key).retryable ? 'retryable' : 'final'}
+                      </option>
+                    ))}
+                  </select>
+                )}
                 
                 <select
                   value={resultsPerPage}
@@ -1902,14 +2494,51 @@ function Broadcaster() {
               )}
             </div>
 
+            {endpointSummary.length > 0 && (
+              <div className="endpoint-summary">
+                <span className="endpoint-summary-title">📡 Endpoints</span>
+                <table className="endpoint-table">
+                  <thead>
+                    <tr>
+                      <th>RPC</th>
+                      <th>Accepted</th>
+                      <th>Rejected</th>
+                      <th>Fastest</th>
+                      <th>Avg latency</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {endpointSummary.map(row => (
+                      <tr key={row.rpc}>
+                        <td><code>{row.rpc}</code></td>
+                        <td className="endpoint-ok">{row.accepted}</td>
+                        <td className={row.rejected > 0 ? 'endpoint-fail' : ''}>{row.rejected}</td>
+                        <td>{row.fastest}</td>
+                        <td>{row.avgMs}ms</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <div className="results-table-wrapper">
               <table className="results-table">
                 <thead>
                   <tr>
+                    <th className="export-select">
+                      <input
+                        type="checkbox"
+                        checked={selection.allSelected(paginatedResults)}
+                        onChange={(e) => selection.setRows(paginatedResults, e.target.checked)}
+                        title="Select this page for export"
+                      />
+                    </th>
                     <th>#</th>
                     <th>Chain</th>
                     <th>TX</th>
                     <th>Status</th>
+                    <th>Receipt</th>
                     <th>Tries</th>
                     <th>Result</th>
                     <th>Explorer</th>
@@ -1917,77 +2546,154 @@ function Broadcaster() {
                 </thead>
                 <tbody>
                   {paginatedResults.map((result, idx) => (
-                    <tr key={result.index} className={`${result.success ? 'row-success' : 'row-error'} ${result.attempts > 1 ? 'row-retried' : ''}`}>
-                      <td>{result.index}</td>
-                      <td className="chain-cell" title={result.rpcUsed || 'Unknown RPC'}>
-                        <span className="chain-badge">
-                          {result.chainName || 'Unknown'}
-                          {result.chainId && <span className="chain-id">({result.chainId})</span>}
-                        </span>
-                      </td>
-                      <td className="rlp-cell">
-                        <code 
-                          className="clickable"
-                          title="Click to copy full transaction"
-                          onClick={() => copyToClipboard(result.rlp, `rlp-${result.index}`)}
-                        >
-                          {result.rlp.slice(0, 20)}...{result.rlp.slice(-8)}
-                          {copiedId === `rlp-${result.index}` && <span className="copied-badge">Copied!</span>}
-                        </code>
-                      </td>
-                      <td>
-                        <span className={`status-badge ${result.success ? 'success' : 'error'}`}>
-                          {result.success ? '✅ Success' : '❌ Failed'}
-                        </span>
-                        {!result.success && result.retryable && (
-                          <span className="retryable-badge" title="This error type could be retried">
-                            🔄
+                    <Fragment key={result.index}>
+                      <tr className={`${result.success ? 'row-success' : 'row-error'} ${result.attempts > 1 ? 'row-retried' : ''}`}>
+                        <td className="export-select">
+                          <input
+                            type="checkbox"
+                            checked={selection.isSelected(result.index)}
+                            onChange={() => selection.toggle(result.index)}
+                          />
+                        </td>
+                        <td>{result.index}</td>
+                        <td className="chain-cell" title={result.rpcUsed || 'Unknown RPC'}>
+                          <span className="chain-badge">
+                            {result.chainName || 'Unknown'}
+                            {result.chainId && <span className="chain-id">({result.chainId})</span>}
                           </span>
-                        )}
-                      </td>
-                      <td className="attempts-cell">
-                        <span className={result.attempts > 1 ? 'attempts-multiple' : ''}>
-                          {result.attempts || 1}
-                          {result.exhaustedRetries && <span className="exhausted-badge" title="Max retries exhausted">!</span>}
-                        </span>
-                      </td>
-                      <td className="result-cell">
-                        {result.success ? (
+                        </td>
+                        <td className="rlp-cell">
                           <code 
-                            className="tx-hash clickable" 
-                            title={result.txHash || 'Click to copy'}
-                            onClick={() => copyToClipboard(result.txHash, `hash-${result.index}`)}
+                            className="clickable"
+                            title="Click to copy full transaction"
+                            onClick={() => copyToClipboard(result.rlp, `rlp-${result.index}`)}
                           >
-                            {result.txHash}
-                            {copiedId === `hash-${result.index}` && <span className="copied-badge">Copied!</span>}
+                            {result.rlp.slice(0, 20)}...{result.rlp.slice(-8)}
+                            {copiedId === `rlp-${result.index}` && <span className="copied-badge">Copied!</span>}
                           </code>
-                        ) : (
-                          <span 
-                            className="error-msg clickable" 
-                            title={result.error || 'Click to copy'}
-                            onClick={() => copyToClipboard(result.error || '', `error-${result.index}`)}
-                          >
-                            {result.error}
-                            {copiedId === `error-${result.index}` && <span className="copied-badge">Copied!</span>}
+                        </td>
+                        <td>
+                          <span className={`status-badge ${result.success ? 'success' : 'error'}`}>
+                            {result.success ? '✅ Success' : '❌ Failed'}
                           </span>
-                        )}
-                      </td>
-                      <td className="explorer-cell">
-                        {result.success && result.explorer && result.txHash ? (
-                          <a 
-                            href={`${result.explorer}${result.txHash}`}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="tx-link"
-                            title={`View on explorer`}
-                          >
-                            View ↗
-                          </a>
-                        ) : result.success ? (
-                          <span className="no-explorer">—</span>
-                        ) : null}
-                      </td>
-                    </tr>
+                          {!result.success && (
+                            <span
+                              className={`error-category-badge ${errorCategory(failureCategory(result)).retryable ? 'retryable' : 'final'}`}
+                              title={errorCategory(failureCategory(result)).retryable ? 'Retryable — the same transaction may still go through' : 'Final — resending the same transaction will not help'}
+                            >
+                              {errorCategory(failureCategory(result)).label}
+                            </span>
+                          )}
+                          {!result.success && result.retryable && (
+                            <span className="retryable-badge" title="This error type could be retried">
+                              🔄
+                            </span>
+                          )}
+                          {result.relay && (
+                            <span className="relay-badge" title={describeRelay(result.relay)}>
+                              🔒 {result.relay.method === 'eth_sendBundle' ? 'bundle' : 'private'} ≤#{result.relay.deadlineBlock}
+                            </span>
+                          )}
+                          {result.endpoints && (
+                            <button
+                              className={`endpoint-count-badge ${result.endpoints.every(ep => ep.success) ? '' : 'partial'}`}
+                              onClick={() => setExpandedEndpoints(expandedEndpoints === result.index ? null : result.index)}
+                              title="Show each endpoint's response"
+                            >
+                              📡 {result.endpoints.filter(ep => ep.success).length}/{result.endpoints.length}
+                            </button>
+                          )}
+                        </td>
+                        <td className="receipt-cell">
+                          {receipts[result.index] && (
+                            <span
+                              className={`receipt-badge receipt-${receipts[result.index].status}`}
+                              title={receipts[result.index].detail || undefined}
+                            >
+                              {RECEIPT_STATUSES[receipts[result.index].status].icon} {RECEIPT_STATUSES[receipts[result.index].status].label}
+                              {receipts[result.index].block != null && <span className="receipt-block">#{receipts[result.index].block}</span>}
+                            </span>
+                          )}
+                        </td>
+                        <td className="attempts-cell">
+                          <span className={result.attempts > 1 ? 'attempts-multiple' : ''}>
+                            {result.attempts || 1}
+                            {result.exhaustedRetries && <span className="exhausted-badge" title="Max retries exhausted">!</span>}
+                          </span>
+                        </td>
+                        <td className="result-cell">
+                          {result.success ? (
+                            <code 
+                              className="tx-hash clickable" 
+                              title={result.txHash || 'Click to copy'}
+                              onClick={() => copyToClipboard(result.txHash, `hash-${result.index}`)}
+                            >
+                              {result.txHash}
+                              {copiedId === `hash-${result.index}` && <span className="copied-badge">Copied!</span>}
+                            </code>
+                          ) : (
+                            <span 
+                              className="error-msg clickable" 
+                              title={result.error || 'Click to copy'}
+                              onClick={() => copyToClipboard(result.error || '', `error-${result.index}`)}
+                            >
+                              {result.error}
+                              {copiedId === `error-${result.index}` && <span className="copied-badge">Copied!</span>}
+                            </span>
+                          )}
+                          {result.success && vmStatusOf(result, receipts[result.index]) && (
+                            <span className={`vm-status ${vmStatusOf(result, receipts[result.index]).ok ? '' : 'failed'}`} title="Execution status reported by the node">
+                              VM: {vmStatusOf(result, receipts[result.index]).text}
+                            </span>
+                          )}
+                        </td>
+                        <td className="explorer-cell">
+                          {result.success && result.explorer && result.txHash ? (
+                            <a 
+                              href={explorerTxUrl(result.explorer, result.txHash)}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="tx-link"
+                              title={`View on explorer`}
+                            >
+                              View ↗
+                            </a>
+                          ) : result.success ? (
+                            <span className="no-explorer">—</span>
+                          ) : null}
+                        </td>
+                      </tr>
+                      {expandedEndpoints === result.index && result.endpoints && (
+                        <tr className="endpoint-breakdown-row">
+                          <td colSpan={9}>
+                            <table className="endpoint-table">
+                              <thead>
+                                <tr>
+                                  <th>RPC</th>
+                                  <th>Response</th>
+                                  <th>HTTP</th>
+                                  <th>Tries</th>
+                                  <th>Latency</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {result.endpoints.map(ep => (
+                                  <tr key={ep.rpc}>
+                                    <td><code>{ep.rpc}</code>{ep.rpc === result.rpcUsed && result.success && <span className="endpoint-primary"> ★</span>}</td>
+                                    <td className={ep.success ? 'endpoint-ok' : 'endpoint-fail'} title={ep.error || ep.txHash || undefined}>
+                                      {ep.success ? `✅ ${ep.txHash || 'accepted'}` : `❌ ${errorCategory(ep.errorCategory).label}: ${ep.error}`}
+                                    </td>
+                                    <td>{ep.httpStatus ?? '—'}</td>
+                                    <td>{ep.attempts || 1}</td>
+                                    <td>{ep.latencyMs}ms</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
                   ))}
                 </tbody>
               </table>
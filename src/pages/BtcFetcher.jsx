@@ -1,14 +1,37 @@
 import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import RunHistory from '../components/RunHistory'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { useRowSelection } from '../hooks/useRowSelection'
+import { transportFetch, sleep } from '../utils/rpcTransport'
+import { saveRun } from '../utils/runHistory'
+import { defineExport } from '../utils/exporter'
+import { listParam } from '../utils/urlState'
 import './BtcFetcher.css'
 
+const EXPORT = defineExport('utxo-tx-hashes', [
+  { key: 'address', value: r => r.address },
+  { key: 'tx_hash', value: r => r.hash },
+  { key: 'direction', value: r => r.direction },
+  { key: 'block_height', value: r => r.blockHeight },
+  { key: 'confirmed', value: r => r.confirmed },
+  { key: 'network', value: (_, ctx) => ctx.network },
+])
+
+// One row per (address, tx) — the same tx can touch several pasted addresses
+const rowKey = (r) => `${r.address}:${r.hash}`
+
 const NETWORKS = [
   {
     id: 'btc',
     name: 'Bitcoin (BTC)',
     apiType: 'esplora',
-    apiBase: 'https://mempool.space/api',
+    // Both are Esplora instances — the transport fails over between them
+    apiBases: ['https://mempool.space/api', 'https://blockstream.info/api'],
     apiLabel: 'mempool.space',
     delayMs: 350,
     explorer: 'https://mempool.space/tx/',
@@ -20,7 +43,7 @@ const NETWORKS = [
     id: 'ltc',
     name: 'Litecoin (LTC)',
     apiType: 'blockchair',
-    apiBase: 'https://api.blockchair.com/litecoin',
+    apiBases: ['https://api.blockchair.com/litecoin'],
     apiLabel: 'Blockchair',
     delayMs: 2500,
     explorer: 'https://blockchair.com/litecoin/transaction/',
@@ -30,79 +53,41 @@ const NETWORKS = [
   },
 ]
 
-function sleep(ms, signal) {
-  return new Promise((resolve, reject) => {
-    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'))
-    const timer = setTimeout(resolve, ms)
-    if (signal) {
-      const onAbort = () => {
-        clearTimeout(timer)
-        reject(new DOMException('Aborted', 'AbortError'))
-      }
-      signal.addEventListener('abort', onAbort, { once: true })
-    }
+const MAX_ATTEMPTS = 10
+
+// Rate limits, backoff and failover come from the shared transport; this only
+// maps its result onto the ok / notFound / hardFail shape the fetchers expect.
+async function fetchWithRetry(apiBases, path, signal, onLog, label) {
+  const result = await transportFetch(apiBases, path, {
+    signal,
+    timeoutMs: 25000,
+    maxAttempts: MAX_ATTEMPTS,
+    baseDelayMs: 5000,
+    maxDelayMs: 120000,
+    onRetry: ({ attempt, reason, waitMs }) => {
+      onLog?.(waitMs > 0
+        ? `[${label}] ${reason}, retry in ${Math.round(waitMs / 1000)}s (attempt ${attempt}/${MAX_ATTEMPTS})...`
+        : `[${label}] ${reason}, trying next endpoint (attempt ${attempt}/${MAX_ATTEMPTS})...`)
+    },
   })
-}
-
-async function safeFetch(url, signal, timeoutMs = 25000) {
-  const ctrl = new AbortController()
-  const timer = setTimeout(() => ctrl.abort(), timeoutMs)
-  if (signal) {
-    signal.addEventListener('abort', () => ctrl.abort(), { once: true })
-  }
-  try {
-    const res = await fetch(url, { signal: ctrl.signal })
-    clearTimeout(timer)
-    if (res.status === 429) return { ok: false, rateLimited: true }
-    if (res.status === 404) return { ok: false, notFound: true }
-    if (!res.ok) return { ok: false, status: res.status }
-    const data = await res.json()
-    return { ok: true, data }
-  } catch (e) {
-    clearTimeout(timer)
-    if (e.name === 'AbortError') throw e
-    return { ok: false, error: e.message }
-  }
-}
-
-async function fetchWithRetry(url, signal, onLog, label) {
-  let attempt = 0
-  while (true) {
-    const result = await safeFetch(url, signal)
-    if (result.ok) return result
-    if (result.notFound) return result
-
-    if (result.rateLimited) {
-      attempt++
-      const wait = Math.min(20000 + attempt * 20000, 120000)
-      onLog?.(`[${label}] Rate limited, backing off ${Math.round(wait / 1000)}s (attempt ${attempt})...`)
-      await sleep(wait, signal)
-      continue
-    }
-
-    attempt++
-    if (attempt > 10) {
-      return { ok: false, hardFail: true, detail: result.status || result.error }
-    }
-    const wait = Math.min(5000 + attempt * 3000, 30000)
-    onLog?.(`[${label}] Error (${result.status || result.error}), retry in ${Math.round(wait / 1000)}s (attempt ${attempt}/10)...`)
-    await sleep(wait, signal)
-  }
+  if (result.ok) return { ok: true, data: result.data }
+  if (result.status === 404) return { ok: false, notFound: true }
+  return { ok: false, hardFail: true, detail: result.error || `HTTP ${result.status}` }
 }
 
 // mempool.space / Esplora: 25 txs/page, full tx objects with direction info
-async function fetchEsploraTxHashes(apiBase, address, delayMs, signal, onProgress, onLog) {
+async function fetchEsploraTxHashes(apiBases, address, delayMs, signal, onProgress, onLog) {
   const txMap = new Map()
   let lastTxid = null
   let page = 1
 
   while (true) {
-    const url = lastTxid
-      ? `${apiBase}/address/${address}/txs/chain/${lastTxid}`
-      : `${apiBase}/address/${address}/txs`
+    const path = lastTxid
+      ? `/address/${address}/txs/chain/${lastTxid}`
+      : `/address/${address}/txs`
 
     onLog?.(`Page ${page}...`)
-    const result = await fetchWithRetry(url, signal, onLog, 'mempool.space')
+    const result = await fetchWithRetry(apiBases, path, signal, onLog, 'mempool.space')
 
     if (result.notFound) {
       onLog?.(`Address not found (may be unused): ${address}`)
@@ -152,7 +137,7 @@ async function fetchEsploraTxHashes(apiBase, address, delayMs, signal, onProgres
 
   // Unconfirmed mempool txs
   try {
-    const mres = await safeFetch(`${apiBase}/address/${address}/txs/mempool`, signal)
+    const mres = await transportFetch(apiBases, `/address/${address}/txs/mempool`, { signal, maxAttempts: apiBases.length })
     if (mres.ok && Array.isArray(mres.data) && mres.data.length > 0) {
       for (const tx of mres.data) {
         const hash = (tx.txid || '').toLowerCase()
@@ -167,17 +152,17 @@ async function fetchEsploraTxHashes(apiBase, address, delayMs, signal, onProgres
 }
 
 // Blockchair: returns tx hashes in dashboard endpoint, paginated via offset
-async function fetchBlockchairTxHashes(apiBase, address, signal, onProgress, onLog) {
+async function fetchBlockchairTxHashes(apiBases, address, signal, onProgress, onLog) {
   const txMap = new Map()
   let offset = 0
   const limit = 10000
   let page = 1
 
   while (true) {
-    const url = `${apiBase}/dashboards/address/${address}?limit=${limit}&offset=${offset}`
+    const path = `/dashboards/address/${address}?limit=${limit}&offset=${offset}`
     onLog?.(`Page ${page} (offset ${offset})...`)
 
-    const result = await fetchWithRetry(url, signal, onLog, 'Blockchair')
+    const result = await fetchWithRetry(apiBases, path, signal, onLog, 'Blockchair')
 
     if (result.notFound) {
       onLog?.(`Address not found: ${address}`)
@@ -221,9 +206,9 @@ async function fetchBlockchairTxHashes(apiBase, address, signal, onProgress, onL
 
 async function fetchAddressTxHashes(network, address, signal, onProgress, onLog) {
   if (network.apiType === 'esplora') {
-    return fetchEsploraTxHashes(network.apiBase, address, network.delayMs, signal, onProgress, onLog)
+    return fetchEsploraTxHashes(network.apiBases, address, network.delayMs, signal, onProgress, onLog)
   }
-  return fetchBlockchairTxHashes(network.apiBase, address, signal, onProgress, onLog)
+  return fetchBlockchairTxHashes(network.apiBases, address, signal, onProgress, onLog)
 }
 
 function parseAddresses(text) {
@@ -233,6 +218,15 @@ function parseAddresses(text) {
     .filter(s => s.length > 0)
 }
 
+// Failed addresses are passed to saveRun() explicitly — rows only exist for
+// addresses that completed.
+const HISTORY = {
+  tool: 'btcfetcher',
+  keyOf: r => `${r.address}:${r.hash}`,
+  statusOf: r => `${r.direction} · ${r.confirmed ? `block ${r.blockHeight}` : 'unconfirmed'}`,
+  isFailed: () => false,
+}
+
 export default function BtcFetcher() {
   useEffect(() => {
     document.title = 'BTC Fetcher'
@@ -257,7 +251,13 @@ export default function BtcFetcher() {
   const abortRef = useRef(null)
   const logEndRef = useRef(null)
 
-  const addresses = parseAddresses(addressText)
+  usePrefill(({ input, network: networkId }) => {
+    const net = NETWORKS.find(n => n.id === networkId)
+    if (net) setNetwork(net)
+    setAddressText(input)
+  })
+
+  const addresses = useMemo(() => parseAddresses(addressText), [addressText])
   const validAddresses = addresses.filter(a => network.addressRegex.test(a))
   const invalidCount = addresses.length - validAddresses.length
   const canFetch = validAddresses.length > 0 && !loading
@@ -285,6 +285,8 @@ export default function BtcFetcher() {
     return rows
   }, [flatRows, directionFilter, searchTerm])
 
+  const selection = useRowSelection(flatRows, rowKey)
+
   const totalPages = Math.ceil(filteredRows.length / pageSize)
   const startIdx = resultsPage * pageSize
   const endIdx = Math.min(startIdx + pageSize, filteredRows.length)
@@ -294,8 +296,11 @@ export default function BtcFetcher() {
     setResultsPage(0)
   }, [searchTerm, directionFilter, pageSize])
 
-  const handleFetch = useCallback(async () => {
-    if (!canFetch) return
+  // `rerun` ({ addresses, network }) bypasses state — History's "Re-run failed" starts right away
+  const handleFetch = useCallback(async (rerun = null) => {
+    const net = rerun?.network ?? network
+    const targets = rerun?.addresses ?? validAddresses
+    if (loading || targets.length === 0) return
 
     const controller = new AbortController()
     abortRef.current = controller
@@ -309,17 +314,27 @@ export default function BtcFetcher() {
     setSearchTerm('')
     setDirectionFilter('all')
     setResultsPage(0)
-    setProgress({ addrIndex: 0, totalAddrs: validAddresses.length, page: 0, found: 0 })
+    setProgress({ addrIndex: 0, totalAddrs: targets.length, page: 0, found: 0 })
 
     let grandTotal = 0
+    const startedAt = Date.now()
+    const collected = []
+    const completed = new Set()
+    const persist = () => saveRun(HISTORY, {
+      network: { id: net.id, name: net.name },
+      input: targets.join('\n'),
+      items: collected,
+      failedInputs: targets.filter(a => !completed.has(a)),
+      startedAt,
+    }).catch(err => console.error('Failed to save run history:', err))
 
     try {
-      const delay = network.delayMs
-      addLog(`Starting BTC Fetcher on ${network.name}`)
-      addLog(`API: ${network.apiLabel} (~1 req every ${delay / 1000}s)`)
-      addLog(`${validAddresses.length} address${validAddresses.length > 1 ? 'es' : ''} to process`)
+      const delay = net.delayMs
+      addLog(`Starting BTC Fetcher on ${net.name}`)
+      addLog(`API: ${net.apiLabel} (~1 req every ${delay / 1000}s)`)
+      addLog(`${targets.length} address${targets.length > 1 ? 'es' : ''} to process`)
 
-      let pending = validAddresses.map((addr, i) => ({ addr, originalIndex: i }))
+      let pending = targets.map((addr, i) => ({ addr, originalIndex: i }))
       let pass = 0
 
       while (pending.length > 0) {
@@ -335,17 +350,17 @@ export default function BtcFetcher() {
         for (let i = 0; i < pending.length; i++) {
           const { addr, originalIndex } = pending[i]
           const label = pass > 1
-            ? `[retry ${pass}] Address ${originalIndex + 1}/${validAddresses.length}: ${addr}`
-            : `Address ${originalIndex + 1}/${validAddresses.length}: ${addr}`
+            ? `[retry ${pass}] Address ${originalIndex + 1}/${targets.length}: ${addr}`
+            : `Address ${originalIndex + 1}/${targets.length}: ${addr}`
           addLog(`\n--- ${label} ---`)
-          setProgress({ addrIndex: originalIndex, totalAddrs: validAddresses.length, page: 0, found: 0 })
+          setProgress({ addrIndex: originalIndex, totalAddrs: targets.length, page: 0, found: 0 })
 
           const { txMap, failed } = await fetchAddressTxHashes(
-            network,
+            net,
             addr,
             signal,
             ({ page, found }) => {
-              setProgress({ addrIndex: originalIndex, totalAddrs: validAddresses.length, page, found })
+              setProgress({ addrIndex: originalIndex, totalAddrs: targets.length, page, found })
             },
             addLog
           )
@@ -370,6 +385,8 @@ export default function BtcFetcher() {
           }))
 
           grandTotal += newRows.length
+          collected.push(...newRows)
+          completed.add(addr)
           setFlatRows(prev => [...prev, ...newRows])
           setAddressStats(prev => [...prev, { address: addr, count: newRows.length }])
           addLog(`Address done: ${newRows.length} transaction hashes`)
@@ -383,10 +400,12 @@ export default function BtcFetcher() {
       }
 
       setProgress(null)
-      addLog(`\n=== Done! ${grandTotal.toLocaleString()} total hashes across ${validAddresses.length} address${validAddresses.length > 1 ? 'es' : ''} ===`)
+      addLog(`\n=== Done! ${grandTotal.toLocaleString()} total hashes across ${targets.length} address${targets.length > 1 ? 'es' : ''} ===`)
 
       trackUsage('btcfetcher', grandTotal)
+      persist()
     } catch (e) {
+      persist()
       if (e.name === 'AbortError') {
         addLog('Cancelled by user.')
         setProgress(null)
@@ -399,12 +418,50 @@ export default function BtcFetcher() {
       setLoading(false)
       abortRef.current = null
     }
-  }, [canFetch, validAddresses, network, addLog])
+  }, [loading, validAddresses, network, addLog])
 
   const handleCancel = () => {
     abortRef.current?.abort()
   }
 
+  // Link state: ?network=ltc&a=<address>,…
+  const shareLink = useUrlState({
+    values: { network: network.id, a: addresses },
+    defaults: { network: NETWORKS[0].id },
+    restore: (params) => {
+      const net = NETWORKS.find(n => n.id === params.network)
+      if (net) setNetwork(net)
+      if (params.a) setAddressText(listParam(params.a).join('\n'))
+    },
+    run: () => handleFetch(),
+  })
+
+  const savedNetwork = (run) => NETWORKS.find(n => n.id === run.network?.id) || network
+
+  const handleOpenRun = (run) => {
+    const net = savedNetwork(run)
+    const failed = new Set(run.failedInputs || [])
+    const counts = new Map()
+    for (const r of run.items) counts.set(r.address, (counts.get(r.address) || 0) + 1)
+    setNetwork(net)
+    setAddressText(run.input)
+    setFlatRows(run.items)
+    setAddressStats(parseAddresses(run.input)
+      .filter(a => net.addressRegex.test(a) && !failed.has(a))
+      .map(address => ({ address, count: counts.get(address) || 0 })))
+    setError(null)
+    setSearchTerm('')
+    setDirectionFilter('all')
+    setLogs([`Opened saved run from ${new Date(run.finishedAt).toLocaleString()} — ${run.items.length.toLocaleString()} hashes${failed.size ? `, ${failed.size} address${failed.size > 1 ? 'es' : ''} not completed` : ''}.`])
+  }
+
+  const handleRerunFailed = (run, failedAddresses) => {
+    const net = savedNetwork(run)
+    setNetwork(net)
+    setAddressText(failedAddresses.join('\n'))
+    handleFetch({ addresses: failedAddresses, network: net })
+  }
+
   const handleCopyFiltered = async () => {
     try {
       await navigator.clipboard.writeText(filteredRows.map(r => r.hash).join('\n'))
@@ -424,21 +481,6 @@ export default function BtcFetcher() {
     } catch { /* ignore */ }
   }
 
-  const handleDownloadCSV = () => {
-    const target = filteredRows.length < flatRows.length ? filteredRows : flatRows
-    const rows = target.map(r =>
-      `${r.address},${r.hash},"${r.direction}",${r.blockHeight || ''},${r.confirmed || ''}`
-    )
-    const csv = 'address,txHash,direction,blockHeight,confirmed\n' + rows.join('\n')
-    const blob = new Blob([csv], { type: 'text/csv' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `btc_tx_hashes_${network.id}_${addressStats.length}addrs.csv`
-    a.click()
-    URL.revokeObjectURL(url)
-  }
-
   const progressPercent = progress
     ? Math.round((progress.addrIndex / progress.totalAddrs) * 100)
     : 0
@@ -497,7 +539,7 @@ export default function BtcFetcher() {
           <div className="btcfetcher-fetch-buttons">
             <button
               className="btcfetcher-fetch-btn"
-              onClick={handleFetch}
+              onClick={() => handleFetch()}
               disabled={!canFetch}
             >
               {loading ? (
@@ -514,6 +556,13 @@ export default function BtcFetcher() {
                 Cancel
               </button>
             )}
+            <RunHistory
+              config={HISTORY}
+              onOpenRun={handleOpenRun}
+              onRerunFailed={handleRerunFailed}
+              disabled={loading}
+            />
+            <ShareLink getLink={shareLink} canAutoRun />
           </div>
 
           {progress && (
@@ -585,9 +634,16 @@ export default function BtcFetcher() {
                   <button className="btcfetcher-copy-btn" onClick={handleCopyFiltered}>
                     {copyFeedback || `Copy ${filteredRows.length === flatRows.length ? 'All' : 'Filtered'} ${filteredRows.length.toLocaleString()}`}
                   </button>
-                  <button className="btcfetcher-download-btn" onClick={handleDownloadCSV}>
-                    Download CSV
-                  </button>
+                  <ExportMenu
+                    config={EXPORT}
+                    rows={flatRows}
+                    filteredRows={filteredRows}
+                    selectedRows={selection.selectedRows}
+                    context={{ network: network.id }}
+                    fileName={`${network.id}-tx-hashes`}
+                    label="Export"
+                    buttonClassName="btcfetcher-download-btn"
+                  />
                 </div>
               </div>
             </div>
@@ -629,6 +685,14 @@ export default function BtcFetcher() {
                 </select>
                 <span>per page</span>
               </div>
+              <label className="btcfetcher-select-page">
+                <input
+                  type="checkbox"
+                  checked={selection.allSelected(pageRows)}
+                  onChange={(e) => selection.setRows(pageRows, e.target.checked)}
+                />
+                Select page
+              </label>
               <div className="btcfetcher-page-range-info">
                 {filteredRows.length > 0
                   ? `Showing ${(startIdx + 1).toLocaleString()}–${endIdx.toLocaleString()} of ${filteredRows.length.toLocaleString()}`
@@ -640,6 +704,13 @@ export default function BtcFetcher() {
             <div className="btcfetcher-hash-list">
               {pageRows.map((row, i) => (
                 <div className="btcfetcher-hash-item" key={`${row.address}-${row.hash}-${startIdx + i}`}>
+                  <span className="export-select">
+                    <input
+                      type="checkbox"
+                      checked={selection.isSelected(rowKey(row))}
+                      onChange={() => selection.toggle(rowKey(row))}
+                    />
+                  </span>
                   <span className="btcfetcher-hash-index">{(startIdx + i + 1).toLocaleString()}</span>
                   <a
                     className="btcfetcher-hash-value"
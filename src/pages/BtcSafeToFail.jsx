@@ -1,6 +1,16 @@
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, useMemo } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import RunHistory from '../components/RunHistory'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { useRowSelection } from '../hooks/useRowSelection'
+import { transportFetch } from '../utils/rpcTransport'
+import { saveRun } from '../utils/runHistory'
+import { defineExport } from '../utils/exporter'
+import { listParam, numberParam } from '../utils/urlState'
 import './BtcSafeToFail.css'
 
 // ─── Chain configurations ────────────────────────────────────────────────────
@@ -59,18 +69,14 @@ function extractTxid(raw, chainCfg) {
   )
 }
 
+// Each provider has its own response schema, so there is nothing to fail over
+// to — the transport just adds rate limiting and one retry on 429 / 5xx / timeout.
 async function safeFetch(url, timeoutMs = 14000) {
-  try {
-    const resp = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) })
-    if (resp.status === 200) {
-      const data = await resp.json()
-      return { ok: true, data }
-    }
-    if (resp.status === 404) return { ok: false, notFound: true }
-    return { ok: false, httpStatus: resp.status }
-  } catch (e) {
-    return { ok: false, error: e.message }
-  }
+  const result = await transportFetch(url, '', { timeoutMs, maxAttempts: 2 })
+  if (result.ok) return { ok: true, data: result.data }
+  if (result.status === 404) return { ok: false, notFound: true }
+  if (result.reason && !result.status) return { ok: false, error: result.reason }
+  return { ok: false, httpStatus: result.status }
 }
 
 function isRbfSignaled(inputs = []) {
@@ -990,6 +996,27 @@ function TxResultCard({ result, chainCfg }) {
   )
 }
 
+// ─── Batch run history ────────────────────────────────────────────────────────
+const HISTORY = {
+  tool:     'btc-safe-to-fail',
+  keyOf:    r => r.txid || r.input,
+  statusOf: r => r.status === 'ERROR' ? `ERROR: ${r.error}` : r.status,
+  isFailed: r => r.status === 'ERROR',
+  inputOf:  r => r.input,
+}
+
+const EXPORT = defineExport('utxo-status', [
+  { key: 'index',        value: r => r.index },
+  { key: 'tx_id',        value: r => r.txid || r.input },
+  { key: 'status',       value: r => r.status },
+  { key: 'spending_tx',  value: r => r.replacedBy },
+  { key: 'block_height', value: r => r.blockHeight },
+  { key: 'error',        value: r => r.error },
+  { key: 'chain',        value: (_, ctx) => ctx.chain },
+])
+
+const batchKey = (r) => r.index
+
 // ─── Main page ────────────────────────────────────────────────────────────────
 function BtcSafeToFail() {
   // ── Chain selector ──
@@ -1021,6 +1048,17 @@ function BtcSafeToFail() {
   const [batchStatusFilter, setBatchStatusFilter] = useState('all')
   const abortRef = useRef(false)
 
+  // Several txids from the command bar go straight to batch mode
+  usePrefill(({ input: text, chain: prefillChain }) => {
+    if (CHAINS[prefillChain] && !processing) setChain(prefillChain)
+    setInput(text)
+    setResults([])
+    setBatchRows([])
+    setViewMode(text.trim().split(/\s+/).length > 1 ? 'batch' : 'detail')
+  })
+
+  const inputItems = useMemo(() => input.trim().split(/[\s,\n]+/).filter(Boolean), [input])
+
   const handleChainChange = (newChain) => {
     if (newChain === chain || processing) return
     setChain(newChain)
@@ -1046,11 +1084,15 @@ function BtcSafeToFail() {
   }, [processing, viewMode])
 
   // ── Detail mode submit ──
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault()
+    runDetail()
+  }
+
+  const runDetail = async () => {
     if (!input.trim()) return
 
-    const items = input.trim().split(/[\s,\n]+/).filter(x => x.trim())
+    const items = inputItems
     trackUsage(C.id, items.length)
     setProcessing(true)
     setResults([])
@@ -1077,11 +1119,15 @@ function BtcSafeToFail() {
   }
 
   // ── Batch mode: run with concurrency + rate limiting ──
-  const handleBatchRun = async () => {
-    if (!input.trim()) return
-    const items = input.trim().split(/[\s,\n]+/).filter(x => x.trim())
-
-    trackUsage(C.id, items.length)
+  // `rerun` ({ input, chain }) bypasses state — History's "Re-run failed" starts right away
+  const handleBatchRun = async (rerun = null) => {
+    const source = rerun?.input ?? input
+    if (!source.trim()) return
+    const items = source.trim().split(/[\s,\n]+/).filter(x => x.trim())
+    const cfg = CHAINS[rerun?.chain ?? chain]
+    const startedAt = Date.now()
+
+    trackUsage(cfg.id, items.length)
     abortRef.current = false
     setProcessing(true)
     setBatchRows([])
@@ -1102,8 +1148,8 @@ function BtcSafeToFail() {
 
         const rowIndex = i + bIdx + 1
         try {
-          const txid = extractTxid(item, C)
-          const d    = await analyzeTx(txid, C)
+          const txid = extractTxid(item, cfg)
+          const d    = await analyzeTx(txid, cfg)
           rowsRef.push({
             index:               rowIndex,
             input:               item,
@@ -1127,34 +1173,65 @@ function BtcSafeToFail() {
       }
     }
     setProcessing(false)
+    if (rowsRef.length > 0) {
+      saveRun(HISTORY, {
+        network:  { id: cfg.id, name: cfg.label },
+        settings: { batchConcurrency, batchDelay },
+        input:    source,
+        items:    [...rowsRef].sort((a, b) => a.index - b.index),
+        startedAt,
+      }).catch(err => console.error('Failed to save run history:', err))
+    }
   }
 
-  const handleStop = () => { abortRef.current = true }
+  // ── Batch run history ──
+  const restoreBatchSetup = (run) => {
+    const savedChain = Object.keys(CHAINS).find(k => CHAINS[k].id === run.network?.id) || chain
+    setChain(savedChain)
+    setViewMode('batch')
+    if (run.settings.batchConcurrency != null) setBatchConcurrency(run.settings.batchConcurrency)
+    if (run.settings.batchDelay != null) setBatchDelay(run.settings.batchDelay)
+    return savedChain
+  }
 
-  // ── CSV download ──
-  const downloadCSV = () => {
-    if (batchRows.length === 0) return
-    const header = ['#', 'Checked TX', 'Status', 'Spending TX', 'Block']
-    const rows = batchRows.map(r => [
-      r.index,
-      `"${r.txid || r.input}"`,
-      r.status,
-      r.replacedBy  || '',
-      r.blockHeight || '',
-    ])
-    const csv = [header.join(','), ...rows.map(r => r.join(','))].join('\n')
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url  = URL.createObjectURL(blob)
-    const a    = document.createElement('a')
-    a.href     = url
-    a.download = `${C.id}-status-${Date.now()}.csv`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
+  const handleOpenRun = (run) => {
+    restoreBatchSetup(run)
+    setInput(run.input)
+    setResults([])
+    setBatchRows(run.items)
+    setBatchProgress({ current: run.items.length, total: run.items.length })
+    setBatchPage(1)
   }
 
-  // ── Batch table: filter + paginate ──
+  const handleRerunFailed = (run, items) => {
+    const savedChain = restoreBatchSetup(run)
+    const text = items.join('\n')
+    setInput(text)
+    handleBatchRun({ input: text, chain: savedChain })
+  }
+
+  const handleStop = () => { abortRef.current = true }
+
+  // ── Link state: ?chain=ltc&tx=<txid>,…&mode=batch&c=3&delay=2000 ──
+  const shareLink = useUrlState({
+    values: {
+      chain,
+      tx: inputItems,
+      mode: viewMode,
+      c: viewMode === 'batch' ? batchConcurrency : '',
+      delay: viewMode === 'batch' ? batchDelay : '',
+    },
+    defaults: { chain: 'btc', mode: 'detail', c: 2, delay: 1000 },
+    restore: (params) => {
+      if (CHAINS[params.chain]) setChain(params.chain)
+      if (params.tx) setInput(listParam(params.tx).join('\n'))
+      if (params.mode === 'batch') setViewMode('batch')
+      if ([1, 2, 3, 5].includes(numberParam(params.c))) setBatchConcurrency(Number(params.c))
+      if ([500, 1000, 2000, 3000].includes(numberParam(params.delay))) setBatchDelay(Number(params.delay))
+    },
+    run: () => (viewMode === 'batch' ? handleBatchRun() : runDetail()),
+  })
+
   const filteredBatch = batchRows.filter(r => {
     const matchStatus = batchStatusFilter === 'all' || r.status === batchStatusFilter
     const q = batchSearch.toLowerCase()
@@ -1162,6 +1239,7 @@ function BtcSafeToFail() {
                         (r.replacedBy || '').toLowerCase().includes(q)
     return matchStatus && matchSearch
   })
+  const selection         = useRowSelection(batchRows, batchKey)
   const batchTotalPages   = Math.max(1, Math.ceil(filteredBatch.length / batchPerPage))
   const paginatedBatch    = filteredBatch.slice((batchPage - 1) * batchPerPage, batchPage * batchPerPage)
 
@@ -1259,6 +1337,15 @@ function BtcSafeToFail() {
             {processing && viewMode === 'batch' && (
               <button type="button" className="stop-btn" onClick={handleStop}>⏹ Stop</button>
             )}
+            {viewMode === 'batch' && (
+              <RunHistory
+                config={HISTORY}
+                onOpenRun={handleOpenRun}
+                onRerunFailed={handleRerunFailed}
+                disabled={processing}
+              />
+            )}
+            <ShareLink getLink={shareLink} canAutoRun />
           </div>
         </form>
 
@@ -1308,7 +1395,15 @@ function BtcSafeToFail() {
                 <span className="bs-orphaned">{batchRows.filter(r => r.status === 'ORPHANED').length} orphaned</span>
                 <span className="bs-unconfirmed">{batchRows.filter(r => r.status === 'UNCONFIRMED').length} unconfirmed</span>
               </div>
-              <button className="download-btn" onClick={downloadCSV}>⬇ CSV</button>
+              <ExportMenu
+                config={EXPORT}
+                rows={batchRows}
+                filteredRows={filteredBatch}
+                selectedRows={selection.selectedRows}
+                context={{ chain: C.id }}
+                fileName={`${C.id}-status`}
+                buttonClassName="download-btn"
+              />
             </div>
 
             {/* Controls */}
@@ -1351,6 +1446,14 @@ function BtcSafeToFail() {
               <table className="batch-table">
                 <thead>
                   <tr>
+                    <th className="export-select">
+                      <input
+                        type="checkbox"
+                        checked={selection.allSelected(paginatedBatch)}
+                        onChange={e => selection.setRows(paginatedBatch, e.target.checked)}
+                        title="Select this page for export"
+                      />
+                    </th>
                     <th>#</th>
                     <th>Checked TX</th>
                     <th>Status</th>
@@ -1361,6 +1464,9 @@ function BtcSafeToFail() {
                 <tbody>
                   {paginatedBatch.map(r => (
                     <tr key={r.index} className={BATCH_STATUS_COLORS[r.status] || ''}>
+                      <td className="export-select">
+                        <input type="checkbox" checked={selection.isSelected(r.index)} onChange={() => selection.toggle(r.index)} />
+                      </td>
                       <td className="bt-idx">{r.index}</td>
                       <td className="bt-hash">
                         {r.txid
@@ -1,10 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { API_BASE, WS_BASE } from '../config/api'
 import './CallbackHandler.css'
 
-const API_BASE = 'https://delicate-haze-2a16.tm8six.workers.dev'
-const WS_BASE = API_BASE.replace(/^http/, 'ws')
-
 function timeAgo(ts) {
   const ms = typeof ts === 'number' ? ts : new Date(ts).getTime()
   if (isNaN(ms)) return ''
@@ -30,11 +28,11 @@ function decodeJwtPayload(jwt) {
   }
 }
 
-/** Verify an externalTxId HMAC-SHA256 signature against a secret key (64 hex chars).
+/** Verify an externalTxId Ed25519 signature against a public key (64 hex chars).
  *  Returns 'valid' | 'invalid' | 'no-id' | 'bad-key' */
-async function verifyExternalTxId(externalTxId, secretKeyHex) {
+async function verifyExternalTxId(externalTxId, publicKeyHex) {
   if (!externalTxId) return 'no-id'
-  if (!secretKeyHex || secretKeyHex.length !== 64) return 'bad-key'
+  if (!publicKeyHex || publicKeyHex.length !== 64) return 'bad-key'
   const parts = externalTxId.split('.')
   if (parts.length !== 2) return 'invalid'
   function fromBase64Url(str) {
@@ -54,9 +52,9 @@ async function verifyExternalTxId(externalTxId, secretKeyHex) {
     const idBytes = fromBase64Url(parts[0])
     const sigBytes = fromBase64Url(parts[1])
     const key = await crypto.subtle.importKey(
-      'raw', fromHex(secretKeyHex), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+      'raw', fromHex(publicKeyHex), { name: 'Ed25519' }, false, ['verify']
     )
-    const ok = await crypto.subtle.verify('HMAC', key, sigBytes, idBytes)
+    const ok = await crypto.subtle.verify({ name: 'Ed25519' }, key, sigBytes, idBytes)
     return ok ? 'valid' : 'invalid'
   } catch {
     return 'invalid'
@@ -601,7 +599,7 @@ function RuleEditor({ rule, isNew, onSave, onCancel }) {
               type="text"
               value={extTxIdPubKey}
               onChange={e => setExtTxIdPubKey(e.target.value.trim())}
-              placeholder="HMAC-SHA256 secret key (64 hex chars) — from TxId Generator or Faucet"
+              placeholder="Ed25519 public key (64 hex chars) — from TxId Generator or Faucet"
               spellCheck={false}
             />
             {extTxIdPubKey.length > 0 && extTxIdPubKey.length !== 64 && (
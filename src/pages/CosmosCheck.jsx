@@ -1,537 +1,99 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import RunHistory from '../components/RunHistory'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { getChainsByFamily, primaryExplorer, explorerTxUrl } from '../config/chains'
+import { useCustomNetworks } from '../hooks/useCustomNetworks'
+import { transportFetch } from '../utils/rpcTransport'
+import { corsError, corsFallbackUrl, isProxyAllowed } from '../config/proxy'
+import { saveRun } from '../utils/runHistory'
+import { defineExport } from '../utils/exporter'
+import { listParam } from '../utils/urlState'
+import { base64ToBytes, extractTimeoutHeight, detectChain, computeTxHash } from '../utils/cosmosTx'
 import './CosmosCheck.css'
 
-// CORS proxy used as a fallback when an endpoint lacks CORS headers.
-// We race direct + proxied requests so the fastest reachable one wins.
-const CORS_PROXY = 'https://corsproxy.io/?url='
-
-// Per-chain endpoints:
-//   - heightUrl: used to fetch the current block height (fast pruned node is fine)
-//   - txLookupUrls: queried in PARALLEL. Each URL is tried both directly and through
-//     the CORS proxy. The first node returning "found" wins.
+// Per-chain endpoints, derived from the shared chain registry:
+//   - txLookupUrls: queried in PARALLEL. Each URL is tried directly and, when it is a
+//     registry endpoint, through our /api/proxy. The first node returning "found" wins.
 //     Mix of pruned public nodes (fast path for recent txs) and archive nodes
 //     (historical coverage). Archive sources: Polkachu, ecostake, numia, cosmos.directory.
-const CHAIN_ENDPOINTS = {
-  cosmos_mainnet: {
-    label: 'Cosmos Hub (Mainnet)',
-    fireblocksId: 'ATOM_COS',
-    fireblocksRescanSupported: true,
-    heightUrl: 'https://cosmos-rest.publicnode.com',
-    txLookupUrls: [
-      'https://cosmos-rest.publicnode.com',
-      'https://lcd-cosmos.cosmostation.io',
-      'https://rest.cosmos.directory/cosmoshub',
-      'https://cosmos-api.polkachu.com',
-      'https://rest-cosmoshub.ecostake.com',
-      'https://cosmos-lcd.quickapi.com',
-    ],
-    explorer: 'https://www.mintscan.io/cosmos/txs/',
-    bech32Prefix: 'cosmos',
-  },
-  osmosis_mainnet: {
-    label: 'Osmosis (Mainnet)',
-    fireblocksId: 'OSMO',
-    fireblocksRescanSupported: true,
-    heightUrl: 'https://osmosis-rest.publicnode.com',
-    txLookupUrls: [
-      'https://osmosis-rest.publicnode.com',
-      'https://lcd-osmosis.cosmostation.io',
-      'https://rest.cosmos.directory/osmosis',
-      'https://osmosis-api.polkachu.com',
-      'https://rest.osmosis.zone',
-      'https://osmosis-lcd.quickapi.com',
-    ],
-    explorer: 'https://www.mintscan.io/osmosis/txs/',
-    bech32Prefix: 'osmo',
-  },
-  celestia_mainnet: {
-    label: 'Celestia (Mainnet)',
-    fireblocksId: 'CELESTIA',
-    fireblocksRescanSupported: true,
-    heightUrl: 'https://celestia-rest.publicnode.com',
-    txLookupUrls: [
-      'https://celestia-rest.publicnode.com',
-      'https://rest.cosmos.directory/celestia',
-      'https://public-celestia-lcd.numia.xyz',
-      'https://celestia-api.polkachu.com',
-      'https://api-celestia.mzonder.com',
-    ],
-    explorer: 'https://www.mintscan.io/celestia/txs/',
-    bech32Prefix: 'celestia',
-  },
-  injective_mainnet: {
-    label: 'Injective (Mainnet)',
-    fireblocksId: 'INJ_INJ',
-    heightUrl: 'https://injective-rest.publicnode.com',
-    txLookupUrls: [
-      'https://injective-rest.publicnode.com',
-      'https://lcd-injective.cosmostation.io',
-      'https://rest.cosmos.directory/injective',
-      'https://injective-api.polkachu.com',
-      'https://sentry.lcd.injective.network',
-    ],
-    explorer: 'https://www.mintscan.io/injective/txs/',
-    bech32Prefix: 'inj',
-  },
-  dydx_mainnet: {
-    label: 'dYdX (Mainnet)',
-    fireblocksId: 'DYDX_DYDX',
-    fireblocksRescanSupported: true,
-    heightUrl: 'https://dydx-rest.publicnode.com',
-    txLookupUrls: [
-      'https://dydx-rest.publicnode.com',
-      'https://rest.cosmos.directory/dydx',
-      'https://dydx-api.polkachu.com',
-      'https://dydx-dao-api.polkachu.com',
-      'https://dydx-mainnet-lcd.autostake.com',
-    ],
-    explorer: 'https://www.mintscan.io/dydx/txs/',
-    bech32Prefix: 'dydx',
-  },
-  thor_mainnet: {
-    label: 'THORChain (Mainnet)',
-    fireblocksId: 'RUNE_THOR',
-    fireblocksRescanSupported: true,
-    // Note: thornode.ninerealms.com does a 301 to liquify gateway which breaks
-    // cross-origin redirects in the browser. Use cosmos.directory as primary.
-    heightUrl: 'https://rest.cosmos.directory/thorchain',
-    txLookupUrls: [
-      'https://rest.cosmos.directory/thorchain',
-      'https://thornode.ninerealms.com',
-      'https://thornode-v2.ninerealms.com',
-    ],
-    explorer: 'https://www.mintscan.io/thorchain/txs/',
-    bech32Prefix: 'thor',
-  },
-  kava_mainnet: {
-    label: 'Kava (Mainnet)',
-    heightUrl: 'https://kava-rest.publicnode.com',
-    txLookupUrls: [
-      'https://kava-rest.publicnode.com',
-      'https://lcd-kava.cosmostation.io',
-      'https://rest.cosmos.directory/kava',
-      'https://kava-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/kava/txs/',
-    bech32Prefix: 'kava',
-  },
-  axelar_mainnet: {
-    label: 'Axelar (Mainnet)',
-    fireblocksId: 'AXL',
-    fireblocksRescanSupported: true,
-    heightUrl: 'https://axelar-rest.publicnode.com',
-    txLookupUrls: [
-      'https://axelar-rest.publicnode.com',
-      'https://lcd-axelar.cosmostation.io',
-      'https://rest.cosmos.directory/axelar',
-      'https://axelar-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/axelar/txs/',
-    bech32Prefix: 'axelar',
-  },
-  noble_mainnet: {
-    label: 'Noble (Mainnet)',
-    heightUrl: 'https://noble-api.polkachu.com',
-    txLookupUrls: [
-      'https://noble-api.polkachu.com',
-      'https://rest.cosmos.directory/noble',
-      'https://lcd-noble.cosmostation.io',
-    ],
-    explorer: 'https://www.mintscan.io/noble/txs/',
-    bech32Prefix: 'noble',
-  },
-  kujira_mainnet: {
-    label: 'Kujira (Mainnet)',
-    heightUrl: 'https://kujira-rest.publicnode.com',
-    txLookupUrls: [
-      'https://kujira-rest.publicnode.com',
-      'https://lcd-kujira.cosmostation.io',
-      'https://rest.cosmos.directory/kujira',
-      'https://kujira-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/kujira/txs/',
-    bech32Prefix: 'kujira',
-  },
-  stargaze_mainnet: {
-    label: 'Stargaze (Mainnet)',
-    heightUrl: 'https://stargaze-rest.publicnode.com',
-    txLookupUrls: [
-      'https://stargaze-rest.publicnode.com',
-      'https://lcd-stargaze.cosmostation.io',
-      'https://rest.cosmos.directory/stargaze',
-      'https://stargaze-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/stargaze/txs/',
-    bech32Prefix: 'stars',
-  },
-  stride_mainnet: {
-    label: 'Stride (Mainnet)',
-    heightUrl: 'https://stride-rest.publicnode.com',
-    txLookupUrls: [
-      'https://stride-rest.publicnode.com',
-      'https://lcd-stride.cosmostation.io',
-      'https://rest.cosmos.directory/stride',
-      'https://stride-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/stride/txs/',
-    bech32Prefix: 'stride',
-  },
-  sei_mainnet: {
-    label: 'Sei (Mainnet)',
-    heightUrl: 'https://sei-rest.publicnode.com',
-    txLookupUrls: [
-      'https://sei-rest.publicnode.com',
-      'https://lcd-sei.cosmostation.io',
-      'https://rest.cosmos.directory/sei',
-      'https://sei-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/sei/txs/',
-    bech32Prefix: 'sei',
-  },
-  neutron_mainnet: {
-    label: 'Neutron (Mainnet)',
-    heightUrl: 'https://neutron-rest.publicnode.com',
-    txLookupUrls: [
-      'https://neutron-rest.publicnode.com',
-      'https://lcd-neutron.cosmostation.io',
-      'https://rest.cosmos.directory/neutron',
-      'https://neutron-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/neutron/txs/',
-    bech32Prefix: 'neutron',
-  },
-  akash_mainnet: {
-    label: 'Akash (Mainnet)',
-    heightUrl: 'https://akash-rest.publicnode.com',
-    txLookupUrls: [
-      'https://akash-rest.publicnode.com',
-      'https://lcd-akash.cosmostation.io',
-      'https://rest.cosmos.directory/akash',
-      'https://akash-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/akash/txs/',
-    bech32Prefix: 'akash',
-  },
-  juno_mainnet: {
-    label: 'Juno (Mainnet)',
-    heightUrl: 'https://juno-rest.publicnode.com',
-    txLookupUrls: [
-      'https://juno-rest.publicnode.com',
-      'https://rest.cosmos.directory/juno',
-      'https://juno-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/juno/txs/',
-    bech32Prefix: 'juno',
-  },
-  persistence_mainnet: {
-    label: 'Persistence (Mainnet)',
-    heightUrl: 'https://persistence-rest.publicnode.com',
-    txLookupUrls: [
-      'https://persistence-rest.publicnode.com',
-      'https://lcd-persistence.cosmostation.io',
-      'https://rest.cosmos.directory/persistence',
-      'https://persistence-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/persistence/txs/',
-    bech32Prefix: 'persistence',
-  },
-  mantra_mainnet: {
-    label: 'MANTRA (Mainnet)',
-    // publicnode returns 403; use cosmos.directory + Polkachu
-    heightUrl: 'https://rest.cosmos.directory/mantrachain',
-    txLookupUrls: [
-      'https://rest.cosmos.directory/mantrachain',
-      'https://mantra-api.polkachu.com',
-      'https://lcd-mantra.cosmostation.io',
-    ],
-    explorer: 'https://www.mintscan.io/mantra/txs/',
-    bech32Prefix: 'mantra',
-  },
-  zigchain_mainnet: {
-    label: 'ZIGChain (Mainnet)',
-    heightUrl: 'https://rest.cosmos.directory/zigchain',
-    txLookupUrls: [
-      'https://rest.cosmos.directory/zigchain',
-      'https://zigchain-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/zigchain/txs/',
-    bech32Prefix: 'zig',
-  },
-  initia_mainnet: {
-    label: 'Initia (Mainnet)',
-    heightUrl: 'https://rest.initia.xyz',
-    txLookupUrls: [
-      'https://rest.initia.xyz',
-      'https://rest.cosmos.directory/initia',
-      'https://initia-api.polkachu.com',
-    ],
-    explorer: 'https://scan.initia.xyz/initia-1/txs/',
-    bech32Prefix: 'init',
-  },
-  babylon_mainnet: {
-    label: 'Babylon (Mainnet)',
-    heightUrl: 'https://babylon-rest.publicnode.com',
-    txLookupUrls: [
-      'https://babylon-rest.publicnode.com',
-      'https://rest.cosmos.directory/babylon',
-      'https://babylon-api.polkachu.com',
-    ],
-    explorer: 'https://www.mintscan.io/babylon/txs/',
-    bech32Prefix: 'bbn',
-  },
-  cosmos_testnet: {
-    label: 'Cosmos Hub (Testnet)',
-    fireblocksId: 'ATOM_COS_TEST',
-    fireblocksRescanSupported: true,
-    heightUrl: 'https://rest.testcosmos.directory/cosmoshubtestnet',
-    txLookupUrls: ['https://rest.testcosmos.directory/cosmoshubtestnet'],
-    explorer: null,
-    bech32Prefix: 'cosmos',
-  },
-  osmosis_testnet: {
-    label: 'Osmosis (Testnet)',
-    heightUrl: 'https://rest.testcosmos.directory/osmosistestnet',
-    txLookupUrls: ['https://rest.testcosmos.directory/osmosistestnet'],
-    explorer: null,
-    bech32Prefix: 'osmo',
-  },
-  celestia_testnet: {
-    label: 'Celestia (Testnet)',
-    fireblocksId: 'CELESTIA_TEST',
-    fireblocksRescanSupported: true,
-    heightUrl: 'https://celestia-mocha-rest.publicnode.com',
-    txLookupUrls: ['https://celestia-mocha-rest.publicnode.com'],
-    explorer: null,
-    bech32Prefix: 'celestia',
-  },
-  injective_testnet: {
-    label: 'Injective (Testnet)',
-    heightUrl: 'https://injective-testnet-rest.publicnode.com',
-    txLookupUrls: ['https://injective-testnet-rest.publicnode.com'],
-    explorer: null,
-    bech32Prefix: 'inj',
-  },
-}
-
-// Maps a bech32 HRP (human-readable prefix) to the nicest chain key to suggest.
-// Keys are the prefix as found in the TX; values are the chain key in CHAIN_ENDPOINTS.
-const PREFIX_TO_CHAIN = {
-  cosmos: 'cosmos_mainnet',
-  osmo: 'osmosis_mainnet',
-  celestia: 'celestia_mainnet',
-  inj: 'injective_mainnet',
-  dydx: 'dydx_mainnet',
-  thor: 'thor_mainnet',
-  kava: 'kava_mainnet',
-  axelar: 'axelar_mainnet',
-  noble: 'noble_mainnet',
-  kujira: 'kujira_mainnet',
-  stars: 'stargaze_mainnet',
-  stride: 'stride_mainnet',
-  sei: 'sei_mainnet',
-  neutron: 'neutron_mainnet',
-  akash: 'akash_mainnet',
-  juno: 'juno_mainnet',
-  persistence: 'persistence_mainnet',
-  mantra: 'mantra_mainnet',
-  zig: 'zigchain_mainnet',
-  init: 'initia_mainnet',
-  bbn: 'babylon_mainnet',
-}
-
-// TypeURL fragments that uniquely identify a chain family (when the bech32
-// prefix alone isn't enough). THORChain's `/types.Msg*` is its tell-tale sign.
-const TYPE_URL_HINTS = [
-  { pattern: /^\/types\.Msg(Send|Deposit|ObservedTx|Swap|Outbound)/, chain: 'thor_mainnet' },
-  { pattern: /^\/injective\./, chain: 'injective_mainnet' },
-  { pattern: /^\/osmosis\./, chain: 'osmosis_mainnet' },
-  { pattern: /^\/celestia\./, chain: 'celestia_mainnet' },
-  { pattern: /^\/dydx(protocol)?\./, chain: 'dydx_mainnet' },
-]
-
-// ─── Minimal in-browser protobuf parser ──────────────────────────────────────
-// Cosmos Tx proto structure:
-//   Tx.body               = field 1, wire type 2 (length-delimited)
-//   TxBody.timeout_height = field 3, wire type 0 (varint)
-
-function readVarint(bytes, pos) {
-  let result = 0
-  let shift = 0
-  while (pos < bytes.length) {
-    const byte = bytes[pos++]
-    result |= (byte & 0x7f) << shift
-    if ((byte & 0x80) === 0) break
-    shift += 7
-  }
-  return { value: result >>> 0, pos }
-}
-
-function parseFields(bytes) {
-  const fields = {}
-  let pos = 0
-  while (pos < bytes.length) {
-    if (pos >= bytes.length) break
-    const { value: tag, pos: p1 } = readVarint(bytes, pos)
-    pos = p1
-    const fieldNum = tag >>> 3
-    const wireType = tag & 0x7
-
-    if (wireType === 0) {
-      const { value, pos: p2 } = readVarint(bytes, pos)
-      pos = p2
-      if (!fields[fieldNum]) fields[fieldNum] = []
-      fields[fieldNum].push(value)
-    } else if (wireType === 2) {
-      const { value: len, pos: p2 } = readVarint(bytes, pos)
-      pos = p2
-      const data = bytes.slice(pos, pos + len)
-      pos += len
-      if (!fields[fieldNum]) fields[fieldNum] = []
-      fields[fieldNum].push(data)
-    } else if (wireType === 1) {
-      pos += 8
-    } else if (wireType === 5) {
-      pos += 4
-    } else {
-      break
-    }
-  }
-  return fields
-}
-
-function base64ToBytes(base64Tx) {
-  const normalized = base64Tx.trim().replace(/-/g, '+').replace(/_/g, '/')
-  let binary
-  try {
-    binary = atob(normalized)
-  } catch {
-    throw new Error('Invalid base64 — could not decode the raw transaction.')
-  }
-  const bytes = new Uint8Array(binary.length)
-  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
-  return bytes
-}
-
-function extractTimeoutHeight(txBytes) {
-  // Parse outer Tx: field 1 = TxBody
-  const txFields = parseFields(txBytes)
-  if (!txFields[1] || txFields[1].length === 0) {
-    throw new Error('Could not find TxBody in transaction. Is this a valid Cosmos raw TX?')
-  }
-  // Parse TxBody: field 3 = timeout_height (uint64)
-  const bodyFields = parseFields(txFields[1][0])
-  return bodyFields[3] ? bodyFields[3][0] : 0
-}
-
-// Extracts all message type URLs from TxBody.messages[].type_url.
-// E.g. "/cosmos.bank.v1beta1.MsgSend" (generic) or "/types.MsgSend" (THORChain).
-function extractTypeUrls(txBytes) {
-  const txFields = parseFields(txBytes)
-  if (!txFields[1] || txFields[1].length === 0) return []
-  const bodyFields = parseFields(txFields[1][0])
-  if (!bodyFields[1]) return []
-  const typeUrls = []
-  const decoder = new TextDecoder()
-  for (const msgBytes of bodyFields[1]) {
-    const msgFields = parseFields(msgBytes)
-    if (msgFields[1] && msgFields[1][0]) {
-      try { typeUrls.push(decoder.decode(msgFields[1][0])) } catch { /* skip */ }
-    }
-  }
-  return typeUrls
-}
-
-// Scans the TX bytes (interpreted as latin1 text) for bech32-style addresses
-// and returns the set of unique HRPs (e.g. "cosmos", "thor", "osmo"). Used to
-// detect what chain the TX was built for.
-function extractBech32Prefixes(txBytes) {
-  const text = new TextDecoder('latin1').decode(txBytes)
-  // bech32: HRP (lowercase letters) + "1" + data chars (a-z0-9 minus b,i,o,1)
-  const re = /([a-z]{2,16})1[023456789acdefghjklmnpqrstuvwxyz]{30,90}/g
-  const prefixes = new Set()
-  let m
-  while ((m = re.exec(text)) !== null) {
-    prefixes.add(m[1])
-  }
-  return prefixes
-}
-
-// Returns the most likely chain key for this TX based on address prefixes and
-// typeURL hints, or null if we can't tell.
-function detectChain(txBytes) {
-  const typeUrls = extractTypeUrls(txBytes)
-  for (const url of typeUrls) {
-    for (const hint of TYPE_URL_HINTS) {
-      if (hint.pattern.test(url)) return { chain: hint.chain, reason: `type URL "${url}"` }
-    }
-  }
-  const prefixes = extractBech32Prefixes(txBytes)
-  for (const prefix of prefixes) {
-    if (PREFIX_TO_CHAIN[prefix]) {
-      return { chain: PREFIX_TO_CHAIN[prefix], reason: `address prefix "${prefix}1..."` }
-    }
-  }
-  return null
-}
-
-async function computeTxHash(txBytes) {
-  const hashBuffer = await crypto.subtle.digest('SHA-256', txBytes)
-  return Array.from(new Uint8Array(hashBuffer))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('')
-    .toUpperCase()
-}
+//     The same list, in order, is the failover chain for the current block height.
+const toEndpointConfig = (c) => ({
+  label: c.custom ? `${c.name} (custom)` : c.testnet ? c.name : `${c.name} (Mainnet)`,
+  fireblocksId: c.fireblocksId,
+  fireblocksRescanSupported: !!c.fireblocksRescanSupported,
+  txLookupUrls: c.rpcs,
+  explorer: primaryExplorer(c),
+  bech32Prefix: c.bech32Prefix,
+  testnet: !!c.testnet,
+  custom: !!c.custom,
+})
+
+const CHAIN_ENDPOINTS = Object.fromEntries(getChainsByFamily('cosmos').map(c => [c.id, toEndpointConfig(c)]))
 
 // ─── Chain REST API ──────────────────────────────────────────────────────────
 
-async function fetchBlockHeightFrom(url) {
-  const res = await fetch(url, { signal: AbortSignal.timeout(12000) })
-  if (!res.ok) throw new Error(`HTTP ${res.status}`)
-  const data = await res.json()
+const LATEST_BLOCK_PATH = '/cosmos/base/tendermint/v1beta1/blocks/latest'
+
+function parseBlockHeight(data) {
   const height = parseInt(data?.block?.header?.height, 10)
-  if (!height || isNaN(height)) throw new Error('Unexpected response format')
-  return height
+  return height && !isNaN(height) ? height : null
 }
 
-// Tries direct first; on any failure (CORS, redirect, network) falls back to
-// the CORS proxy. This covers endpoints that redirect cross-origin (e.g.
-// thornode.ninerealms.com → gateway.liquify.com) which browsers block.
-async function fetchBlockHeight(endpointUrl) {
-  const target = `${endpointUrl}/cosmos/base/tendermint/v1beta1/blocks/latest`
-  try {
-    return await fetchBlockHeightFrom(target)
-  } catch (directErr) {
-    try {
-      return await fetchBlockHeightFrom(`${CORS_PROXY}${encodeURIComponent(target)}`)
-    } catch {
-      // Preserve the original error — it's more useful than the proxy's
-      throw directErr
-    }
+// Any endpoint can answer "what's the latest block", so the shared transport
+// fails over across all of them (fast pruned nodes first). If none answer
+// directly (CORS, cross-origin redirects such as thornode.ninerealms.com →
+// gateway.liquify.com), the registry endpoints are retried through the proxy.
+async function fetchBlockHeight(endpoints) {
+  const options = {
+    timeoutMs: 12000,
+    maxAttempts: endpoints.length,
+    retryIf: (data, res) => (!res.ok ? `HTTP ${res.status}` : parseBlockHeight(data) ? null : 'Unexpected response format'),
   }
+  const direct = await transportFetch(endpoints, LATEST_BLOCK_PATH, options)
+  if (direct.ok) return parseBlockHeight(direct.data)
+
+  const fallbacks = endpoints.map(url => corsFallbackUrl(url + LATEST_BLOCK_PATH)).filter(Boolean)
+  if (fallbacks.length === 0) throw new Error(corsError(endpoints[0], direct.error))
+  const proxied = await transportFetch(fallbacks, '', { ...options, maxAttempts: fallbacks.length })
+  if (proxied.ok) return parseBlockHeight(proxied.data)
+  // Preserve the direct error — it's more useful than the proxy's
+  throw new Error(direct.error)
 }
 
 // Builds the URL that will actually be fetched. If useProxy=true we wrap the
-// target URL in a public CORS proxy so the browser can reach nodes without
-// CORS headers. The proxy simply forwards the GET.
+// target URL in our allow-listed /api/proxy so the browser can reach registry
+// nodes without CORS headers (hosts outside the registry are never proxied).
+// The proxy simply forwards the GET.
 function buildLookupUrl(baseUrl, txHash, useProxy) {
   const target = `${baseUrl}/cosmos/tx/v1beta1/txs/${txHash}`
-  return useProxy ? `${CORS_PROXY}${encodeURIComponent(target)}` : target
+  return useProxy ? corsFallbackUrl(target) : target
 }
 
 async function checkTxAtEndpoint(baseUrl, txHash, useProxy) {
   const url = buildLookupUrl(baseUrl, txHash, useProxy)
-  const res = await fetch(url, { signal: AbortSignal.timeout(12000) })
+  // Some nodes answer "tx not found" with a 500, so that status is inspected below rather than retried
+  const res = await transportFetch(url, '', {
+    timeoutMs: 12000,
+    maxAttempts: 2,
+    parse: 'text',
+    retryStatuses: [408, 429, 502, 503, 504],
+  })
+  if (res.reason) throw new Error(!res.status && !useProxy && !isProxyAllowed(url) ? corsError(url, res.reason) : res.reason)
   if (res.status === 404) return { status: 'not_found' }
+  const text = res.data || ''
   if (!res.ok) {
-    const text = await res.text().catch(() => '')
     if (text.toLowerCase().includes('not found') || text.toLowerCase().includes('tx not found')) {
       return { status: 'not_found' }
     }
     throw new Error(`HTTP ${res.status}`)
   }
-  const data = await res.json().catch(() => null)
+  let data = null
+  try { data = JSON.parse(text) } catch { /* handled below */ }
   if (!data) throw new Error('Invalid JSON response')
   const txr = data?.tx_response
   if (!txr) {
@@ -558,7 +120,7 @@ async function checkTxOnChain(txLookupUrls, txHash) {
   const attempts = []
   for (const url of txLookupUrls) {
     attempts.push({ url, useProxy: false })
-    attempts.push({ url, useProxy: true })
+    if (isProxyAllowed(url)) attempts.push({ url, useProxy: true })
   }
 
   const outcomes = new Array(attempts.length)
@@ -594,6 +156,38 @@ async function checkTxOnChain(txLookupUrls, txHash) {
   })
 }
 
+// ─── Run history ────────────────────────────────────────────────────────────
+
+function safetyLabel(safeToFail) {
+  if (safeToFail === true) return 'safe to fail'
+  if (safeToFail === false) return 'NOT safe to fail'
+  return 'verify manually'
+}
+
+const HISTORY = {
+  tool: 'cosmos-check',
+  keyOf: r => r.rawTx,
+  statusOf: r => r.success ? `${r.onChainStatus} · ${safetyLabel(r.safeToFail)}` : `error: ${r.error}`,
+  // Rows whose on-chain lookup errored are worth re-checking too
+  isFailed: r => !r.success || r.onChainStatus === 'error',
+}
+
+const EXPORT = defineExport('cosmos-check', [
+  { key: 'tx_hash',         value: r => r.txHash },
+  { key: 'raw_input',       value: r => r.rawTx },
+  { key: 'request_success', value: r => r.success },
+  { key: 'on_chain',        value: r => r.onChainStatus },
+  { key: 'on_chain_detail', value: r => r.onChainLabel },
+  { key: 'timeout_height',  value: r => r.timeoutHeight },
+  { key: 'current_height',  value: r => r.currentHeight },
+  { key: 'safe_to_fail',    value: r => r.safeToFail },
+  { key: 'verdict',         value: r => r.verdict },
+  { key: 'detected_chain',  value: r => r.chainMismatch?.detectedChain },
+  { key: 'chain_id',        value: (_, ctx) => ctx.chain },
+  { key: 'chain_name',      value: (r, ctx) => r.chain ?? ctx.chainName },
+  { key: 'note',            value: r => r.error },
+])
+
 // ─── Main component ─────────────────────────────────────────────────────────
 
 function CosmosCheck() {
@@ -603,12 +197,25 @@ function CosmosCheck() {
   }, [])
 
   const [input, setInput] = useState('')
-  const [chain, setChain] = useState('cosmos_mainnet')
+  const [chain, setChain] = useState('cosmos')
+  const customNetworks = useCustomNetworks('cosmos')
+  // Built-in chains plus any custom Cosmos networks saved on the Networks page
+  const chainEndpoints = useMemo(() => ({
+    ...CHAIN_ENDPOINTS,
+    ...Object.fromEntries(customNetworks.map(c => [c.id, toEndpointConfig(c)])),
+  }), [customNetworks])
+  const customEntries = Object.entries(chainEndpoints).filter(([, cfg]) => cfg.custom)
   const [results, setResults] = useState([])
   const [processing, setProcessing] = useState(false)
   const [progress, setProgress] = useState(0)
   const progressRef = useRef(null)
 
+  usePrefill(({ input, chain: detected }) => {
+    if (detected && chainEndpoints[detected]) setChain(detected)
+    setInput(input)
+    setResults([])
+  })
+
   useEffect(() => {
     if (processing) {
       setProgress(0)
@@ -629,19 +236,28 @@ function CosmosCheck() {
     return () => { if (progressRef.current) clearInterval(progressRef.current) }
   }, [processing])
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault()
-    if (!input.trim()) return
+    runCheck()
+  }
 
-    const lines = input.trim().split(/\n+/).map(l => l.trim()).filter(Boolean)
+  // `rerun` ({ input, chain }) bypasses state — History's "Re-run failed" starts right away
+  const runCheck = async (rerun = null) => {
+    const source = rerun?.input ?? input
+    const chainKey = rerun?.chain ?? chain
+    // The selected custom network may have been deleted in another tab
+    if (!source.trim() || !chainEndpoints[chainKey]) return
+
+    const lines = source.trim().split(/\n+/).map(l => l.trim()).filter(Boolean)
     trackUsage('cosmos-check', lines.length)
     setProcessing(true)
     setResults([])
 
-    const chainConfig = CHAIN_ENDPOINTS[chain]
+    const startedAt = Date.now()
+    const chainConfig = chainEndpoints[chainKey]
 
     // Fetch current block height once, shared across all TXes
-    const heightResult = await fetchBlockHeight(chainConfig.heightUrl).then(
+    const heightResult = await fetchBlockHeight(chainConfig.txLookupUrls).then(
       h => ({ ok: true, value: h }),
       err => ({ ok: false, error: err.message || String(err) })
     )
@@ -665,10 +281,10 @@ function CosmosCheck() {
 
         // Detect likely chain from addresses + typeURLs, compare to selection
         const detected = detectChain(txBytes)
-        const chainMismatch = detected && detected.chain !== chain
+        const chainMismatch = detected && detected.chain !== chainKey
           ? {
               detectedChain: detected.chain,
-              detectedLabel: CHAIN_ENDPOINTS[detected.chain]?.label ?? detected.chain,
+              detectedLabel: chainEndpoints[detected.chain]?.label ?? detected.chain,
               reason: detected.reason,
             }
           : null
@@ -686,7 +302,7 @@ function CosmosCheck() {
           const execStatus = onChain.code === 0 ? 'succeeded' : `failed on-chain (code ${onChain.code})`
           const foundAtHost = onChain.foundAt.replace(/^https?:\/\//, '')
           onChainLabel = `Yes — ${execStatus} at block ${onChain.height?.toLocaleString() ?? '?'}`
-          verdict = `Transaction confirmed on-chain at block ${onChain.height?.toLocaleString() ?? '?'} (${execStatus}) — found on ${foundAtHost}${onChain.viaProxy ? ' via CORS proxy' : ''}. It has already been processed and is NOT safe to fail.`
+          verdict = `Transaction confirmed on-chain at block ${onChain.height?.toLocaleString() ?? '?'} (${execStatus}) — found on ${foundAtHost}${onChain.viaProxy ? ' via proxy' : ''}. It has already been processed and is NOT safe to fail.`
         } else if (onChain.status === 'not_found') {
           const n = onChain.uniqueEndpointsTried ?? 1
           onChainLabel = `Not found (checked ${n} node${n !== 1 ? 's' : ''})`
@@ -750,6 +366,40 @@ function CosmosCheck() {
     await new Promise(r => setTimeout(r, 200))
     setResults(newResults)
     setProcessing(false)
+    saveRun(HISTORY, {
+      network: { id: chainKey, name: chainConfig.label },
+      input: source,
+      items: newResults,
+      startedAt,
+    }).catch(err => console.error('Failed to save run history:', err))
+  }
+
+  // Link state: ?chain=osmosis&tx=<base64>,… (custom networks by id)
+  const txLines = useMemo(() => input.split(/\n+/).map(l => l.trim()).filter(Boolean), [input])
+  const shareLink = useUrlState({
+    values: { chain, tx: txLines },
+    defaults: { chain: 'cosmos' },
+    restore: (params) => {
+      if (chainEndpoints[params.chain]) setChain(params.chain)
+      if (params.tx) setInput(listParam(params.tx).join('\n'))
+    },
+    run: () => runCheck(),
+  })
+
+  const savedChainKey = (run) => chainEndpoints[run.network?.id] ? run.network.id : chain
+
+  const handleOpenRun = (run) => {
+    setChain(savedChainKey(run))
+    setInput(run.input)
+    setResults(run.items)
+  }
+
+  const handleRerunFailed = (run, rawTxs) => {
+    const chainKey = savedChainKey(run)
+    const text = rawTxs.join('\n')
+    setChain(chainKey)
+    setInput(text)
+    runCheck({ input: text, chain: chainKey })
   }
 
   return (
@@ -772,7 +422,7 @@ function CosmosCheck() {
             >
               <optgroup label="Mainnet">
                 {Object.entries(CHAIN_ENDPOINTS)
-                  .filter(([k]) => k.endsWith('_mainnet'))
+                  .filter(([, cfg]) => !cfg.testnet)
                   .map(([key, cfg]) => (
                     <option key={key} value={key}>
                       {cfg.label}{cfg.fireblocksId ? ` — ${cfg.fireblocksId}` : ''}
@@ -781,13 +431,20 @@ function CosmosCheck() {
               </optgroup>
               <optgroup label="Testnet">
                 {Object.entries(CHAIN_ENDPOINTS)
-                  .filter(([k]) => k.endsWith('_testnet'))
+                  .filter(([, cfg]) => cfg.testnet)
                   .map(([key, cfg]) => (
                     <option key={key} value={key}>
                       {cfg.label}{cfg.fireblocksId ? ` — ${cfg.fireblocksId}` : ''}
                     </option>
                   ))}
               </optgroup>
+              {customEntries.length > 0 && (
+                <optgroup label="Custom">
+                  {customEntries.map(([key, cfg]) => (
+                    <option key={key} value={key}>{cfg.label}</option>
+                  ))}
+                </optgroup>
+              )}
             </select>
           </div>
 
@@ -813,6 +470,15 @@ function CosmosCheck() {
           >
             {processing ? 'Checking...' : 'Check Transaction'}
           </button>
+          <div className="cosmos-history-row">
+            <RunHistory
+              config={HISTORY}
+              onOpenRun={handleOpenRun}
+              onRerunFailed={handleRerunFailed}
+              disabled={processing}
+            />
+            <ShareLink getLink={shareLink} canAutoRun />
+          </div>
         </form>
 
         {processing && (
@@ -825,11 +491,22 @@ function CosmosCheck() {
               <div className="progress-bar cosmos-progress-bar" style={{ width: `${progress}%` }} />
             </div>
             <div className="loading-hint">
-              Querying {CHAIN_ENDPOINTS[chain].label} — checking block height and on-chain status...
+              Querying {chainEndpoints[chain]?.label} — checking block height and on-chain status...
             </div>
           </div>
         )}
 
+        {results.length > 0 && (
+          <div className="cosmos-results-toolbar">
+            <ExportMenu
+              config={EXPORT}
+              rows={results}
+              context={{ chain, chainName: chainEndpoints[chain]?.label }}
+              fileName={`cosmos-check-${chain}`}
+            />
+          </div>
+        )}
+
         {results.length > 0 && (
           <div className="results-container">
             {results.map((result, idx) => (
@@ -921,7 +598,7 @@ function CosmosCheck() {
                       <span className="cosmos-tx-hash-value">
                         {result.explorer ? (
                           <a
-                            href={`${result.explorer}${result.txHash}`}
+                            href={explorerTxUrl(result.explorer, result.txHash)}
                             target="_blank"
                             rel="noopener noreferrer"
                             className="cosmos-explorer-link"
@@ -943,7 +620,7 @@ function CosmosCheck() {
 
                     {result.requiresManualCheck && result.explorer && (
                       <a
-                        href={`${result.explorer}${result.txHash}`}
+                        href={explorerTxUrl(result.explorer, result.txHash)}
                         target="_blank"
                         rel="noopener noreferrer"
                         className="cosmos-mintscan-btn"
@@ -1,17 +1,12 @@
 import { useState, useCallback, useMemo, useEffect, useDeferredValue } from 'react'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import ShareLink from '../components/ShareLink'
+import { useUrlState } from '../hooks/useUrlState'
+import { csvCell, downloadBlob } from '../utils/exporter'
 import './CsvBuilder.css'
 
 const makeColumn = () => ({ id: crypto.randomUUID(), label: '', staticValue: '', lines: '' })
 
-function escapeCsvCell(value) {
-  if (value === '') return ''
-  if (/[",\n\r]/.test(value)) {
-    return '"' + value.replace(/"/g, '""') + '"'
-  }
-  return value
-}
-
 // =====================================================================
 // UUID Extractor classifier — module-scope constants & helpers.
 // Hoisted out of the component so they aren't re-allocated on every
@@ -286,13 +281,13 @@ function CsvBuilder() {
     const csvLines = []
 
     if (includeHeader) {
-      csvLines.push(colData.map(d => escapeCsvCell(d.label)).join(','))
+      csvLines.push(colData.map(d => csvCell(d.label)).join(','))
     }
 
     for (let i = 0; i < maxRows; i++) {
       const row = colData.map(d => {
-        if (d.isStatic) return escapeCsvCell(d.value)
-        return escapeCsvCell(d.rows[i] ?? '')
+        if (d.isStatic) return csvCell(d.value)
+        return csvCell(d.rows[i] ?? '')
       })
       csvLines.push(row.join(','))
     }
@@ -304,15 +299,32 @@ function CsvBuilder() {
 
   const handleDownload = useCallback(() => {
     if (!csvPreview) return
-    const blob = new Blob([csvPreview], { type: 'text/csv' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `csv_builder_${Date.now()}.csv`
-    a.click()
-    URL.revokeObjectURL(url)
+    downloadBlob(new Blob([csvPreview], { type: 'text/csv' }), `csv_builder_${Date.now()}.csv`)
   }, [csvPreview])
 
+  // Link state: ?cols=[[label, static, lines], …]&header=1 — long column data
+  // ends up compressed in the fragment
+  const linkColumns = useMemo(() => {
+    if (!columns.some(c => c.label || c.staticValue || c.lines)) return ''
+    return JSON.stringify(columns.map(c => [c.label, c.staticValue, c.lines]))
+  }, [columns])
+  const shareLink = useUrlState({
+    values: { cols: linkColumns, header: includeHeader },
+    restore: (params) => {
+      if (params.header === '1') setIncludeHeader(true)
+      if (!params.cols) return
+      try {
+        const saved = JSON.parse(params.cols)
+        if (!Array.isArray(saved) || saved.length === 0) return
+        setColumns(saved.map(([label = '', staticValue = '', lines = ''] = []) => (
+          { ...makeColumn(), label: String(label), staticValue: String(staticValue), lines: String(lines) }
+        )))
+      } catch {
+        console.error('Ignoring malformed cols link param')
+      }
+    },
+  })
+
   const activeCount = getActiveColumns().length
   const totalLines = columns.reduce((sum, c) => {
     if (c.staticValue.trim()) return sum
@@ -713,6 +725,7 @@ function CsvBuilder() {
             </div>
           </div>
           <div className="toolbar-right">
+            <ShareLink getLink={shareLink} />
             <button className="add-col-btn" onClick={addColumn}>+ Add Column</button>
             <button
               className="download-btn"
@@ -1,9 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { API_BASE } from '../config/api'
 import './EasyCosigner.css'
 
-const API_BASE = 'https://delicate-haze-2a16.tm8six.workers.dev'
-
 const COSIGNER_PUBLIC_KEY = `-----BEGIN PUBLIC KEY-----
 MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA4L0wYm0dEkN6KtHkG1yJ
 2yL2CfcOntYtucfCY7EL6HzEDyyxreLexhNN84ipLfImheHV7woTydZ/AuDbu4r9
@@ -1,64 +1,12 @@
 import { useState, useEffect } from 'react'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import ShareLink from '../components/ShareLink'
+import { useUrlState } from '../hooks/useUrlState'
+import { API_BASE } from '../config/api'
+import { FAUCET_NETWORKS } from '../config/faucet'
 import './Faucet.css'
 
-const FAUCET_API = 'https://delicate-haze-2a16.tm8six.workers.dev'
-
-const NETWORKS = [
-  {
-    id: 'sepolia',
-    name: 'Sepolia',
-    icon: '🔷',
-    assets: [
-      { assetId: 'ETH_TEST5', symbol: 'ETH', amount: '0.01', icon: '⟠' },
-      { assetId: 'USDC_ETH_TEST5_0GER', symbol: 'USDC', amount: '0.25', icon: '💵' },
-      { assetId: 'LINK_ETH_TEST5_BOTX', symbol: 'LINK', amount: '0.05', icon: '🔗' },
-    ],
-    validateAddress: (addr) => /^0x[0-9a-fA-F]{40}$/.test(addr),
-    placeholder: '0x...',
-    addressType: 'EVM',
-  },
-  {
-    id: 'hoodi',
-    name: 'Hoodi',
-    icon: '🟣',
-    assets: [
-      { assetId: 'ETH_TEST_HOODI', symbol: 'ETH', amount: '0.01', icon: '⟠' },
-    ],
-    validateAddress: (addr) => /^0x[0-9a-fA-F]{40}$/.test(addr),
-    placeholder: '0x...',
-    addressType: 'EVM',
-  },
-  {
-    id: 'bitcoin-testnet',
-    name: 'Bitcoin Testnet',
-    icon: '₿',
-    assets: [
-      { assetId: 'BTC_TEST', symbol: 'BTC', amount: '0.0125', icon: '₿' },
-    ],
-    validateAddress: (addr) => {
-      if (/^[mn2][a-km-zA-HJ-NP-Z1-9]{25,34}$/.test(addr)) return true
-      if (/^(tb1|bcrt1)[a-zA-HJ-NP-Z0-9]{25,}$/.test(addr)) return true
-      return false
-    },
-    placeholder: 'tb1... or m/n/2...',
-    addressType: 'BTC',
-  },
-  {
-    id: 'solana-devnet',
-    name: 'Solana Devnet',
-    icon: '◎',
-    assets: [
-      { assetId: 'SOL_TEST', symbol: 'SOL', amount: '0.0125', icon: '◎' },
-    ],
-    validateAddress: (addr) => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(addr),
-    placeholder: 'Base58 address...',
-    addressType: 'Solana',
-  },
-]
-
-function AssetCard({ asset, network }) {
-  const [address, setAddress] = useState('')
+function AssetCard({ asset, network, address, onAddressChange }) {
   const [loading, setLoading] = useState(false)
   const [result, setResult] = useState(null)
   const [error, setError] = useState(null)
@@ -73,7 +21,7 @@ function AssetCard({ asset, network }) {
     setError(null)
 
     try {
-      const res = await fetch(`${FAUCET_API}/faucet`, {
+      const res = await fetch(`${API_BASE}/faucet`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ assetId: asset.assetId, address: address.trim() }),
@@ -109,7 +57,7 @@ function AssetCard({ asset, network }) {
           <input
             type="text"
             value={address}
-            onChange={(e) => { setAddress(e.target.value); setError(null); setResult(null) }}
+            onChange={(e) => { onAddressChange(e.target.value); setError(null); setResult(null) }}
             placeholder={network.placeholder}
             className={`address-input ${address && !isValidAddress ? 'invalid' : ''}`}
             disabled={loading}
@@ -154,6 +102,25 @@ function Faucet() {
   const [txidSetup, setTxidSetup] = useState(null) // null=loading, { configured, publicKey? }
   const [txidSetting, setTxidSetting] = useState(false)
   const [txidCopied, setTxidCopied] = useState(false)
+  // Recipient per asset, lifted here so the last-edited one can go in the link
+  const [addresses, setAddresses] = useState({})
+  const [linkedAsset, setLinkedAsset] = useState('')
+
+  // Link state: ?asset=<assetId>&address=… — prefills one card, never sends
+  const shareLink = useUrlState({
+    values: { asset: linkedAsset, address: (addresses[linkedAsset] || '').trim() },
+    restore: (params) => {
+      const known = FAUCET_NETWORKS.some(n => n.assets.some(a => a.assetId === params.asset))
+      if (!known) return
+      setLinkedAsset(params.asset)
+      setAddresses({ [params.asset]: params.address || '' })
+    },
+  })
+
+  const handleAddressChange = (assetId, value) => {
+    setAddresses(prev => ({ ...prev, [assetId]: value }))
+    setLinkedAsset(assetId)
+  }
 
   useEffect(() => {
     document.title = 'Testnet Faucet'
@@ -161,7 +128,7 @@ function Faucet() {
   }, [])
 
   useEffect(() => {
-    fetch(`${FAUCET_API}/health`)
+    fetch(`${API_BASE}/health`)
       .then(r => {
         if (!r.ok) throw new Error(`HTTP ${r.status}`)
         return r.json()
@@ -171,14 +138,14 @@ function Faucet() {
         // The /health endpoint may not include CORS headers, so the browser
         // blocks reading the response even from the allowed origin.
         // Fall back to a no-cors probe — if it resolves the server is reachable.
-        fetch(`${FAUCET_API}/health`, { mode: 'no-cors' })
+        fetch(`${API_BASE}/health`, { mode: 'no-cors' })
           .then(() => setHealthOk(true))
           .catch(() => setHealthOk(false))
       })
   }, [])
 
   useEffect(() => {
-    fetch(`${FAUCET_API}/faucet/txid-setup`)
+    fetch(`${API_BASE}/faucet/txid-setup`)
       .then(r => r.json())
       .then(data => setTxidSetup(data))
       .catch(() => setTxidSetup({ configured: false }))
@@ -187,7 +154,11 @@ function Faucet() {
   const handleTxidSetup = async () => {
     setTxidSetting(true)
     try {
-      const res = await fetch(`${FAUCET_API}/faucet/txid-setup`, { method: 'POST' })
+      const res = await fetch(`${API_BASE}/faucet/txid-setup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}',
+      })
       const data = await res.json()
       setTxidSetup(data)
     } catch { /* noop */ } finally {
@@ -215,6 +186,9 @@ function Faucet() {
             {healthOk === true && <><span className="status-dot online" /> API Online</>}
             {healthOk === false && <><span className="status-dot offline" /> API Offline</>}
           </div>
+          <div className="faucet-share">
+            <ShareLink getLink={shareLink} />
+          </div>
         </header>
 
         <div className="faucet-notice">
@@ -248,7 +222,7 @@ function Faucet() {
           {txidSetup?.configured && txidSetup.publicKey && (
             <>
               <p className="faucet-txid-status">
-                All faucet transactions include a signed <code>externalTxId</code>. Copy this secret key and paste it into your Callback Handler policy rule to verify.
+                All faucet transactions include a signed <code>externalTxId</code>. Copy this public key and paste it into your Callback Handler policy rule to verify.
               </p>
               <div className="faucet-txid-key-row">
                 <code className="faucet-txid-pubkey">{txidSetup.publicKey}</code>
@@ -263,7 +237,7 @@ function Faucet() {
           )}
         </div>
 
-        {NETWORKS.map(network => (
+        {FAUCET_NETWORKS.map(network => (
           <section key={network.id} className="network-group">
             <div className="network-group-header">
               <span className="network-icon">{network.icon}</span>
@@ -277,6 +251,8 @@ function Faucet() {
                   key={asset.assetId}
                   asset={asset}
                   network={network}
+                  address={addresses[asset.assetId] || ''}
+                  onAddressChange={value => handleAddressChange(asset.assetId, value)}
                 />
               ))}
             </div>
@@ -0,0 +1,291 @@
+import { useState, useEffect, useRef } from 'react'
+import ToolInfoPanel from '../components/ToolInfoPanel'
+import { CHAIN_FAMILIES, getEvmChain } from '../config/chains'
+import { useCustomNetworks } from '../hooks/useCustomNetworks'
+import { downloadBlob } from '../utils/exporter'
+import {
+  upsertCustomNetwork,
+  removeCustomNetwork,
+  exportCustomNetworks,
+  importCustomNetworks,
+} from '../utils/customNetworks'
+import './NetworkSettings.css'
+
+const FAMILY_LABELS = {
+  evm: 'EVM',
+  solana: 'Solana',
+  xrp: 'XRP',
+  stellar: 'Stellar',
+  tron: 'TRON',
+  ton: 'TON',
+  aptos: 'Aptos',
+  sui: 'Sui',
+  substrate: 'Substrate',
+  bitcoin: 'Bitcoin / Forks',
+  bitcoincash: 'Bitcoin Cash',
+  cosmos: 'Cosmos SDK (LCD)',
+}
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  family: 'evm',
+  rpcs: '',
+  chainId: '',
+  explorer: '',
+  bech32Prefix: '',
+  testnet: false,
+}
+
+function NetworkSettings() {
+  useEffect(() => {
+    document.title = 'Networks'
+    return () => { document.title = 'Monad Boss Game' }
+  }, [])
+
+  const networks = useCustomNetworks()
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setError(null)
+    setNotice(null)
+    try {
+      const saved = upsertCustomNetwork({
+        id: form.id,
+        name: form.name,
+        family: form.family,
+        rpcs: form.rpcs,
+        chainId: form.chainId,
+        explorers: [form.explorer],
+        bech32Prefix: form.bech32Prefix,
+        testnet: form.testnet,
+      })
+      // A built-in chain with the same id always wins auto-detection — let the user know
+      const builtIn = saved.family === 'evm' ? getEvmChain(saved.chainId) : null
+      setNotice(builtIn
+        ? `Saved "${saved.name}". Chain ID ${saved.chainId} is already built in as ${builtIn.name}, which Auto mode will keep using.`
+        : `Saved "${saved.name}".`)
+      setForm(EMPTY_FORM)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleEdit = (network) => {
+    setError(null)
+    setNotice(null)
+    setForm({
+      id: network.id,
+      name: network.name,
+      family: network.family,
+      rpcs: network.rpcs.join('\n'),
+      chainId: network.chainId ? String(network.chainId) : '',
+      explorer: network.explorers[0] || '',
+      bech32Prefix: network.bech32Prefix || '',
+      testnet: !!network.testnet,
+    })
+  }
+
+  const handleDelete = (network) => {
+    if (!window.confirm(`Delete "${network.name}"?`)) return
+    removeCustomNetwork(network.id)
+    if (form.id === network.id) setForm(EMPTY_FORM)
+  }
+
+  const handleExport = () => {
+    downloadBlob(new Blob([exportCustomNetworks()], { type: 'application/json' }), `custom-networks-${Date.now()}.json`)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setError(null)
+    setNotice(null)
+    try {
+      const count = importCustomNetworks(await file.text())
+      setNotice(`Imported ${count} network${count === 1 ? '' : 's'} from ${file.name}.`)
+    } catch (err) {
+      setError(`Import failed: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="networks-page">
+      <div className="networks-container">
+        <header className="networks-header">
+          <h1>🌐 Networks</h1>
+          <p>Add your own RPC endpoints. Saved networks appear in the Broadcaster, Simulator, Am I Onchain? and Cosmos TX Check pickers.</p>
+        </header>
+
+        <form className="networks-card" onSubmit={handleSubmit}>
+          <h2 className="networks-card-title">{form.id ? 'Edit Network' : 'Add Network'}</h2>
+
+          <div className="networks-row">
+            <div className="networks-field">
+              <label htmlFor="net-name">Name</label>
+              <input
+                id="net-name"
+                type="text"
+                value={form.name}
+                onChange={e => updateField('name', e.target.value)}
+                placeholder="My Devnet"
+              />
+            </div>
+            <div className="networks-field">
+              <label htmlFor="net-family">Type</label>
+              <select
+                id="net-family"
+                value={form.family}
+                onChange={e => updateField('family', e.target.value)}
+                disabled={!!form.id}
+              >
+                {CHAIN_FAMILIES.map(f => (
+                  <option key={f} value={f}>{FAMILY_LABELS[f] || f}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="networks-field">
+            <label htmlFor="net-rpcs">RPC URLs</label>
+            <textarea
+              id="net-rpcs"
+              rows={3}
+              value={form.rpcs}
+              onChange={e => updateField('rpcs', e.target.value)}
+              placeholder={form.family === 'cosmos' ? 'https://lcd.example.com' : 'https://rpc.example.com'}
+            />
+            <p className="networks-hint">One per line, preferred first.</p>
+          </div>
+
+          <div className="networks-row">
+            {form.family === 'evm' && (
+              <div className="networks-field">
+                <label htmlFor="net-chain-id">Chain ID</label>
+                <input
+                  id="net-chain-id"
+                  type="number"
+                  min="1"
+                  value={form.chainId}
+                  onChange={e => updateField('chainId', e.target.value)}
+                  placeholder="31337"
+                />
+              </div>
+            )}
+            {form.family === 'cosmos' && (
+              <div className="networks-field">
+                <label htmlFor="net-bech32">Bech32 Prefix</label>
+                <input
+                  id="net-bech32"
+                  type="text"
+                  value={form.bech32Prefix}
+                  onChange={e => updateField('bech32Prefix', e.target.value)}
+                  placeholder="cosmos"
+                />
+              </div>
+            )}
+            <div className="networks-field">
+              <label htmlFor="net-explorer">Explorer TX URL (optional)</label>
+              <input
+                id="net-explorer"
+                type="text"
+                value={form.explorer}
+                onChange={e => updateField('explorer', e.target.value)}
+                placeholder="https://explorer.example.com/tx/{hash}"
+              />
+            </div>
+          </div>
+
+          <label className="networks-checkbox">
+            <input
+              type="checkbox"
+              checked={form.testnet}
+              onChange={e => updateField('testnet', e.target.checked)}
+            />
+            Testnet
+          </label>
+
+          {error && <div className="networks-error">{error}</div>}
+          {notice && <div className="networks-notice">{notice}</div>}
+
+          <div className="networks-actions">
+            <button type="submit" className="networks-btn primary">
+              {form.id ? 'Save Changes' : 'Add Network'}
+            </button>
+            {form.id && (
+              <button type="button" className="networks-btn" onClick={() => setForm(EMPTY_FORM)}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        <section className="networks-card">
+          <div className="networks-list-header">
+            <h2 className="networks-card-title">Saved Networks ({networks.length})</h2>
+            <div className="networks-actions">
+              <button type="button" className="networks-btn" onClick={() => fileInputRef.current?.click()}>
+                Import JSON
+              </button>
+              <button type="button" className="networks-btn" onClick={handleExport} disabled={networks.length === 0}>
+                Export JSON
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleImport}
+                hidden
+              />
+            </div>
+          </div>
+
+          {networks.length === 0 ? (
+            <p className="networks-empty">No custom networks yet. They are stored in this browser only — export them to share with teammates.</p>
+          ) : (
+            <table className="networks-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Chain ID / Prefix</th>
+                  <th>RPC</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {networks.map(n => (
+                  <tr key={n.id}>
+                    <td>
+                      {n.name}
+                      {n.testnet && <span className="networks-badge">testnet</span>}
+                    </td>
+                    <td>{FAMILY_LABELS[n.family] || n.family}</td>
+                    <td>{n.chainId ?? n.bech32Prefix ?? '—'}</td>
+                    <td className="networks-rpc" title={n.rpcs.join('\n')}>
+                      {n.rpcs[0]}{n.rpcs.length > 1 ? ` (+${n.rpcs.length - 1})` : ''}
+                    </td>
+                    <td className="networks-row-actions">
+                      <button type="button" className="networks-btn small" onClick={() => handleEdit(n)}>Edit</button>
+                      <button type="button" className="networks-btn small danger" onClick={() => handleDelete(n)}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </div>
+      <ToolInfoPanel toolId="networks" />
+    </div>
+  )
+}
+
+export default NetworkSettings
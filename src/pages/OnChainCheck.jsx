@@ -1,14 +1,46 @@
 import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import { listParam } from '../utils/urlState'
+import RunHistory from '../components/RunHistory'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { useRowSelection } from '../hooks/useRowSelection'
+import { CHAINS, primaryExplorer, primaryRpc, explorerTxUrl } from '../config/chains'
+import { useCustomNetworks } from '../hooks/useCustomNetworks'
+import { useBatchJob } from '../hooks/useBatchJob'
+import { HAS_API_KEY, tallyFromRef } from '../utils/onchainLookup'
+import { cancelJob, clearJob, getJob, isJobActive, pauseJob, resumeJob, startJob } from '../utils/jobRunner'
+import { saveRun } from '../utils/runHistory'
+import { defineExport } from '../utils/exporter'
 import './TxFetcher.css'
 
-const ETHERSCAN_API_KEY = import.meta.env.VITE_ETHERSCAN_API_KEY || ''
-const HAS_API_KEY = ETHERSCAN_API_KEY.length > 0
-const ETHERSCAN_V2 = 'https://api.etherscan.io/v2/api'
 const CHAINLIST_URL = 'https://api.etherscan.io/v2/chainlist'
-const DELAY_MS = HAS_API_KEY ? 250 : 5500
-const UI_UPDATE_INTERVAL_MS = 200
+
+const HISTORY = {
+  tool: 'onchain-check',
+  keyOf: (r) => r.txHash || r.rawInput,
+  statusOf: (r) => {
+    if (!r.requestSuccess) return r.note || 'request failed'
+    return r.onChain ? `on-chain · ${r.executionStatus}` : 'not found'
+  },
+  // Invalid hashes can't succeed on a re-run — only retry lookups that never got an answer
+  isFailed: (r) => !!r.txHash && !r.requestSuccess,
+  inputOf: (r) => r.txHash,
+}
+
+const EXPORT = defineExport('onchain-check', [
+  { key: 'tx_hash', value: r => r.txHash },
+  { key: 'raw_input', value: r => r.rawInput },
+  { key: 'request_success', value: r => r.requestSuccess },
+  { key: 'on_chain', value: r => r.onChain },
+  { key: 'execution_status', value: r => r.executionStatus ?? 'n/a' },
+  { key: 'chain_id', value: (_, ctx) => ctx.chainId },
+  { key: 'chain_name', value: (_, ctx) => ctx.chainName },
+  { key: 'note', value: r => r.note },
+])
 
 function parseChainlist(data) {
   if (!data?.result?.length) return []
@@ -23,27 +55,16 @@ function parseChainlist(data) {
     .sort((a, b) => a.name.localeCompare(b.name))
 }
 
-const FALLBACK_NETWORKS = [
-  { id: '1', name: 'Ethereum Mainnet', chainId: 1, explorer: 'https://etherscan.io/tx/' },
-  { id: '999', name: 'HyperEVM Mainnet', chainId: 999, explorer: 'https://hyperevmscan.io/tx/' },
-  { id: '8453', name: 'Base Mainnet', chainId: 8453, explorer: 'https://basescan.org/tx/' },
-  { id: '42161', name: 'Arbitrum One Mainnet', chainId: 42161, explorer: 'https://arbiscan.io/tx/' },
-  { id: '137', name: 'Polygon Mainnet', chainId: 137, explorer: 'https://polygonscan.com/tx/' },
-  { id: '10', name: 'OP Mainnet', chainId: 10, explorer: 'https://optimistic.etherscan.io/tx/' },
-]
-
-function sleep(ms, signal) {
-  return new Promise((resolve, reject) => {
-    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'))
-    const timer = setTimeout(resolve, ms)
-    if (signal) {
-      const onAbort = () => {
-        clearTimeout(timer)
-        reject(new DOMException('Aborted', 'AbortError'))
-      }
-      signal.addEventListener('abort', onAbort, { once: true })
-    }
-  })
+// Used until the live Etherscan chainlist loads (or if it fails): every
+// registry chain served by the Etherscan V2 API.
+const FALLBACK_NETWORKS = CHAINS
+  .filter(c => c.family === 'evm' && c.etherscan)
+  .map(c => ({ id: String(c.chainId), name: c.name, chainId: c.chainId, explorer: primaryExplorer(c) }))
+
+// Etherscan doesn't index user-added chains, so custom networks carry their
+// `rpcs` and are looked up with plain JSON-RPC calls instead.
+function customNetworkOption(chain) {
+  return { id: chain.id, name: `${chain.name} (custom)`, chainId: chain.chainId, explorer: primaryExplorer(chain), rpc: primaryRpc(chain), rpcs: chain.rpcs }
 }
 
 /** Normalize to 0x + 64 hex or null */
@@ -59,63 +80,6 @@ function tokenizeInput(text) {
   return text.split(/[\s,;]+/).map(t => t.trim()).filter(Boolean)
 }
 
-function isPermanentApiError(msg) {
-  const lower = msg.toLowerCase()
-  return (
-    lower.includes('missing/invalid api key') ||
-    lower.includes('invalid api key') ||
-    lower.includes('not supported for this chain') ||
-    lower.includes('upgrade your api plan') ||
-    lower.includes('upgrade to a paid plan') ||
-    lower.includes('chain not supported') ||
-    lower.includes('invalid chainid')
-  )
-}
-
-function interpretTxByHashResponse(json) {
-  if (json?.error && typeof json.error === 'object') {
-    const msg = json.error.message || JSON.stringify(json.error)
-    return { definitive: true, requestSuccess: false, onChain: false, tx: null, error: msg, permanent: isPermanentApiError(msg) }
-  }
-  if (json?.result === undefined) {
-    return { definitive: false, kind: 'no_result' }
-  }
-  const r = json.result
-  // Etherscan V2 wrapper error envelope: {status:"0", message:"NOTOK", result:"<reason>"}
-  if (json.status === '0' || json.message === 'NOTOK') {
-    const msg = typeof r === 'string' ? r : (json.message || 'Etherscan API error')
-    const lower = msg.toLowerCase()
-    if (lower.includes('rate limit') || lower.includes('max rate')) {
-      return { definitive: false, kind: 'rate_limit' }
-    }
-    return { definitive: true, requestSuccess: false, onChain: false, tx: null, error: msg, permanent: isPermanentApiError(msg) }
-  }
-  if (typeof r === 'string') {
-    const lower = r.toLowerCase()
-    if (lower.includes('rate limit') || lower.includes('max rate')) {
-      return { definitive: false, kind: 'rate_limit' }
-    }
-    // Unrecognized string result — surface as error rather than silently marking "not found"
-    return { definitive: true, requestSuccess: false, onChain: false, tx: null, error: r, permanent: isPermanentApiError(r) }
-  }
-  if (r === null) {
-    return { definitive: true, requestSuccess: true, onChain: false, tx: null }
-  }
-  if (typeof r === 'object' && r !== null) {
-    const h = r.hash
-    const onChain = typeof h === 'string' && h.length > 0
-    return { definitive: true, requestSuccess: true, onChain, tx: r }
-  }
-  return { definitive: true, requestSuccess: true, onChain: false, tx: null }
-}
-
-/** Confirmed in a block (not pending / pool). Pending txs have blockNumber null. */
-function isMinedTx(txObj) {
-  if (!txObj || typeof txObj !== 'object') return false
-  const bn = txObj.blockNumber
-  return bn != null && bn !== '' && bn !== '0x' && bn !== '0x0'
-}
-
 /** Human label + color for receipt / execution status (matches Etherscan Success / Fail). */
 function executionDisplay(status) {
   switch (status) {
@@ -132,170 +96,6 @@ function executionDisplay(status) {
   }
 }
 
-function interpretReceiptStatusResponse(json) {
-  if (json?.result === undefined) {
-    return { definitive: false, kind: 'no_result' }
-  }
-  const r = json.result
-  // Etherscan V2 wrapper error envelope on this endpoint
-  if (json.status === '0' && typeof r === 'string' && r !== '0' && r !== '1') {
-    const lower = r.toLowerCase()
-    if (lower.includes('rate limit') || lower.includes('max rate')) {
-      return { definitive: false, kind: 'rate_limit' }
-    }
-    return { definitive: true, execution: 'unknown', error: r, permanent: isPermanentApiError(r) }
-  }
-  if (typeof r === 'string') {
-    const lower = r.toLowerCase()
-    if (lower.includes('rate limit') || lower.includes('max rate')) {
-      return { definitive: false, kind: 'rate_limit' }
-    }
-    if (r === '1') return { definitive: true, execution: 'success' }
-    if (r === '0') return { definitive: true, execution: 'fail' }
-    return { definitive: true, execution: 'unknown' }
-  }
-  if (r === null) {
-    return { definitive: true, execution: 'unknown' }
-  }
-  if (typeof r === 'object' && r !== null && 'status' in r) {
-    const s = r.status
-    if (s === '1' || s === 1) return { definitive: true, execution: 'success' }
-    if (s === '0' || s === 0) return { definitive: true, execution: 'fail' }
-    if (s === '' || s == null) return { definitive: true, execution: 'unknown' }
-  }
-  return { definitive: false, kind: 'no_result' }
-}
-
-async function fetchTxByHashOnce(chainId, txHash, signal) {
-  const fullParams = {
-    chainid: String(chainId),
-    module: 'proxy',
-    action: 'eth_getTransactionByHash',
-    txhash: txHash,
-  }
-  if (ETHERSCAN_API_KEY) fullParams.apikey = ETHERSCAN_API_KEY
-  const url = `${ETHERSCAN_V2}?${new URLSearchParams(fullParams)}`
-  const res = await fetch(url, { signal })
-  const json = await res.json()
-  return json
-}
-
-/**
- * Retries with exponential backoff until a definitive API interpretation or abort.
- * Does not include inter-hash pacing (caller adds DELAY_MS between hashes).
- */
-async function lookupTxWithBackoff(chainId, txHash, signal, onTransient) {
-  let attempt = 0
-  while (true) {
-    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError')
-    try {
-      if (attempt > 0) {
-        const backoff = Math.min(120000, 750 * Math.pow(2, Math.min(attempt - 1, 16)) + Math.random() * 400)
-        onTransient?.(`transient response, backoff ${Math.round(backoff / 1000)}s (attempt ${attempt})`)
-        await sleep(backoff, signal)
-      }
-
-      const json = await fetchTxByHashOnce(chainId, txHash, signal)
-      const interp = interpretTxByHashResponse(json)
-
-      if (!interp.definitive) {
-        attempt++
-        if (interp.kind === 'rate_limit' || interp.kind === 'no_result') {
-          onTransient?.(interp.kind === 'rate_limit' ? 'rate limit in body, backing off...' : 'missing result field, retrying...')
-        }
-        continue
-      }
-
-      return {
-        requestSuccess: interp.requestSuccess,
-        onChain: interp.onChain,
-        tx: interp.tx ?? null,
-        error: interp.error,
-        permanent: interp.permanent,
-      }
-    } catch (e) {
-      if (e.name === 'AbortError') throw e
-      attempt++
-      const backoff = Math.min(120000, 1000 * Math.pow(2, Math.min(attempt - 1, 16)) + Math.random() * 500)
-      onTransient?.(`request error: ${e.message} — retry in ${Math.round(backoff / 1000)}s`)
-      await sleep(backoff, signal)
-    }
-  }
-}
-
-async function fetchReceiptStatusOnce(chainId, txHash, signal) {
-  const fullParams = {
-    chainid: String(chainId),
-    module: 'transaction',
-    action: 'gettxreceiptstatus',
-    txhash: txHash,
-  }
-  if (ETHERSCAN_API_KEY) fullParams.apikey = ETHERSCAN_API_KEY
-  const url = `${ETHERSCAN_V2}?${new URLSearchParams(fullParams)}`
-  const res = await fetch(url, { signal })
-  const json = await res.json()
-  return json
-}
-
-async function lookupReceiptStatusWithBackoff(chainId, txHash, signal, onTransient) {
-  let attempt = 0
-  while (true) {
-    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError')
-    try {
-      if (attempt > 0) {
-        const backoff = Math.min(120000, 750 * Math.pow(2, Math.min(attempt - 1, 16)) + Math.random() * 400)
-        onTransient?.(`receipt status backoff ${Math.round(backoff / 1000)}s (${attempt})`)
-        await sleep(backoff, signal)
-      }
-
-      const json = await fetchReceiptStatusOnce(chainId, txHash, signal)
-      const interp = interpretReceiptStatusResponse(json)
-
-      if (!interp.definitive) {
-        attempt++
-        continue
-      }
-
-      return { execution: interp.execution, error: interp.error, permanent: interp.permanent }
-    } catch (e) {
-      if (e.name === 'AbortError') throw e
-      attempt++
-      const backoff = Math.min(120000, 1000 * Math.pow(2, Math.min(attempt - 1, 16)) + Math.random() * 500)
-      onTransient?.(`receipt request error: ${e.message} — retry in ${Math.round(backoff / 1000)}s`)
-      await sleep(backoff, signal)
-    }
-  }
-}
-
-function escapeCsvField(val) {
-  if (val === null || val === undefined) return ''
-  const s = String(val)
-  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`
-  return s
-}
-
-/** Count completed rows, request/on-chain stats, and per execution_status (receipt). */
-function tallyFromRef(refArr) {
-  const total = refArr.length
-  let completed = 0
-  let requestOk = 0
-  let onChain = 0
-  const execution = { success: 0, fail: 0, pending: 0, unknown: 0, na: 0 }
-  for (const r of refArr) {
-    if (r == null) continue
-    completed++
-    if (r.requestSuccess) requestOk++
-    if (r.onChain) onChain++
-    const ex = r.executionStatus ?? 'n/a'
-    if (ex === 'success') execution.success++
-    else if (ex === 'fail') execution.fail++
-    else if (ex === 'pending') execution.pending++
-    else if (ex === 'unknown') execution.unknown++
-    else execution.na++
-  }
-  return { completed, requestOk, onChain, total, execution }
-}
-
 export default function OnChainCheck() {
   useEffect(() => {
     document.title = 'Am I Onchain?'
@@ -303,27 +103,35 @@ export default function OnChainCheck() {
   }, [])
 
   const [networks, setNetworks] = useState(FALLBACK_NETWORKS)
-  const [selectedNetwork, setSelectedNetwork] = useState(FALLBACK_NETWORKS[0])
-  const [input, setInput] = useState('')
-  const [loading, setLoading] = useState(false)
-  const [progress, setProgress] = useState({ done: 0, total: 0 })
-  const [results, setResults] = useState([])
-  const [logs, setLogs] = useState([])
+  // ── Background job (keeps running when the page is left) ──
+  const job = useBatchJob(HISTORY.tool)
+  const loading = isJobActive(job)
+  const paused = job?.status === 'paused'
+
+  const [selectedNetwork, setSelectedNetwork] = useState(() => getJob(HISTORY.tool)?.meta.network ?? FALLBACK_NETWORKS[0])
+  const customNetworks = useCustomNetworks('evm')
+  const networkOptions = useMemo(
+    () => [...networks, ...customNetworks.map(customNetworkOption)],
+    [networks, customNetworks]
+  )
+  const [input, setInput] = useState(() => getJob(HISTORY.tool)?.meta.input ?? '')
+  // A run opened from History; while a job exists its rows and log are shown instead
+  const [openedResults, setOpenedResults] = useState([])
+  const [openedLogs, setOpenedLogs] = useState([])
+  const results = job ? job.results : openedResults
+  const logs = job ? job.logs : openedLogs
   const [resultsPage, setResultsPage] = useState(0)
   const [pageSize, setPageSize] = useState(200)
-  const [liveScore, setLiveScore] = useState({
-    completed: 0,
-    requestOk: 0,
-    onChain: 0,
-    total: 0,
-    execution: { success: 0, fail: 0, pending: 0, unknown: 0, na: 0 },
-  })
 
-  const abortRef = useRef(null)
-  const resultsRef = useRef([])
-  const progressRef = useRef({ done: 0, total: 0 })
   const logEndRef = useRef(null)
 
+  usePrefill(({ input }) => {
+    clearJob(HISTORY.tool)
+    setInput(input)
+    setOpenedResults([])
+    setResultsPage(0)
+  })
+
   useEffect(() => {
     fetch(CHAINLIST_URL)
       .then(r => r.json())
@@ -331,7 +139,7 @@ export default function OnChainCheck() {
         const chains = parseChainlist(data)
         if (chains.length > 0) {
           setNetworks(chains)
-          setSelectedNetwork(prev => chains.find(c => c.chainId === prev.chainId) || chains[0])
+          setSelectedNetwork(prev => prev.rpcs ? prev : (chains.find(c => c.chainId === prev.chainId) || chains[0]))
         }
       })
       .catch(() => { /* fallback */ })
@@ -341,223 +149,100 @@ export default function OnChainCheck() {
     logEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }, [logs])
 
-  const addLog = useCallback((msg) => {
-    const ts = new Date().toLocaleTimeString()
-    setLogs(prev => [...prev.slice(-400), `[${ts}] ${msg}`])
-  }, [])
-
-  // Only sync progress while running — resultsRef holds nulls for pending rows; pushing that
-  // array into state would crash the table (r.txHash on null). Full results are set once in handleRun.
-  useEffect(() => {
-    let id
-    if (loading) {
-      id = setInterval(() => {
-        setProgress({ ...progressRef.current })
-        setLiveScore(tallyFromRef(resultsRef.current))
-      }, UI_UPDATE_INTERVAL_MS)
-    }
-    return () => { if (id) clearInterval(id) }
-  }, [loading])
-
-  const parsedTokens = tokenizeInput(input)
+  const parsedTokens = useMemo(() => tokenizeInput(input), [input])
   const validPreviewCount = parsedTokens.filter(t => normalizeTxHash(t)).length
 
-  const handleRun = useCallback(async () => {
-    const tokens = tokenizeInput(input)
+  // `rerun` ({ input, network }) starts a run without waiting for state — used by History's "Re-run failed"
+  const handleRun = useCallback((rerun = null) => {
+    const network = rerun?.network ?? selectedNetwork
+    const source = rerun?.input ?? input
+    const tokens = tokenizeInput(source)
     if (tokens.length === 0) return
 
-    const controller = new AbortController()
-    abortRef.current = controller
-    const { signal } = controller
-    const chainId = selectedNetwork.chainId
+    const rows = tokens.map(raw => ({ rawInput: raw.slice(0, 80), txHash: normalizeTxHash(raw) }))
+    const { id, name, chainId, explorer, rpc, rpcs } = network
+    const logs = [
+      `Chain: ${name} (${chainId})`,
+      rpcs
+        ? `Custom network — querying ${rpc} directly`
+        : HAS_API_KEY ? 'API key: fast pacing (~4 req/s)' : 'No API key — ~1 req / 5.5s (set VITE_ETHERSCAN_API_KEY to go faster)',
+    ]
 
-    setLoading(true)
-    setLogs([])
     setResultsPage(0)
-    addLog(`Chain: ${selectedNetwork.name} (${chainId})`)
-    addLog(HAS_API_KEY ? 'API key: fast pacing (~4 req/s)' : 'No API key — ~1 req / 5.5s (set VITE_ETHERSCAN_API_KEY to go faster)')
-
-    const rows = tokens.map(raw => {
-      const normalized = normalizeTxHash(raw)
-      return { rawInput: raw.slice(0, 80), txHash: normalized }
-    })
-
-    resultsRef.current = rows.map(() => null)
-    progressRef.current = { done: 0, total: rows.length }
-    setResults([])
-    setProgress({ done: 0, total: rows.length })
-    setLiveScore({
-      completed: 0,
-      requestOk: 0,
-      onChain: 0,
-      total: rows.length,
-      execution: { success: 0, fail: 0, pending: 0, unknown: 0, na: 0 },
+    startJob(HISTORY.tool, {
+      kind: 'onchain-check',
+      items: rows,
+      options: { network: { id, name, chainId, rpc, rpcs } },
+      meta: { input: source, network: { id, name, chainId, explorer, rpc, rpcs } },
+      logs,
+      onFinish: (finished) => {
+        const final = finished.results.filter(Boolean)
+        saveRun(HISTORY, {
+          network: { id, name, chainId },
+          input: tokens.join('\n'),
+          items: final,
+          startedAt: finished.startedAt,
+        }).catch(e => console.error('Failed to save run history', e))
+        const complete = finished.status === 'done' && !final.some(x => x.note === 'Aborted' || x.note === 'Incomplete')
+        if (complete) trackUsage('onchain-check', final.length)
+      },
     })
-
-    let transientLogBudget = 80
-    let permanentApiError = null
-
-    try {
-      outer: for (let i = 0; i < rows.length; i++) {
-        if (signal.aborted) break
-        const { rawInput, txHash } = rows[i]
-
-        try {
-          if (!txHash) {
-            resultsRef.current[i] = {
-              rawInput,
-              txHash: '',
-              requestSuccess: false,
-              onChain: false,
-              executionStatus: 'n/a',
-              note: 'Invalid tx hash (expected 0x + 64 hex)',
-            }
-          } else {
-            if (i > 0) await sleep(DELAY_MS, signal)
-            const data = await lookupTxWithBackoff(chainId, txHash, signal, (msg) => {
-              if (transientLogBudget > 0) {
-                transientLogBudget--
-                addLog(`${txHash.slice(0, 10)}… ${msg}`)
-              }
-            })
-
-            let executionStatus = 'n/a'
-            let receiptError = null
-            if (data.onChain) {
-              if (!data.tx) {
-                executionStatus = 'n/a'
-              } else if (!isMinedTx(data.tx)) {
-                executionStatus = 'pending'
-              } else {
-                await sleep(DELAY_MS, signal)
-                const recv = await lookupReceiptStatusWithBackoff(chainId, txHash, signal, (msg) => {
-                  if (transientLogBudget > 0) {
-                    transientLogBudget--
-                    addLog(`${txHash.slice(0, 10)}… ${msg}`)
-                  }
-                })
-                executionStatus = recv.execution
-                receiptError = recv.error
-                if (recv.permanent && !permanentApiError) permanentApiError = recv.error
-              }
-            }
-
-            const note = data.error
-              ? `API error: ${data.error}`
-              : receiptError
-                ? `Receipt API error: ${receiptError}`
-                : ''
-
-            resultsRef.current[i] = {
-              rawInput: '',
-              txHash,
-              requestSuccess: data.requestSuccess,
-              onChain: data.onChain,
-              executionStatus,
-              note,
-            }
-
-            if (data.permanent && !permanentApiError) permanentApiError = data.error
-            if (permanentApiError) {
-              addLog(`Stopping early — Etherscan returned a permanent error for chain ${selectedNetwork.name} (${chainId}): "${permanentApiError}". Check your VITE_ETHERSCAN_API_KEY / plan.`)
-              progressRef.current = { ...progressRef.current, done: i + 1 }
-              break outer
-            }
-          }
-        } catch (e) {
-          if (e.name === 'AbortError') {
-            resultsRef.current[i] = {
-              rawInput: txHash ? '' : rawInput,
-              txHash: txHash || '',
-              requestSuccess: false,
-              onChain: false,
-              executionStatus: 'n/a',
-              note: 'Aborted',
-            }
-            addLog('Cancelled.')
-            break outer
-          }
-          throw e
-        }
-
-        progressRef.current = { ...progressRef.current, done: i + 1 }
+  }, [input, selectedNetwork])
+
+  const handleCancel = () => cancelJob(HISTORY.tool)
+  const handlePause = () => (paused ? resumeJob(HISTORY.tool) : pauseJob(HISTORY.tool))
+
+  // Link state: ?chain=8453&h=0x…,0x… (custom networks by id)
+  const shareLink = useUrlState({
+    values: {
+      chain: selectedNetwork.rpcs ? selectedNetwork.id : selectedNetwork.chainId,
+      h: parsedTokens,
+    },
+    defaults: { chain: FALLBACK_NETWORKS[0].chainId },
+    restore: ({ chain, h }) => {
+      if (chain) {
+        const net = networkOptions.find(n => n.id === chain) ||
+          networkOptions.find(n => !n.rpcs && String(n.chainId) === chain)
+        // Not in the fallback list yet — the chainlist load swaps in the full entry by chainId
+        if (net) setSelectedNetwork(net)
+        else if (/^\d+$/.test(chain)) setSelectedNetwork({ id: chain, name: `Chain ${chain}`, chainId: Number(chain) })
       }
+      if (h) setInput(listParam(h).join('\n'))
+    },
+    run: () => handleRun(),
+  })
 
-      const final = resultsRef.current.map((r, idx) => r || {
-        rawInput: rows[idx].rawInput,
-        txHash: rows[idx].txHash || '',
-        requestSuccess: false,
-        onChain: false,
-        executionStatus: 'n/a',
-        note: signal.aborted ? 'Aborted' : 'Incomplete',
-      })
+  const findSavedNetwork = (saved) => saved && (
+    networkOptions.find(n => n.id === saved.id) ||
+    networkOptions.find(n => !n.rpcs && n.chainId === saved.chainId)
+  )
 
-      setResults(final)
-      setLiveScore(tallyFromRef(final))
-      setProgress({ done: progressRef.current.total, total: progressRef.current.total })
-      const stoppedEarly = signal.aborted || final.some(x => x.note === 'Aborted' || x.note === 'Incomplete')
-      if (stoppedEarly) {
-        addLog('Stopped — partial results below.')
-      } else {
-        addLog(`Done — ${final.length.toLocaleString()} rows.`)
-        trackUsage('onchain-check', final.length)
-      }
-    } catch (e) {
-      if (e.name !== 'AbortError') addLog(`ERROR: ${e.message}`)
-      const final = resultsRef.current.map((r, idx) => r || {
-        rawInput: rows[idx].rawInput,
-        txHash: rows[idx].txHash || '',
-        requestSuccess: false,
-        onChain: false,
-        executionStatus: 'n/a',
-        note: signal.aborted ? 'Aborted' : 'Incomplete',
-      })
-      setResults(final)
-      setLiveScore(tallyFromRef(final))
-      setProgress({ done: progressRef.current.total, total: progressRef.current.total })
-      addLog('Error or interrupt — partial results below.')
-    } finally {
-      setLoading(false)
-      abortRef.current = null
-    }
-  }, [input, selectedNetwork, addLog])
-
-  const handleCancel = () => {
-    abortRef.current?.abort()
+  const handleOpenRun = (run) => {
+    clearJob(HISTORY.tool)
+    const net = findSavedNetwork(run.network)
+    if (net) setSelectedNetwork(net)
+    setInput(run.input)
+    setOpenedResults(run.items)
+    setResultsPage(0)
+    setOpenedLogs([`Opened saved run from ${new Date(run.finishedAt).toLocaleString()} — ${run.items.length.toLocaleString()} rows.`])
   }
 
-  const handleDownloadCSV = () => {
-    const header = ['tx_hash', 'raw_input', 'request_success', 'on_chain', 'execution_status', 'chain_id', 'chain_name', 'note']
-    const lines = [header.join(',')]
-    for (const r of results) {
-      if (r == null) continue
-      lines.push([
-        escapeCsvField(r.txHash),
-        escapeCsvField(r.rawInput),
-        escapeCsvField(r.requestSuccess),
-        escapeCsvField(r.onChain),
-        escapeCsvField(r.executionStatus ?? 'n/a'),
-        escapeCsvField(selectedNetwork.chainId),
-        escapeCsvField(selectedNetwork.name),
-        escapeCsvField(r.note || ''),
-      ].join(','))
-    }
-    const csv = lines.join('\n')
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `onchain-check-chain${selectedNetwork.chainId}-${Date.now()}.csv`
-    a.click()
-    URL.revokeObjectURL(url)
+  const handleRerunFailed = (run, hashes) => {
+    const network = findSavedNetwork(run.network) || selectedNetwork
+    const text = hashes.join('\n')
+    setSelectedNetwork(network)
+    setInput(text)
+    handleRun({ input: text, network })
   }
 
-  const safeResults = results.filter(Boolean)
+  // Rows stream in while the job runs; pending slots are still null
+  const safeResults = useMemo(() => results.filter(Boolean), [results])
+  const selection = useRowSelection(safeResults, HISTORY.keyOf)
   const scorecardStats = useMemo(() => {
-    if (safeResults.length > 0) return tallyFromRef(safeResults)
-    if (loading && progress.total > 0) return liveScore
-    return null
-  }, [safeResults, loading, progress.total, liveScore])
+    if (job?.tally) return job.tally
+    return safeResults.length > 0 ? tallyFromRef(safeResults) : null
+  }, [job, safeResults])
+  const progress = { done: job?.done ?? 0, total: job?.total ?? 0 }
 
   const totalPages = Math.max(1, Math.ceil(safeResults.length / pageSize))
   const startIdx = resultsPage * pageSize
@@ -580,12 +265,12 @@ export default function OnChainCheck() {
             className="txfetcher-dropdown"
             value={selectedNetwork.id}
             onChange={(e) => {
-              const net = networks.find(n => n.id === e.target.value)
+              const net = networkOptions.find(n => n.id === e.target.value)
               if (net) setSelectedNetwork(net)
             }}
             disabled={loading}
           >
-            {networks.map(n => (
+            {networkOptions.map(n => (
               <option key={n.id} value={n.id}>{n.name} ({n.chainId})</option>
             ))}
           </select>
@@ -621,23 +306,35 @@ export default function OnChainCheck() {
             <button
               type="button"
               className="fetch-btn"
-              onClick={handleRun}
+              onClick={() => handleRun()}
               disabled={!canRun}
             >
               {loading ? (
                 <>
-                  <span className="fetch-spinner" />
-                  Checking…
+                  {!paused && <span className="fetch-spinner" />}
+                  {paused ? 'Paused' : 'Checking…'}
                 </>
               ) : (
                 <>Run check</>
               )}
             </button>
+            {loading && (
+              <button type="button" className="pause-btn" onClick={handlePause}>
+                {paused ? 'Resume' : 'Pause'}
+              </button>
+            )}
             {loading && (
               <button type="button" className="cancel-btn" onClick={handleCancel}>
                 Cancel
               </button>
             )}
+            <RunHistory
+              config={HISTORY}
+              onOpenRun={handleOpenRun}
+              onRerunFailed={handleRerunFailed}
+              disabled={loading}
+            />
+            <ShareLink getLink={shareLink} canAutoRun />
           </div>
 
           {loading && progress.total > 0 && (
@@ -718,9 +415,15 @@ export default function OnChainCheck() {
                 <span className="results-count">{safeResults.length.toLocaleString()} rows</span>
               </div>
               <div className="results-actions">
-                <button type="button" className="download-btn" onClick={handleDownloadCSV}>
-                  Download CSV
-                </button>
+                <ExportMenu
+                  config={EXPORT}
+                  rows={safeResults}
+                  selectedRows={selection.selectedRows}
+                  context={{ chainId: selectedNetwork.chainId, chainName: selectedNetwork.name }}
+                  fileName={`onchain-check-chain${selectedNetwork.chainId}`}
+                  label="Export"
+                  buttonClassName="download-btn"
+                />
               </div>
             </div>
 
@@ -739,6 +442,14 @@ export default function OnChainCheck() {
                 </select>
                 <span>per page</span>
               </div>
+              <label className="select-page-control">
+                <input
+                  type="checkbox"
+                  checked={selection.allSelected(pageRows)}
+                  onChange={(e) => selection.setRows(pageRows, e.target.checked)}
+                />
+                Select page
+              </label>
               <div className="page-range-info">
                 Showing {(startIdx + 1).toLocaleString()}–{Math.min(startIdx + pageSize, safeResults.length).toLocaleString()} of {safeResults.length.toLocaleString()}
               </div>
@@ -754,6 +465,7 @@ export default function OnChainCheck() {
                   marginBottom: '0.25rem',
                 }}
               >
+                <span className="export-select" />
                 <span className="hash-index">#</span>
                 <span style={{ flex: 1 }}>tx_hash</span>
                 <span style={{ width: '7rem', textAlign: 'center' }}>request_success</span>
@@ -765,10 +477,17 @@ export default function OnChainCheck() {
                 if (r == null) return null
                 const globalIdx = startIdx + i + 1
                 const hash = r.txHash
-                const explorer = hash ? `${selectedNetwork.explorer}${hash}` : null
+                const explorer = hash ? explorerTxUrl(selectedNetwork.explorer, hash) : null
                 const exec = executionDisplay(r.executionStatus)
                 return (
                   <div className="hash-item" key={`${globalIdx}-${hash || r.rawInput}`} style={{ alignItems: 'flex-start' }}>
+                    <span className="export-select">
+                      <input
+                        type="checkbox"
+                        checked={selection.isSelected(HISTORY.keyOf(r))}
+                        onChange={() => selection.toggle(HISTORY.keyOf(r))}
+                      />
+                    </span>
                     <span className="hash-index">{globalIdx.toLocaleString()}</span>
                     <div style={{ flex: 1, minWidth: 0, wordBreak: 'break-all' }}>
                       {explorer ? (
@@ -1,7 +1,14 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { createPublicClient, http, recoverTransactionAddress, parseTransaction, formatEther, formatGwei, isAddress, decodeErrorResult } from 'viem'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import ShareLink from '../components/ShareLink'
+import { getChainsByFamily, getEvmChain, primaryRpc, primaryExplorer, toNetworkOption, EVM_CHAIN_COUNT } from '../config/chains'
+import { useCustomNetworks } from '../hooks/useCustomNetworks'
+import { browserRpcUrl } from '../config/proxy'
+import { decodeRlpChainId, parseEvmEnvelope, recoverAuthorities, blobSidecarProblem } from '../utils/evmTx'
 import './Simulator.css'
 
 // Standard Solidity error ABIs
@@ -65,220 +72,13 @@ const COMMON_SELECTORS = {
   '0x5c975abb': { name: 'paused', signature: 'paused()', standard: 'Pausable' },
 }
 
-// EVM Networks (same as Broadcaster)
+// EVM networks from the shared chain registry, wrapped with the auto-detect and custom RPC entries
 const EVM_NETWORKS = [
   { id: 'auto-evm', name: '🔄 Auto (Detect Chain)', rpc: '', type: 'evm', isAuto: true },
-  { id: 'ethereum', name: 'Ethereum', rpc: 'https://ethereum-rpc.publicnode.com', type: 'evm', chainId: 1, explorer: 'https://etherscan.io/tx/' },
-  { id: 'eth-test5', name: 'ETH_TEST5 (Sepolia)', rpc: 'https://ethereum-sepolia-rpc.publicnode.com', type: 'evm', chainId: 11155111, explorer: 'https://sepolia.etherscan.io/tx/' },
-  { id: 'arbitrum', name: 'Arbitrum One', rpc: 'https://arb1.arbitrum.io/rpc', type: 'evm', chainId: 42161, explorer: 'https://arbiscan.io/tx/' },
-  { id: 'astar', name: 'Astar', rpc: 'https://evm.astar.network', type: 'evm', chainId: 592, explorer: 'https://astar.blockscout.com/tx/' },
-  { id: 'aurora', name: 'Aurora', rpc: 'https://mainnet.aurora.dev', type: 'evm', chainId: 1313161554, explorer: 'https://explorer.aurora.dev/tx/' },
-  { id: 'avalanche', name: 'Avalanche C-Chain', rpc: 'https://api.avax.network/ext/bc/C/rpc', type: 'evm', chainId: 43114, explorer: 'https://snowtrace.io/tx/' },
-  { id: 'base', name: 'Base', rpc: 'https://mainnet.base.org', type: 'evm', chainId: 8453, explorer: 'https://basescan.org/tx/' },
-  { id: 'blast', name: 'Blast Mainnet', rpc: 'https://zkevmrpc.blastchain.org', type: 'evm', chainId: 238, explorer: 'https://blastchain.org/tx/' },
-  { id: 'bsc', name: 'BNB Smart Chain', rpc: 'https://bsc-dataseed.binance.org', type: 'evm', chainId: 56, explorer: 'https://bscscan.com/tx/' },
-  { id: 'canto', name: 'Canto', rpc: 'https://canto.gravitychain.io', type: 'evm', chainId: 7700, explorer: 'https://tuber.build/tx/' },
-  { id: 'cortex', name: 'Cortex', rpc: 'https://security.cortexlabs.ai:30088', type: 'evm', chainId: 21, explorer: 'https://cerebro.cortexlabs.ai/tx/' },
-  { id: 'celo', name: 'Celo', rpc: 'https://forno.celo.org', type: 'evm', chainId: 42220, explorer: 'https://celoscan.io/tx/' },
-  { id: 'chiliz', name: 'Chiliz', rpc: 'https://rpc.ankr.com/chiliz', type: 'evm', chainId: 88888, explorer: 'https://chiliscan.com/tx/' },
-  { id: 'ethw', name: 'Ethereum PoW', rpc: 'https://mainnet.ethereumpow.org', type: 'evm', chainId: 10001, explorer: 'https://www.oklink.com/ethw/tx/' },
-  { id: 'evmos', name: 'Evmos', rpc: 'https://evmos-evm.publicnode.com', type: 'evm', chainId: 9001, explorer: 'https://escan.live/tx/' },
-  { id: 'fantom', name: 'Fantom', rpc: 'https://rpcapi.fantom.network', type: 'evm', chainId: 250, explorer: 'https://ftmscan.com/tx/' },
-  { id: 'gnosis', name: 'Gnosis Chain (xDAI)', rpc: 'https://rpc.gnosischain.com', type: 'evm', chainId: 100, explorer: 'https://gnosisscan.io/tx/' },
-  { id: 'kava', name: 'KAVA EVM', rpc: 'https://evm.kava.io', type: 'evm', chainId: 2222, explorer: 'https://kavascan.com/tx/' },
-  { id: 'plasma', name: 'Plasma Mainnet', rpc: 'https://rpc.plasma.to', type: 'evm', chainId: 9745, explorer: 'https://plasmascan.to/tx/' },
-  { id: 'linea', name: 'Linea', rpc: 'https://rpc.linea.build', type: 'evm', chainId: 59144, explorer: 'https://lineascan.build/tx/' },
-  { id: 'manta', name: 'Manta Pacific', rpc: 'https://manta.nirvanalabs.xyz/mantapublic', type: 'evm', chainId: 169, explorer: 'https://manta.socialscan.io/tx/' },
-  { id: 'monad', name: 'Monad', rpc: 'https://rpc3.monad.xyz', type: 'evm', chainId: 143, explorer: 'https://monadvision.com/tx/' },
-  { id: 'moonbeam', name: 'Moonbeam', rpc: 'https://rpc.api.moonbeam.network', type: 'evm', chainId: 1284, explorer: 'https://moonscan.io/tx/' },
-  { id: 'moonriver', name: 'Moonriver', rpc: 'https://rpc.api.moonriver.moonbeam.network', type: 'evm', chainId: 1285, explorer: 'https://moonriver.moonscan.io/tx/' },
-  { id: 'oasys', name: 'Oasys', rpc: 'https://rpc.mainnet.oasys.games', type: 'evm', chainId: 248, explorer: 'https://scan.oasys.games/tx/' },
-  { id: 'optimism', name: 'Optimism', rpc: 'https://mainnet.optimism.io', type: 'evm', chainId: 10, explorer: 'https://optimistic.etherscan.io/tx/' },
-  { id: 'polygon', name: 'Polygon', rpc: 'https://polygon.rpc.subquery.network/public', type: 'evm', chainId: 137, explorer: 'https://polygonscan.com/tx/' },
-  { id: 'ronin', name: 'Ronin', rpc: 'https://api.roninchain.com/rpc', type: 'evm', chainId: 2020, explorer: 'https://app.roninchain.com/tx/' },
-  { id: 'rsk', name: 'RSK', rpc: 'https://public-node.rsk.co', type: 'evm', chainId: 30, explorer: 'https://explorer.rsk.co/tx/' },
-  { id: 'shimmer', name: 'Shimmer EVM', rpc: 'https://json-rpc.evm.shimmer.network', type: 'evm', chainId: 148, explorer: 'https://explorer.evm.shimmer.network/tx/' },
-  { id: 'smartbch', name: 'SmartBCH', rpc: 'https://smartbch.greyh.at', type: 'evm', chainId: 10000, explorer: 'https://www.smartscan.cash/tx/' },
-  { id: 'songbird', name: 'Songbird', rpc: 'https://songbird-api.flare.network/ext/C/rpc', type: 'evm', chainId: 19, explorer: 'https://songbird-explorer.flare.network/tx/' },
-  { id: 'unichain', name: 'Unichain', rpc: 'https://unichain-mainnet.gateway.tatum.io', type: 'evm', chainId: 130, explorer: 'https://uniscan.xyz/tx/' },
-  { id: 'velas', name: 'Velas', rpc: 'https://evmexplorer.velas.com/rpc', type: 'evm', chainId: 106, explorer: 'https://evmexplorer.velas.com/tx/' },
-  { id: 'worldchain', name: 'Worldchain', rpc: 'https://worldchain-mainnet.g.alchemy.com/public', type: 'evm', chainId: 480, explorer: 'https://worldscan.org/tx/' },
-  { id: 'xdc', name: 'XDC Network', rpc: 'https://rpc.xinfin.network', type: 'evm', chainId: 50, explorer: 'https://xdcscan.io/tx/' },
-  { id: 'zkevm', name: 'Polygon zkEVM', rpc: 'https://zkevm-rpc.com', type: 'evm', chainId: 1101, explorer: 'https://zkevm.polygonscan.com/tx/' },
-  { id: 'megaeth', name: 'MegaETH', rpc: 'https://carrot.megaeth.com/rpc', type: 'evm', chainId: 6342, explorer: 'https://mega.etherscan.io/tx/' },
+  ...getChainsByFamily('evm').map(toNetworkOption),
   { id: 'custom-evm', name: 'Custom EVM RPC...', rpc: '', type: 'evm' },
 ]
 
-// Chain ID to network mapping for auto-detection
-const CHAIN_ID_MAP = {
-  1: { name: 'Ethereum', rpc: 'https://ethereum-rpc.publicnode.com', explorer: 'https://etherscan.io/tx/' },
-  11155111: { name: 'ETH_TEST5 (Sepolia)', rpc: 'https://ethereum-sepolia-rpc.publicnode.com', explorer: 'https://sepolia.etherscan.io/tx/' },
-  10: { name: 'Optimism', rpc: 'https://mainnet.optimism.io', explorer: 'https://optimistic.etherscan.io/tx/' },
-  19: { name: 'Songbird', rpc: 'https://songbird-api.flare.network/ext/C/rpc', explorer: 'https://songbird-explorer.flare.network/tx/' },
-  21: { name: 'Cortex', rpc: 'https://security.cortexlabs.ai:30088', explorer: 'https://cerebro.cortexlabs.ai/tx/' },
-  30: { name: 'RSK', rpc: 'https://public-node.rsk.co', explorer: 'https://explorer.rsk.co/tx/' },
-  50: { name: 'XDC Network', rpc: 'https://rpc.xinfin.network', explorer: 'https://xdcscan.io/tx/' },
-  56: { name: 'BNB Smart Chain', rpc: 'https://bsc-dataseed.binance.org', explorer: 'https://bscscan.com/tx/' },
-  100: { name: 'Gnosis Chain', rpc: 'https://rpc.gnosischain.com', explorer: 'https://gnosisscan.io/tx/' },
-  106: { name: 'Velas', rpc: 'https://evmexplorer.velas.com/rpc', explorer: 'https://evmexplorer.velas.com/tx/' },
-  137: { name: 'Polygon', rpc: 'https://polygon.rpc.subquery.network/public', explorer: 'https://polygonscan.com/tx/' },
-  143: { name: 'Monad', rpc: 'https://rpc3.monad.xyz', explorer: 'https://monadvision.com/tx/' },
-  169: { name: 'Manta Pacific', rpc: 'https://manta.nirvanalabs.xyz/mantapublic', explorer: 'https://manta.socialscan.io/tx/' },
-  148: { name: 'Shimmer EVM', rpc: 'https://json-rpc.evm.shimmer.network', explorer: 'https://explorer.evm.shimmer.network/tx/' },
-  248: { name: 'Oasys', rpc: 'https://rpc.mainnet.oasys.games', explorer: 'https://scan.oasys.games/tx/' },
-  250: { name: 'Fantom', rpc: 'https://rpcapi.fantom.network', explorer: 'https://ftmscan.com/tx/' },
-  238: { name: 'Blast Mainnet', rpc: 'https://zkevmrpc.blastchain.org', explorer: 'https://blastchain.org/tx/' },
-  480: { name: 'Worldchain', rpc: 'https://worldchain-mainnet.g.alchemy.com/public', explorer: 'https://worldscan.org/tx/' },
-  592: { name: 'Astar', rpc: 'https://evm.astar.network', explorer: 'https://astar.blockscout.com/tx/' },
-  1101: { name: 'Polygon zkEVM', rpc: 'https://zkevm-rpc.com', explorer: 'https://zkevm.polygonscan.com/tx/' },
-  1284: { name: 'Moonbeam', rpc: 'https://rpc.api.moonbeam.network', explorer: 'https://moonscan.io/tx/' },
-  1285: { name: 'Moonriver', rpc: 'https://rpc.api.moonriver.moonbeam.network', explorer: 'https://moonriver.moonscan.io/tx/' },
-  2020: { name: 'Ronin', rpc: 'https://api.roninchain.com/rpc', explorer: 'https://app.roninchain.com/tx/' },
-  2222: { name: 'KAVA EVM', rpc: 'https://evm.kava.io', explorer: 'https://kavascan.com/tx/' },
-  7700: { name: 'Canto', rpc: 'https://canto.gravitychain.io', explorer: 'https://tuber.build/tx/' },
-  8453: { name: 'Base', rpc: 'https://mainnet.base.org', explorer: 'https://basescan.org/tx/' },
-  9001: { name: 'Evmos', rpc: 'https://evmos-evm.publicnode.com', explorer: 'https://escan.live/tx/' },
-  9745: { name: 'Plasma Mainnet', rpc: 'https://rpc.plasma.to', explorer: 'https://plasmascan.to/tx/' },
-  10000: { name: 'SmartBCH', rpc: 'https://smartbch.greyh.at', explorer: 'https://www.smartscan.cash/tx/' },
-  10001: { name: 'Ethereum PoW', rpc: 'https://mainnet.ethereumpow.org', explorer: 'https://www.oklink.com/ethw/tx/' },
-  42161: { name: 'Arbitrum One', rpc: 'https://arb1.arbitrum.io/rpc', explorer: 'https://arbiscan.io/tx/' },
-  42220: { name: 'Celo', rpc: 'https://forno.celo.org', explorer: 'https://celoscan.io/tx/' },
-  43114: { name: 'Avalanche C-Chain', rpc: 'https://api.avax.network/ext/bc/C/rpc', explorer: 'https://snowtrace.io/tx/' },
-  59144: { name: 'Linea', rpc: 'https://rpc.linea.build', explorer: 'https://lineascan.build/tx/' },
-  88888: { name: 'Chiliz', rpc: 'https://rpc.ankr.com/chiliz', explorer: 'https://chiliscan.com/tx/' },
-  130: { name: 'Unichain', rpc: 'https://unichain-mainnet.gateway.tatum.io', explorer: 'https://uniscan.xyz/tx/' },
-  1313161554: { name: 'Aurora', rpc: 'https://mainnet.aurora.dev', explorer: 'https://explorer.aurora.dev/tx/' },
-  6342: { name: 'MegaETH', rpc: 'https://carrot.megaeth.com/rpc', explorer: 'https://mega.etherscan.io/tx/' },
-}
-
-// Cortex RPC has no CORS; we proxy on our server (same as curl from server)
-const CORTEX_RPC = 'https://security.cortexlabs.ai:30088'
-const effectiveRpcUrl = (url) => {
-  if (!url) return url
-  if (import.meta.env.DEV && url === CORTEX_RPC) return '/rpc/cortex'
-  if (!import.meta.env.DEV && url === CORTEX_RPC) return '/api/cortex-rpc'
-  return url
-}
-
-// Decode RLP to extract chain ID from EVM transaction
-const decodeRlpChainId = (rlpHex) => {
-  try {
-    const hex = rlpHex.startsWith('0x') ? rlpHex.slice(2) : rlpHex
-    const bytes = new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)))
-
-    const txType = bytes[0]
-
-    if (txType === 0x01 || txType === 0x02 || txType === 0x03) {
-      // Typed transaction - chain ID is first item after type byte
-      return decodeRlpItemForChainId(bytes, 1)
-    } else if (txType >= 0xc0) {
-      // Legacy transaction - chain ID derived from v value
-      return decodeLegacyChainId(bytes)
-    }
-
-    return null
-  } catch (e) {
-    console.error('Failed to decode RLP:', e)
-    return null
-  }
-}
-
-// Decode RLP item to get chain ID (for typed transactions)
-const decodeRlpItemForChainId = (bytes, offset) => {
-  const listByte = bytes[offset]
-  let listStart = offset + 1
-  let listLength = 0
-
-  if (listByte <= 0xf7) {
-    listLength = listByte - 0xc0
-  } else {
-    const lengthOfLength = listByte - 0xf7
-    listLength = 0
-    for (let i = 0; i < lengthOfLength; i++) {
-      listLength = (listLength << 8) + bytes[listStart + i]
-    }
-    listStart += lengthOfLength
-  }
-
-  const chainIdByte = bytes[listStart]
-  let chainId = 0
-
-  if (chainIdByte <= 0x7f) {
-    chainId = chainIdByte
-  } else if (chainIdByte <= 0xb7) {
-    const strLength = chainIdByte - 0x80
-    for (let i = 0; i < strLength; i++) {
-      chainId = (chainId << 8) + bytes[listStart + 1 + i]
-    }
-  }
-
-  return chainId
-}
-
-// Decode legacy transaction to get chain ID from v value
-const decodeLegacyChainId = (bytes) => {
-  let offset = 0
-  const listByte = bytes[offset]
-
-  if (listByte <= 0xf7) {
-    offset = 1
-  } else {
-    const lengthOfLength = listByte - 0xf7
-    offset = 1 + lengthOfLength
-  }
-
-  // Skip first 6 items (nonce, gasPrice, gasLimit, to, value, data)
-  for (let i = 0; i < 6; i++) {
-    offset = skipRlpItem(bytes, offset)
-  }
-
-  const vByte = bytes[offset]
-  let v = 0
-
-  if (vByte <= 0x7f) {
-    v = vByte
-  } else if (vByte <= 0xb7) {
-    const strLength = vByte - 0x80
-    for (let i = 0; i < strLength; i++) {
-      v = (v << 8) + bytes[offset + 1 + i]
-    }
-  }
-
-  if (v === 27 || v === 28) {
-    return 1
-  } else if (v >= 35) {
-    return Math.floor((v - 35) / 2)
-  }
-
-  return null
-}
-
-// Skip an RLP item and return the new offset
-const skipRlpItem = (bytes, offset) => {
-  const byte = bytes[offset]
-
-  if (byte <= 0x7f) {
-    return offset + 1
-  } else if (byte <= 0xb7) {
-    return offset + 1 + (byte - 0x80)
-  } else if (byte <= 0xbf) {
-    const lengthOfLength = byte - 0xb7
-    let strLength = 0
-    for (let i = 0; i < lengthOfLength; i++) {
-      strLength = (strLength << 8) + bytes[offset + 1 + i]
-    }
-    return offset + 1 + lengthOfLength + strLength
-  } else if (byte <= 0xf7) {
-    return offset + 1 + (byte - 0xc0)
-  } else {
-    const lengthOfLength = byte - 0xf7
-    let listLength = 0
-    for (let i = 0; i < lengthOfLength; i++) {
-      listLength = (listLength << 8) + bytes[offset + 1 + i]
-    }
-    return offset + 1 + lengthOfLength + listLength
-  }
-}
 
 function Simulator() {
   const [inputText, setInputText] = useState('')
@@ -286,6 +86,21 @@ function Simulator() {
   const [simulationResult, setSimulationResult] = useState(null)
   const [isSimulating, setIsSimulating] = useState(false)
   const [error, setError] = useState(null)
+
+  // Raw tx handed over by the command bar
+  usePrefill(({ input }) => {
+    setInputText(input)
+    setDecodedData(null)
+    setSimulationResult(null)
+    setError(null)
+  })
+  const customNetworks = useCustomNetworks('evm')
+  // Saved custom EVM networks go just above the free-form "Custom EVM RPC..." entry
+  const networks = useMemo(() => [
+    ...EVM_NETWORKS.slice(0, -1),
+    ...customNetworks.map(toNetworkOption),
+    EVM_NETWORKS[EVM_NETWORKS.length - 1],
+  ], [customNetworks])
   const [selectedNetwork, setSelectedNetwork] = useState(EVM_NETWORKS[0])
   const [customRpc, setCustomRpc] = useState('')
   const [detectedChainInfo, setDetectedChainInfo] = useState(null)
@@ -305,8 +120,8 @@ function Simulator() {
       const hex = trimmed.startsWith('0x') ? trimmed.slice(2) : trimmed
       if (hex.length > 0) {
         const firstByte = parseInt(hex.slice(0, 2), 16)
-        // EVM typed transactions start with 0x01, 0x02, 0x03, or RLP list (0xc0+)
-        if (firstByte <= 0x03 || firstByte >= 0xc0) {
+        // EVM typed transactions start with 0x01–0x04, or RLP list (0xc0+)
+        if (firstByte <= 0x04 || firstByte >= 0xc0) {
           return 'evm'
         }
       }
@@ -328,16 +143,20 @@ function Simulator() {
   }
 
   const looksLikeSerializedTx = (hex) => {
-    // typed: 0x01/0x02/0x03... OR legacy list: 0xc0+
+    // typed: 0x01–0x04 OR legacy list: 0xc0+
     if (!hex || !hex.startsWith('0x') || hex.length < 4) return false
     const b0 = parseInt(hex.slice(2, 4), 16)
-    return b0 <= 0x03 || b0 >= 0xc0
+    return b0 <= 0x04 || b0 >= 0xc0
   }
 
   const recoverFromAddress = async (rawInput) => {
-    const raw = normalizeHex(rawInput)
+    let raw = normalizeHex(rawInput)
     if (!raw) return { from: null, error: 'Input is not valid hex.' }
     if (!looksLikeSerializedTx(raw)) return { from: null, error: 'Input does not look like a serialized EVM transaction.' }
+    // Blob txs are signed without their sidecar — recover from the bare form
+    try {
+      raw = parseEvmEnvelope(raw).bare
+    } catch { /* let viem report the problem */ }
 
     try {
       // best path
@@ -524,6 +343,70 @@ function Simulator() {
     }
   }
 
+  // Items of the transaction list starting at `offset` (nested lists come back empty)
+  const readRlpFields = (bytes, offset) => {
+    const listInfo = parseRlpList(bytes, offset)
+    const items = []
+    let pos = listInfo.dataStart
+    while (pos < listInfo.dataStart + listInfo.length) {
+      const item = readRlpItem(bytes, pos)
+      items.push(item.data)
+      pos = item.nextOffset
+    }
+    return items
+  }
+
+  // Decode EIP-4844 transaction from its bare (signed) form; the sidecar
+  // summary comes from the envelope
+  const decodeEIP4844 = (bytes, envelope) => {
+    const [chainId, nonce, maxPriorityFee, maxFeePerGas, gasLimit, to, value, data, , maxFeePerBlobGas, , v, r, s] = readRlpFields(bytes, 1)
+    const { blobs } = envelope
+    const problem = blobSidecarProblem(blobs)
+    return {
+      chainId: bytesToNumber(chainId),
+      nonce: bytesToNumber(nonce),
+      maxPriorityFeePerGas: bytesToHex(maxPriorityFee),
+      maxFeePerGas: bytesToHex(maxFeePerGas),
+      maxFeePerBlobGas: bytesToHex(maxFeePerBlobGas),
+      gasLimit: bytesToNumber(gasLimit),
+      to: to.length > 0 ? bytesToHex(to) : null,
+      value: bytesToHex(value),
+      data: data.length > 0 ? bytesToHex(data) : '0x',
+      blobVersionedHashes: blobs.versionedHashes.join(', '),
+      blobSidecar: blobs.wrapped
+        ? `${blobs.count} blob(s), wrapper v${blobs.wrapperVersion}, ${blobs.proofs} proof(s)${problem ? ` — ${problem}` : ''}`
+        : 'none (bare form: nodes only accept blob txs with their blobs, commitments and proofs)',
+      txHash: envelope.hash,
+      v: bytesToNumber(v),
+      r: bytesToHex(r),
+      s: bytesToHex(s),
+    }
+  }
+
+  // Decode EIP-7702 transaction; each authorization's signer is recovered
+  const decodeEIP7702 = async (bytes, envelope) => {
+    const [chainId, nonce, maxPriorityFee, maxFeePerGas, gasLimit, to, value, data, , , v, r, s] = readRlpFields(bytes, 1)
+    const authorizations = await recoverAuthorities(envelope.authorizations)
+    return {
+      chainId: bytesToNumber(chainId),
+      nonce: bytesToNumber(nonce),
+      maxPriorityFeePerGas: bytesToHex(maxPriorityFee),
+      maxFeePerGas: bytesToHex(maxFeePerGas),
+      gasLimit: bytesToNumber(gasLimit),
+      to: to.length > 0 ? bytesToHex(to) : null,
+      value: bytesToHex(value),
+      data: data.length > 0 ? bytesToHex(data) : '0x',
+      authorizationList: authorizations
+        .map(a => `${a.authority ?? 'unrecoverable signer'} → ${a.address} (chain ${a.chainId || 'any'}, nonce ${a.nonce})`)
+        .join('; '),
+      // Kept for the eth_call so the delegations apply during simulation
+      authorizations,
+      v: bytesToNumber(v),
+      r: bytesToHex(r),
+      s: bytesToHex(s),
+    }
+  }
+
   // Decode Legacy transaction
   const decodeLegacyTransaction = (bytes) => {
     let offset = 0
@@ -580,10 +463,10 @@ function Simulator() {
   }
 
   // Decode EVM RLP transaction
-  const decodeEvmTransaction = (rlpHex) => {
+  const decodeEvmTransaction = async (rlpHex) => {
     try {
       const hex = rlpHex.startsWith('0x') ? rlpHex.slice(2) : rlpHex
-      const bytes = new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)))
+      let bytes = new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)))
 
       const txType = bytes[0]
       let decoded = { raw: rlpHex }
@@ -597,8 +480,14 @@ function Simulator() {
         const data = decodeEIP2930(bytes)
         decoded = { ...decoded, ...data }
       } else if (txType === 0x03) {
-        decoded.type = 'EIP-4844 (Type 3 - Blob)'
-        const data = decodeEIP1559(bytes) // Simplified
+        const envelope = parseEvmEnvelope(rlpHex)
+        decoded.type = `EIP-4844 (Type 3 - Blob${envelope.blobs.wrapped ? ', network wrapper' : ', bare'})`
+        bytes = new Uint8Array(envelope.bare.slice(2).match(/.{1,2}/g).map(byte => parseInt(byte, 16)))
+        const data = decodeEIP4844(bytes, envelope)
+        decoded = { ...decoded, ...data }
+      } else if (txType === 0x04) {
+        decoded.type = 'EIP-7702 (Type 4 - Set Code)'
+        const data = await decodeEIP7702(bytes, parseEvmEnvelope(rlpHex))
         decoded = { ...decoded, ...data }
       } else if (txType >= 0xc0) {
         decoded.type = 'Legacy Transaction'
@@ -904,12 +793,13 @@ function Simulator() {
     }
 
     const chainId = decodeRlpChainId(rlpHex)
-    if (chainId && CHAIN_ID_MAP[chainId]) {
+    const knownChain = getEvmChain(chainId, customNetworks)
+    if (knownChain) {
       return {
         chainId,
-        chainName: CHAIN_ID_MAP[chainId].name,
-        rpc: CHAIN_ID_MAP[chainId].rpc,
-        explorer: CHAIN_ID_MAP[chainId].explorer
+        chainName: knownChain.name,
+        rpc: primaryRpc(knownChain),
+        explorer: primaryExplorer(knownChain)
       }
     }
 
@@ -930,7 +820,7 @@ function Simulator() {
     try {
       // Get chain info (for auto mode, this decodes the tx)
       const chainInfo = getChainInfo(raw)
-      const rpcUrl = effectiveRpcUrl(chainInfo.rpc || getRpcUrl())
+      const rpcUrl = browserRpcUrl(chainInfo.rpc || getRpcUrl())
 
       if (!rpcUrl) {
         throw new Error('No RPC URL available. Please select a network or ensure the transaction contains a valid chain ID.')
@@ -970,6 +860,9 @@ function Simulator() {
           decoded.value && decoded.value !== '0x0' && decoded.value !== '0x'
             ? BigInt(decoded.value)
             : undefined,
+        ...(decoded.authorizations
+          ? { authorizationList: decoded.authorizations.map(a => ({ chainId: a.chainId, address: a.address, nonce: Number(a.nonce), yParity: a.yParity, r: a.r, s: a.s })) }
+          : {}),
       }
 
       // ✅ FIXED: Use network fees, NOT the signed tx fee fields
@@ -1176,7 +1069,7 @@ function Simulator() {
       // Normalize raw input
       const raw = inputText.trim().startsWith('0x') ? inputText.trim() : `0x${inputText.trim()}`
 
-      const decoded = decodeEvmTransaction(raw)
+      const decoded = await decodeEvmTransaction(raw)
       setDecodedData(decoded)
 
       // Auto-detect chain if in auto mode
@@ -1197,6 +1090,19 @@ function Simulator() {
     }
   }
 
+  // Link state: ?network=<id>&tx=0x… (the custom RPC URL is never shared —
+  // it often embeds an API key). Simulation is read-only, so auto-run is fine.
+  const shareLink = useUrlState({
+    values: { network: selectedNetwork.id, tx: inputText.trim() },
+    defaults: { network: EVM_NETWORKS[0].id },
+    restore: (params) => {
+      const network = networks.find(n => n.id === params.network)
+      if (network) setSelectedNetwork(network)
+      if (params.tx) setInputText(params.tx)
+    },
+    run: () => handleSimulate(),
+  })
+
   const formatValue = (key, value) => {
     if (value == null) return ''
 
@@ -1212,7 +1118,7 @@ function Simulator() {
       }
 
       // Gas price fields: show gwei (and raw wei hex)
-      const gasKeys = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']
+      const gasKeys = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'maxFeePerBlobGas']
       if (gasKeys.includes(key) && value.startsWith('0x')) {
         try {
           const wei = BigInt(value)
@@ -1262,13 +1168,13 @@ function Simulator() {
             <select
               value={selectedNetwork.id}
               onChange={(e) => {
-                const network = EVM_NETWORKS.find(n => n.id === e.target.value)
+                const network = networks.find(n => n.id === e.target.value)
                 setSelectedNetwork(network)
                 setDetectedChainInfo(null)
               }}
               className="network-dropdown"
             >
-              {EVM_NETWORKS.map(network => (
+              {networks.map(network => (
                 <option key={network.id} value={network.id}>
                   {network.name}
                 </option>
@@ -1298,7 +1204,7 @@ function Simulator() {
           
           {selectedNetwork.isAuto && (
             <div className="network-type-badge auto">
-              🔄 Auto Mode - {Object.keys(CHAIN_ID_MAP).length} chains supported
+              🔄 Auto Mode - {EVM_CHAIN_COUNT} chains supported
             </div>
           )}
           
@@ -1350,6 +1256,7 @@ function Simulator() {
             >
               🗑️ Clear
             </button>
+            <ShareLink getLink={shareLink} canAutoRun />
           </div>
         </section>
 
@@ -1369,7 +1276,7 @@ function Simulator() {
             
             <div className="decoded-fields">
               {Object.entries(decodedData).map(([key, value]) => {
-                if (key === 'type' || key === 'raw') return null
+                if (key === 'type' || key === 'raw' || key === 'authorizations') return null
                 
                 return (
                   <div key={key} className="field-row">
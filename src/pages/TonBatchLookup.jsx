@@ -1,280 +1,46 @@
-import { useState, useRef, useEffect, useMemo, useCallback } from 'react'
+import { useState, useEffect, useMemo, useCallback } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import { useBatchJob } from '../hooks/useBatchJob'
+import RunHistory from '../components/RunHistory'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { useRowSelection } from '../hooks/useRowSelection'
+import { cancelJob, clearJob, getJob, isJobActive, pauseJob, resumeJob, startJob } from '../utils/jobRunner'
+import { saveRun } from '../utils/runHistory'
+import { defineExport } from '../utils/exporter'
+import { listParam, numberParam } from '../utils/urlState'
+import { tokenToHex } from '../utils/tonTx'
+import { tallyTonResults } from '../utils/tonLookup'
 import './TonBatchLookup.css'
 
-const TONCENTER = "https://toncenter.com"
-const TX_HEX_RE = /^[0-9a-fA-F]{64}$/
 const PAGE_SIZE = 100
-const UI_UPDATE_INTERVAL_MS = 150  // how often to push results to React state
-
-// ── URL / hash extraction (Tonscan, Tonviewer, or raw 64-hex) ───────────────
-
-function extractTxHexFromUrl(url) {
-  /**
-   * Supports:
-   *   - https://tonscan.org/tx/<64hex>
-   *   - https://tonviewer.com/transaction/<64hex>
-   *   - raw 64-hex string
-   */
-  url = url.trim()
-  if (TX_HEX_RE.test(url)) return url.toLowerCase()
-  try {
-    const urlObj = new URL(url)
-    const path = urlObj.pathname.trim().replace(/^\/|\/$/g, '')
-    let m = path.match(/^tx\/([0-9a-fA-F]{64})$/)
-    if (m) return m[1].toLowerCase()
-    m = path.match(/^transaction\/([0-9a-fA-F]{64})$/)
-    if (m) return m[1].toLowerCase()
-  } catch (_) {}
-  throw new Error(
-    'Unrecognized format. Expected: tonscan.org/tx/<64hex>, tonviewer.com/transaction/<64hex>, or raw 64-hex'
-  )
-}
-
-/** Given one token (line/word), return 64-hex hash or null if invalid/skip. */
-function tokenToHex(token) {
-  const t = token.trim()
-  if (!t) return null
-  if (TX_HEX_RE.test(t)) return t.toLowerCase()
-  try {
-    return extractTxHexFromUrl(t)
-  } catch {
-    return null
-  }
-}
-
-// ── Utilities ──────────────────────────────────────────────────────────────
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
-}
-
-function txHexToB64(hex64) {
-  const hex = hex64.toLowerCase()
-  const bytes = new Uint8Array(32)
-  for (let i = 0; i < 32; i++) {
-    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16)
-  }
-  const binary = Array.from(bytes).map(b => String.fromCharCode(b)).join('')
-  return btoa(binary)
-}
-
-function getSession() {
-  const apiKey = import.meta.env.VITE_TONCENTER_API_KEY
-  const headers = { 'User-Agent': 'ton-batch-lookup/1.0' }
-  if (apiKey) headers['X-API-Key'] = apiKey
-  return { headers }
-}
 
-// ── Fetch with retry/back-off ──────────────────────────────────────────────
-
-async function fetchJson(session, url, params, signal, requestDelayMs) {
-  const queryString = new URLSearchParams(params).toString()
-  const fullUrl = `${url}?${queryString}`
-
-  for (let attempt = 1; attempt <= 4; attempt++) {
-    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError')
-
-    await sleep(requestDelayMs + Math.random() * 100)
-
-    try {
-      const response = await fetch(fullUrl, {
-        headers: session.headers,
-        signal: AbortSignal.timeout(20000),
-      })
-
-      if (response.status === 200) return await response.json()
-
-      if ([429, 500, 502, 503, 504].includes(response.status)) {
-        const waitMs = 2000 * Math.pow(2, attempt - 1) + Math.random() * 500
-        await sleep(waitMs)
-        continue
-      }
-
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-    } catch (e) {
-      if (e.name === 'AbortError') throw e
-      if (e.name === 'TimeoutError' && attempt < 4) { await sleep(3000); continue }
-      throw e
-    }
-  }
-
-  throw new Error('Max retries exceeded')
+const HISTORY = {
+  tool: 'ton-batch',
+  keyOf:    r => r.hash,
+  statusOf: r => r.error ? `error: ${r.error}` : r.found ? (r.status || 'found') : 'not found',
+  isFailed: r => !!r.error,
 }
 
-// ── Status from transaction description ───────────────────────────────────
-
-/**
- * Inspect a transaction description and return both a status bucket and a
- * human-readable reason explaining *why* it landed in that bucket.
- *
- * Returns { status, reason } where:
- *   status ∈ 'success' | 'failed' | 'partial' | 'skipped' | 'unknown'
- *   reason is a short string for the UI, or null when there's nothing to say.
- */
-function getTxStatusInfo(tx) {
-  const desc = tx?.description
-  if (!desc) return { status: 'unknown', reason: null }
-
-  // Support both TL-B shorthand and possible JSON variants
-  const cp = desc.compute_ph ?? desc.compute_phase
-  const ap = desc.action
-
-  const computeReason = () => {
-    if (!cp) return null
-    if (cp.skipped) {
-      return cp.skipped_reason
-        ? `Compute phase skipped (${cp.skipped_reason})`
-        : 'Compute phase skipped'
-    }
-    const code = cp.exit_code != null ? Number(cp.exit_code) : null
-    if (cp.success === false || cp.success === 'false') {
-      return code !== null
-        ? `Compute phase failed (exit code ${code})`
-        : 'Compute phase failed'
-    }
-    if (code !== null && code !== 0 && code !== 1) {
-      return `Compute phase failed (exit code ${code})`
-    }
-    return null
-  }
-
-  const actionReason = () => {
-    if (!ap) return null
-    if (ap.success === false || ap.success === 'false') {
-      return ap.result_code != null
-        ? `Action phase failed (result code ${ap.result_code})`
-        : 'Action phase failed'
-    }
-    if (ap.skipped_actions > 0 && ap.skipped_actions === ap.tot_actions) {
-      return `All ${ap.tot_actions} action${ap.tot_actions === 1 ? '' : 's'} skipped`
-    }
-    if (ap.skipped_actions > 0 && ap.skipped_actions < ap.tot_actions) {
-      return `${ap.skipped_actions} of ${ap.tot_actions} actions skipped`
-    }
-    return null
-  }
-
-  if (desc.aborted === true) {
-    const reason = computeReason() || actionReason() || 'Transaction aborted'
-    return { status: 'failed', reason }
-  }
-
-  if (cp) {
-    if (cp.skipped) return { status: 'skipped', reason: computeReason() }
-    if (cp.success === false || cp.success === 'false') {
-      return { status: 'failed', reason: computeReason() }
-    }
-    // TonCenter can report success:true even when the TVM exit code is non-zero.
-    // Only exit codes 0 and 1 are genuine TVM successes (e.g. 45 = contract error).
-    const code = cp.exit_code != null ? Number(cp.exit_code) : null
-    if (code !== null && code !== 0 && code !== 1) {
-      return { status: 'failed', reason: computeReason() }
-    }
-  }
-
-  if (ap) {
-    if (ap.success === false || ap.success === 'false') {
-      return { status: 'failed', reason: actionReason() }
-    }
-    if (ap.skipped_actions > 0 && ap.skipped_actions === ap.tot_actions) {
-      return { status: 'failed', reason: actionReason() }
-    }
-    if (ap.skipped_actions > 0 && ap.skipped_actions < ap.tot_actions) {
-      return { status: 'partial', reason: actionReason() }
-    }
-  }
-
-  if (cp?.success === true) {
-    const code = cp.exit_code != null ? Number(cp.exit_code) : null
-    if (code === null || code === 0 || code === 1) {
-      return { status: 'success', reason: null }
-    }
-  }
-
-  return { status: 'unknown', reason: null }
-}
-
-// ── Single hash lookup ─────────────────────────────────────────────────────
-
-async function lookupHash(session, hex64, signal, requestDelayMs) {
-  let tx = null
-  let mode = null
-
-  // 1) Try as message hash (tonscan workflow)
-  const msgHashB64 = txHexToB64(hex64)
-  const byMsg = await fetchJson(
-    session,
-    `${TONCENTER}/api/v3/transactionsByMessage`,
-    { msg_hash: msgHashB64, limit: 1 },
-    signal,
-    requestDelayMs,
-  )
-  const txsByMsg = byMsg?.transactions || []
-  if (txsByMsg.length > 0) {
-    tx   = txsByMsg[0]
-    mode = 'message'
-  }
-
-  // 2) Fallback: try as transaction hash (tonviewer workflow)
-  if (!tx) {
-    const byTx = await fetchJson(
-      session,
-      `${TONCENTER}/api/v3/transactions`,
-      { hash: hex64, limit: 1 },
-      signal,
-      requestDelayMs,
-    )
-    const txsByHash = byTx?.transactions || []
-    if (txsByHash.length > 0) {
-      tx   = txsByHash[0]
-      mode = 'transaction'
-    }
-  }
-
-  if (!tx) return { found: false, mode: null, status: null, reason: null }
-
-  // 3) Check the outer-transaction description (compute + action phase)
-  const { status: txStatus, reason: txReason } = getTxStatusInfo(tx)
-
-  // Already clearly failed at the transaction level — no need to dig deeper
-  if (txStatus === 'failed') {
-    return { found: true, mode, status: 'failed', reason: txReason }
-  }
-
-  // 4) Check trace-level actions for inner failures.
-  //    A transaction can be "Confirmed" on-chain while a child action inside
-  //    the same trace (e.g. Transfer TON) shows as Failed — tonviewer displays
-  //    exactly this pattern. We must inspect every action in the trace.
-  const traceId = tx.trace_id
-  if (traceId) {
-    try {
-      const actData = await fetchJson(
-        session,
-        `${TONCENTER}/api/v3/actions`,
-        { trace_id: traceId, limit: 100, include_transactions: 'false' },
-        signal,
-        requestDelayMs,
-      )
-      const actions = actData?.actions || []
-      // API returns success: true/false per action, not status: 'failed'
-      const failedAction = actions.find(a => a.success === false || a.success === 'false')
-      if (failedAction) {
-        const actionType = failedAction.type || failedAction.action_type || 'action'
-        const errCode = failedAction.error_code ?? failedAction.exit_code ?? null
-        const reason = errCode != null
-          ? `Inner action failed: ${actionType} (code ${errCode})`
-          : `Inner action failed: ${actionType}`
-        return { found: true, mode, status: 'failed', reason }
-      }
-    } catch (e) {
-      // Actions fetch failed — fall through to tx-level status
-      if (e.name === 'AbortError') throw e
-    }
-  }
-
-  return { found: true, mode, status: txStatus, reason: txReason }
+const EXPORT = defineExport('ton-batch-lookup', [
+  { key: 'hash', value: r => r.hash },
+  { key: 'found', value: r => r.found },
+  { key: 'status', value: r => r.status },
+  { key: 'reason', value: r => r.reason },
+  { key: 'error', value: r => r.error },
+])
+
+function saveJobRun(job) {
+  const { input, concurrency, requestDelay } = job.meta
+  saveRun(HISTORY, {
+    settings: { concurrency, requestDelay },
+    input,
+    items: job.results.filter(r => r !== null),
+    startedAt: job.startedAt,
+  }).catch(err => console.error('Failed to save run history:', err))
 }
 
 // ── ETA formatting ─────────────────────────────────────────────────────────
@@ -304,31 +70,36 @@ function TonBatchLookup() {
     return () => { document.title = 'Monad Boss Game' }
   }, [])
 
-  // ── Input & settings ──
-  const [input, setInput]               = useState('')
-  const [concurrency, setConcurrency]   = useState(5)
-  const [requestDelay, setRequestDelay] = useState(200)  // ms per request
+  // ── Background job (keeps running when the page is left) ──
+  const job = useBatchJob(HISTORY.tool)
+  const processing = isJobActive(job)
+  const paused = job?.status === 'paused'
 
-  // ── Processing state ──
-  const [processing, setProcessing]     = useState(false)
-  const [progress, setProgress]         = useState({ completed: 0, total: 0, startTime: null })
+  // ── Input & settings (re-attaching to a job restores what started it) ──
+  const [input, setInput]               = useState(() => getJob(HISTORY.tool)?.meta.input ?? '')
+  const [concurrency, setConcurrency]   = useState(() => getJob(HISTORY.tool)?.meta.concurrency ?? 5)
+  const [requestDelay, setRequestDelay] = useState(() => getJob(HISTORY.tool)?.meta.requestDelay ?? 200)  // ms per request
 
   // ── Results ──
-  const [results, setResults]           = useState([])   // [{hash, found, mode, status, error}]
+  const [openedResults, setOpenedResults] = useState([])   // a run opened from History
+  const results = job ? job.results : openedResults       // [{hash, found, mode, status, error}]
   const [page, setPage]                 = useState(0)
   const [filter, setFilter]             = useState('all')
 
-  // ── Refs for non-reactive hot-path data ──
-  const abortRef      = useRef(null)       // AbortController
-  const resultsRef    = useRef([])         // live results array (pre-React)
-  const progressRef   = useRef({ completed: 0, total: 0, startTime: null })
-  const uiTimerRef    = useRef(null)
+  usePrefill(({ input }) => {
+    clearJob(HISTORY.tool)
+    setInput(input)
+    setOpenedResults([])
+    setPage(0)
+    setFilter('all')
+  })
 
-  // Debounced hash count from textarea (raw 64-hex or Tonscan/Tonviewer URLs)
-  const hashCount = useMemo(() => {
-    if (!input.trim()) return 0
-    return input.trim().split(/[\s,\n]+/).filter(x => tokenToHex(x)).length
+  // Hashes in the textarea (raw 64-hex or Tonscan/Tonviewer URLs), as hex
+  const inputHashes = useMemo(() => {
+    if (!input.trim()) return []
+    return input.trim().split(/[\s,\n]+/).map(tokenToHex).filter(Boolean)
   }, [input])
+  const hashCount = inputHashes.length
 
   // ETA estimate pre-run (rough: 2 API calls per hash, delay + network)
   const estimatedMs = useMemo(() => {
@@ -338,211 +109,102 @@ function TonBatchLookup() {
     return hashCount * msPerHash
   }, [hashCount, concurrency, requestDelay])
 
-  // ── Periodic UI update during processing ──
-  useEffect(() => {
-    if (processing) {
-      uiTimerRef.current = setInterval(() => {
-        setProgress({ ...progressRef.current })
-        setResults([...resultsRef.current])
-      }, UI_UPDATE_INTERVAL_MS)
-    } else {
-      if (uiTimerRef.current) {
-        clearInterval(uiTimerRef.current)
-        uiTimerRef.current = null
-      }
-    }
-    return () => {
-      if (uiTimerRef.current) clearInterval(uiTimerRef.current)
-    }
-  }, [processing])
-
-  // Run one retry pass on errored entries. Mutates resultsRef and progressRef in place.
-  const runRetryPass = useCallback(async ({
-    resultsRef,
-    progressRef,
-    session,
-    retryDelay,
-    signal,
-    concurrency,
-  }) => {
-    const arr = resultsRef.current
-    const erroredEntries = arr
-      .map((r, i) => (r ? { r, i } : null))
-      .filter(x => x && x.r?.error && x.r.error !== 'Aborted')
-    if (erroredEntries.length === 0) return
-
-    progressRef.current = { completed: 0, total: erroredEntries.length, startTime: Date.now() }
-    let nextIdx = 0
-    let completed = 0
-
-    const worker = async () => {
-      while (true) {
-        if (signal?.aborted) break
-        const qi = nextIdx++
-        if (qi >= erroredEntries.length) break
-        const { r: prev, i: slot } = erroredEntries[qi]
-        try {
-          const data = await lookupHash(session, prev.hash, signal, retryDelay)
-          resultsRef.current[slot] = { hash: prev.hash, ...data, error: null }
-        } catch (e) {
-          resultsRef.current[slot] = {
-            ...prev,
-            error: e.name === 'AbortError' ? 'Aborted' : e.message,
-          }
-        }
-        completed++
-        progressRef.current = { ...progressRef.current, completed }
-      }
-    }
-
-    await Promise.all(
-      Array.from({ length: Math.min(concurrency, erroredEntries.length) }, worker)
-    )
-  }, [concurrency])
-
   // ── Process ──────────────────────────────────────────────────────────────
 
-  const handleProcess = useCallback(async () => {
-    const hashes = input.trim().split(/[\s,\n]+/).map(tokenToHex).filter(Boolean)
+  // `rerunInput` bypasses the textarea state — History's "Re-run failed" starts right away
+  const handleProcess = useCallback((rerunInput = null) => {
+    const source = rerunInput ?? input
+    const hashes = source.trim().split(/[\s,\n]+/).map(tokenToHex).filter(Boolean)
     if (hashes.length === 0) return
 
     trackUsage('ton-batch', hashes.length)
-
-    const controller = new AbortController()
-    abortRef.current = controller
-
-    // Reset state
-    resultsRef.current = new Array(hashes.length).fill(null)
-    progressRef.current = { completed: 0, total: hashes.length, startTime: Date.now() }
-    setProcessing(true)
-    setResults([])
     setPage(0)
     setFilter('all')
+    // API errors are retried twice at the end (they usually succeed on retry)
+    startJob(HISTORY.tool, {
+      kind: 'ton-batch',
+      items: hashes,
+      options: { concurrency, requestDelay, retryPasses: 2 },
+      meta: { input: source, concurrency, requestDelay },
+      onFinish: saveJobRun,
+    })
+  }, [input, concurrency, requestDelay])
 
-    const session = getSession()
-    let nextIdx = 0
-    let completed = 0
-    const signal = controller.signal
-
-    const worker = async () => {
-      while (true) {
-        if (signal.aborted) break
-        const i = nextIdx++
-        if (i >= hashes.length) break
-
-        try {
-          const data = await lookupHash(session, hashes[i], signal, requestDelay)
-          resultsRef.current[i] = { hash: hashes[i], ...data, error: null }
-        } catch (e) {
-          if (e.name === 'AbortError') {
-            resultsRef.current[i] = { hash: hashes[i], found: false, mode: null, status: null, reason: null, error: 'Aborted' }
-          } else {
-            resultsRef.current[i] = { hash: hashes[i], found: false, mode: null, status: null, reason: null, error: e.message }
-          }
-        }
-
-        completed++
-        progressRef.current = { ...progressRef.current, completed }
-      }
-    }
-
-    // Run N concurrent workers
-    await Promise.all(Array.from({ length: concurrency }, worker))
-
-    // Auto-retry API errors twice at the end (they usually succeed on retry)
-    const retryDelay = Math.max(requestDelay * 2, 800)
-    for (let pass = 0; pass < 2; pass++) {
-      if (signal.aborted) break
-      const arr = resultsRef.current
-      const hasErrors = arr.some(r => r?.error && r.error !== 'Aborted')
-      if (!hasErrors) break
-      await runRetryPass({
-        resultsRef,
-        progressRef,
-        session,
-        retryDelay,
-        signal,
-        concurrency,
-      })
-    }
-
-    // Final flush
-    setProgress({ ...progressRef.current, completed: progressRef.current.completed })
-    setResults(resultsRef.current.filter(r => r !== null))
-    setProcessing(false)
-  }, [input, concurrency, requestDelay, runRetryPass])
-
-  const handleStop = useCallback(() => {
-    abortRef.current?.abort()
-  }, [])
+  const handleStop = () => cancelJob(HISTORY.tool)
+  const handlePause = () => (paused ? resumeJob(HISTORY.tool) : pauseJob(HISTORY.tool))
 
   // ── Retry API errors ──────────────────────────────────────────────────────
   // Re-runs only the errored entries in-place with a doubled request delay
   // to back off from rate limits without re-processing the whole batch.
 
-  const handleRetry = useCallback(async () => {
-    const erroredEntries = results
-      .map((r, i) => ({ r, i }))
-      .filter(({ r }) => r?.error && r.error !== 'Aborted')
+  const handleRetry = () => {
+    startJob(HISTORY.tool, {
+      kind: 'ton-batch',
+      items: results.map(r => r?.hash ?? null),
+      base: results,
+      options: { concurrency, requestDelay },
+      meta: { input, concurrency, requestDelay },
+      onFinish: saveJobRun,
+    })
+  }
 
-    if (erroredEntries.length === 0) return
+  // ── History ───────────────────────────────────────────────────────────────
 
-    const controller = new AbortController()
-    abortRef.current = controller
+  const restoreSettings = (settings) => {
+    if (settings.concurrency != null) setConcurrency(settings.concurrency)
+    if (settings.requestDelay != null) setRequestDelay(settings.requestDelay)
+  }
 
-    resultsRef.current = [...results]
-    progressRef.current = { completed: 0, total: erroredEntries.length, startTime: Date.now() }
-    setProcessing(true)
-    setProgress({ completed: 0, total: erroredEntries.length, startTime: Date.now() })
+  const handleOpenRun = (run) => {
+    clearJob(HISTORY.tool)
+    restoreSettings(run.settings)
+    setInput(run.input)
+    setOpenedResults(run.items)
+    setPage(0)
+    setFilter('all')
+  }
 
-    const session = getSession()
-    const retryDelay = Math.max(requestDelay * 2, 800)
-    const signal = controller.signal
+  const handleRerunFailed = (run, hashes) => {
+    const text = hashes.join('\n')
+    restoreSettings(run.settings)
+    setInput(text)
+    handleProcess(text)
+  }
 
-    await runRetryPass({
-      resultsRef,
-      progressRef,
-      session,
-      retryDelay,
-      signal,
-      concurrency,
-    })
+  // ── Link state ────────────────────────────────────────────────────────────
+  // ?h=<hex>,<hex>&c=10&delay=100 — hashes are shared as hex, not explorer URLs
 
-    setProgress({ ...progressRef.current })
-    setResults([...resultsRef.current])
-    setProcessing(false)
-  }, [results, concurrency, requestDelay, runRetryPass])
+  const shareLink = useUrlState({
+    values: { h: inputHashes, c: concurrency, delay: requestDelay },
+    defaults: { c: 5, delay: 200 },
+    restore: (params) => {
+      if (params.h) setInput(listParam(params.h).join('\n'))
+      setConcurrency(Math.min(20, Math.max(1, numberParam(params.c, 5))))
+      setRequestDelay(Math.min(1000, Math.max(50, numberParam(params.delay, 200))))
+    },
+    run: () => handleProcess(),
+  })
 
   // ── Stats ─────────────────────────────────────────────────────────────────
 
-  const stats = useMemo(() => {
-    const valid = results.filter(r => r !== null)
-    return {
-      total:    valid.length,
-      found:    valid.filter(r => r.found).length,
-      notFound: valid.filter(r => !r.found && !r.error).length,
-      success:  valid.filter(r => r.status === 'success').length,
-      failed:   valid.filter(r => r.status === 'failed').length,
-      partial:  valid.filter(r => r.status === 'partial').length,
-      skipped:  valid.filter(r => r.status === 'skipped').length,
-      unknown:  valid.filter(r => r.found && r.status === 'unknown').length,
-      errors:   valid.filter(r => r.error && r.error !== 'Aborted').length,
-    }
-  }, [results])
+  // A running job streams its tally from the worker; a saved run is tallied here
+  const stats = useMemo(() => job?.tally ?? tallyTonResults(results), [job, results])
 
   // ── Filtered results ──────────────────────────────────────────────────────
 
+  const validResults = useMemo(() => results.filter(r => r !== null), [results])
+  const selection = useRowSelection(validResults, HISTORY.keyOf)
+
   const filteredResults = useMemo(() => {
-    const valid = results.filter(r => r !== null)
     switch (filter) {
-      case 'found':     return valid.filter(r => r.found)
-      case 'not_found': return valid.filter(r => !r.found && !r.error)
-      case 'success':   return valid.filter(r => r.status === 'success')
-      case 'failed':    return valid.filter(r => r.status === 'failed' || r.status === 'partial' || r.status === 'skipped')
-      case 'errors':    return valid.filter(r => r.error && r.error !== 'Aborted')
-      default:          return valid
+      case 'found':     return validResults.filter(r => r.found)
+      case 'not_found': return validResults.filter(r => !r.found && !r.error)
+      case 'success':   return validResults.filter(r => r.status === 'success')
+      case 'failed':    return validResults.filter(r => r.status === 'failed' || r.status === 'partial' || r.status === 'skipped')
+      case 'errors':    return validResults.filter(r => r.error && r.error !== 'Aborted')
+      default:          return validResults
     }
-  }, [results, filter])
+  }, [validResults, filter])
 
   const pageCount = Math.max(1, Math.ceil(filteredResults.length / PAGE_SIZE))
   const pagedResults = useMemo(
@@ -558,40 +220,22 @@ function TonBatchLookup() {
 
   // ── Rate & ETA (during processing) ────────────────────────────────────────
 
+  const progress = useMemo(() => ({
+    completed: job?.done ?? 0,
+    total: job?.total ?? 0,
+    startTime: job?.phaseStartedAt ?? null,
+    updatedAt: job?.updatedAt ?? null,
+  }), [job])
+
   const { rate, eta } = useMemo(() => {
-    const { completed, total, startTime } = progress
+    const { completed, total, startTime, updatedAt } = progress
     if (!startTime || completed === 0) return { rate: 0, eta: null }
-    const elapsed = (Date.now() - startTime) / 1000
+    const elapsed = (updatedAt - startTime) / 1000
     const r = completed / elapsed
     const remaining = (total - completed) / r * 1000
     return { rate: r, eta: remaining }
   }, [progress])
 
-  // ── CSV export ────────────────────────────────────────────────────────────
-
-  const exportCSV = useCallback(() => {
-    const header = ['Hash', 'Found on Explorer', 'Status', 'Failure Reason', 'Error']
-    const rows = results.filter(r => r !== null).map(r => [
-      r.hash,
-      r.found ? 'Yes' : 'No',
-      r.status ?? 'N/A',
-      r.reason ?? '',
-      r.error ?? '',
-    ])
-    const csv = [header, ...rows]
-      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-      .join('\n')
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `ton-batch-lookup-${Date.now()}.csv`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
-  }, [results])
-
   // ── Render helpers ────────────────────────────────────────────────────────
 
   const renderFoundBadge = (found, hasError) => {
@@ -694,11 +338,16 @@ function TonBatchLookup() {
           <div className="action-row">
             <button
               className="btn-primary"
-              onClick={handleProcess}
+              onClick={() => handleProcess()}
               disabled={processing || hashCount === 0}
             >
-              {processing ? 'Processing…' : `Process ${hashCount > 0 ? hashCount.toLocaleString() + ' hashes' : ''}`}
+              {processing ? (paused ? 'Paused' : 'Processing…') : `Process ${hashCount > 0 ? hashCount.toLocaleString() + ' hashes' : ''}`}
             </button>
+            {processing && (
+              <button className="btn-pause" onClick={handlePause}>
+                {paused ? '▶ Resume' : '⏸ Pause'}
+              </button>
+            )}
             {processing && (
               <button className="btn-stop" onClick={handleStop}>
                 ⛔ Stop
@@ -709,6 +358,13 @@ function TonBatchLookup() {
                 🔄 Retry {stats.errors} API Error{stats.errors !== 1 ? 's' : ''}
               </button>
             )}
+            <RunHistory
+              config={HISTORY}
+              onOpenRun={handleOpenRun}
+              onRerunFailed={handleRerunFailed}
+              disabled={processing}
+            />
+            <ShareLink getLink={shareLink} canAutoRun />
           </div>
         </div>
 
@@ -717,7 +373,9 @@ function TonBatchLookup() {
           <div className="card progress-card">
             <div className="progress-header">
               <div className="progress-label">
-                <span className="progress-title">Processing…</span>
+                <span className="progress-title">
+                  {paused ? 'Paused' : job.phase ?? 'Processing…'}
+                </span>
                 <span className="progress-counts">
                   {progress.completed.toLocaleString()} / {progress.total.toLocaleString()}
                 </span>
@@ -806,15 +464,27 @@ function TonBatchLookup() {
                   Showing {filteredResults.length.toLocaleString()} result{filteredResults.length !== 1 ? 's' : ''}
                   {filter !== 'all' && <span className="filter-tag"> · filter: {filter.replace('_', ' ')}</span>}
                 </span>
-                <button className="btn-export" onClick={exportCSV} title="Export all results as CSV">
-                  ⬇ Export CSV
-                </button>
+                <ExportMenu
+                  config={EXPORT}
+                  rows={validResults}
+                  filteredRows={filteredResults}
+                  selectedRows={selection.selectedRows}
+                  buttonClassName="btn-export"
+                />
               </div>
 
               <div className="table-wrapper">
                 <table className="results-table">
                   <thead>
                     <tr>
+                      <th className="export-select">
+                        <input
+                          type="checkbox"
+                          checked={selection.allSelected(pagedResults)}
+                          onChange={e => selection.setRows(pagedResults, e.target.checked)}
+                          title="Select this page for export"
+                        />
+                      </th>
                       <th className="col-num">#</th>
                       <th className="col-hash">Hash</th>
                       <th className="col-found">Found on Explorer</th>
@@ -831,6 +501,13 @@ function TonBatchLookup() {
                           key={r.hash}
                           className={`result-row ${r.found ? 'row-found' : ''} ${r.status === 'failed' ? 'row-failed' : ''}`}
                         >
+                          <td className="export-select">
+                            <input
+                              type="checkbox"
+                              checked={selection.isSelected(r.hash)}
+                              onChange={() => selection.toggle(r.hash)}
+                            />
+                          </td>
                           <td className="col-num">{rowNum}</td>
                           <td className="col-hash">
                             <a
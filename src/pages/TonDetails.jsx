@@ -1,55 +1,20 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import { listParam } from '../utils/urlState'
+import ShareLink from '../components/ShareLink'
+import { requestJson } from '../utils/rpcTransport'
+import { extractTxHexFromUrl } from '../utils/tonTx'
 import './TonDetails.css'
 
-const TONCENTER = "https://toncenter.com"
+const TONCENTER_ENDPOINTS = ["https://toncenter.com"]
 
-// Calm mode knobs
-const BASE_DELAY_BEFORE_EACH_REQUEST = 600 // milliseconds
+// Calm mode knobs (request pacing is handled by the shared transport's toncenter.com budget)
 const BACKOFF_BASE_SECONDS = 3.0
 const MAX_RETRIES = 6
 
-const TX_HEX_RE = /^[0-9a-fA-F]{64}$/
-
-function extractTxHexFromUrl(url) {
-  /**
-   * Supports:
-   *   - https://tonscan.org/tx/<64hex>               (often a message-hash-as-hex in your workflow)
-   *   - https://tonviewer.com/transaction/<64hex>    (transaction hash)
-   * Also accepts raw 64-hex as input.
-   */
-  url = url.trim()
-
-  if (TX_HEX_RE.test(url)) {
-    return url.toLowerCase()
-  }
-
-  try {
-    const urlObj = new URL(url)
-    const path = urlObj.pathname.trim().replace(/^\/|\/$/g, '')
-
-    let m = path.match(/^tx\/([0-9a-fA-F]{64})$/)
-    if (m) {
-      return m[1].toLowerCase()
-    }
-
-    m = path.match(/^transaction\/([0-9a-fA-F]{64})$/)
-    if (m) {
-      return m[1].toLowerCase()
-    }
-  } catch (e) {
-    // Invalid URL, will throw error below
-  }
-
-  throw new Error(
-    "Unrecognized URL format. Expected:\n" +
-    "  https://tonscan.org/tx/<64hex>\n" +
-    "  https://tonviewer.com/transaction/<64hex>\n" +
-    "  or a raw 64-hex string"
-  )
-}
-
 function txHexToB64(txHex) {
   const hex = txHex.toLowerCase()
   if (!/^[0-9a-f]{64}$/.test(hex)) {
@@ -96,64 +61,17 @@ function getSession() {
   return { headers }
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
-}
-
-function randomUniform(min, max) {
-  return Math.random() * (max - min) + min
-}
-
-async function getJsonCalm(session, url, params, timeout = 30000) {
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-    await sleep(BASE_DELAY_BEFORE_EACH_REQUEST + randomUniform(0, 250))
-
-    const queryString = new URLSearchParams(params).toString()
-    const fullUrl = `${url}?${queryString}`
-
-    try {
-      const response = await fetch(fullUrl, {
-        headers: session.headers,
-        signal: AbortSignal.timeout(timeout)
-      })
-
-      if (response.status === 200) {
-        return await response.json()
-      }
-
-      if ([429, 500, 502, 503, 504].includes(response.status)) {
-        let retryAfter = response.headers.get('Retry-After')
-        let sleepS = BACKOFF_BASE_SECONDS * Math.pow(2, attempt - 1)
-        
-        if (retryAfter) {
-          try {
-            sleepS = parseFloat(retryAfter)
-          } catch (e) {
-            // Use exponential backoff
-          }
-        }
-
-        sleepS += randomUniform(0, 0.75)
-        console.log(`[calm retry] ${response.status} ${url} (attempt ${attempt}/${MAX_RETRIES}), sleeping ${sleepS.toFixed(1)}s`)
-        await sleep(sleepS * 1000)
-        continue
-      }
-
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-    } catch (error) {
-      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
-        if (attempt < MAX_RETRIES) {
-          const sleepS = BACKOFF_BASE_SECONDS * Math.pow(2, attempt - 1) + randomUniform(0, 0.75)
-          console.log(`[calm retry] timeout ${url} (attempt ${attempt}/${MAX_RETRIES}), sleeping ${sleepS.toFixed(1)}s`)
-          await sleep(sleepS * 1000)
-          continue
-        }
-      }
-      throw error
-    }
-  }
-
-  throw new Error(`Failed after ${MAX_RETRIES} calm retries: ${url}`)
+async function getJsonCalm(session, path, params, timeout = 30000) {
+  return requestJson(TONCENTER_ENDPOINTS, path, {
+    params,
+    headers: session.headers,
+    timeoutMs: timeout,
+    maxAttempts: MAX_RETRIES,
+    baseDelayMs: BACKOFF_BASE_SECONDS * 1000,
+    onRetry: ({ attempt, reason, waitMs }) => {
+      console.log(`[calm retry] ${reason} ${path} (attempt ${attempt}/${MAX_RETRIES}), sleeping ${(waitMs / 1000).toFixed(1)}s`)
+    },
+  })
 }
 
 async function getTxContextByEitherHash(session, hex64) {
@@ -166,7 +84,7 @@ async function getTxContextByEitherHash(session, hex64) {
   const msgHashB64 = txHexToB64(hex64)
   const byMsg = await getJsonCalm(
     session,
-    `${TONCENTER}/api/v3/transactionsByMessage`,
+    '/api/v3/transactionsByMessage',
     { msg_hash: msgHashB64, limit: 10 }
   )
   
@@ -178,7 +96,7 @@ async function getTxContextByEitherHash(session, hex64) {
   // Fallback: transaction-hash flow
   const byTx = await getJsonCalm(
     session,
-    `${TONCENTER}/api/v3/transactions`,
+    '/api/v3/transactions',
     { hash: hex64, limit: 1 }
   )
   
@@ -209,7 +127,7 @@ async function getTraceExternalHashHex(session, tx) {
   // Try actions first (works for classified traces)
   const actData = await getJsonCalm(
     session,
-    `${TONCENTER}/api/v3/actions`,
+    '/api/v3/actions',
     { trace_id: traceId, limit: 50, include_transactions: "false" }
   )
   
@@ -223,7 +141,7 @@ async function getTraceExternalHashHex(session, tx) {
   // (e.g. Highload Wallet V3 multi-sends that TonCenter hasn't classified yet)
   const tracesData = await getJsonCalm(
     session,
-    `${TONCENTER}/api/v3/traces`,
+    '/api/v3/traces',
     { trace_id: traceId, limit: 1 }
   )
 
@@ -252,7 +170,7 @@ async function getMinRefMcSeqno(session, tx) {
 
   const blkData = await getJsonCalm(
     session,
-    `${TONCENTER}/api/v3/blocks`,
+    '/api/v3/blocks',
     { workchain: wc, shard: shard, seqno: seqno, limit: 1 }
   )
   
@@ -335,6 +253,11 @@ function TonDetails() {
   const [progress, setProgress] = useState(0)
   const progressIntervalRef = useRef(null)
 
+  usePrefill(({ input }) => {
+    setInput(input)
+    setResults([])
+  })
+
   // Fake progress animation over 8 seconds
   useEffect(() => {
     if (processing) {
@@ -366,11 +289,22 @@ function TonDetails() {
     }
   }, [processing])
 
-  const handleSubmit = async (e) => {
+  // Link state: ?tx=<hash or explorer URL>,…
+  const items = useMemo(() => input.trim().split(/\s+/).filter(Boolean), [input])
+  const shareLink = useUrlState({
+    values: { tx: items },
+    restore: ({ tx }) => { if (tx) setInput(listParam(tx).join('\n')) },
+    run: () => runLookup(),
+  })
+
+  const handleSubmit = (e) => {
     e.preventDefault()
+    runLookup()
+  }
+
+  const runLookup = async () => {
     if (!input.trim()) return
 
-    const items = input.trim().split(/\s+/).filter(x => x.trim())
     trackUsage('ton', items.length)
     setProcessing(true)
     setResults([])
@@ -436,6 +370,10 @@ function TonDetails() {
           >
             {processing ? 'Processing...' : 'Process'}
           </button>
+
+          <div className="ton-details-share">
+            <ShareLink getLink={shareLink} canAutoRun />
+          </div>
         </form>
 
         {processing && (
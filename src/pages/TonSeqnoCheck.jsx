@@ -1,14 +1,29 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { useRowSelection } from '../hooks/useRowSelection'
+import { requestJson } from '../utils/rpcTransport'
+import { defineExport } from '../utils/exporter'
 import './TonSeqnoCheck.css'
 
-const TONCENTER = "https://toncenter.com"
-const TX_PAGE_SIZE = 256
+const EXPORT = defineExport('ton-txs', [
+  { key: 'date', value: r => r.date },
+  { key: 'fb_hash', value: r => r.fbHash },
+  { key: 'direction', value: r => r.direction },
+  { key: 'seqno', value: r => r.seqno },
+  { key: 'address', value: (_, ctx) => ctx.address },
+])
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
-}
+// Export rows have no natural id — the row objects themselves are the keys
+const exportRowKey = (r) => r
+
+const TONCENTER_ENDPOINTS = ["https://toncenter.com"]
+const TX_PAGE_SIZE = 256
+const MAX_EXPORT_RETRIES = 6
 
 function getSession() {
   const apiKey = import.meta.env.VITE_TONCENTER_API_KEY
@@ -35,74 +50,15 @@ function b64ToHex(b64) {
     .join('')
 }
 
-async function fetchWithRetry(session, url, params, maxRetries = 4) {
-  const queryString = new URLSearchParams(params).toString()
-  const fullUrl = `${url}?${queryString}`
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    await sleep(300 + Math.random() * 200)
-
-    try {
-      const response = await fetch(fullUrl, {
-        headers: session.headers,
-        signal: AbortSignal.timeout(20000),
-      })
-
-      if (response.status === 200) return await response.json()
-
-      if ([429, 500, 502, 503, 504].includes(response.status)) {
-        const waitMs = 2000 * Math.pow(2, attempt - 1) + Math.random() * 500
-        await sleep(waitMs)
-        continue
-      }
-
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-    } catch (e) {
-      if (e.name === 'TimeoutError' && attempt < maxRetries) {
-        await sleep(3000)
-        continue
-      }
-      throw e
-    }
-  }
-
-  throw new Error('Max retries exceeded')
-}
-
-async function fetchAbortable(session, url, params, signal, maxRetries = 6) {
-  const queryString = new URLSearchParams(params).toString()
-  const fullUrl = `${url}?${queryString}`
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError')
-    await sleep(300 + Math.random() * 200)
-
-    try {
-      const response = await fetch(fullUrl, {
-        headers: session.headers,
-        signal,
-      })
-
-      if (response.status === 200) return await response.json()
-
-      if ([429, 500, 502, 503, 504].includes(response.status)) {
-        const waitMs = 2000 * Math.pow(2, attempt - 1) + Math.random() * 500
-        await sleep(waitMs)
-        continue
-      }
-
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-    } catch (e) {
-      if (e.name === 'AbortError') throw e
-      if ((e.name === 'TimeoutError' || e.message?.includes('timeout')) && attempt < maxRetries) {
-        await sleep(3000)
-        continue
-      }
-      throw e
-    }
-  }
-
-  throw new Error('Max retries exceeded')
+// Pacing, retries and Retry-After are handled by the shared transport
+function fetchToncenter(session, path, params, signal, maxRetries = 4) {
+  return requestJson(TONCENTER_ENDPOINTS, path, {
+    params,
+    headers: session.headers,
+    signal,
+    maxAttempts: maxRetries,
+    baseDelayMs: 2000,
+  })
 }
 
 // ── Seqno lookup ────────────────────────────────────────────────────────────
@@ -110,9 +66,9 @@ async function fetchAbortable(session, url, params, signal, maxRetries = 6) {
 async function getWalletSeqno(address) {
   const session = getSession()
 
-  const data = await fetchWithRetry(
+  const data = await fetchToncenter(
     session,
-    `${TONCENTER}/api/v2/getWalletInformation`,
+    '/api/v2/getWalletInformation',
     { address }
   )
 
@@ -150,11 +106,12 @@ async function getWalletSeqno(address) {
 // ── Transaction export ──────────────────────────────────────────────────────
 
 async function fetchFbHashFromActions(session, traceId, signal) {
-  const data = await fetchAbortable(
+  const data = await fetchToncenter(
     session,
-    `${TONCENTER}/api/v3/actions`,
+    '/api/v3/actions',
     { trace_id: traceId, limit: 50, include_transactions: 'false' },
     signal,
+    MAX_EXPORT_RETRIES,
   )
   const actions = data?.actions || []
   const te = actions.find(a => a.trace_external_hash)?.trace_external_hash
@@ -190,11 +147,12 @@ async function exportTransactions({ address, direction, startDate, endDate, sign
     if (signal?.aborted) throw new DOMException('Aborted', 'AbortError')
 
     onLog(`Page ${page} (offset ${offset})...`)
-    const data = await fetchAbortable(
+    const data = await fetchToncenter(
       session,
-      `${TONCENTER}/api/v3/transactions`,
+      '/api/v3/transactions',
       { ...params, offset: String(offset) },
       signal,
+      MAX_EXPORT_RETRIES,
     )
 
     const txs = data?.transactions || []
@@ -339,6 +297,12 @@ function TonSeqnoCheck() {
   const [input, setInput] = useState('')
   const [result, setResult] = useState(null)
   const [error, setError] = useState(null)
+
+  usePrefill(({ address }) => {
+    setInput(address)
+    setResult(null)
+    setError(null)
+  })
   const [processing, setProcessing] = useState(false)
 
   // Export state
@@ -370,8 +334,12 @@ function TonSeqnoCheck() {
     setExportLogs(prev => [...prev, `[${ts}] ${msg}`])
   }, [])
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault()
+    runCheck()
+  }
+
+  const runCheck = async () => {
     const address = input.trim()
     if (!address) return
 
@@ -431,6 +399,28 @@ function TonSeqnoCheck() {
     }
   }
 
+  // Link state: ?address=EQ…&export=1&dir=outgoing&from=…&to=…
+  const shareLink = useUrlState({
+    values: {
+      address: input.trim(),
+      export: exportEnabled,
+      dir: exportEnabled ? exportDirection : '',
+      from: exportEnabled && dateRangeEnabled ? exportStartDate : '',
+      to: exportEnabled && dateRangeEnabled ? exportEndDate : '',
+    },
+    restore: (params) => {
+      if (params.address) setInput(params.address)
+      if (params.export === '1') setExportEnabled(true)
+      if (['all', 'incoming', 'outgoing'].includes(params.dir)) setExportDirection(params.dir)
+      if (params.from || params.to) {
+        setDateRangeEnabled(true)
+        setExportStartDate(params.from || '')
+        setExportEndDate(params.to || '')
+      }
+    },
+    run: () => runCheck(),
+  })
+
   const handleCancelExport = useCallback(() => {
     abortRef.current?.abort()
   }, [])
@@ -447,31 +437,14 @@ function TonSeqnoCheck() {
     )
   }, [exportRows, searchQuery])
 
+  const selection = useRowSelection(exportRows ?? [], exportRowKey)
+
   const exportPageCount = Math.max(1, Math.ceil(filteredExportRows.length / RESULTS_PAGE_SIZE))
   const pagedExportRows = useMemo(
     () => filteredExportRows.slice(resultsPage * RESULTS_PAGE_SIZE, (resultsPage + 1) * RESULTS_PAGE_SIZE),
     [filteredExportRows, resultsPage]
   )
 
-  const handleDownloadCsv = useCallback(() => {
-    if (!exportRows || exportRows.length === 0) return
-    const address = input.trim()
-    const header = 'date,fbhash,direction,seqno'
-    const csvRows = exportRows.map(r =>
-      `"${r.date}","${r.fbHash || ''}","${r.direction}","${r.seqno}"`
-    )
-    const csv = [header, ...csvRows].join('\n')
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `ton_txs_${address.slice(0, 12)}_${exportDirection}_${Date.now()}.csv`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
-  }, [exportRows, input, exportDirection])
-
   return (
     <div className="ton-seqno-page">
       <div className="ton-seqno-container">
@@ -512,6 +485,7 @@ function TonSeqnoCheck() {
                 Cancel
               </button>
             )}
+            <ShareLink getLink={shareLink} canAutoRun />
           </div>
         </form>
 
@@ -722,9 +696,16 @@ function TonSeqnoCheck() {
                         onChange={(e) => { setSearchQuery(e.target.value); setResultsPage(0) }}
                         spellCheck={false}
                       />
-                      <button className="download-csv-btn" onClick={handleDownloadCsv}>
-                        Download CSV
-                      </button>
+                      <ExportMenu
+                        config={EXPORT}
+                        rows={exportRows}
+                        filteredRows={filteredExportRows}
+                        selectedRows={selection.selectedRows}
+                        context={{ address: input.trim() }}
+                        fileName={`ton-txs-${input.trim().slice(0, 12)}-${exportDirection}`}
+                        label="Export"
+                        buttonClassName="download-csv-btn"
+                      />
                     </div>
                   </div>
 
@@ -738,6 +719,14 @@ function TonSeqnoCheck() {
                     <table className="export-table">
                       <thead>
                         <tr>
+                          <th className="export-select">
+                            <input
+                              type="checkbox"
+                              checked={selection.allSelected(pagedExportRows)}
+                              onChange={(e) => selection.setRows(pagedExportRows, e.target.checked)}
+                              title="Select this page for export"
+                            />
+                          </th>
                           <th className="col-num">#</th>
                           <th className="col-date">Date</th>
                           <th className="col-hash">FB Hash</th>
@@ -750,6 +739,9 @@ function TonSeqnoCheck() {
                           const rowNum = resultsPage * RESULTS_PAGE_SIZE + i + 1
                           return (
                             <tr key={i} className={`export-row dir-${r.direction}`}>
+                              <td className="export-select">
+                                <input type="checkbox" checked={selection.isSelected(r)} onChange={() => selection.toggle(r)} />
+                              </td>
                               <td className="col-num">{rowNum}</td>
                               <td className="col-date">{r.date}</td>
                               <td className="col-hash">
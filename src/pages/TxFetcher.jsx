@@ -1,6 +1,14 @@
 import { useState, useRef, useCallback, useEffect } from 'react'
 import { trackUsage } from '../utils/counter'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { usePrefill } from '../hooks/usePrefill'
+import { useUrlState } from '../hooks/useUrlState'
+import ShareLink from '../components/ShareLink'
+import ExportMenu from '../components/ExportMenu'
+import { useRowSelection } from '../hooks/useRowSelection'
+import { CHAINS, primaryExplorer, explorerTxUrl } from '../config/chains'
+import { transportFetch, sleep } from '../utils/rpcTransport'
+import { defineExport } from '../utils/exporter'
 import './TxFetcher.css'
 
 const ETHERSCAN_API_KEY = import.meta.env.VITE_ETHERSCAN_API_KEY || ''
@@ -11,6 +19,17 @@ const ETHERSCAN_V2 = 'https://api.etherscan.io/v2/api'
 const CHAINLIST_URL = 'https://api.etherscan.io/v2/chainlist'
 const DELAY_MS = HAS_API_KEY ? 250 : 5500
 
+// Rows are the hashes themselves; per-hash details come from `meta` in the context
+const EXPORT = defineExport('evm-tx-hashes', [
+  { key: 'tx_hash', value: h => h },
+  { key: 'direction', value: (h, ctx) => ctx.meta[h]?.direction },
+  { key: 'sources', value: (h, ctx) => ctx.meta[h]?.sources },
+  { key: 'chain_id', value: (_, ctx) => ctx.chainId },
+  { key: 'chain_name', value: (_, ctx) => ctx.chainName },
+])
+
+const hashKey = (h) => h
+
 function parseChainlist(data) {
   if (!data?.result?.length) return []
   return data.result
@@ -24,14 +43,11 @@ function parseChainlist(data) {
     .sort((a, b) => a.name.localeCompare(b.name))
 }
 
-const FALLBACK_NETWORKS = [
-  { id: '1',     name: 'Ethereum Mainnet',     chainId: 1,     explorer: 'https://etherscan.io/tx/' },
-  { id: '999',   name: 'HyperEVM Mainnet',     chainId: 999,   explorer: 'https://hyperevmscan.io/tx/' },
-  { id: '8453',  name: 'Base Mainnet',         chainId: 8453,  explorer: 'https://basescan.org/tx/' },
-  { id: '42161', name: 'Arbitrum One Mainnet',  chainId: 42161, explorer: 'https://arbiscan.io/tx/' },
-  { id: '137',   name: 'Polygon Mainnet',      chainId: 137,   explorer: 'https://polygonscan.com/tx/' },
-  { id: '10',    name: 'OP Mainnet',           chainId: 10,    explorer: 'https://optimistic.etherscan.io/tx/' },
-]
+// Used until the live Etherscan chainlist loads (or if it fails): every
+// registry chain served by the Etherscan V2 API.
+const FALLBACK_NETWORKS = CHAINS
+  .filter(c => c.family === 'evm' && c.etherscan)
+  .map(c => ({ id: String(c.chainId), name: c.name, chainId: c.chainId, explorer: primaryExplorer(c) }))
 
 const PAGE_SIZE = 10000
 
@@ -43,55 +59,32 @@ const ACTION_LABELS = {
   token1155tx: 'ERC-1155',
 }
 
-function sleep(ms, signal) {
-  return new Promise((resolve, reject) => {
-    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'))
-    const timer = setTimeout(resolve, ms)
-    if (signal) {
-      const onAbort = () => {
-        clearTimeout(timer)
-        reject(new DOMException('Aborted', 'AbortError'))
-      }
-      signal.addEventListener('abort', onAbort, { once: true })
-    }
-  })
+// Etherscan reports rate limits in a 200 body, so those are flagged for the
+// transport to retry alongside its own HTTP-level backoff.
+function etherscanRetryReason(json) {
+  if (json?.result === undefined) return `Unexpected response (no result field) ${JSON.stringify(json).slice(0, 120)}`
+  if (typeof json.result === 'string') {
+    const lower = json.result.toLowerCase()
+    if (lower.includes('rate limit') || lower.includes('max rate')) return 'Rate limited'
+  }
+  return null
 }
 
 async function apiCall(chainId, params, signal, onLog, retries = 7) {
-  let last = null
-  for (let i = 0; i < retries; i++) {
-    try {
-      const fullParams = { chainid: String(chainId), ...params }
-      if (ETHERSCAN_API_KEY) fullParams.apikey = ETHERSCAN_API_KEY
-      const url = `${ETHERSCAN_V2}?${new URLSearchParams(fullParams)}`
-      const res = await fetch(url, { signal })
-      const json = await res.json()
-
-      if (json.result === undefined) {
-        last = json
-        onLog?.(`Unexpected response (no result field), retrying... ${JSON.stringify(json).slice(0, 120)}`)
-        await sleep(2000 + i * 1000, signal)
-        continue
-      }
-
-      if (typeof json.result === 'string') {
-        const lower = json.result.toLowerCase()
-        if (lower.includes('rate limit') || lower.includes('max rate')) {
-          onLog?.(`Rate limited, waiting ${Math.round(DELAY_MS / 1000)}s before retry ${i + 1}/${retries}...`)
-          await sleep(DELAY_MS + i * 1000, signal)
-          continue
-        }
-      }
-
-      return json
-    } catch (e) {
-      if (e.name === 'AbortError') throw e
-      last = e.message
-      onLog?.(`Request error: ${e.message}, retry ${i + 1}/${retries}`)
-    }
-    await sleep(1000 + i * 1000, signal)
-  }
-  throw new Error(`API failed after ${retries} retries. Last: ${JSON.stringify(last)}`)
+  const fullParams = { chainid: String(chainId), ...params }
+  if (ETHERSCAN_API_KEY) fullParams.apikey = ETHERSCAN_API_KEY
+  const result = await transportFetch(ETHERSCAN_V2, '', {
+    params: fullParams,
+    signal,
+    maxAttempts: retries,
+    baseDelayMs: 2000,
+    retryIf: etherscanRetryReason,
+    onRetry: ({ attempt, reason, waitMs }) => {
+      onLog?.(`${reason}, waiting ${Math.round(waitMs / 1000)}s before retry ${attempt}/${retries}...`)
+    },
+  })
+  if (result.error) throw new Error(`API failed after ${retries} retries. Last: ${result.error}`)
+  return result.data
 }
 
 async function getBlockByTimestamp(chainId, timestamp, closest, signal, onLog) {
@@ -218,6 +211,8 @@ export default function TxFetcher() {
   }, [])
 
   const isValidAddress = address.match(/^0x[a-fA-F0-9]{40}$/)
+
+  usePrefill(({ address }) => setAddress(address))
   const canFetch = isValidAddress && !loading && (nonceOnly || fetchAll || (startDate && endDate))
 
   const addLog = useCallback((msg) => {
@@ -237,6 +232,8 @@ export default function TxFetcher() {
     return true
   })
 
+  const selection = useRowSelection(hashes, hashKey)
+
   const handleFetch = useCallback(async () => {
     if (!canFetch) return
 
@@ -381,6 +378,36 @@ export default function TxFetcher() {
     }
   }, [canFetch, selectedNetwork, address, fetchAll, startDate, endDate, directionFilter, nonceOnly, addLog])
 
+  // Link state: ?chain=8453&address=0x…&dir=outgoing&from=…&to=…&nonce=1
+  const shareLink = useUrlState({
+    values: {
+      chain: selectedNetwork.chainId,
+      address,
+      nonce: nonceOnly,
+      dir: nonceOnly ? '' : directionFilter,
+      from: nonceOnly || fetchAll ? '' : startDate,
+      to: nonceOnly || fetchAll ? '' : endDate,
+    },
+    defaults: { chain: FALLBACK_NETWORKS[0].chainId, dir: 'all' },
+    restore: (params) => {
+      if (params.chain) {
+        const net = networks.find(n => String(n.chainId) === params.chain)
+        // Not in the fallback list yet — the chainlist load swaps in the full entry by chainId
+        if (net) setSelectedNetwork(net)
+        else if (/^\d+$/.test(params.chain)) setSelectedNetwork({ id: params.chain, name: `Chain ${params.chain}`, chainId: Number(params.chain) })
+      }
+      if (params.address) setAddress(params.address.trim())
+      if (params.nonce === '1') setNonceOnly(true)
+      if (['all', 'outgoing', 'incoming'].includes(params.dir)) setDirectionFilter(params.dir)
+      if (params.from || params.to) {
+        setFetchAll(false)
+        setStartDate(params.from || '')
+        setEndDate(params.to || '')
+      }
+    },
+    run: () => handleFetch(),
+  })
+
   const handleCancel = () => {
     if (abortRef.current) {
       abortRef.current.abort()
@@ -406,21 +433,6 @@ export default function TxFetcher() {
     } catch { /* ignore */ }
   }
 
-  const handleDownloadCSV = () => {
-    const rows = filteredHashes.map(h => {
-      const m = hashMeta[h] || {}
-      return `${h},"${m.sources || ''}","${m.direction || ''}"`
-    })
-    const csv = 'txHash,sources,direction\n' + rows.join('\n')
-    const blob = new Blob([csv], { type: 'text/csv' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `tx_hashes_${selectedNetwork.id}_${address.slice(0, 10)}_${directionFilter}.csv`
-    a.click()
-    URL.revokeObjectURL(url)
-  }
-
   const progressPercent = progress
     ? Math.round(((progress.step || 1) - 1) / (progress.totalSteps || 3) * 100 + (progress.page > 0 ? 10 : 0))
     : 0
@@ -572,6 +584,7 @@ export default function TxFetcher() {
                 Cancel
               </button>
             )}
+            <ShareLink getLink={shareLink} canAutoRun />
           </div>
 
           {progress && (
@@ -647,9 +660,16 @@ export default function TxFetcher() {
                   <button className="copy-btn" onClick={handleCopyAll}>
                     {copyFeedback || `Copy All ${displayHashes.length.toLocaleString()}`}
                   </button>
-                  <button className="download-btn" onClick={handleDownloadCSV}>
-                    Download CSV
-                  </button>
+                  <ExportMenu
+                    config={EXPORT}
+                    rows={hashes}
+                    filteredRows={filteredHashes}
+                    selectedRows={selection.selectedRows}
+                    context={{ meta: hashMeta, chainId: selectedNetwork.chainId, chainName: selectedNetwork.name }}
+                    fileName={`tx-hashes-${selectedNetwork.id}-${address.slice(0, 10)}`}
+                    label="Export"
+                    buttonClassName="download-btn"
+                  />
                 </div>
               </div>
 
@@ -668,6 +688,14 @@ export default function TxFetcher() {
                   </select>
                   <span>per page</span>
                 </div>
+                <label className="select-page-control">
+                  <input
+                    type="checkbox"
+                    checked={selection.allSelected(pageHashes)}
+                    onChange={(e) => selection.setRows(pageHashes, e.target.checked)}
+                  />
+                  Select page
+                </label>
                 <div className="page-range-info">
                   Showing {(startIdx + 1).toLocaleString()}–{endIdx.toLocaleString()} of {displayHashes.length.toLocaleString()}
                 </div>
@@ -678,10 +706,17 @@ export default function TxFetcher() {
                   const m = hashMeta[hash] || {}
                   return (
                     <div className="hash-item" key={hash}>
+                      <span className="export-select">
+                        <input
+                          type="checkbox"
+                          checked={selection.isSelected(hash)}
+                          onChange={() => selection.toggle(hash)}
+                        />
+                      </span>
                       <span className="hash-index">{(startIdx + i + 1).toLocaleString()}</span>
                       <a
                         className="hash-value"
-                        href={`${selectedNetwork.explorer}${hash}`}
+                        href={explorerTxUrl(selectedNetwork.explorer, hash)}
                         target="_blank"
                         rel="noopener noreferrer"
                       >
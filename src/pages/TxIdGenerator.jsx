@@ -1,9 +1,8 @@
 import { useState, useEffect, useRef } from 'react'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { API_BASE } from '../config/api'
 import './TxIdGenerator.css'
 
-const API_BASE = 'https://delicate-haze-2a16.tm8six.workers.dev'
-
 function CopyButton({ text, className = '' }) {
   const [copied, setCopied] = useState(false)
   const handleCopy = async () => {
@@ -169,7 +168,7 @@ export default function TxIdGenerator() {
             <section className="txid-section">
               <div className="txid-section-header">
                 <div>
-                  <h2 className="txid-section-title">Your Secret Key</h2>
+                  <h2 className="txid-section-title">Your Public Key</h2>
                   <p className="txid-section-sub">
                     Paste this into a <strong>Callback Handler policy rule → ExternalTxId Verification</strong> to verify incoming IDs.
                   </p>
@@ -178,7 +177,7 @@ export default function TxIdGenerator() {
               </div>
               <pre className="txid-pubkey-box">{publicKey}</pre>
               <div className="txid-section-footer">
-                <span className="txid-meta">{publicKey.length} hex chars · HMAC-SHA256 secret key</span>
+                <span className="txid-meta">{publicKey.length} hex chars · Ed25519 public key</span>
                 <button
                   className="txid-regen-btn"
                   onClick={() => setShowRegenerateConfirm(true)}
@@ -1,10 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import ToolInfoPanel from '../components/ToolInfoPanel'
+import { API_BASE, WS_BASE } from '../config/api'
 import './WebhookTester.css'
 
-const API_BASE = 'https://delicate-haze-2a16.tm8six.workers.dev'
-const WS_BASE = API_BASE.replace(/^http/, 'ws')
-
 function timeAgo(ts) {
   const ms = typeof ts === 'number' ? ts : new Date(ts).getTime()
   if (isNaN(ms)) return ''
@@ -0,0 +1,258 @@
+// ─── Callback Handler backend (/cbt) ────────────────────────────────────────
+// A Fireblocks API Co-Signer callback handler. The Co-Signer POSTs an RS256 JWT
+// (signed with its own key) to <callbackUrl>/v2/<type>_request; we verify it
+// against the Co-Signer public key the user pasted, pick an action from the
+// handler's policy rules, and answer with a JWT signed by the handler key.
+//
+//   GET    /cbt/session               → { handlers: [...] }
+//   POST   /cbt/create                { cosignerPublicKey } → handler
+//   DELETE /cbt/:id
+//   PUT    /cbt/action/:id            { action?, approvalAction? }
+//   PUT    /cbt/rules/:id             { rules }
+//   GET    /cbt/ws/:id                → WebSocket live feed (see liveFeed.js)
+//   POST   /cbt/cb/:id/v2/<type>_request   ← Co-Signer
+
+import {
+  generateRsaKeyPair,
+  importRsaPrivateJwk,
+  importRsaPublicKey,
+  signJwt,
+  verifyJwt,
+  verifyTxId,
+} from './crypto.js'
+import { httpError, json, randomId, SESSION_TTL } from './http.js'
+import { streamRecordEvents } from './liveFeed.js'
+
+const MAX_HANDLERS_PER_SESSION = 10
+const MAX_EVENTS = 50
+const MAX_RULES = 50
+const HANDLER_TTL = 30 * 24 * 3600
+
+const SIGN_ACTIONS = ['APPROVE', 'REJECT']
+const APPROVAL_ACTIONS = ['APPROVE', 'REJECT', 'IGNORE']
+const REQUEST_TYPES = ['tx_sign', 'tx_approval', 'config_change_sign', 'config_change_approval']
+const REJECTION_REASON = 'Callback handler auto-reject'
+
+const sessionKey = (sessionId) => `cbt:session:${sessionId}`
+const handlerKey = (handlerId) => `cbt:handler:${handlerId}`
+
+/** What the page sees — never the private key. */
+function publicView(handler) {
+  return {
+    id: handler.id,
+    handlerId: handler.id,
+    callbackUrl: handler.callbackUrl,
+    callbackPublicKey: handler.callbackPublicKey,
+    action: handler.action,
+    approvalAction: handler.approvalAction,
+    rules: handler.rules,
+    createdAt: handler.createdAt,
+  }
+}
+
+async function loadOwnedHandler(ctx, handlerId) {
+  const handler = handlerId ? await ctx.store.get(handlerKey(handlerId)) : null
+  if (!handler || handler.sessionId !== ctx.session.id) throw httpError(404, 'Handler not found')
+  return handler
+}
+
+async function getSession(ctx) {
+  const ids = (await ctx.store.get(sessionKey(ctx.session.id))) || []
+  const handlers = []
+  for (const id of ids) {
+    const handler = await ctx.store.get(handlerKey(id))
+    if (handler) handlers.push(publicView(handler))
+  }
+  if (handlers.length !== ids.length) {
+    await ctx.store.put(sessionKey(ctx.session.id), handlers.map(h => h.id), { ttl: SESSION_TTL })
+  }
+  return json({ handlers })
+}
+
+async function createHandler(ctx) {
+  const { cosignerPublicKey } = await ctx.readJson()
+  const pem = typeof cosignerPublicKey === 'string' ? cosignerPublicKey.trim() : ''
+  if (!pem) throw httpError(400, 'cosignerPublicKey is required')
+  try {
+    await importRsaPublicKey(pem)
+  } catch {
+    throw httpError(400, 'cosignerPublicKey must be an RSA public key in PEM format (-----BEGIN PUBLIC KEY-----)')
+  }
+
+  const ids = (await ctx.store.get(sessionKey(ctx.session.id))) || []
+  if (ids.length >= MAX_HANDLERS_PER_SESSION) {
+    throw httpError(429, `Limit of ${MAX_HANDLERS_PER_SESSION} handlers reached — delete one first`)
+  }
+
+  const id = randomId(12)
+  const { privateJwk, publicPem } = await generateRsaKeyPair()
+  const handler = {
+    id,
+    sessionId: ctx.session.id,
+    cosignerPublicKey: pem,
+    privateJwk,
+    callbackUrl: `${ctx.baseUrl}/cbt/cb/${id}`,
+    callbackPublicKey: publicPem,
+    action: 'REJECT',
+    approvalAction: 'REJECT',
+    rules: [],
+    createdAt: new Date().toISOString(),
+    events: [],
+  }
+  await ctx.store.put(handlerKey(id), handler, { ttl: HANDLER_TTL })
+  await ctx.store.put(sessionKey(ctx.session.id), [id, ...ids], { ttl: SESSION_TTL })
+  return json(publicView(handler))
+}
+
+async function deleteHandler(ctx, handlerId) {
+  await loadOwnedHandler(ctx, handlerId)
+  await ctx.store.delete(handlerKey(handlerId))
+  const ids = (await ctx.store.get(sessionKey(ctx.session.id))) || []
+  await ctx.store.put(sessionKey(ctx.session.id), ids.filter(id => id !== handlerId), { ttl: SESSION_TTL })
+  return json({ ok: true })
+}
+
+async function updateActions(ctx, handlerId) {
+  const handler = await loadOwnedHandler(ctx, handlerId)
+  const { action, approvalAction } = await ctx.readJson()
+  if (action !== undefined && !SIGN_ACTIONS.includes(action)) {
+    throw httpError(400, `action must be one of ${SIGN_ACTIONS.join(', ')}`)
+  }
+  if (approvalAction !== undefined && !APPROVAL_ACTIONS.includes(approvalAction)) {
+    throw httpError(400, `approvalAction must be one of ${APPROVAL_ACTIONS.join(', ')}`)
+  }
+  const updated = {
+    ...handler,
+    action: action ?? handler.action,
+    approvalAction: approvalAction ?? handler.approvalAction,
+  }
+  await ctx.store.put(handlerKey(handlerId), updated, { ttl: HANDLER_TTL })
+  return json(publicView(updated))
+}
+
+async function updateRules(ctx, handlerId) {
+  const handler = await loadOwnedHandler(ctx, handlerId)
+  const { rules } = await ctx.readJson()
+  if (!Array.isArray(rules)) throw httpError(400, 'rules must be an array')
+  if (rules.length > MAX_RULES) throw httpError(400, `At most ${MAX_RULES} rules per handler`)
+  for (const rule of rules) {
+    if (!rule || typeof rule !== 'object' || !SIGN_ACTIONS.includes(rule.action)) {
+      throw httpError(400, `Every rule needs an action of ${SIGN_ACTIONS.join(' or ')}`)
+    }
+  }
+  const updated = { ...handler, rules }
+  await ctx.store.put(handlerKey(handlerId), updated, { ttl: HANDLER_TTL })
+  return json(publicView(updated))
+}
+
+async function openFeed(ctx, handlerId) {
+  if (ctx.request.headers.get('Upgrade') !== 'websocket') throw httpError(426, 'Expected a WebSocket upgrade')
+  const handler = handlerId ? await ctx.store.get(handlerKey(handlerId)) : null
+  if (!handler) throw httpError(404, 'Handler not found')
+  return ctx.acceptWebSocket(socket => streamRecordEvents(socket, ctx.store, handlerKey(handlerId), handler))
+}
+
+// ── Policy evaluation ─────────────────────────────────────────────────────
+
+/** Flatten a v2 callback payload (top-level fields, falling back to the first destination). */
+function describeRequest(payload) {
+  const dest = Array.isArray(payload.destinations) ? payload.destinations[0] || {} : {}
+  const amount = payload.amount ?? payload.amountStr ?? dest.amountNative ?? dest.amountNativeStr ?? null
+  const amountUsd = payload.amountUSD ?? dest.amountUSD ?? null
+  return {
+    requestId: payload.requestId ?? null,
+    operation: payload.operation ?? null,
+    asset: payload.asset ?? null,
+    amount: amount == null ? null : Number(amount),
+    amountUsd: amountUsd == null ? null : Number(amountUsd),
+    sourceType: payload.sourceType ?? null,
+    sourceId: payload.sourceId ?? null,
+    destType: payload.destType ?? dest.dstType ?? null,
+    destId: payload.destId ?? dest.dstId ?? null,
+    destAddress: payload.destAddress ?? dest.dstAddress ?? dest.displayDstAddress ?? null,
+    destAddressType: payload.destAddressType ?? dest.dstAddressType ?? null,
+    externalTxId: payload.externalTxId ?? null,
+  }
+}
+
+const inList = (list, value) =>
+  !list?.length || (value != null && list.some(v => String(v).toUpperCase() === String(value).toUpperCase()))
+
+const inRange = (value, min, max) =>
+  (min == null && max == null) || (value != null && !isNaN(value) && (min == null || value >= min) && (max == null || value <= max))
+
+async function ruleMatches(rule, req) {
+  const c = rule.conditions || {}
+  if (!inList(c.operations, req.operation)) return false
+  if (!inList(c.assets, req.asset)) return false
+  if (!inRange(req.amount, c.amountMin, c.amountMax)) return false
+  if (!inRange(req.amountUsd, c.amountUsdMin, c.amountUsdMax)) return false
+  if (!inList(c.sourceTypes, req.sourceType)) return false
+  if (!inList(c.sourceIds, req.sourceId)) return false
+  if (!inList(c.destTypes, req.destType)) return false
+  if (!inList(c.destIds, req.destId)) return false
+  if (!inList(c.destAddressTypes, req.destAddressType)) return false
+  if (!inList(c.destAddresses, req.destAddress)) return false
+  if (c.externalTxIdPublicKey && !(await verifyTxId(req.externalTxId, c.externalTxIdPublicKey))) return false
+  return true
+}
+
+/** First enabled matching rule wins; approvals use the approval default only. */
+async function decideAction(handler, requestType, req) {
+  if (requestType.endsWith('_approval')) return { action: handler.approvalAction, rule: null }
+  for (const rule of handler.rules || []) {
+    if (rule.enabled && await ruleMatches(rule, req)) return { action: rule.action, rule }
+  }
+  return { action: handler.action, rule: null }
+}
+
+async function handleCosignerRequest(ctx, handlerId, rest) {
+  if (ctx.request.method !== 'POST') throw httpError(405, 'Method not allowed')
+  const key = handlerKey(handlerId)
+  const handler = handlerId ? await ctx.store.get(key) : null
+  if (!handler) throw httpError(404, 'Handler not found')
+
+  const endpoint = rest[rest.length - 1] || ''
+  const requestType = endpoint.replace(/_request$/, '')
+  if (!REQUEST_TYPES.includes(requestType)) throw httpError(404, `Unknown callback endpoint: ${endpoint}`)
+
+  const rawRequest = (await ctx.request.text()).trim()
+  const { payload, verified } = await verifyJwt(rawRequest, await importRsaPublicKey(handler.cosignerPublicKey))
+  const req = describeRequest(payload || {})
+
+  // Never approve something we couldn't authenticate
+  const { action, rule } = verified ? await decideAction(handler, requestType, req) : { action: 'REJECT', rule: null }
+  const response = { action, requestId: req.requestId }
+  if (action === 'REJECT') response.rejectionReason = REJECTION_REASON
+  const rawResponse = await signJwt(response, await importRsaPrivateJwk(handler.privateJwk))
+
+  const event = {
+    id: randomId(9),
+    timestamp: new Date().toISOString(),
+    requestType,
+    ...req,
+    verified,
+    action,
+    matchedRule: rule ? rule.name : null,
+    rawRequestReceived: rawRequest,
+    rawPayload: payload,
+    rawResponseSent: rawResponse,
+  }
+  const latest = (await ctx.store.get(key)) || handler
+  await ctx.store.put(key, { ...latest, events: [event, ...latest.events].slice(0, MAX_EVENTS) }, { ttl: HANDLER_TTL })
+
+  return new Response(rawResponse, { status: 200, headers: { 'Content-Type': 'text/plain' } })
+}
+
+export async function handleCallbackHandler(ctx, segments) {
+  const { method } = ctx.request
+  const [first, second, ...rest] = segments
+  if (first === 'session' && method === 'GET') return getSession(ctx)
+  if (first === 'create' && method === 'POST') return createHandler(ctx)
+  if (first === 'action' && method === 'PUT') return updateActions(ctx, second)
+  if (first === 'rules' && method === 'PUT') return updateRules(ctx, second)
+  if (first === 'ws' && method === 'GET') return openFeed(ctx, second)
+  if (first === 'cb') return handleCosignerRequest(ctx, second, rest)
+  if (first && !second && method === 'DELETE') return deleteHandler(ctx, first)
+  throw httpError(404, 'Not found')
+}
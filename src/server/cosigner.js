@@ -0,0 +1,110 @@
+// ─── Easy Cosigner backend (/cosigner) ──────────────────────────────────────
+// A small job queue between the page and the cosigner agent that actually runs
+// the pairing. Browsers submit tokens and poll status; the agent authenticates
+// with COSIGNER_AGENT_TOKEN to claim jobs and report back.
+//
+//   POST /cosigner/submit        { pairingToken, callbackUrl?, callbackPublicKey? } → { id, status }
+//   GET  /cosigner/status/:id    → { id, status, error }
+//   GET  /cosigner/next          (agent) → oldest pending job, now 'picked_up' — 204 when idle
+//   POST /cosigner/status/:id    (agent) { status: 'completed' | 'failed', error? }
+//
+// status: pending → picked_up → completed | failed
+
+import { httpError, json, randomId } from './http.js'
+
+const JOB_TTL = 7 * 24 * 3600
+const MAX_TOKEN_LENGTH = 8192
+const MAX_QUEUE = 100
+const FINAL_STATUSES = ['completed', 'failed']
+
+const QUEUE_KEY = 'cosigner:queue'
+const jobKey = (id) => `cosigner:job:${id}`
+
+function requireAgent(ctx) {
+  const expected = ctx.env.COSIGNER_AGENT_TOKEN
+  if (!expected) throw httpError(503, 'Cosigner agent is not configured (COSIGNER_AGENT_TOKEN)')
+  if (ctx.request.headers.get('Authorization') !== `Bearer ${expected}`) throw httpError(401, 'Unauthorized')
+}
+
+async function submit(ctx) {
+  const body = await ctx.readJson()
+  const pairingToken = typeof body.pairingToken === 'string' ? body.pairingToken.trim() : ''
+  if (!pairingToken) throw httpError(400, 'pairingToken is required')
+  if (pairingToken.length > MAX_TOKEN_LENGTH) throw httpError(400, 'pairingToken is too long')
+
+  let callbackUrl = null
+  if (body.callbackUrl) {
+    try {
+      const parsed = new URL(body.callbackUrl)
+      if (parsed.protocol !== 'https:') throw new Error('not https')
+      callbackUrl = parsed.toString()
+    } catch {
+      throw httpError(400, 'callbackUrl must be an https URL')
+    }
+  }
+
+  const queue = (await ctx.store.get(QUEUE_KEY)) || []
+  if (queue.length >= MAX_QUEUE) throw httpError(429, 'Too many pending pairings — try again shortly')
+
+  const job = {
+    id: randomId(12),
+    status: 'pending',
+    pairingToken,
+    callbackUrl,
+    callbackPublicKey: typeof body.callbackPublicKey === 'string' ? body.callbackPublicKey.trim() || null : null,
+    error: null,
+    submittedAt: new Date().toISOString(),
+  }
+  await ctx.store.put(jobKey(job.id), job, { ttl: JOB_TTL })
+  await ctx.store.put(QUEUE_KEY, [...queue, job.id])
+  return json({ id: job.id, status: job.status })
+}
+
+async function getStatus(ctx, id) {
+  const job = id ? await ctx.store.get(jobKey(id)) : null
+  if (!job) throw httpError(404, 'Submission not found')
+  return json({ id: job.id, status: job.status, error: job.error })
+}
+
+async function claimNext(ctx) {
+  requireAgent(ctx)
+  const queue = (await ctx.store.get(QUEUE_KEY)) || []
+  let claimed = null
+  const remaining = []
+  for (const id of queue) {
+    if (claimed) {
+      remaining.push(id)
+      continue
+    }
+    const job = await ctx.store.get(jobKey(id))
+    if (job?.status === 'pending') claimed = job
+  }
+  await ctx.store.put(QUEUE_KEY, remaining)
+  if (!claimed) return new Response(null, { status: 204 })
+
+  const job = { ...claimed, status: 'picked_up', pickedUpAt: new Date().toISOString() }
+  await ctx.store.put(jobKey(job.id), job, { ttl: JOB_TTL })
+  return json(job)
+}
+
+async function reportStatus(ctx, id) {
+  requireAgent(ctx)
+  const job = id ? await ctx.store.get(jobKey(id)) : null
+  if (!job) throw httpError(404, 'Submission not found')
+  const { status, error } = await ctx.readJson()
+  if (!FINAL_STATUSES.includes(status)) throw httpError(400, `status must be one of ${FINAL_STATUSES.join(', ')}`)
+
+  // The pairing token is single-use; don't keep it around once the agent is done
+  const updated = { ...job, status, error: status === 'failed' ? String(error || 'Pairing failed') : null, pairingToken: null }
+  await ctx.store.put(jobKey(id), updated, { ttl: JOB_TTL })
+  return json({ id, status: updated.status, error: updated.error })
+}
+
+export async function handleCosigner(ctx, [action, id]) {
+  const { method } = ctx.request
+  if (action === 'submit' && method === 'POST') return submit(ctx)
+  if (action === 'status' && method === 'GET') return getStatus(ctx, id)
+  if (action === 'status' && method === 'POST') return reportStatus(ctx, id)
+  if (action === 'next' && method === 'GET') return claimNext(ctx)
+  throw httpError(404, 'Not found')
+}
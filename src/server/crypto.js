@@ -0,0 +1,159 @@
+// ─── WebCrypto helpers for the toolbox backend ──────────────────────────────
+// Encodings, PEM keys, RS256 JWTs and Ed25519-signed externalTxIds. Only uses
+// crypto.subtle, so it runs unchanged on Cloudflare and Node 20.
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+// ── Encodings ─────────────────────────────────────────────────────────────
+
+export function toBase64Url(bytes) {
+  let binary = ''
+  for (const b of bytes) binary += String.fromCharCode(b)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function fromBase64Url(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+export function fromHex(hex) {
+  const bytes = new Uint8Array(hex.length / 2)
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16)
+  return bytes
+}
+
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length))
+}
+
+export async function sha256Hex(text) {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(text))))
+}
+
+// ── PEM keys ──────────────────────────────────────────────────────────────
+
+const RSA_PARAMS = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+
+function pemToDer(pem, label) {
+  // Env vars often carry PEMs with literal "\n" instead of newlines
+  const normalized = pem.replace(/\\n/g, '\n').trim()
+  const match = normalized.match(new RegExp(`-----BEGIN ${label}-----([\\s\\S]+?)-----END ${label}-----`))
+  if (!match) throw new Error(`Expected a PEM "${label}" block`)
+  const binary = atob(match[1].replace(/\s+/g, ''))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+function derToPem(der, label) {
+  let binary = ''
+  for (const b of new Uint8Array(der)) binary += String.fromCharCode(b)
+  const lines = btoa(binary).match(/.{1,64}/g).join('\n')
+  return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----`
+}
+
+/** Import an RSA SPKI public key ("BEGIN PUBLIC KEY") for RS256 verification. */
+export async function importRsaPublicKey(pem) {
+  return crypto.subtle.importKey('spki', pemToDer(pem, 'PUBLIC KEY'), RSA_PARAMS, false, ['verify'])
+}
+
+/** Import an RSA PKCS#8 private key ("BEGIN PRIVATE KEY") for RS256 signing. */
+export async function importRsaPrivateKey(pem) {
+  return crypto.subtle.importKey('pkcs8', pemToDer(pem, 'PRIVATE KEY'), RSA_PARAMS, false, ['sign'])
+}
+
+/** New RSA-2048 key pair as { privateJwk, publicPem } — the JWK is what we store. */
+export async function generateRsaKeyPair() {
+  const pair = await crypto.subtle.generateKey(
+    { ...RSA_PARAMS, modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) },
+    true,
+    ['sign', 'verify']
+  )
+  const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey)
+  const publicPem = derToPem(await crypto.subtle.exportKey('spki', pair.publicKey), 'PUBLIC KEY')
+  return { privateJwk, publicPem }
+}
+
+export async function importRsaPrivateJwk(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, RSA_PARAMS, false, ['sign'])
+}
+
+// ── JWT (RS256) ───────────────────────────────────────────────────────────
+
+export async function signJwt(payload, privateKey) {
+  const header = toBase64Url(encoder.encode(JSON.stringify({ alg: 'RS256', typ: 'JWT' })))
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)))
+  const signature = await crypto.subtle.sign(RSA_PARAMS, privateKey, encoder.encode(`${header}.${body}`))
+  return `${header}.${body}.${toBase64Url(new Uint8Array(signature))}`
+}
+
+/**
+ * Decode a JWT and check its RS256 signature. Returns { payload, verified };
+ * payload is null when the token isn't a decodable JWT at all.
+ */
+export async function verifyJwt(jwt, publicKey) {
+  const parts = (jwt || '').trim().split('.')
+  if (parts.length !== 3) return { payload: null, verified: false }
+  let payload
+  try {
+    payload = JSON.parse(decoder.decode(fromBase64Url(parts[1])))
+  } catch {
+    return { payload: null, verified: false }
+  }
+  try {
+    const verified = await crypto.subtle.verify(
+      RSA_PARAMS,
+      publicKey,
+      fromBase64Url(parts[2]),
+      encoder.encode(`${parts[0]}.${parts[1]}`)
+    )
+    return { payload, verified }
+  } catch {
+    return { payload, verified: false }
+  }
+}
+
+// ── Signed externalTxIds ──────────────────────────────────────────────────
+// Format: base64url(16 random bytes) + "." + base64url(Ed25519 signature over
+// those bytes). The private key stays in the store as a JWK; only the 32-byte
+// public key (64 hex chars) is ever shown, and that is what the Callback
+// Handler policy rules verify against — it can check ids but not mint them.
+
+const ED25519 = { name: 'Ed25519' }
+
+/** New signing key pair as { privateJwk, publicKey } — publicKey is the raw key in hex. */
+export async function generateTxIdKeyPair() {
+  const pair = await crypto.subtle.generateKey(ED25519, true, ['sign', 'verify'])
+  const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey)
+  const publicKey = toHex(new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey)))
+  return { privateJwk, publicKey }
+}
+
+export async function signTxId(privateJwk) {
+  const idBytes = randomBytes(16)
+  const key = await crypto.subtle.importKey('jwk', privateJwk, ED25519, false, ['sign'])
+  const signature = new Uint8Array(await crypto.subtle.sign(ED25519, key, idBytes))
+  return `${toBase64Url(idBytes)}.${toBase64Url(signature)}`
+}
+
+/** True when `externalTxId` was signed by the key pair whose public key is `publicKeyHex`. */
+export async function verifyTxId(externalTxId, publicKeyHex) {
+  if (!externalTxId || !/^[0-9a-fA-F]{64}$/.test(publicKeyHex || '')) return false
+  const parts = externalTxId.split('.')
+  if (parts.length !== 2) return false
+  try {
+    const key = await crypto.subtle.importKey('raw', fromHex(publicKeyHex), ED25519, false, ['verify'])
+    return await crypto.subtle.verify(ED25519, key, fromBase64Url(parts[1]), fromBase64Url(parts[0]))
+  } catch {
+    return false
+  }
+}
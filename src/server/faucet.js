@@ -0,0 +1,142 @@
+// ─── Faucet backend (/faucet, /health) ──────────────────────────────────────
+// Sends testnet assets from a Fireblocks vault. Requires:
+//   FIREBLOCKS_API_KEY            – API user key
+//   FIREBLOCKS_SECRET_KEY         – that user's RSA private key (PKCS#8 PEM)
+//   FIREBLOCKS_VAULT_ACCOUNT_ID   – vault the faucet pays from
+// Optional:
+//   FIREBLOCKS_API_URL            – default https://api.fireblocks.io
+//   FAUCET_COOLDOWN_HOURS         – per address and per client IP, default 24
+//
+//   GET  /health                → { status: 'ok', faucetConfigured }
+//   POST /faucet                { assetId, address } → { transactionId, status, amount }
+//   GET  /faucet/txid-setup     → { configured, publicKey? }  (Ed25519 public key only)
+//   POST /faucet/txid-setup     → create the externalTxId key pair (idempotent);
+//                                 needs Content-Type: application/json, so browsers
+//                                 only send it cross-origin after a CORS preflight
+
+import { findFaucetAsset } from '../config/faucet.js'
+import { generateTxIdKeyPair, importRsaPrivateKey, sha256Hex, signJwt, signTxId } from './crypto.js'
+import { httpError, json, requireJsonRequest } from './http.js'
+
+const DEFAULT_API_URL = 'https://api.fireblocks.io'
+const DEFAULT_COOLDOWN_HOURS = 24
+const TXID_KEY = 'faucet:txid'
+
+function isConfigured(env) {
+  return !!(env.FIREBLOCKS_API_KEY && env.FIREBLOCKS_SECRET_KEY && env.FIREBLOCKS_VAULT_ACCOUNT_ID)
+}
+
+/** Authenticated Fireblocks API call — JWT signed per request over the path and body hash. */
+async function fireblocksRequest(env, method, path, body) {
+  const bodyText = body ? JSON.stringify(body) : ''
+  const now = Math.floor(Date.now() / 1000)
+  const token = await signJwt({
+    uri: path,
+    nonce: crypto.randomUUID(),
+    iat: now,
+    exp: now + 55,
+    sub: env.FIREBLOCKS_API_KEY,
+    bodyHash: await sha256Hex(bodyText),
+  }, await importRsaPrivateKey(env.FIREBLOCKS_SECRET_KEY))
+
+  const res = await fetch(`${(env.FIREBLOCKS_API_URL || DEFAULT_API_URL).replace(/\/$/, '')}${path}`, {
+    method,
+    headers: {
+      'X-API-Key': env.FIREBLOCKS_API_KEY,
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: bodyText || undefined,
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    throw httpError(502, `Fireblocks rejected the transfer: ${data.message || `HTTP ${res.status}`}`)
+  }
+  return data
+}
+
+// Claims are reserved before the transfer, so parallel requests for the same
+// address or IP can't all pass the check and each get paid
+async function reserveClaims(ctx, claims, hours) {
+  const held = []
+  for (const { key, label } of claims) {
+    if (await ctx.store.claim(key, { at: Date.now(), pending: true }, { ttl: hours * 3600 })) {
+      held.push(key)
+      continue
+    }
+    await releaseClaims(ctx, held)
+    throw httpError(429, `${label} already received this asset in the last ${hours}h — try again later`)
+  }
+  return held
+}
+
+async function releaseClaims(ctx, keys) {
+  await Promise.all(keys.map(key => ctx.store.delete(key)))
+}
+
+async function sendFromFaucet(ctx) {
+  if (!isConfigured(ctx.env)) throw httpError(503, 'Faucet is not configured on this server')
+
+  const { assetId, address: rawAddress } = await ctx.readJson()
+  const match = findFaucetAsset(assetId)
+  if (!match) throw httpError(400, `Unsupported asset: ${assetId}`)
+  const address = typeof rawAddress === 'string' ? rawAddress.trim() : ''
+  if (!match.network.validateAddress(address)) throw httpError(400, `Invalid ${match.network.addressType} address`)
+
+  const hours = Number(ctx.env.FAUCET_COOLDOWN_HOURS) || DEFAULT_COOLDOWN_HOURS
+  const ip = ctx.request.headers.get('CF-Connecting-IP') || ctx.request.headers.get('X-Forwarded-For')?.split(',')[0].trim()
+  // EVM addresses are case-insensitive; everything else is compared verbatim
+  const addressId = match.network.addressType === 'EVM' ? address.toLowerCase() : address
+  const claims = await reserveClaims(ctx, [
+    { key: `faucet:claim:${assetId}:${addressId}`, label: 'This address' },
+    ...(ip ? [{ key: `faucet:ip:${assetId}:${ip}`, label: 'Your IP' }] : []),
+  ], hours)
+
+  let tx
+  try {
+    const txidSetup = await ctx.store.get(TXID_KEY)
+    tx = await fireblocksRequest(ctx.env, 'POST', '/v1/transactions', {
+      assetId,
+      amount: match.asset.amount,
+      source: { type: 'VAULT_ACCOUNT', id: String(ctx.env.FIREBLOCKS_VAULT_ACCOUNT_ID) },
+      destination: { type: 'ONE_TIME_ADDRESS', oneTimeAddress: { address } },
+      note: 'Testnet faucet',
+      ...(txidSetup?.privateJwk ? { externalTxId: await signTxId(txidSetup.privateJwk) } : {}),
+    })
+  } catch (err) {
+    // Nothing was sent: free the reservations so the user can try again
+    await releaseClaims(ctx, claims)
+    throw err
+  }
+
+  for (const key of claims) await ctx.store.put(key, { at: Date.now(), txId: tx.id }, { ttl: hours * 3600 })
+  return json({ transactionId: tx.id, status: tx.status, amount: match.asset.amount })
+}
+
+export async function handleHealth(ctx) {
+  return json({ status: 'ok', faucetConfigured: isConfigured(ctx.env) })
+}
+
+export async function handleFaucet(ctx, [action]) {
+  const { method } = ctx.request
+
+  if (!action && method === 'POST') return sendFromFaucet(ctx)
+
+  // A setup from before the Ed25519 switch (an HMAC key) counts as not configured
+  if (action === 'txid-setup' && method === 'GET') {
+    const setup = await ctx.store.get(TXID_KEY)
+    return json(setup?.privateJwk ? { configured: true, publicKey: setup.publicKey } : { configured: false })
+  }
+
+  if (action === 'txid-setup' && method === 'POST') {
+    requireJsonRequest(ctx.request)
+    let setup = await ctx.store.get(TXID_KEY)
+    if (!setup?.privateJwk) {
+      setup = { ...(await generateTxIdKeyPair()), createdAt: new Date().toISOString() }
+      await ctx.store.put(TXID_KEY, setup)
+    }
+    return json({ configured: true, publicKey: setup.publicKey })
+  }
+
+  throw httpError(404, 'Not found')
+}
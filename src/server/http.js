@@ -0,0 +1,102 @@
+// ─── HTTP helpers for the toolbox backend ───────────────────────────────────
+
+import { randomBytes, toBase64Url } from './crypto.js'
+
+const SESSION_COOKIE = 'mbg_sid'
+export const SESSION_TTL = 30 * 24 * 3600
+
+/** Error carrying an HTTP status — thrown by routes, turned into { error } JSON by the dispatcher. */
+export function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+export function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+  })
+}
+
+/** Parse a JSON request body; an empty body yields {}. */
+export async function readJson(request, maxBytes = 64 * 1024) {
+  const text = await request.text()
+  if (text.length > maxBytes) throw httpError(413, 'Request body too large')
+  if (!text.trim()) return {}
+  try {
+    return JSON.parse(text)
+  } catch {
+    throw httpError(400, 'Body must be valid JSON')
+  }
+}
+
+/**
+ * Reject requests whose body isn't declared as JSON. Browsers can only send
+ * application/json cross-origin after a CORS preflight, which corsHeaders
+ * answers for trusted origins only.
+ */
+export function requireJsonRequest(request) {
+  const type = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase()
+  if (type !== 'application/json') throw httpError(415, 'Content-Type must be application/json')
+}
+
+/** Fixed-size id, URL-safe. */
+export function randomId(bytes = 16) {
+  return toBase64Url(randomBytes(bytes))
+}
+
+// ── CORS ──────────────────────────────────────────────────────────────────
+// Session routes use cookies, so only trusted origins get credentialed CORS:
+// the API's own origin plus anything listed in API_ALLOWED_ORIGINS (comma
+// separated) for deployments that host the UI and the API separately.
+
+/** True when the request's Origin may use the session cookie (the API's own origin or API_ALLOWED_ORIGINS). */
+export function isTrustedOrigin(request, env = {}) {
+  const origin = request.headers.get('Origin')
+  if (!origin) return false
+  const allowed = (env.API_ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean)
+  return origin === new URL(request.url).origin || allowed.includes('*') || allowed.includes(origin)
+}
+
+export function corsHeaders(request, env = {}) {
+  const origin = request.headers.get('Origin')
+  const headers = {
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    Vary: 'Origin',
+  }
+  if (isTrustedOrigin(request, env)) {
+    headers['Access-Control-Allow-Origin'] = origin
+    headers['Access-Control-Allow-Credentials'] = 'true'
+  }
+  return headers
+}
+
+// ── Sessions ──────────────────────────────────────────────────────────────
+
+function readCookie(request, name) {
+  const header = request.headers.get('Cookie') || ''
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=')
+    if (key === name) return rest.join('=')
+  }
+  return null
+}
+
+/**
+ * Session id from the mbg_sid cookie. A new id is minted when absent; the
+ * dispatcher then sets the cookie on the response via `sessionCookie`.
+ */
+export function resolveSession(request) {
+  const existing = readCookie(request, SESSION_COOKIE)
+  if (existing && /^[A-Za-z0-9_-]{20,64}$/.test(existing)) return { id: existing, isNew: false }
+  return { id: randomId(24), isNew: true }
+}
+
+export function sessionCookie(request, sessionId) {
+  // Cross-origin API bases need SameSite=None, which browsers only accept with Secure
+  const secure = new URL(request.url).protocol === 'https:'
+  const sameSite = secure ? 'SameSite=None; Secure' : 'SameSite=Lax'
+  return `${SESSION_COOKIE}=${sessionId}; Path=/; Max-Age=${SESSION_TTL}; HttpOnly; ${sameSite}`
+}
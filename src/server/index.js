@@ -0,0 +1,94 @@
+// ─── Toolbox backend ─────────────────────────────────────────────────────────
+// Self-hosted replacement for the worker behind Webhook Tester, Callback
+// Handler, TxId Generator, Easy Cosigner and Faucet. Routes are written against
+// the Fetch API (Request → Response) so the same code serves:
+//
+//   functions/api/[[route]].js   Cloudflare Pages (KV via TOOLBOX_KV)
+//   src/server/node.js           `vite dev` (in-memory storage)
+//
+// The UI reaches it through API_BASE (src/config/api.js), /api by default.
+
+import { handleCallbackHandler } from './callbackHandler.js'
+import { handleCosigner } from './cosigner.js'
+import { handleFaucet, handleHealth } from './faucet.js'
+import { corsHeaders, isTrustedOrigin, json, readJson, resolveSession, sessionCookie } from './http.js'
+import { getStore } from './storage.js'
+import { handleTxId } from './txId.js'
+import { handleHookCapture, handleWebhookTester } from './webhookTester.js'
+
+export const API_PREFIX = '/api'
+
+const ROUTES = {
+  wht: handleWebhookTester,
+  hook: handleHookCapture,
+  cbt: handleCallbackHandler,
+  'tx-id': handleTxId,
+  cosigner: handleCosigner,
+  faucet: handleFaucet,
+  health: handleHealth,
+}
+
+// Webhook URLs are called by arbitrary third-party services, not by the page
+const PUBLIC_ROUTES = new Set(['hook'])
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS'])
+
+/** True when `pathname` is served by this backend (rather than /api/proxy, /api/counter, …). */
+export function isToolboxPath(pathname) {
+  if (!pathname.startsWith(`${API_PREFIX}/`)) return false
+  return Object.hasOwn(ROUTES, pathname.slice(API_PREFIX.length + 1).split('/')[0])
+}
+
+/**
+ * Handle one request under /api. `acceptWebSocket(onOpen)` is supplied by the
+ * platform adapter: it upgrades the connection, calls onOpen({ send, close,
+ * onClose }) and returns whatever the platform expects as the response.
+ */
+export async function handleToolboxRequest(request, { env = {}, acceptWebSocket } = {}) {
+  const url = new URL(request.url)
+  const [route, ...segments] = url.pathname.slice(API_PREFIX.length + 1).split('/').filter(Boolean)
+  const cors = PUBLIC_ROUTES.has(route)
+    ? { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': '*', 'Access-Control-Allow-Headers': '*' }
+    : corsHeaders(request, env)
+
+  if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: cors })
+
+  const handler = Object.hasOwn(ROUTES, route) ? ROUTES[route] : null
+  if (!handler) return json({ error: 'Not found' }, 404, cors)
+
+  // The session cookie is SameSite=None over https, so a third-party page could
+  // otherwise send simple cross-site POSTs with it. Browsers always send Origin
+  // on those; requests without one (agents, curl) carry no victim's cookie.
+  const origin = request.headers.get('Origin')
+  if (!PUBLIC_ROUTES.has(route) && !SAFE_METHODS.has(request.method) && origin && !isTrustedOrigin(request, env)) {
+    return json({ error: `Origin not allowed: ${origin}` }, 403, cors)
+  }
+
+  const session = resolveSession(request)
+  const ctx = {
+    request,
+    url,
+    env,
+    store: getStore(env),
+    session,
+    baseUrl: `${url.origin}${API_PREFIX}`,
+    readJson: () => readJson(request),
+    acceptWebSocket,
+  }
+
+  let response
+  try {
+    response = await handler(ctx, segments.map(decodeURIComponent))
+  } catch (err) {
+    if (!err.status) console.error(`[api] /${route} failed:`, err)
+    response = json({ error: err.status ? err.message : 'Internal error' }, err.status || 500)
+  }
+
+  // WebSocket upgrades (and adapters that answer them out of band) are returned untouched
+  if (!response || response.status === 101) return response
+
+  const headers = new Headers(response.headers)
+  for (const [name, value] of Object.entries(cors)) headers.set(name, value)
+  if (session.isNew && !PUBLIC_ROUTES.has(route)) headers.append('Set-Cookie', sessionCookie(request, session.id))
+  return new Response(response.body, { status: response.status, headers })
+}
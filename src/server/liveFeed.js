@@ -0,0 +1,42 @@
+// ─── Live event feed over WebSocket ─────────────────────────────────────────
+// Webhook Tester and Callback Handler both keep a record `{ ..., events: [] }`
+// (newest first) under one storage key and stream it to the page:
+//
+//   { type: 'history', events }  on connect
+//   { type: 'event', event }     for every event added afterwards
+//   { type: 'cleared' }          when the list is emptied
+//   { type: 'deleted' }          when the record is gone (socket then closes)
+
+/**
+ * Stream `record.events` and later changes of `key` to `socket`
+ * ({ send, close, onClose } — see the platform adapters).
+ */
+export function streamRecordEvents(socket, store, key, record) {
+  const send = (msg) => {
+    try {
+      socket.send(JSON.stringify(msg))
+    } catch {
+      // Socket already closing — onClose cleans up
+    }
+  }
+
+  let seen = new Set(record.events.map(e => e.id))
+  let hadEvents = record.events.length > 0
+  send({ type: 'history', events: record.events })
+
+  const unwatch = store.watch(key, (next) => {
+    if (!next) {
+      send({ type: 'deleted' })
+      unwatch()
+      socket.close()
+      return
+    }
+    const events = next.events || []
+    if (events.length === 0 && hadEvents) send({ type: 'cleared' })
+    const fresh = events.filter(e => !seen.has(e.id)).reverse()
+    for (const event of fresh) send({ type: 'event', event })
+    seen = new Set(events.map(e => e.id))
+    hadEvents = events.length > 0
+  })
+  socket.onClose(unwatch)
+}
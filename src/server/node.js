@@ -0,0 +1,113 @@
+// ─── Node adapter for the toolbox backend ───────────────────────────────────
+// Mounts src/server on a Vite (Connect + http.Server) dev server so the whole
+// toolbox runs locally with in-memory storage. WebSockets are handled with a
+// minimal RFC 6455 implementation: the feeds only push text frames to the
+// browser, so all we need from the client is its close frame.
+
+import { Buffer } from 'node:buffer'
+import { createHash } from 'node:crypto'
+import { handleToolboxRequest, isToolboxPath } from './index.js'
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+function toRequest(req, body) {
+  const headers = new Headers()
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) value.forEach(v => headers.append(name, v))
+    else if (value != null) headers.set(name, value)
+  }
+  return new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+    method: req.method,
+    headers,
+    body: body && body.length ? body : undefined,
+  })
+}
+
+async function sendResponse(res, response) {
+  const headers = {}
+  for (const [name, value] of response.headers) {
+    if (name !== 'set-cookie') headers[name] = value
+  }
+  const cookies = response.headers.getSetCookie()
+  if (cookies.length) headers['set-cookie'] = cookies
+  res.writeHead(response.status, headers)
+  res.end(Buffer.from(await response.arrayBuffer()))
+}
+
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text)
+  let header
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length])
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x81
+    header[1] = 126
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x81
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(payload.length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+function acceptNodeWebSocket(req, socket, onOpen) {
+  const accept = createHash('sha1').update(req.headers['sec-websocket-key'] + WS_GUID).digest('base64')
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  )
+
+  const closeHandlers = []
+  let closed = false
+  const close = () => {
+    if (closed) return
+    closed = true
+    socket.end(Buffer.from([0x88, 0x00]))
+    closeHandlers.forEach(fn => fn())
+  }
+
+  socket.on('data', (chunk) => {
+    if ((chunk[0] & 0x0f) === 0x8) close()
+  })
+  socket.on('close', close)
+  socket.on('error', close)
+
+  onOpen({
+    send: (text) => { if (!closed) socket.write(encodeTextFrame(text)) },
+    close,
+    onClose: (fn) => closeHandlers.push(fn),
+  })
+}
+
+/** Serve the toolbox API from a Vite dev server. `env` plays the role of Cloudflare's env bindings. */
+export function attachToolboxApi(server, env = {}) {
+  server.middlewares.use(async (req, res, next) => {
+    if (!isToolboxPath(new URL(req.url, 'http://localhost').pathname)) return next()
+    try {
+      const chunks = []
+      for await (const chunk of req) chunks.push(chunk)
+      await sendResponse(res, await handleToolboxRequest(toRequest(req, Buffer.concat(chunks)), { env }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  server.httpServer?.on('upgrade', async (req, socket) => {
+    if (!isToolboxPath(new URL(req.url, 'http://localhost').pathname)) return
+    const response = await handleToolboxRequest(toRequest(req), {
+      env,
+      acceptWebSocket: (onOpen) => {
+        acceptNodeWebSocket(req, socket, onOpen)
+        return null
+      },
+    })
+    if (response) {
+      socket.end(`HTTP/1.1 ${response.status} ${response.statusText || 'Error'}\r\nConnection: close\r\n\r\n`)
+    }
+  })
+}
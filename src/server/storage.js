@@ -0,0 +1,135 @@
+// ─── Toolbox backend storage ─────────────────────────────────────────────────
+// Every backend route (Webhook Tester, Callback Handler, TxId Generator, Easy
+// Cosigner, Faucet) keeps its state behind the same small interface, so the
+// routes never know where they run:
+//
+//   get(key)                  → parsed JSON value or null
+//   put(key, value, { ttl })  → stores JSON, ttl in seconds (optional)
+//   delete(key)
+//   claim(key, value, { ttl }) → true when key was free and now holds value
+//   watch(key, fn)            → calls fn(value) whenever key changes, returns unwatch()
+//
+// Production (Cloudflare) binds a KV namespace as TOOLBOX_KV. Without it — `vite
+// dev`, or a deployment that hasn't bound KV yet — state lives in memory for the
+// lifetime of the process/isolate. A Durable Object store only needs these five
+// methods to slot in where strongly-consistent live feeds or claims are required.
+
+const KV_MIN_TTL = 60 // Cloudflare KV rejects expirationTtl below 60s
+const KV_WATCH_INTERVAL_MS = 2000
+
+/** In-memory store with TTLs and push-based watchers. */
+export function createMemoryStore() {
+  const entries = new Map() // key → { json, expiresAt }
+  const watchers = new Map() // key → Set<fn>
+
+  function read(key) {
+    const entry = entries.get(key)
+    if (!entry) return null
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key)
+      return null
+    }
+    return entry.json
+  }
+
+  function notify(key) {
+    const fns = watchers.get(key)
+    if (!fns) return
+    const json = read(key)
+    for (const fn of fns) fn(json == null ? null : JSON.parse(json))
+  }
+
+  return {
+    async get(key) {
+      const json = read(key)
+      return json == null ? null : JSON.parse(json)
+    },
+    async put(key, value, { ttl } = {}) {
+      entries.set(key, { json: JSON.stringify(value), expiresAt: ttl ? Date.now() + ttl * 1000 : null })
+      notify(key)
+    },
+    async delete(key) {
+      entries.delete(key)
+      notify(key)
+    },
+    // Check and set happen in one synchronous step, so concurrent claims can't both win
+    async claim(key, value, { ttl } = {}) {
+      if (read(key) != null) return false
+      entries.set(key, { json: JSON.stringify(value), expiresAt: ttl ? Date.now() + ttl * 1000 : null })
+      notify(key)
+      return true
+    },
+    watch(key, fn) {
+      if (!watchers.has(key)) watchers.set(key, new Set())
+      watchers.get(key).add(fn)
+      return () => {
+        const fns = watchers.get(key)
+        fns?.delete(fn)
+        if (fns && fns.size === 0) watchers.delete(key)
+      }
+    },
+  }
+}
+
+/**
+ * Store backed by a Cloudflare KV namespace. KV has no change notifications, so
+ * watch() polls; KV is eventually consistent, so a live feed can lag writes made
+ * from another location by a few seconds.
+ */
+export function createKvStore(kv) {
+  return {
+    async get(key) {
+      return kv.get(key, 'json')
+    },
+    async put(key, value, { ttl } = {}) {
+      const options = ttl ? { expirationTtl: Math.max(KV_MIN_TTL, Math.ceil(ttl)) } : undefined
+      await kv.put(key, JSON.stringify(value), options)
+    },
+    async delete(key) {
+      await kv.delete(key)
+    },
+    // KV has no compare-and-set: write a unique token and read it back, so the
+    // later of two racing writers in one location sees it lost. Writers in
+    // different locations can still both win within KV's propagation delay.
+    async claim(key, value, { ttl } = {}) {
+      if (await kv.get(key) != null) return false
+      const token = crypto.randomUUID()
+      const options = ttl ? { expirationTtl: Math.max(KV_MIN_TTL, Math.ceil(ttl)) } : undefined
+      await kv.put(key, JSON.stringify({ ...value, claimToken: token }), options)
+      const stored = await kv.get(key, 'json')
+      return stored?.claimToken === token
+    },
+    watch(key, fn) {
+      let last
+      let stopped = false
+      const poll = async () => {
+        try {
+          const text = await kv.get(key)
+          if (stopped) return
+          if (last !== undefined && text !== last) fn(text == null ? null : JSON.parse(text))
+          last = text
+        } catch (err) {
+          console.error('[storage] KV watch failed:', err)
+        }
+      }
+      poll()
+      const timer = setInterval(poll, KV_WATCH_INTERVAL_MS)
+      return () => {
+        stopped = true
+        clearInterval(timer)
+      }
+    },
+  }
+}
+
+let memoryStore = null
+
+/** Store for the current environment: KV when TOOLBOX_KV is bound, otherwise a process-wide memory store. */
+export function getStore(env = {}) {
+  if (env.TOOLBOX_KV) return createKvStore(env.TOOLBOX_KV)
+  if (!memoryStore) {
+    memoryStore = createMemoryStore()
+    if (env.CF_PAGES) console.warn('[storage] TOOLBOX_KV is not bound — using in-memory storage')
+  }
+  return memoryStore
+}
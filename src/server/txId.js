@@ -0,0 +1,52 @@
+// ─── TxId Generator backend (/tx-id) ────────────────────────────────────────
+//   GET    /tx-id/session    → { publicKey }  (64-hex Ed25519 public key, pair created on first visit)
+//   DELETE /tx-id/session    → rotate the key pair → { publicKey }
+//   GET    /tx-id/generate   → { externalTxId }
+//   POST   /tx-id/generate   { count } → { externalTxIds }
+//
+// The private key never leaves the store.
+
+import { generateTxIdKeyPair, signTxId } from './crypto.js'
+import { httpError, json, SESSION_TTL } from './http.js'
+
+const MAX_BATCH = 100
+
+const sessionKey = (sessionId) => `txid:session:${sessionId}`
+
+async function getOrCreateKeyPair(ctx) {
+  const existing = await ctx.store.get(sessionKey(ctx.session.id))
+  // Sessions from before the Ed25519 switch hold an HMAC key: replace it
+  const pair = existing?.privateJwk ? existing : await generateTxIdKeyPair()
+  // Refresh the TTL on every visit so an active session keeps its key
+  await ctx.store.put(sessionKey(ctx.session.id), pair, { ttl: SESSION_TTL })
+  return pair
+}
+
+export async function handleTxId(ctx, [action]) {
+  const { method } = ctx.request
+
+  if (action === 'session' && method === 'GET') {
+    return json({ publicKey: (await getOrCreateKeyPair(ctx)).publicKey })
+  }
+
+  if (action === 'session' && method === 'DELETE') {
+    const pair = await generateTxIdKeyPair()
+    await ctx.store.put(sessionKey(ctx.session.id), pair, { ttl: SESSION_TTL })
+    return json({ publicKey: pair.publicKey })
+  }
+
+  if (action === 'generate' && method === 'GET') {
+    return json({ externalTxId: await signTxId((await getOrCreateKeyPair(ctx)).privateJwk) })
+  }
+
+  if (action === 'generate' && method === 'POST') {
+    const { count } = await ctx.readJson()
+    const n = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_BATCH)
+    const { privateJwk } = await getOrCreateKeyPair(ctx)
+    const externalTxIds = []
+    for (let i = 0; i < n; i++) externalTxIds.push(await signTxId(privateJwk))
+    return json({ externalTxIds })
+  }
+
+  throw httpError(404, 'Not found')
+}
@@ -0,0 +1,123 @@
+// ─── Webhook Tester backend (/wht, /hook) ───────────────────────────────────
+//   GET    /wht/session          → { hooks: [{ id, createdAt, hasSecret }] }
+//   POST   /wht/generate         { secret? } → { hookId, url }
+//   DELETE /wht/url/:id          → remove the URL and its events
+//   DELETE /wht/events/:id       → clear captured events
+//   GET    /wht/ws/:id           → WebSocket live feed (see liveFeed.js)
+//   ANY    /hook/:id[/...]       → capture the request
+
+import { httpError, json, randomId, SESSION_TTL } from './http.js'
+import { streamRecordEvents } from './liveFeed.js'
+
+const MAX_HOOKS_PER_SESSION = 10
+const MAX_EVENTS = 30
+const MAX_CAPTURED_BODY = 256 * 1024
+const HOOK_TTL = 7 * 24 * 3600
+
+const sessionKey = (sessionId) => `wht:session:${sessionId}`
+const hookKey = (hookId) => `wht:hook:${hookId}`
+
+async function loadOwnedHook(ctx, hookId) {
+  const hook = hookId ? await ctx.store.get(hookKey(hookId)) : null
+  if (!hook || hook.sessionId !== ctx.session.id) throw httpError(404, 'Webhook URL not found')
+  return hook
+}
+
+async function getSession(ctx) {
+  const ids = (await ctx.store.get(sessionKey(ctx.session.id))) || []
+  const hooks = []
+  for (const id of ids) {
+    const hook = await ctx.store.get(hookKey(id))
+    if (hook) hooks.push({ id, createdAt: hook.createdAt, hasSecret: !!hook.secret })
+  }
+  if (hooks.length !== ids.length) {
+    await ctx.store.put(sessionKey(ctx.session.id), hooks.map(h => h.id), { ttl: SESSION_TTL })
+  }
+  return json({ hooks })
+}
+
+async function generateHook(ctx) {
+  const body = await ctx.readJson()
+  const secret = typeof body.secret === 'string' && body.secret.trim() ? body.secret.trim().slice(0, 256) : null
+  const ids = (await ctx.store.get(sessionKey(ctx.session.id))) || []
+  if (ids.length >= MAX_HOOKS_PER_SESSION) {
+    throw httpError(429, `Limit of ${MAX_HOOKS_PER_SESSION} webhook URLs reached — delete one first`)
+  }
+
+  const hookId = randomId(12)
+  const hook = {
+    id: hookId,
+    sessionId: ctx.session.id,
+    secret,
+    createdAt: new Date().toISOString(),
+    events: [],
+  }
+  await ctx.store.put(hookKey(hookId), hook, { ttl: HOOK_TTL })
+  await ctx.store.put(sessionKey(ctx.session.id), [hookId, ...ids], { ttl: SESSION_TTL })
+  return json({ hookId, url: `${ctx.baseUrl}/hook/${hookId}` })
+}
+
+async function deleteHook(ctx, hookId) {
+  await loadOwnedHook(ctx, hookId)
+  await ctx.store.delete(hookKey(hookId))
+  const ids = (await ctx.store.get(sessionKey(ctx.session.id))) || []
+  await ctx.store.put(sessionKey(ctx.session.id), ids.filter(id => id !== hookId), { ttl: SESSION_TTL })
+  return json({ ok: true })
+}
+
+async function clearEvents(ctx, hookId) {
+  const hook = await loadOwnedHook(ctx, hookId)
+  await ctx.store.put(hookKey(hookId), { ...hook, events: [] }, { ttl: HOOK_TTL })
+  return json({ ok: true })
+}
+
+async function openFeed(ctx, hookId) {
+  if (ctx.request.headers.get('Upgrade') !== 'websocket') throw httpError(426, 'Expected a WebSocket upgrade')
+  const hook = hookId ? await ctx.store.get(hookKey(hookId)) : null
+  if (!hook) throw httpError(404, 'Webhook URL not found')
+  return ctx.acceptWebSocket(socket => streamRecordEvents(socket, ctx.store, hookKey(hookId), hook))
+}
+
+export async function handleWebhookTester(ctx, [action, hookId]) {
+  const { method } = ctx.request
+  if (action === 'session' && method === 'GET') return getSession(ctx)
+  if (action === 'generate' && method === 'POST') return generateHook(ctx)
+  if (action === 'url' && method === 'DELETE') return deleteHook(ctx, hookId)
+  if (action === 'events' && method === 'DELETE') return clearEvents(ctx, hookId)
+  if (action === 'ws' && method === 'GET') return openFeed(ctx, hookId)
+  throw httpError(404, 'Not found')
+}
+
+/** Capture any request sent to a generated webhook URL. */
+export async function handleHookCapture(ctx, [hookId]) {
+  const key = hookKey(hookId)
+  const hook = hookId ? await ctx.store.get(key) : null
+  if (!hook) throw httpError(404, 'Webhook URL not found')
+
+  let body = await ctx.request.text()
+  const truncated = body.length > MAX_CAPTURED_BODY
+  if (truncated) body = body.slice(0, MAX_CAPTURED_BODY)
+
+  const headers = {}
+  for (const [name, value] of ctx.request.headers) {
+    if (name !== 'cookie') headers[name] = value
+  }
+
+  const event = {
+    id: randomId(9),
+    method: ctx.request.method,
+    headers,
+    query: ctx.url.search,
+    contentType: ctx.request.headers.get('Content-Type') || null,
+    body,
+    truncated,
+    timestamp: new Date().toISOString(),
+  }
+  // Fireblocks v1 webhooks echo the configured secret in x-webhook-secret
+  if (hook.secret) event.secretMatch = ctx.request.headers.get('x-webhook-secret') === hook.secret
+
+  // Re-read right before writing to keep the window for lost concurrent events small
+  const latest = (await ctx.store.get(key)) || hook
+  await ctx.store.put(key, { ...latest, events: [event, ...latest.events].slice(0, MAX_EVENTS) }, { ttl: HOOK_TTL })
+  return json({ ok: true, id: event.id })
+}
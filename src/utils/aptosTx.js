@@ -0,0 +1,126 @@
+// ─── Aptos signed transactions ───────────────────────────────────────────────
+// Broadcaster takes the BCS bytes of a SignedTransaction as hex — the body
+// POST /v1/transactions accepts with Content-Type
+// application/x.aptos.signed_transaction+bcs. A RawTransaction carries the
+// sender's sequence number (Aptos' nonce), the gas terms, an absolute
+// expiration the mempool enforces and the chain id byte.
+//
+// Decoded: { hash, sender, sequenceNumber, payloadType, function, to, amount,
+//            coin, maxGasAmount, gasUnitPrice, expiration (s), chainId, authenticator }
+// Amounts are bigint base units (octas for APT).
+
+import { sha3_256 } from '@noble/hashes/sha3'
+import { hexToBytes, bytesToHex } from 'viem'
+import { createBcsReader, readTypeTag, shortMoveAddress, pureU64, pureAddress } from './bcs'
+
+export const OCTAS_PER_APT = 100000000
+
+export const APT_COIN = '0x1::aptos_coin::AptosCoin'
+
+const AUTHENTICATORS = ['Ed25519', 'MultiEd25519', 'MultiAgent', 'FeePayer', 'SingleSender']
+
+// Coin transfers whose first two args are (recipient, amount); the coin is
+// APT unless the first type argument says otherwise
+const COIN_TRANSFERS = new Set(['0x1::aptos_account::transfer', '0x1::aptos_account::transfer_coins', '0x1::coin::transfer'])
+
+// ── Payloads ──
+
+function readEntryFunction(reader) {
+  const module = `${shortMoveAddress(reader.address())}::${reader.string()}`
+  const fn = `${module}::${reader.string()}`
+  const typeArgs = reader.vector(readTypeTag)
+  const args = reader.vector(r => r.vecBytes())
+
+  let to = null
+  let amount = null
+  let coin = null
+  if (COIN_TRANSFERS.has(fn)) {
+    to = pureAddress(args[0])
+    amount = pureU64(args[1])
+    coin = typeArgs[0] ?? APT_COIN
+  } else if (fn === '0x1::primary_fungible_store::transfer') {
+    // (metadata: Object<Metadata>, recipient, amount)
+    to = pureAddress(args[1])
+    amount = pureU64(args[2])
+    coin = `FA ${pureAddress(args[0]) ?? '?'}`
+  }
+  return { function: fn, to, amount, coin }
+}
+
+// TransactionArgument: u8 u64 u128 address u8vector bool u16 u32 u256 serialized
+const SCRIPT_ARG_READERS = [
+  r => r.u8(), r => r.u64(), r => r.u128(), r => r.address(), r => r.vecBytes(),
+  r => r.bool(), r => r.u16(), r => r.u32(), r => r.u256(), r => r.vecBytes(),
+]
+
+function readScript(reader) {
+  reader.vecBytes()
+  reader.vector(readTypeTag)
+  reader.vector(r => {
+    const read = SCRIPT_ARG_READERS[r.uleb128()]
+    if (!read) throw new Error('Unsupported script argument')
+    return read(r)
+  })
+  return { function: 'script', to: null, amount: null, coin: null }
+}
+
+const NO_CALL = { function: null, to: null, amount: null, coin: null }
+
+function readPayload(reader) {
+  const variant = reader.uleb128()
+  if (variant === 0) return { payloadType: 'Script', ...readScript(reader) }
+  if (variant === 2) return { payloadType: 'EntryFunction', ...readEntryFunction(reader) }
+  if (variant === 3) {
+    const multisig = reader.address()
+    const inner = reader.option(r => {
+      if (r.uleb128() !== 0) throw new Error('Unsupported multisig payload')
+      return readEntryFunction(r)
+    })
+    return { payloadType: `Multisig ${multisig}`, ...(inner ?? NO_CALL) }
+  }
+  if (variant === 4) {
+    // TransactionPayloadInner::V1 { executable, extra_config }
+    if (reader.uleb128() !== 0) throw new Error('Unsupported transaction payload version')
+    const executable = reader.uleb128()
+    const call = executable === 0 ? readScript(reader) : executable === 1 ? readEntryFunction(reader) : NO_CALL
+    if (reader.uleb128() !== 0) throw new Error('Unsupported transaction extra config')
+    const multisig = reader.option(r => r.address())
+    reader.option(r => r.u64())
+    return { payloadType: multisig ? `Multisig ${multisig}` : 'Payload', ...call }
+  }
+  throw new Error(variant === 1 ? 'Module bundle payloads are no longer accepted' : `Unknown Aptos payload type ${variant}`)
+}
+
+// ── Signed transaction ──
+
+/** SignedTransaction BCS bytes from hex (0x optional); throws on anything else. */
+export function aptosTxBytes(payload) {
+  const hex = payload.trim().replace(/^0x/i, '')
+  if (!/^([0-9a-f]{2})+$/i.test(hex)) throw new Error('Not an Aptos transaction (expected BCS hex)')
+  return hexToBytes(`0x${hex}`)
+}
+
+// sha3-256(sha3-256("APTOS::Transaction") ‖ 0x00 (Transaction::UserTransaction) ‖ bcs)
+const TRANSACTION_SALT = sha3_256(new TextEncoder().encode('APTOS::Transaction'))
+
+export function aptosTxHash(bytes) {
+  return bytesToHex(sha3_256(Uint8Array.from([...TRANSACTION_SALT, 0, ...bytes])))
+}
+
+/** Decode a signed Aptos transaction (BCS hex). */
+export function decodeAptosTx(payload) {
+  const bytes = aptosTxBytes(payload)
+  const reader = createBcsReader(bytes)
+  const sender = reader.address()
+  const sequenceNumber = reader.u64()
+  const call = readPayload(reader)
+  const maxGasAmount = reader.u64()
+  const gasUnitPrice = reader.u64()
+  const expiration = Number(reader.u64())
+  const chainId = reader.u8()
+  const authenticator = AUTHENTICATORS[reader.uleb128()] ?? 'Unknown'
+  return { hash: aptosTxHash(bytes), sender, sequenceNumber, ...call, maxGasAmount, gasUnitPrice, expiration, chainId, authenticator }
+}
+
+/** True once the mempool would reject the tx with TRANSACTION_EXPIRED. */
+export const isAptosTxExpired = (decoded, now = Date.now()) => decoded.expiration * 1000 <= now
@@ -0,0 +1,126 @@
+// ─── Raw transaction auto-detection ──────────────────────────────────────────
+// Guesses the chain family of a raw signed transaction from its encoding and
+// leading bytes. Used by the Broadcaster's Auto mode and the paste-anything
+// command bar.
+
+import { getChain, primaryRpc, primaryExplorer } from '../config/chains'
+import { tronPayloadFormat } from './tronTx'
+import { tonBocBytes } from './tonBoc'
+import { parseSuiPayload } from './suiTx'
+import { isPsbt, decodePsbt } from './psbt'
+
+// Network info returned by auto-detection for single-network families
+const autoNetworkInfo = (id) => {
+  const chain = getChain(id)
+  return {
+    id: chain.id,
+    type: chain.family,
+    rpc: primaryRpc(chain),
+    rpcs: chain.rpcs,
+    chainName: chain.name,
+    explorer: primaryExplorer(chain),
+  }
+}
+
+// Auto-detect network type from a raw transaction payload
+// Returns { id, type, rpc, rpcs, chainName, explorer } or null if unknown
+export const detectAutoNetworkType = (txPayload) => {
+  const trimmed = txPayload.trim().replace(/^["']|["']$/g, '')
+  if (!trimmed) return null
+
+  // Bitcoin PSBT, base64 (cHNidP8…) or hex (70736274ff…): its unsigned
+  // transaction is enough to pick the chain; it is finalized at broadcast
+  if (isPsbt(trimmed)) {
+    try {
+      return { type: 'bitcoin', needsUtxoLookup: true, rawHex: decodePsbt(trimmed).unsignedHex }
+    } catch {
+      return null
+    }
+  }
+
+  // Signed JSON (one line): TRON { txID, raw_data, raw_data_hex, signature }
+  // or Sui { bytes, signature }
+  if (trimmed.startsWith('{')) {
+    if (tronPayloadFormat(trimmed) === 'json') return autoNetworkInfo('tron')
+    return parseSuiPayload(trimmed)?.signatures.length ? autoNetworkInfo('sui') : null
+  }
+
+  // Sui: base64 transaction bytes followed by base64 signatures
+  if (/[\s,]/.test(trimmed)) {
+    return parseSuiPayload(trimmed)?.signatures.length ? autoNetworkInfo('sui') : null
+  }
+
+  const isHexInput = /^(?:0x)?[0-9a-fA-F]+$/.test(trimmed)
+
+  if (isHexInput) {
+    const hex = (trimmed.startsWith('0x') ? trimmed.slice(2) : trimmed).toLowerCase()
+    if (hex.length % 2 !== 0) return null
+
+    const b0 = parseInt(hex.slice(0, 2), 16)
+
+    // Zcash v4 / v5: the version has the fOverwintered bit set (04000080 /
+    // 05000080), so the chain is known without a lookup
+    if (hex.startsWith('04000080') || hex.startsWith('05000080')) {
+      return autoNetworkInfo('zcash')
+    }
+
+    // Bitcoin-style (BTC / LTC / BCH / DOGE / DASH): version field is 4 bytes LE
+    // Version 1 → 01000000, 2 → 02000000, 3 → 03000000; Dash special
+    // transactions put their type in the upper half (0300xxxx).
+    // Must check before EVM since 0x01–0x03 overlap with EIP-2930/1559/4844 type bytes.
+    // Bitcoin versions have a zero byte after; EVM typed txs have an RLP list (0xc0+).
+    if (/^0[123]000000/.test(hex) || /^0300[0-9a-f]{2}00/.test(hex)) {
+      return {
+        type: 'bitcoin',
+        needsUtxoLookup: true,
+        rawHex: hex,
+      }
+    }
+
+    // XRP: binary-serialized ledger objects always start with the
+    // TransactionType field code (0x12) followed by value high byte (0x00)
+    if (hex.startsWith('1200')) {
+      return autoNetworkInfo('xrp')
+    }
+
+    // TRON protobuf: Transaction.raw_data (field 1) whose first field is the
+    // 2-byte ref_block_bytes — 0x0a is neither an EVM type byte nor RLP
+    if (hex.startsWith('0a') && tronPayloadFormat(hex) === 'hex') {
+      return autoNetworkInfo('tron')
+    }
+
+    // TON: bag-of-cells magic b5ee9c72 (an external message BOC)
+    if (hex.startsWith('b5ee9c72') && tonBocBytes(hex)) {
+      return autoNetworkInfo('ton')
+    }
+
+    // EVM: typed transactions (0x01–0x04) or legacy RLP list (0xc0–0xff)
+    if ((b0 >= 0x01 && b0 <= 0x04) || b0 >= 0xc0) {
+      return { type: 'evm' }
+    }
+
+    return null
+  }
+
+  // TON BOC in base64: the b5ee9c72 magic encodes as "te6cc"
+  if (trimmed.startsWith('te6cc') && tonBocBytes(trimmed)) {
+    return autoNetworkInfo('ton')
+  }
+
+  // Solana base58: only base58 alphabet, minimum ~87 chars for a real tx
+  if (/^[1-9A-HJ-NP-Za-km-z]{87,}$/.test(trimmed)) {
+    return autoNetworkInfo('solana')
+  }
+
+  // Solana base64: standard base64 chars, long enough to hold ≥64 decoded bytes
+  if (/^[A-Za-z0-9+/]+=*$/.test(trimmed) && trimmed.length >= 88) {
+    try {
+      const decoded = atob(trimmed)
+      if (decoded.length >= 64) {
+        return autoNetworkInfo('solana')
+      }
+    } catch { /* not valid base64 */ }
+  }
+
+  return null
+}
@@ -0,0 +1,65 @@
+// ─── Base58 / Base58Check ────────────────────────────────────────────────────
+// Shared by the Solana, Bitcoin-style, XRP and TRON decoders. XRP uses the same
+// scheme with its own alphabet.
+
+import { sha256 } from 'viem'
+
+export const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+export const XRP_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz'
+
+export function encodeBase58(bytes, alphabet = BASE58_ALPHABET) {
+  const digits = []
+  for (const byte of bytes) {
+    let carry = byte
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8
+      digits[i] = carry % 58
+      carry = (carry / 58) | 0
+    }
+    while (carry > 0) {
+      digits.push(carry % 58)
+      carry = (carry / 58) | 0
+    }
+  }
+  let result = ''
+  for (const byte of bytes) {
+    if (byte === 0) result += alphabet[0]
+    else break
+  }
+  for (let i = digits.length - 1; i >= 0; i--) result += alphabet[digits[i]]
+  return result
+}
+
+/** Decode base58 text; throws on characters outside the alphabet. */
+export function decodeBase58(text, alphabet = BASE58_ALPHABET) {
+  const bytes = []
+  for (const char of text) {
+    let carry = alphabet.indexOf(char)
+    if (carry < 0) throw new Error(`Invalid base58 character "${char}"`)
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58
+      bytes[i] = carry & 0xff
+      carry >>= 8
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+  for (const char of text) {
+    if (char === alphabet[0]) bytes.push(0)
+    else break
+  }
+  return new Uint8Array(bytes.reverse())
+}
+
+const doubleSha256 = (bytes) => sha256(sha256(bytes, 'bytes'), 'bytes')
+
+/** Base58Check: payload + first 4 bytes of double SHA-256. */
+export function encodeBase58Check(payload, alphabet = BASE58_ALPHABET) {
+  const checksum = doubleSha256(payload).slice(0, 4)
+  const out = new Uint8Array(payload.length + 4)
+  out.set(payload)
+  out.set(checksum, payload.length)
+  return encodeBase58(out, alphabet)
+}
@@ -0,0 +1,53 @@
+// ─── Duplicates and conflicts across a Broadcaster batch ─────────────────────
+// Two lines of a pasted batch can't both land when they are the same
+// transaction (the second is "already known") or when they use up the same
+// thing: an EVM sender's nonce, a Bitcoin outpoint, an XRP / Stellar / Cosmos
+// account sequence. Decode-preview rows name those in `consumes`; this groups
+// the rows by hash and by consumed resource.
+//
+// Report: { duplicates: [{ hash, indices }],
+//           conflicts: [{ resource, indices, hashes }],
+//           repeats: Map(index → index of the first copy) }
+// Indices are 0-based line positions; a conflict has at least two different
+// hashes, and copies of one tx inside it count once.
+
+const groupBy = (entries) => {
+  const groups = new Map()
+  for (const [key, value] of entries) {
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(value)
+  }
+  return groups
+}
+
+/** Group decode-preview rows (aligned with the input lines) into duplicates and conflicts. */
+export function findBatchConflicts(rows) {
+  const decoded = rows.map((row, index) => ({ row, index })).filter(({ row }) => !row.error && row.hash)
+
+  const byHash = groupBy(decoded.map(({ row, index }) => [`${row.family}:${row.hash}`, index]))
+  const duplicates = [...byHash.values()]
+    .filter(indices => indices.length > 1)
+    .map(indices => ({ hash: rows[indices[0]].hash, indices }))
+  const repeats = new Map(duplicates.flatMap(d => d.indices.slice(1).map(i => [i, d.indices[0]])))
+
+  const byResource = groupBy(decoded.flatMap(({ row, index }) => (row.consumes ?? []).map(c => [c.key, { index, label: c.label }])))
+  const conflicts = [...byResource.values()]
+    .map(users => ({
+      resource: users[0].label,
+      indices: [...new Set(users.map(u => u.index))],
+      hashes: [...new Set(users.map(u => rows[u.index].hash))],
+    }))
+    .filter(c => c.hashes.length > 1)
+
+  return { duplicates, conflicts, repeats }
+}
+
+const lineList = (indices) => indices.map(i => i + 1).join(', ')
+
+/** Human-readable lines for a report (line numbers are 1-based). */
+export function describeBatchConflicts(report) {
+  return [
+    ...report.duplicates.map(d => `Lines ${lineList(d.indices)} are the same transaction (${d.hash.slice(0, 12)}…)`),
+    ...report.conflicts.map(c => `${c.resource}: used by ${c.hashes.length} different txs on lines ${lineList(c.indices)}`),
+  ]
+}
@@ -0,0 +1,84 @@
+// ─── BCS (Binary Canonical Serialization) ────────────────────────────────────
+// The wire format Aptos and Sui both sign: little-endian fixed-width integers,
+// ULEB128 lengths and enum tags, 32-byte addresses. Shared by the Aptos and
+// Sui decoders, including the Move TypeTag both chains use for generics.
+
+import { bytesToHex } from 'viem'
+
+/** Sequential reader over BCS bytes; every read throws past the end. */
+export function createBcsReader(bytes) {
+  let pos = 0
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new Error('Truncated BCS data')
+    const out = bytes.slice(pos, pos + n)
+    pos += n
+    return out
+  }
+  const uint = (n) => {
+    let value = 0n
+    const raw = take(n)
+    for (let i = n - 1; i >= 0; i--) value = (value << 8n) | BigInt(raw[i])
+    return value
+  }
+
+  const reader = {
+    get pos() { return pos },
+    remaining: () => bytes.length - pos,
+    bytes: take,
+    u8: () => take(1)[0],
+    u16: () => Number(uint(2)),
+    u32: () => Number(uint(4)),
+    u64: () => uint(8),
+    u128: () => uint(16),
+    u256: () => uint(32),
+    bool: () => take(1)[0] !== 0,
+    uleb128() {
+      let value = 0
+      for (let shift = 0; shift < 35; shift += 7) {
+        const byte = take(1)[0]
+        value += (byte & 0x7f) * 2 ** shift
+        if ((byte & 0x80) === 0) return value
+      }
+      throw new Error('ULEB128 value too large')
+    },
+    vecBytes: () => take(reader.uleb128()),
+    string: () => new TextDecoder().decode(reader.vecBytes()),
+    address: () => bytesToHex(take(32)),
+    vector(readItem) {
+      const length = reader.uleb128()
+      return Array.from({ length }, () => readItem(reader))
+    },
+    option: (readItem) => (reader.u8() ? readItem(reader) : null),
+  }
+  return reader
+}
+
+/** 0x1-style short form for special addresses (0x0…0f), full hex otherwise. */
+export function shortMoveAddress(address) {
+  return /^0x0{63}[0-9a-f]$/i.test(address) ? `0x${address.slice(-1)}` : address
+}
+
+const PRIMITIVE_TYPES = { 0: 'bool', 1: 'u8', 2: 'u64', 3: 'u128', 4: 'address', 5: 'signer', 8: 'u16', 9: 'u32', 10: 'u256' }
+
+/** Move TypeTag as source text, e.g. `0x1::aptos_coin::AptosCoin` or `vector<u8>`. */
+export function readTypeTag(reader) {
+  const tag = reader.uleb128()
+  if (PRIMITIVE_TYPES[tag]) return PRIMITIVE_TYPES[tag]
+  if (tag === 6) return `vector<${readTypeTag(reader)}>`
+  if (tag === 7) {
+    const address = shortMoveAddress(reader.address())
+    const module = reader.string()
+    const name = reader.string()
+    const params = reader.vector(readTypeTag)
+    return `${address}::${module}::${name}${params.length ? `<${params.join(', ')}>` : ''}`
+  }
+  throw new Error(`Unsupported Move type tag ${tag}`)
+}
+
+/** u64 from an 8-byte little-endian pure argument; null for any other shape. */
+export function pureU64(bytes) {
+  return bytes?.length === 8 ? createBcsReader(bytes).u64() : null
+}
+
+/** Address from a 32-byte pure argument; null for any other shape. */
+export const pureAddress = (bytes) => (bytes?.length === 32 ? bytesToHex(bytes) : null)
@@ -0,0 +1,202 @@
+// ─── Broadcast error taxonomy ────────────────────────────────────────────────
+// Every family words the same rejection differently — "nonce too low",
+// tefPAST_SEQ, tx_bad_seq, "account sequence mismatch" and
+// bad-txns-inputs-missingorspent all mean the slot this tx was signed for is
+// gone. classifyBroadcastError maps raw node errors onto one set of categories,
+// each with a verdict: retryable (the same bytes may succeed later) or final
+// (resending won't help; the tx needs re-signing or is already through, or the
+// RPC needs other credentials).
+//
+// A 401/403 is the RPC refusing the caller, whatever the body says. Otherwise
+// categories are checked in order, so the final ones win over the generic
+// transient patterns ("internal error: nonce too low" is NonceConsumed, even
+// when geth-style nodes send it with a 500). Only a body that matches nothing
+// falls back on the status: 429 is rate limiting, 5xx the node being down.
+
+export const ERROR_CATEGORIES = [
+  {
+    key: 'AlreadyKnown',
+    label: 'Already known',
+    retryable: false,
+    patterns: [
+      /already known/i, /already imported/i, /already in mempool/i, /already exists in cache/i,
+      /txn-already-(in-mempool|known)/i, /transaction already exists/i, /AlreadyProcessed/i,
+      /already been processed/i, /Transaction already processed/i, /tefALREADY/i, /tx_duplicate/i,
+      /DUP_TRANSACTION_ERROR/,
+      // Broadcaster batch check: a repeated line left out in favour of its first copy
+      /^duplicate of line \d+/,
+    ],
+  },
+  {
+    key: 'NonceConsumed',
+    label: 'Nonce / sequence used',
+    retryable: false,
+    patterns: [
+      /nonce too low/i, /invalid nonce/i, /tefPAST_SEQ/i, /temBAD_SEQUENCE/i, /tx_bad_seq/i,
+      /account sequence mismatch/i, /incorrect account sequence/i, /inputs-missingorspent/i,
+      /missing-inputs/i, /txn-mempool-conflict/i, /bad-txns-spends-conflicting-tx/i, /SEQUENCE_NUMBER_TOO_OLD/,
+      // TON wallet contracts throw 33 on a seqno mismatch
+      /exitcode=33\b/,
+      // Substrate: InvalidTransaction::Stale
+      /Transaction is outdated/i, /Invalid: Stale/,
+      // Sui: an input object (usually the gas coin) has moved to a newer version
+      /not available for consumption/i, /ObjectVersionUnavailableForConsumption/, /equivocated/i,
+    ],
+  },
+  {
+    key: 'NonceGap',
+    label: 'Nonce too high',
+    retryable: false,
+    patterns: [/nonce too high/i, /terPRE_SEQ/i, /nonce gap/i, /SEQUENCE_NUMBER_TOO_NEW/, /will be valid in the future/i, /Invalid: Future/],
+  },
+  {
+    key: 'Underpriced',
+    label: 'Underpriced',
+    retryable: false,
+    patterns: [
+      /underpriced/i, /max fee per gas less than block base fee/i, /fee too low/i,
+      /insufficient fees?\b/i, /tx_insufficient_fee/i, /min relay fee not met/i, /mempool min fee not met/i,
+      /insufficient priority/i, /tecINSUF_FEE/i, /temBAD_FEE/i,
+      /max priority fee per gas higher than max fee per gas/i, /GAS_UNIT_PRICE_BELOW_MIN_BOUND/, /GasPriceUnderRGP/i,
+      /Priority is too low/i,
+    ],
+  },
+  {
+    key: 'GasLimit',
+    label: 'Gas limit',
+    retryable: false,
+    patterns: [
+      /intrinsic gas too low/i, /gas too low/i, /exceeds block gas limit/i, /insufficient gas/i, /out of gas/i,
+      /MAX_GAS_UNITS_BELOW_MIN_TRANSACTION_GAS_UNITS/, /OUT_OF_GAS/, /GasBudgetTooLow/i,
+    ],
+  },
+  {
+    key: 'InsufficientFunds',
+    label: 'Insufficient funds',
+    retryable: false,
+    patterns: [
+      /insufficient funds/i, /insufficient balance/i, /insufficient lamports/i, /doesn't have enough funds/i,
+      /tecUNFUNDED/i, /tecNO_DST_INSUF_XRP/i, /tx_insufficient_balance/i, /BANDWITH_ERROR/,
+      /INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE/, /GasBalanceTooLow/i, /InsufficientCoinBalance/i,
+      /Inability to pay some fees/i, /Invalid: Payment/, /Attempt to debit an account but found no record of a prior credit/i,
+    ],
+  },
+  {
+    key: 'Expired',
+    label: 'Expired',
+    retryable: false,
+    patterns: [
+      /Blockhash not found/i, /block height exceeded/i, /tefMAX_LEDGER/i, /tx_too_late/i, /timeout height/i, /tx timeout/i, /expired/i,
+      /TRANSACTION_EXPIRATION_ERROR/, /TAPOS_ERROR/, /exitcode=36\b/, /ancient birth block/i, /AncientBirthBlock/,
+      /tx-expiring-soon/,
+    ],
+  },
+  {
+    key: 'NotYetValid',
+    label: 'Not yet valid',
+    retryable: true,
+    patterns: [/non-final/i, /non-BIP68-final/i, /tx_too_early/i],
+  },
+  {
+    key: 'InvalidSignature',
+    label: 'Invalid signature',
+    retryable: false,
+    patterns: [
+      /invalid sender/i, /invalid signature/i, /signature verification fail/i, /temBAD_SIGNATURE/i,
+      /tx_bad_auth/i, /script-verify-flag-failed/i, /invalid pubkey/i, /signer does not match/i,
+      /SIGERROR/, /exitcode=3[45]\b/, /INVALID_SIGNATURE/, /INVALID_AUTH_KEY/,
+      /Transaction has a bad signature/i, /Invalid: BadProof/,
+    ],
+  },
+  {
+    key: 'WrongChain',
+    label: 'Wrong chain',
+    retryable: false,
+    patterns: [
+      /invalid chain id/i, /wrong chain/i, /chain ?id mismatch/i, /only replay-protected/i, /BAD_CHAIN_ID/, /old-consensus-branch-id/,
+      // Broadcaster: a private relay only takes txs for its own chain
+      /^Not relayed: the private relay is for chain/,
+    ],
+  },
+  {
+    key: 'Reverted',
+    label: 'Execution failed',
+    retryable: false,
+    patterns: [
+      /execution reverted/i, /custom program error/i, /Program failed/i, /InstructionError/i, /Instruction .* failed/i,
+      /tecPATH_DRY/i, /tecNO_DST/i, /tx_failed/i, /AccountNotFound/i, /account not found/i,
+      /invalid account data/i, /invalid program id/i, /contract creation code storage out of gas/i,
+      /CONTRACT_VALIDATE_ERROR/, /CONTRACT_EXE_ERROR/, /External message was not accepted/i,
+      /MoveAbort/, /ABORTED/,
+    ],
+  },
+  {
+    key: 'Malformed',
+    label: 'Malformed',
+    retryable: false,
+    patterns: [
+      /invalid transaction/i, /tx type not supported/i, /rlp/i, /tx parse error/i, /decode failed/i, /could not decode/i,
+      /failed to deserialize/i, /temMALFORMED/i, /temINVALID/i, /tx_malformed/i, /tx_missing_operation/i,
+      /bad-txns-/i, /invalid request/i, /unknown request/i, /memo too large/i, /max initcode size exceeded/i,
+      /Bare EIP-4844 transaction/, /blobless blob transaction/i, /empty authorization list/i,
+      // PSBTs that can't be finalized or extracted
+      /PSBT/, /is not finalized/, /no signature from its key/, /no key-path signature/,
+    ],
+  },
+  {
+    key: 'Aborted',
+    label: 'Stopped',
+    retryable: false,
+    patterns: [/^Aborted$/],
+  },
+  {
+    key: 'RpcAuth',
+    label: 'RPC auth',
+    retryable: false,
+    patterns: [/unauthorized/i, /forbidden/i, /invalid api key/i, /api key (is )?(missing|required)/i],
+  },
+  {
+    key: 'RateLimited',
+    label: 'Rate limited',
+    retryable: true,
+    patterns: [/rate ?limit/i, /too many requests/i, /capacity/i],
+  },
+  {
+    key: 'Unavailable',
+    label: 'Node unavailable',
+    retryable: true,
+    patterns: [
+      /timeout/i, /timed out/i, /ETIMEDOUT/i, /ECONNRESET/i, /ECONNREFUSED/i, /ENOTFOUND/i, /network/i,
+      /failed to fetch/i, /socket hang up/i, /\b50[234]\b/, /server error/i, /internal error/i,
+      /temporarily unavailable/i, /try again/i, /overloaded/i, /no result in response/i,
+      /SERVER_BUSY/, /NOT_ENOUGH_EFFECTIVE_CONNECTION/, /NO_CONNECTION/,
+      // Private relay: the head lookup that sets the block window failed
+      /could not read the chain head/i,
+      // XRPL load-based fee escalation: the same blob clears once load drops
+      /telINSUF_FEE_P/i,
+    ],
+  },
+]
+
+const UNKNOWN = { key: 'Unknown', label: 'Other', retryable: false }
+
+const CATEGORY_BY_KEY = new Map([...ERROR_CATEGORIES, UNKNOWN].map(c => [c.key, c]))
+
+/** Category entry ({ key, label, retryable }) for a key; unknown keys map to Other. */
+export const errorCategory = (key) => CATEGORY_BY_KEY.get(key) || UNKNOWN
+
+/**
+ * Classify a failed broadcast. `error` is the node's message (string or error
+ * object), `httpStatus` the response status when there was one. Returns
+ * { category, label, retryable }.
+ */
+export function classifyBroadcastError(error, httpStatus = null) {
+  const text = !error ? '' : typeof error === 'string' ? error : JSON.stringify(error)
+  const match = ((httpStatus === 401 || httpStatus === 403) && CATEGORY_BY_KEY.get('RpcAuth'))
+    || ERROR_CATEGORIES.find(c => c.patterns.some(p => p.test(text)))
+    // Nothing recognisable in the body: fall back on the HTTP status
+    || (httpStatus === 429 && CATEGORY_BY_KEY.get('RateLimited'))
+    || (httpStatus >= 500 && httpStatus < 600 && CATEGORY_BY_KEY.get('Unavailable'))
+    || UNKNOWN
+  return { category: match.key, label: match.label, retryable: match.retryable }
+}
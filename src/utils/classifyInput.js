@@ -0,0 +1,245 @@
+// ─── Paste-anything classifier ───────────────────────────────────────────────
+// Works out what a pasted blob is (raw tx, hash, explorer link or address, per
+// chain family) and which tools can take it. Drives the command bar in
+// AppLayout; each target page applies `prefill` via usePrefill().
+//
+// Detection reuses the tools' own parsers — detectAutoNetworkType (Broadcaster),
+// extractTxHexFromUrl (TON pages) and detectChain (Cosmos TX Check) — so the bar
+// never disagrees with the page it opens.
+
+import { detectAutoNetworkType } from './autoDetect'
+import { extractTxHexFromUrl, isTonExplorerUrl } from './tonTx'
+import { base64ToBytes, extractTimeoutHeight, detectChain, PREFIX_TO_CHAIN } from './cosmosTx'
+
+const HEX64_RE = /^[0-9a-fA-F]{64}$/
+const EVM_HASH_RE = /^0x[0-9a-fA-F]{64}$/
+const EVM_ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/
+const BASE58 = '[1-9A-HJ-NP-Za-km-z]'
+const BTC_ADDRESS_RE = new RegExp(`^(?:[13]${BASE58}{25,34}|bc1[02-9ac-hj-np-z]{11,87})$`)
+const LTC_ADDRESS_RE = new RegExp(`^(?:[LM]${BASE58}{25,34}|ltc1[02-9ac-hj-np-z]{11,87})$`)
+const SOLANA_ADDRESS_RE = new RegExp(`^${BASE58}{32,44}$`)
+const SOLANA_SIGNATURE_RE = new RegExp(`^${BASE58}{86,88}$`)
+const XRP_ADDRESS_RE = /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/
+const STELLAR_ADDRESS_RE = /^G[A-Z2-7]{55}$/
+const TON_ADDRESS_RE = /^(?:[EUk0]Q[A-Za-z0-9_-]{46}|-?\d+:[0-9a-fA-F]{64})$/
+const BECH32_ADDRESS_RE = /^([a-z]{2,16})1[02-9ac-hj-np-z]{38,58}$/
+const STELLAR_ENVELOPE_TYPES = new Set([0, 2, 5]) // v0, v1, fee-bump
+
+// Explorer hosts for UTXO chains — Safe-to-Fail extracts the txid itself
+const UTXO_EXPLORERS = [
+  { host: 'mempool.space', chain: 'btc' },
+  { host: 'blockstream.info', chain: 'btc' },
+  { host: 'blockchain.com', chain: 'btc' },
+  { host: 'litecoinspace.org', chain: 'ltc' },
+  { host: 'live.blockcypher.com', chain: (path) => path.startsWith('/ltc/') ? 'ltc' : 'btc' },
+]
+
+const utxoExplorerChain = (url) => {
+  const host = url.hostname.replace(/^www\./, '')
+  const match = UTXO_EXPLORERS.find(e => host === e.host)
+  if (!match || !/\/txs?\/[0-9a-fA-F]{64}\/?$/.test(url.pathname)) return null
+  return typeof match.chain === 'function' ? match.chain(url.pathname) : match.chain
+}
+
+const parseUrl = (token) => {
+  if (!/^https?:\/\//i.test(token)) return null
+  try { return new URL(token) } catch { return null }
+}
+
+const decodeBase64 = (token) => {
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(token) || token.length < 40) return null
+  try { return base64ToBytes(token) } catch { return null }
+}
+
+// ─── Per-token detection ─────────────────────────────────────────────────────
+// Returns { kind, ...hints } or null. Kinds with the same key and hints batch together.
+
+function detectToken(token) {
+  const url = parseUrl(token)
+  if (url) {
+    if (isTonExplorerUrl(token)) {
+      try { return { kind: 'ton-hash', value: extractTxHexFromUrl(token) } } catch { return null }
+    }
+    const utxoChain = utxoExplorerChain(url)
+    if (utxoChain) return { kind: 'utxo-txid', chain: utxoChain }
+    const evmHash = url.pathname.match(/\/tx\/(0x[0-9a-fA-F]{64})\/?$/)
+    if (evmHash) return { kind: 'evm-hash', value: evmHash[1] }
+    return null
+  }
+
+  if (EVM_HASH_RE.test(token)) return { kind: 'evm-hash' }
+  if (EVM_ADDRESS_RE.test(token)) return { kind: 'evm-address' }
+  if (HEX64_RE.test(token)) return { kind: 'hash64' }
+  if (TON_ADDRESS_RE.test(token)) return { kind: 'ton-address' }
+  if (STELLAR_ADDRESS_RE.test(token)) return { kind: 'stellar-address' }
+  if (XRP_ADDRESS_RE.test(token)) return { kind: 'xrp-address' }
+  if (BTC_ADDRESS_RE.test(token)) return { kind: 'btc-address', chain: 'btc' }
+  if (LTC_ADDRESS_RE.test(token)) return { kind: 'btc-address', chain: 'ltc' }
+
+  const bech32 = token.match(BECH32_ADDRESS_RE)
+  if (bech32 && PREFIX_TO_CHAIN[bech32[1]]) return { kind: 'cosmos-address', chain: PREFIX_TO_CHAIN[bech32[1]] }
+
+  // Raw transactions: hex payloads first (EVM, UTXO, XRP). Real ones are well over 50 bytes.
+  const auto = /^(?:0x)?[0-9a-fA-F]{100,}$/.test(token) ? detectAutoNetworkType(token) : null
+  if (auto?.type === 'evm') return { kind: 'evm-raw' }
+  if (auto?.type === 'bitcoin') return { kind: 'utxo-raw' }
+  if (auto?.type === 'xrp') return { kind: 'xrp-raw' }
+  // Signed PSBTs in base64 go to the Broadcaster too, which finalizes them
+  if (token.startsWith('cHNidP8') && detectAutoNetworkType(token)?.type === 'bitcoin') return { kind: 'utxo-raw' }
+
+  // Base64 payloads: Cosmos and Stellar have recognisable leading bytes; check
+  // them before the looser Solana base64 heuristic. Base58 text is valid base64
+  // too, so a Cosmos match also needs a known chain or base64-only characters.
+  const bytes = decodeBase64(token)
+  if (bytes) {
+    if (bytes[0] === 0x0a) {
+      const detected = detectChain(bytes)
+      try {
+        extractTimeoutHeight(bytes)
+        if (detected || /[+/=]/.test(token)) return { kind: 'cosmos-raw', chain: detected?.chain || null }
+      } catch { /* not a Cosmos Tx */ }
+    }
+    const isEnvelope = bytes[0] === 0 && bytes[1] === 0 && bytes[2] === 0 && STELLAR_ENVELOPE_TYPES.has(bytes[3])
+    if (isEnvelope && token.length % 4 === 0) return { kind: 'stellar-raw' }
+  }
+
+  if (SOLANA_SIGNATURE_RE.test(token)) return { kind: 'solana-signature' }
+  if (detectAutoNetworkType(token)?.type === 'solana') return { kind: 'solana-raw' }
+  if (SOLANA_ADDRESS_RE.test(token)) return { kind: 'solana-address' }
+  return null
+}
+
+// ─── Kind → tools ────────────────────────────────────────────────────────────
+// `actions(tokens, hint)` lists the tools that accept this kind, best first.
+// Kinds no tool looks up yet are still named, with no actions.
+
+const KINDS = {
+  'evm-hash': {
+    label: 'EVM transaction hash',
+    actions: (tokens) => [
+      { path: '/onchain-check', label: 'Am I Onchain?', prefill: { input: tokens.join('\n') } },
+    ],
+  },
+  'evm-address': {
+    label: 'EVM address',
+    actions: (tokens) => [
+      { path: '/tx-fetcher', label: 'TX Fetcher', prefill: { address: tokens[0] } },
+    ],
+  },
+  'evm-raw': {
+    label: 'EVM raw transaction',
+    actions: (tokens) => [
+      { path: '/broadcaster', label: 'Broadcaster (Auto)', prefill: { input: tokens.join('\n'), network: 'auto-evm' } },
+      { path: '/simulator', label: 'Simulator', prefill: { input: tokens[0] } },
+    ],
+  },
+  'utxo-raw': {
+    label: 'BTC / LTC / BCH raw transaction or PSBT',
+    actions: (tokens) => [
+      { path: '/broadcaster', label: 'Broadcaster (Auto)', prefill: { input: tokens.join('\n'), network: 'auto-evm' } },
+    ],
+  },
+  'xrp-raw': {
+    label: 'XRP signed blob',
+    actions: (tokens) => [
+      { path: '/broadcaster', label: 'Broadcaster (XRP)', prefill: { input: tokens.join('\n'), network: 'xrp' } },
+    ],
+  },
+  'stellar-raw': {
+    label: 'Stellar transaction XDR',
+    actions: (tokens) => [
+      { path: '/broadcaster', label: 'Broadcaster (Stellar)', prefill: { input: tokens.join('\n'), network: 'stellar' } },
+    ],
+  },
+  'solana-raw': {
+    label: 'Solana raw transaction',
+    actions: (tokens) => [
+      { path: '/broadcaster', label: 'Broadcaster (Solana)', prefill: { input: tokens.join('\n'), network: 'solana' } },
+    ],
+  },
+  'cosmos-raw': {
+    label: 'Cosmos SDK raw transaction',
+    // Without a detected chain Broadcaster would stay in Auto mode, which reads
+    // base64 as Solana, so it is only offered once the chain is known
+    actions: (tokens, { chain }) => [
+      { path: '/cosmos-check', label: 'Cosmos TX Check', prefill: { input: tokens.join('\n'), chain } },
+      ...(chain ? [{ path: '/broadcaster', label: 'Broadcaster', prefill: { input: tokens.join('\n'), network: chain } }] : []),
+    ],
+  },
+  'ton-hash': {
+    label: 'TON transaction link',
+    actions: (tokens) => tonActions(tokens),
+  },
+  'utxo-txid': {
+    label: 'BTC / LTC explorer link',
+    actions: (tokens, { chain }) => [
+      { path: '/btc-safe-to-fail', label: `${chain.toUpperCase()} Safe-to-Fail`, prefill: { input: tokens.join('\n'), chain } },
+    ],
+  },
+  // Bare 64-hex is a BTC/LTC txid, a TON hash or an EVM hash missing its 0x — offer them all
+  'hash64': {
+    label: '64-hex hash (BTC / LTC txid, TON hash or EVM hash)',
+    actions: (tokens) => [
+      { path: '/btc-safe-to-fail', label: 'BTC Safe-to-Fail', prefill: { input: tokens.join('\n'), chain: 'btc' } },
+      ...tonActions(tokens),
+      { path: '/btc-safe-to-fail', label: 'LTC Safe-to-Fail', prefill: { input: tokens.join('\n'), chain: 'ltc' } },
+      { path: '/onchain-check', label: 'Am I Onchain? (as 0x…)', prefill: { input: tokens.map(t => `0x${t}`).join('\n') } },
+    ],
+  },
+  'btc-address': {
+    label: 'UTXO address',
+    actions: (tokens, { chain }) => [
+      { path: '/btc-fetcher', label: 'BTC Fetcher', prefill: { input: tokens.join('\n'), network: chain } },
+    ],
+  },
+  'ton-address': {
+    label: 'TON address',
+    actions: (tokens) => [
+      { path: '/ton-seqno-check', label: 'TON Seqno Check', prefill: { address: tokens[0] } },
+    ],
+  },
+  'solana-signature': { label: 'Solana transaction signature', actions: () => [] },
+  'solana-address': { label: 'Solana address', actions: () => [] },
+  'xrp-address': { label: 'XRP address', actions: () => [] },
+  'stellar-address': { label: 'Stellar address', actions: () => [] },
+  'cosmos-address': { label: 'Cosmos SDK address', actions: () => [] },
+}
+
+// One hash opens TON Details; several go to the batch checker
+function tonActions(tokens) {
+  const details = { path: '/ton-details', label: 'TON Details', prefill: { input: tokens[0] } }
+  const batch = { path: '/ton-batch-lookup', label: 'TON Safe-to-Fail', prefill: { input: tokens.join('\n') } }
+  return tokens.length > 1 ? [batch, details] : [details, batch]
+}
+
+/**
+ * Classify pasted text. Multi-line input is grouped by the first token's kind;
+ * tokens of other kinds are counted in `skipped`. Returns null when nothing
+ * recognisable was found, otherwise { kind, label, tokens, skipped, actions }.
+ */
+export function classifyInput(text) {
+  const tokens = text.split(/[\s,]+/).map(t => t.trim().replace(/^["']|["']$/g, '')).filter(Boolean)
+  let first = null
+  for (const token of tokens) {
+    first = detectToken(token)
+    if (first) break
+  }
+  if (!first) return null
+
+  const sameGroup = (d) => d && d.kind === first.kind && d.chain === first.chain
+  const matched = []
+  for (const token of tokens) {
+    const detected = detectToken(token)
+    if (sameGroup(detected)) matched.push(detected.value || token)
+  }
+
+  const kind = KINDS[first.kind]
+  const chainLabel = first.chain ? ` · ${first.chain}` : ''
+  return {
+    kind: first.kind,
+    label: `${kind.label}${chainLabel}`,
+    tokens: matched,
+    skipped: tokens.length - matched.length,
+    actions: kind.actions(matched, first),
+  }
+}
@@ -0,0 +1,223 @@
+// ─── Cosmos SDK raw transactions ─────────────────────────────────────────────
+// Decoding helpers for base64 cosmos.tx.v1beta1.Tx blobs, shared by Cosmos TX
+// Check and the paste-anything command bar.
+
+import { getChainsByFamily } from '../config/chains'
+
+// Maps a bech32 HRP (human-readable prefix) to the nicest chain id to suggest.
+// Keys are the prefix as found in the TX; values are chain ids in the registry.
+// Only mainnets are suggested — testnets share their mainnet's prefix.
+export const PREFIX_TO_CHAIN = {}
+for (const c of getChainsByFamily('cosmos')) {
+  if (!c.testnet && c.bech32Prefix && !PREFIX_TO_CHAIN[c.bech32Prefix]) {
+    PREFIX_TO_CHAIN[c.bech32Prefix] = c.id
+  }
+}
+
+// TypeURL fragments that uniquely identify a chain family (when the bech32
+// prefix alone isn't enough). THORChain's `/types.Msg*` is its tell-tale sign.
+const TYPE_URL_HINTS = [
+  { pattern: /^\/types\.Msg(Send|Deposit|ObservedTx|Swap|Outbound)/, chain: 'thor' },
+  { pattern: /^\/injective\./, chain: 'injective' },
+  { pattern: /^\/osmosis\./, chain: 'osmosis' },
+  { pattern: /^\/celestia\./, chain: 'celestia' },
+  { pattern: /^\/dydx(protocol)?\./, chain: 'dydx' },
+]
+
+// ─── Minimal in-browser protobuf parser ──────────────────────────────────────
+// Cosmos Tx proto structure:
+//   Tx.body               = field 1, wire type 2 (length-delimited)
+//   TxBody.timeout_height = field 3, wire type 0 (varint)
+
+function readVarint(bytes, pos) {
+  let result = 0
+  let shift = 0
+  while (pos < bytes.length) {
+    const byte = bytes[pos++]
+    result |= (byte & 0x7f) << shift
+    if ((byte & 0x80) === 0) break
+    shift += 7
+  }
+  return { value: result >>> 0, pos }
+}
+
+function parseFields(bytes) {
+  const fields = {}
+  let pos = 0
+  while (pos < bytes.length) {
+    if (pos >= bytes.length) break
+    const { value: tag, pos: p1 } = readVarint(bytes, pos)
+    pos = p1
+    const fieldNum = tag >>> 3
+    const wireType = tag & 0x7
+
+    if (wireType === 0) {
+      const { value, pos: p2 } = readVarint(bytes, pos)
+      pos = p2
+      if (!fields[fieldNum]) fields[fieldNum] = []
+      fields[fieldNum].push(value)
+    } else if (wireType === 2) {
+      const { value: len, pos: p2 } = readVarint(bytes, pos)
+      pos = p2
+      const data = bytes.slice(pos, pos + len)
+      pos += len
+      if (!fields[fieldNum]) fields[fieldNum] = []
+      fields[fieldNum].push(data)
+    } else if (wireType === 1) {
+      pos += 8
+    } else if (wireType === 5) {
+      pos += 4
+    } else {
+      break
+    }
+  }
+  return fields
+}
+
+export function base64ToBytes(base64Tx) {
+  const normalized = base64Tx.trim().replace(/-/g, '+').replace(/_/g, '/')
+  let binary
+  try {
+    binary = atob(normalized)
+  } catch {
+    throw new Error('Invalid base64 — could not decode the raw transaction.')
+  }
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+export function extractTimeoutHeight(txBytes) {
+  // Parse outer Tx: field 1 = TxBody
+  const txFields = parseFields(txBytes)
+  if (!txFields[1] || txFields[1].length === 0) {
+    throw new Error('Could not find TxBody in transaction. Is this a valid Cosmos raw TX?')
+  }
+  // Parse TxBody: field 3 = timeout_height (uint64)
+  const bodyFields = parseFields(txFields[1][0])
+  return bodyFields[3] ? bodyFields[3][0] : 0
+}
+
+// Extracts all message type URLs from TxBody.messages[].type_url.
+// E.g. "/cosmos.bank.v1beta1.MsgSend" (generic) or "/types.MsgSend" (THORChain).
+function extractTypeUrls(txBytes) {
+  const txFields = parseFields(txBytes)
+  if (!txFields[1] || txFields[1].length === 0) return []
+  const bodyFields = parseFields(txFields[1][0])
+  if (!bodyFields[1]) return []
+  const typeUrls = []
+  const decoder = new TextDecoder()
+  for (const msgBytes of bodyFields[1]) {
+    const msgFields = parseFields(msgBytes)
+    if (msgFields[1] && msgFields[1][0]) {
+      try { typeUrls.push(decoder.decode(msgFields[1][0])) } catch { /* skip */ }
+    }
+  }
+  return typeUrls
+}
+
+// Scans the TX bytes (interpreted as latin1 text) for bech32-style addresses
+// and returns the set of unique HRPs (e.g. "cosmos", "thor", "osmo"). Used to
+// detect what chain the TX was built for.
+function extractBech32Prefixes(txBytes) {
+  const text = new TextDecoder('latin1').decode(txBytes)
+  // bech32: HRP (lowercase letters) + "1" + data chars (a-z0-9 minus b,i,o,1)
+  const re = /([a-z]{2,16})1[023456789acdefghjklmnpqrstuvwxyz]{30,90}/g
+  const prefixes = new Set()
+  let m
+  while ((m = re.exec(text)) !== null) {
+    prefixes.add(m[1])
+  }
+  return prefixes
+}
+
+// Returns the most likely chain key for this TX based on address prefixes and
+// typeURL hints, or null if we can't tell.
+export function detectChain(txBytes) {
+  const typeUrls = extractTypeUrls(txBytes)
+  for (const url of typeUrls) {
+    for (const hint of TYPE_URL_HINTS) {
+      if (hint.pattern.test(url)) return { chain: hint.chain, reason: `type URL "${url}"` }
+    }
+  }
+  const prefixes = extractBech32Prefixes(txBytes)
+  for (const prefix of prefixes) {
+    if (PREFIX_TO_CHAIN[prefix]) {
+      return { chain: PREFIX_TO_CHAIN[prefix], reason: `address prefix "${prefix}1..."` }
+    }
+  }
+  return null
+}
+
+export async function computeTxHash(txBytes) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', txBytes)
+  return Array.from(new Uint8Array(hashBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()
+}
+
+// ─── Pre-broadcast decode ────────────────────────────────────────────────────
+// TxRaw/Tx:   body = 1, auth_info = 2
+// TxBody:     messages = 1 (Any: type_url = 1, value = 2), memo = 2
+// AuthInfo:   signer_infos = 1 (sequence = 3), fee = 2 (amount = 1, gas_limit = 2)
+// Coin:       denom = 1, amount = 2
+
+// Where sender / recipient / amount live in the common message types
+const MSG_LAYOUTS = [
+  { pattern: /\.MsgSend$/, from: 1, to: 2, coins: 3 },
+  { pattern: /\.MsgTransfer$/, from: 4, to: 5, coins: 3 },
+  { pattern: /\.Msg(Delegate|Undelegate)$/, from: 1, to: 2, coins: 3 },
+  { pattern: /\.MsgExecuteContract$/, from: 1, to: 2, coins: 5 },
+]
+
+const PRINTABLE_RE = /^[\x20-\x7e]+$/
+
+function decodeText(bytes) {
+  if (!bytes) return null
+  const text = new TextDecoder().decode(bytes)
+  return PRINTABLE_RE.test(text) ? text : null
+}
+
+function decodeCoins(list = []) {
+  return list.map(coinBytes => {
+    const f = parseFields(coinBytes)
+    return { denom: decodeText(f[1]?.[0]) || '', amount: decodeText(f[2]?.[0]) || '0' }
+  })
+}
+
+export const formatCoins = (coins) => coins.map(c => `${c.amount} ${c.denom}`).join(', ')
+
+/**
+ * Decode the parts of a Cosmos TX shown before broadcasting: message types,
+ * sender/recipient/amount of the first message, signer sequence and fee.
+ */
+export function decodeCosmosTx(txBytes) {
+  const txFields = parseFields(txBytes)
+  if (!txFields[1]?.length || !txFields[2]?.length) {
+    throw new Error('Missing TxBody or AuthInfo — is this a signed Cosmos TX?')
+  }
+
+  const bodyFields = parseFields(txFields[1][0])
+  const messages = (bodyFields[1] || []).map(anyBytes => {
+    const anyFields = parseFields(anyBytes)
+    return { typeUrl: decodeText(anyFields[1]?.[0]) || '', fields: parseFields(anyFields[2]?.[0] || new Uint8Array()) }
+  })
+
+  const authFields = parseFields(txFields[2][0])
+  const signerFields = authFields[1]?.[0] ? parseFields(authFields[1][0]) : {}
+  const feeFields = authFields[2]?.[0] ? parseFields(authFields[2][0]) : {}
+
+  const first = messages[0]
+  const layout = first && MSG_LAYOUTS.find(l => l.pattern.test(first.typeUrl))
+  return {
+    typeUrls: messages.map(m => m.typeUrl),
+    memo: decodeText(bodyFields[2]?.[0]) || '',
+    sequence: signerFields[3]?.[0] ?? 0,
+    fee: decodeCoins(feeFields[1]),
+    gasLimit: feeFields[2]?.[0] ?? 0,
+    sender: layout ? decodeText(first.fields[layout.from]?.[0]) : null,
+    to: layout ? decodeText(first.fields[layout.to]?.[0]) : null,
+    amount: layout ? decodeCoins(first.fields[layout.coins]) : [],
+  }
+}
@@ -0,0 +1,152 @@
+// ─── User-defined custom networks (localStorage) ─────────────────────────────
+// Networks added on the Networks settings page. They use the same shape as the
+// shared chain registry (src/config/chains.js) plus `custom: true`, so every
+// tool can append them to its picker without special-casing.
+//
+// Key used in localStorage:
+//   mbg_custom_networks – JSON array of network objects
+
+import { CHAIN_FAMILIES } from '../config/chains'
+
+const STORAGE_KEY = 'mbg_custom_networks'
+const CHANGE_EVENT = 'mbg:custom-networks'
+const EXPORT_VERSION = 1
+
+export const CUSTOM_ID_PREFIX = 'custom:'
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'network'
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value)
+    return url.protocol === 'https:' || url.protocol === 'http:'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Validate and normalize a user-supplied network. Throws an Error describing
+ * the first problem found; returns the cleaned network otherwise.
+ */
+export function normalizeCustomNetwork(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Network must be an object')
+
+  const name = String(raw.name || '').trim()
+  if (!name) throw new Error('Network name is required')
+
+  const family = String(raw.family || '').trim()
+  if (!CHAIN_FAMILIES.includes(family)) {
+    throw new Error(`"${name}": family must be one of ${CHAIN_FAMILIES.join(', ')}`)
+  }
+
+  const rpcs = (Array.isArray(raw.rpcs) ? raw.rpcs : String(raw.rpcs || '').split(/[\s,]+/))
+    .map(u => String(u).trim())
+    .filter(Boolean)
+  if (rpcs.length === 0) throw new Error(`"${name}": at least one RPC URL is required`)
+  const badRpc = rpcs.find(u => !isHttpUrl(u))
+  if (badRpc) throw new Error(`"${name}": "${badRpc}" is not an http(s) URL`)
+
+  let chainId
+  if (family === 'evm') {
+    chainId = Number(raw.chainId)
+    if (!Number.isInteger(chainId) || chainId <= 0) throw new Error(`"${name}": EVM networks need a positive integer chain ID`)
+  }
+
+  const explorers = (Array.isArray(raw.explorers) ? raw.explorers : [raw.explorer])
+    .map(u => String(u || '').trim())
+    .filter(Boolean)
+  const badExplorer = explorers.find(u => !isHttpUrl(u.replace('{hash}', '0')))
+  if (badExplorer) throw new Error(`"${name}": explorer "${badExplorer}" is not an http(s) URL`)
+
+  const id = raw.id && String(raw.id).startsWith(CUSTOM_ID_PREFIX)
+    ? String(raw.id)
+    : `${CUSTOM_ID_PREFIX}${family}-${slugify(name)}`
+
+  const network = { id, name, family, rpcs, explorers, custom: true }
+  if (chainId) network.chainId = chainId
+  if (raw.testnet) network.testnet = true
+  if (family === 'cosmos' && raw.bech32Prefix) network.bech32Prefix = String(raw.bech32Prefix).trim()
+  return network
+}
+
+/** Parse a serialized network list. Invalid entries are dropped. */
+export function parseCustomNetworks(raw) {
+  try {
+    const parsed = JSON.parse(raw || '[]')
+    if (!Array.isArray(parsed)) return []
+    return parsed.flatMap(n => {
+      try { return [normalizeCustomNetwork(n)] } catch { return [] }
+    })
+  } catch {
+    return []
+  }
+}
+
+/** Read all saved custom networks. */
+export function loadCustomNetworks() {
+  return parseCustomNetworks(getCustomNetworksSnapshot())
+}
+
+function saveCustomNetworks(networks) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(networks))
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+/** Add a network, or replace the one with the same id. Returns the saved network. */
+export function upsertCustomNetwork(raw) {
+  const network = normalizeCustomNetwork(raw)
+  const others = loadCustomNetworks().filter(n => n.id !== network.id)
+  saveCustomNetworks([...others, network])
+  return network
+}
+
+export function removeCustomNetwork(id) {
+  saveCustomNetworks(loadCustomNetworks().filter(n => n.id !== id))
+}
+
+/** Serialize all custom networks for download. */
+export function exportCustomNetworks() {
+  return JSON.stringify({ version: EXPORT_VERSION, networks: loadCustomNetworks() }, null, 2)
+}
+
+/**
+ * Merge networks from an exported JSON file (or a bare array). Networks with an
+ * id that already exists are replaced. Returns the number imported; throws on
+ * the first invalid entry without saving anything.
+ */
+export function importCustomNetworks(json) {
+  const parsed = JSON.parse(json)
+  const list = Array.isArray(parsed) ? parsed : parsed?.networks
+  if (!Array.isArray(list)) throw new Error('Expected a JSON array or an object with a "networks" array')
+  const incoming = list.map(normalizeCustomNetwork)
+  const incomingIds = new Set(incoming.map(n => n.id))
+  const kept = loadCustomNetworks().filter(n => !incomingIds.has(n.id))
+  saveCustomNetworks([...kept, ...incoming])
+  return incoming.length
+}
+
+/**
+ * Subscribe to changes made in this tab or any other tab. Returns an
+ * unsubscribe function (shape expected by useSyncExternalStore).
+ */
+export function subscribeCustomNetworks(callback) {
+  const onStorage = (e) => { if (e.key === STORAGE_KEY) callback() }
+  window.addEventListener(CHANGE_EVENT, callback)
+  window.addEventListener('storage', onStorage)
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, callback)
+    window.removeEventListener('storage', onStorage)
+  }
+}
+
+/** Raw stored value — a cheap, stable snapshot for useSyncExternalStore. */
+export function getCustomNetworksSnapshot() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '[]'
+  } catch {
+    return '[]'
+  }
+}
@@ -0,0 +1,132 @@
+// ─── EVM transaction envelopes ───────────────────────────────────────────────
+// Chain id and type-specific parts of a raw signed EVM transaction, for every
+// EIP-2718 envelope the tools accept:
+//   legacy (RLP list) – chain id from v (EIP-155); v = 27/28 is pre-155, mainnet assumed
+//   0x01 / 0x02       – EIP-2930 / EIP-1559
+//   0x03              – EIP-4844 blob tx. The signed ("bare") form only carries
+//                       versioned hashes; eth_sendRawTransaction wants the network
+//                       wrapper [tx, blobs, commitments, proofs] or, since EIP-7594,
+//                       [tx, 1, blobs, commitments, cell proofs]. The tx hash is
+//                       always keccak-256 of the bare form.
+//   0x04              – EIP-7702 set-code tx with a signed authorization list
+//
+// Envelope: { type, chainId (null when pre-EIP-155), bare (signed tx without sidecar), hash,
+//             blobs: { wrapped, wrapperVersion, count, commitments, proofs, versionedHashes } | null,
+//             authorizations: [{ chainId, address, nonce, yParity, r, s }] | null }
+
+import { fromRlp, toRlp, keccak256 } from 'viem'
+import { recoverAuthorizationAddress } from 'viem/utils'
+
+export const EVM_TX_TYPES = { 0: 'Legacy', 1: 'EIP-2930', 2: 'EIP-1559', 3: 'EIP-4844', 4: 'EIP-7702' }
+
+// Signed field count per typed envelope (y_parity, r, s included)
+const SIGNED_FIELDS = { 1: 11, 2: 12, 3: 14, 4: 13 }
+
+// EIP-7594 cell proofs per blob
+const CELLS_PER_BLOB = 128
+
+const quantity = (hex) => (hex === '0x' ? 0n : BigInt(hex))
+
+function normalizeHex(serialized) {
+  const hex = serialized.trim().replace(/^0x/i, '').toLowerCase()
+  if (!/^([0-9a-f]{2})+$/.test(hex)) throw new Error('Not a hex-encoded EVM transaction')
+  return `0x${hex}`
+}
+
+function readBlobWrapper(items) {
+  // Bare form: the transaction fields themselves
+  if (!Array.isArray(items[0])) {
+    return { fields: items, blobs: { wrapped: false, wrapperVersion: null, count: 0, commitments: 0, proofs: 0, versionedHashes: items[10] ?? [] } }
+  }
+  if (items.length !== 4 && items.length !== 5) throw new Error('Blob transaction wrapper must have 4 or 5 fields')
+  const [fields] = items
+  const wrapperVersion = items.length === 5 ? Number(quantity(items[1])) : 0
+  const [blobs, commitments, proofs] = items.slice(-3)
+  return {
+    fields,
+    blobs: { wrapped: true, wrapperVersion, count: blobs.length, commitments: commitments.length, proofs: proofs.length, versionedHashes: fields[10] ?? [] },
+  }
+}
+
+/** Decode the envelope of a raw signed EVM transaction; throws on anything malformed. */
+export function parseEvmEnvelope(serialized) {
+  const hex = normalizeHex(serialized)
+  const type = parseInt(hex.slice(2, 4), 16)
+
+  if (type >= 0xc0) {
+    const fields = fromRlp(hex, 'hex')
+    if (fields.length !== 9) throw new Error('Legacy transaction must have 9 fields')
+    const v = Number(quantity(fields[6]))
+    // v = 27/28 is pre-EIP-155: no chain id, valid on every chain
+    const chainId = v >= 35 ? Math.floor((v - 35) / 2) : null
+    return { type: 0, chainId, bare: hex, hash: keccak256(hex), blobs: null, authorizations: null }
+  }
+  if (!SIGNED_FIELDS[type]) throw new Error(`Unsupported transaction type 0x${hex.slice(2, 4)}`)
+
+  const items = fromRlp(`0x${hex.slice(4)}`, 'hex')
+  const { fields, blobs } = type === 3 ? readBlobWrapper(items) : { fields: items, blobs: null }
+  if (fields.length !== SIGNED_FIELDS[type]) {
+    throw new Error(`${EVM_TX_TYPES[type]} transaction must have ${SIGNED_FIELDS[type]} signed fields, got ${fields.length}`)
+  }
+  const bare = blobs?.wrapped ? `0x03${toRlp(fields).slice(2)}` : hex
+
+  const authorizations = type === 4
+    ? fields[9].map(([chainId, address, nonce, yParity, r, s]) => ({
+      chainId: Number(quantity(chainId)),
+      address,
+      nonce: quantity(nonce),
+      yParity: Number(quantity(yParity)),
+      r,
+      s,
+    }))
+    : null
+
+  return { type, chainId: Number(quantity(fields[0])), bare, hash: keccak256(bare), blobs, authorizations }
+}
+
+/**
+ * Chain id to route a raw signed EVM transaction to, or null when it can't be
+ * read. Pre-EIP-155 transactions have none and are routed to mainnet.
+ */
+export function decodeRlpChainId(serialized) {
+  try {
+    const { type, chainId } = parseEvmEnvelope(serialized)
+    return chainId ?? (type === 0 ? 1 : null)
+  } catch (e) {
+    console.error('Failed to decode RLP:', e)
+    return null
+  }
+}
+
+/**
+ * Why a blob sidecar doesn't match its transaction, or null when it does:
+ * one blob and commitment per versioned hash, and one proof per blob (v0) or
+ * CELLS_PER_BLOB cell proofs per blob (v1).
+ */
+export function blobSidecarProblem(blobs) {
+  if (!blobs?.wrapped) return null
+  const expected = blobs.versionedHashes.length
+  if (blobs.count !== expected || blobs.commitments !== expected) {
+    return `${blobs.count} blobs and ${blobs.commitments} commitments for ${expected} versioned hashes`
+  }
+  const proofsPerBlob = blobs.wrapperVersion === 1 ? CELLS_PER_BLOB : 1
+  if (blobs.proofs !== expected * proofsPerBlob) {
+    return `${blobs.proofs} proofs, expected ${expected * proofsPerBlob} (wrapper v${blobs.wrapperVersion})`
+  }
+  return null
+}
+
+/**
+ * Recover the authority (the EOA that signed it) of each EIP-7702
+ * authorization. Resolves the same list with `authority` added — null when
+ * the signature doesn't recover.
+ */
+export function recoverAuthorities(authorizations) {
+  return Promise.all(authorizations.map(async (auth) => {
+    try {
+      return { ...auth, authority: await recoverAuthorizationAddress({ authorization: auth }) }
+    } catch {
+      return { ...auth, authority: null }
+    }
+  }))
+}
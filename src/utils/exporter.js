@@ -0,0 +1,200 @@
+// ─── Result exports ──────────────────────────────────────────────────────────
+// One exporter for every results table. A table registers its columns once in
+// an export config and gets CSV, JSON, NDJSON and XLSX downloads of all,
+// filtered or selected rows through <ExportMenu>.
+//
+//   const EXPORT = defineExport('onchain-check', [
+//     { key: 'tx_hash', value: r => r.txHash },
+//     { key: 'chain_id', value: (r, ctx) => ctx.chainId },   // ctx: ExportMenu's `context`
+//   ])
+//
+// Column keys are snake_case and are used verbatim as the CSV/XLSX header and
+// the JSON field names, so every tool's files line up. Values keep their JS
+// type: numbers and booleans stay typed in JSON and XLSX, null/undefined
+// becomes an empty cell.
+
+import { createZip } from './zip'
+
+const COLUMN_KEY = /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/
+
+// Excel's per-cell text limit
+const XLSX_MAX_TEXT = 32767
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', ext: 'csv', mime: 'text/csv;charset=utf-8' },
+  { id: 'json', label: 'JSON', ext: 'json', mime: 'application/json' },
+  { id: 'ndjson', label: 'NDJSON', ext: 'ndjson', mime: 'application/x-ndjson' },
+  { id: 'xlsx', label: 'Excel (XLSX)', ext: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+]
+
+/** Validate and freeze a table's export config. `name` is the download file prefix. */
+export function defineExport(name, columns) {
+  for (const col of columns) {
+    if (!COLUMN_KEY.test(col.key)) throw new Error(`Export column "${col.key}" must be snake_case`)
+    if (typeof col.value !== 'function') throw new Error(`Export column "${col.key}" needs a value(row) function`)
+  }
+  return Object.freeze({ name, columns: Object.freeze(columns.slice()) })
+}
+
+function normalizeValue(value) {
+  if (value === undefined) return null
+  if (typeof value === 'bigint') return value.toString()
+  if (typeof value === 'number' && !Number.isFinite(value)) return null
+  if (value instanceof Date) return value.toISOString()
+  return value
+}
+
+const textOf = (value) => (value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value))
+
+/** Rows as plain { column_key: value } records, in column order. */
+export function toRecords(columns, rows, context = {}) {
+  return rows.map(row => {
+    const record = {}
+    for (const col of columns) record[col.key] = normalizeValue(col.value(row, context))
+    return record
+  })
+}
+
+// ── CSV / JSON ──
+
+/** Quote a CSV cell when it contains a delimiter, quote or newline. */
+export function csvCell(value) {
+  const s = textOf(value)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+export function toCsv(columns, records) {
+  const lines = [columns.map(col => col.key).join(',')]
+  for (const record of records) lines.push(columns.map(col => csvCell(record[col.key])).join(','))
+  return lines.join('\n')
+}
+
+export const toJson = (records) => JSON.stringify(records, null, 2)
+
+export const toNdjson = (records) => records.map(r => JSON.stringify(r)).join('\n')
+
+// ── XLSX ──
+
+const escapeXml = (s) => s
+  // Control characters aren't allowed in XML 1.0 at all
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+function columnLetter(index) {
+  let n = index + 1
+  let s = ''
+  while (n > 0) {
+    const rem = (n - 1) % 26
+    s = String.fromCharCode(65 + rem) + s
+    n = Math.floor((n - 1) / 26)
+  }
+  return s
+}
+
+function xlsxCell(ref, value, style = 0) {
+  const s = style ? ` s="${style}"` : ''
+  if (value == null || value === '') return ''
+  if (typeof value === 'number') return `<c r="${ref}"${s}><v>${value}</v></c>`
+  if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`
+  const text = escapeXml(textOf(value).slice(0, XLSX_MAX_TEXT))
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`
+}
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships'
+
+// Style 1 = bold, for the header row
+const STYLES_XML = `${XML_HEAD}<styleSheet xmlns="${SHEET_NS}">`
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '</styleSheet>'
+
+/** A single-sheet workbook with a bold, frozen header row. Resolves to the file bytes. */
+export async function toXlsx(columns, records, sheetName = 'Results') {
+  const letters = columns.map((_, i) => columnLetter(i))
+  const rows = [`<row r="1">${columns.map((col, i) => xlsxCell(`${letters[i]}1`, col.key, 1)).join('')}</row>`]
+  records.forEach((record, r) => {
+    const n = r + 2
+    rows.push(`<row r="${n}">${columns.map((col, i) => xlsxCell(`${letters[i]}${n}`, record[col.key])).join('')}</row>`)
+  })
+
+  const sheet = `${XML_HEAD}<worksheet xmlns="${SHEET_NS}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${rows.join('')}</sheetData></worksheet>`
+  const safeName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Results')
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: `${XML_HEAD}<Relationships xmlns="${PKG_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${XML_HEAD}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">`
+        + `<sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${XML_HEAD}<Relationships xmlns="${PKG_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet },
+  ])
+}
+
+// ── Download ──
+
+/** Save a Blob under `filename` via a temporary object URL. */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Export `rows` with `config`'s columns as `format` (an EXPORT_FORMATS id) and
+ * download it as `<fileName>-<timestamp>.<ext>`.
+ */
+export async function exportRows(config, rows, format, { context = {}, fileName = config.name } = {}) {
+  const spec = EXPORT_FORMATS.find(f => f.id === format)
+  if (!spec) throw new Error(`Unknown export format "${format}"`)
+
+  const records = toRecords(config.columns, rows, context)
+  let data
+  switch (format) {
+    case 'csv':    data = toCsv(config.columns, records); break
+    case 'json':   data = toJson(records); break
+    case 'ndjson': data = toNdjson(records); break
+    case 'xlsx':   data = await toXlsx(config.columns, records, config.name); break
+  }
+  downloadBlob(new Blob([data], { type: spec.mime }), `${fileName}-${Date.now()}.${spec.ext}`)
+}
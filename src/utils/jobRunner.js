@@ -0,0 +1,144 @@
+// ─── Background batch jobs ───────────────────────────────────────────────────
+// Starts batch lookups in workers/batchJob.worker.js and keeps their state in
+// module scope, keyed by tool. A job outlives the page that started it: moving
+// to another tool and back reattaches to the running job (useBatchJob), and
+// the worker keeps going while the tab is in the background.
+//
+// A job snapshot is replaced (never mutated) on every update, so it can be
+// read with useSyncExternalStore:
+//
+//   {
+//     tool, kind, status,            // 'running' | 'paused' | 'done' | 'stopped' | 'cancelled' | 'failed'
+//     results,                       // one slot per item; null until finished
+//     done, total, phase, phaseStartedAt,
+//     updatedAt,                     // when the last progress update arrived
+//     tally,                         // the kind's summary counts, computed in the worker
+//     logs, meta,                    // meta: whatever the page needs to restore its form
+//     startedAt, finishedAt,
+//   }
+
+const MAX_LOGS = 400
+
+const jobs = new Map()
+const workers = new Map()
+const listeners = new Set()
+
+/** True while a job is running or paused. */
+export const isJobActive = (job) => job?.status === 'running' || job?.status === 'paused'
+
+const timestamped = (message) => `[${new Date().toLocaleTimeString()}] ${message}`
+
+function setJob(tool, job) {
+  if (job) jobs.set(tool, job)
+  else jobs.delete(tool)
+  for (const fn of listeners) fn()
+}
+
+function patchJob(tool, id, patch) {
+  const job = jobs.get(tool)
+  if (job?.id !== id) return null
+  const next = { ...job, ...(typeof patch === 'function' ? patch(job) : patch) }
+  setJob(tool, next)
+  return next
+}
+
+function applyEntries(results, entries) {
+  if (entries.length === 0) return results
+  const next = results.slice()
+  for (const [i, result] of entries) next[i] = result
+  return next
+}
+
+/**
+ * Start `kind` over `items` for `tool`, replacing any previous job of that
+ * tool (a running one is cancelled). `base` re-runs only the retryable rows
+ * of an earlier result set. `onFinish(job)` runs once with the final snapshot,
+ * even if the page that started the job has since unmounted.
+ */
+export function startJob(tool, { kind, items, options = {}, base = null, meta = {}, logs = [], onFinish }) {
+  cancelJob(tool)
+
+  const id = `${tool}-${Date.now()}`
+  const worker = new Worker(new URL('../workers/batchJob.worker.js', import.meta.url), { type: 'module' })
+  workers.set(tool, worker)
+  setJob(tool, {
+    id,
+    tool,
+    kind,
+    status: 'running',
+    results: base ? base.slice() : new Array(items.length).fill(null),
+    done: 0,
+    total: base ? 0 : items.length,
+    phase: null,
+    phaseStartedAt: Date.now(),
+    updatedAt: Date.now(),
+    tally: null,
+    logs: logs.map(timestamped),
+    meta,
+    startedAt: Date.now(),
+    finishedAt: null,
+  })
+
+  const finish = (status, patch = {}) => {
+    worker.terminate()
+    if (workers.get(tool) === worker) workers.delete(tool)
+    const final = patchJob(tool, id, job => ({ ...patch(job), status, finishedAt: Date.now() }))
+    if (final) onFinish?.(final)
+  }
+
+  worker.onmessage = (e) => {
+    const msg = e.data
+    switch (msg.type) {
+      case 'progress':
+        patchJob(tool, id, job => ({
+          results: applyEntries(job.results, msg.entries),
+          done: msg.done,
+          total: msg.total,
+          phase: msg.phase,
+          phaseStartedAt: msg.phaseStartedAt,
+          updatedAt: Date.now(),
+          tally: msg.tally,
+        }))
+        break
+      case 'status':
+        patchJob(tool, id, { status: msg.status })
+        break
+      case 'log':
+        patchJob(tool, id, job => ({ logs: [...job.logs.slice(-(MAX_LOGS - 1)), timestamped(msg.message)] }))
+        break
+      case 'finished':
+        // A job that threw reports only its status; keep the last progress
+        finish(msg.status, job => ({
+          results: applyEntries(job.results, msg.entries),
+          done: msg.done ?? job.done,
+          total: msg.total ?? job.total,
+          tally: msg.tally ?? job.tally,
+        }))
+        break
+    }
+  }
+
+  worker.onerror = (e) => {
+    e.preventDefault()
+    finish('failed', job => ({ logs: [...job.logs, timestamped(`ERROR: worker crashed — ${e.message || 'unknown error'}`)] }))
+  }
+
+  worker.postMessage({ type: 'start', kind, items, options, base })
+}
+
+/** Current snapshot of a tool's job, or null. */
+export const getJob = (tool) => jobs.get(tool) ?? null
+
+export function subscribeJobs(fn) {
+  listeners.add(fn)
+  return () => listeners.delete(fn)
+}
+
+export const pauseJob = (tool) => workers.get(tool)?.postMessage({ type: 'pause' })
+export const resumeJob = (tool) => workers.get(tool)?.postMessage({ type: 'resume' })
+export const cancelJob = (tool) => workers.get(tool)?.postMessage({ type: 'cancel' })
+
+/** Forget a finished job's results (e.g. when the page shows a saved run). Running jobs are left alone. */
+export function clearJob(tool) {
+  if (!isJobActive(jobs.get(tool))) setJob(tool, null)
+}
@@ -0,0 +1,116 @@
+// ─── Nonce-ordered EVM broadcasting ──────────────────────────────────────────
+// Rebroadcasting a stuck sequence only works in nonce order: a node rejects or
+// parks nonce n+1 until it has seen n. The planner groups decoded EVM lines by
+// (chain, sender), sorts each group by nonce and reports duplicate nonces and
+// gaps before anything is sent; waitForNonceTurn holds a tx back until the
+// sender's pending nonce has reached it.
+//
+// Plan: { groups: [{ key, chainId, sender, items: [{ index, nonce, hash }] }],
+//         order: [line index…], slots: Map(index → { key, sender, nonce }),
+//         duplicates: [{ key, sender, nonce, indices, identical }],
+//         gaps: [{ key, sender, from, to }] }
+// Lines that aren't decodable EVM transactions keep their input order after
+// the queued groups.
+
+import { browserRpcUrl } from '../config/proxy'
+import { transportFetch, sleep } from './rpcTransport'
+
+const POLL_INTERVAL_MS = 3000
+
+/** Build the send order from decode-preview rows (aligned with the input lines). */
+export function planNonceQueue(rows) {
+  const byKey = new Map()
+  const unordered = []
+  rows.forEach((row, index) => {
+    const nonce = Number(row.nonce)
+    if (row.family !== 'evm' || row.error || !row.sender || !Number.isSafeInteger(nonce)) {
+      unordered.push(index)
+      return
+    }
+    const key = `${row.chainId ?? 'any'}:${row.sender.toLowerCase()}`
+    if (!byKey.has(key)) byKey.set(key, { key, chainId: row.chainId, sender: row.sender, items: [] })
+    byKey.get(key).items.push({ index, nonce, hash: row.hash })
+  })
+
+  const groups = [...byKey.values()]
+  const duplicates = []
+  const gaps = []
+  const slots = new Map()
+  for (const group of groups) {
+    group.items.sort((a, b) => a.nonce - b.nonce || a.index - b.index)
+    for (let i = 0; i < group.items.length; i++) {
+      const item = group.items[i]
+      slots.set(item.index, { key: group.key, sender: group.sender, nonce: item.nonce })
+      const prev = group.items[i - 1]
+      if (!prev) continue
+      if (prev.nonce === item.nonce) {
+        const last = duplicates[duplicates.length - 1]
+        if (last?.key === group.key && last.nonce === item.nonce) {
+          last.indices.push(item.index)
+          last.identical = last.identical && item.hash === prev.hash
+        } else {
+          duplicates.push({ key: group.key, sender: group.sender, nonce: item.nonce, indices: [prev.index, item.index], identical: item.hash === prev.hash })
+        }
+      } else if (item.nonce > prev.nonce + 1) {
+        gaps.push({ key: group.key, sender: group.sender, from: prev.nonce + 1, to: item.nonce - 1 })
+      }
+    }
+  }
+
+  return {
+    groups,
+    order: [...groups.flatMap(g => g.items.map(item => item.index)), ...unordered],
+    slots,
+    duplicates,
+    gaps,
+  }
+}
+
+async function transactionCount(rpc, address, blockTag, signal) {
+  const res = await transportFetch(browserRpcUrl(rpc), '', {
+    method: 'POST',
+    body: { jsonrpc: '2.0', id: 1, method: 'eth_getTransactionCount', params: [address, blockTag] },
+    maxAttempts: 3,
+    signal,
+  })
+  const hex = res.data?.result
+  return typeof hex === 'string' ? parseInt(hex, 16) : null
+}
+
+/**
+ * Wait until `sender`'s pending nonce reaches `nonce`, i.e. every predecessor
+ * has been seen. Resolves { ok: true } when it's this tx's turn, or
+ * { ok: false, error } if the nonce is already used or the wait times out.
+ */
+export async function waitForNonceTurn(rpc, sender, nonce, { signal, timeoutMs, intervalMs = POLL_INTERVAL_MS }) {
+  const deadline = Date.now() + timeoutMs
+  for (;;) {
+    const [latest, pending] = await Promise.all([
+      transactionCount(rpc, sender, 'latest', signal),
+      transactionCount(rpc, sender, 'pending', signal),
+    ])
+    if (latest != null && latest > nonce) {
+      return { ok: false, error: `nonce too low: ${sender} is already at nonce ${latest}` }
+    }
+    if (pending != null && pending >= nonce) return { ok: true }
+    if (Date.now() >= deadline) {
+      const seen = pending ?? latest
+      return { ok: false, error: `nonce gap: waited ${Math.round(timeoutMs / 1000)}s for nonce ${seen ?? '?'}…${nonce - 1} to appear` }
+    }
+    await sleep(intervalMs, signal)
+  }
+}
+
+const shortAddress = (address) => `${address.slice(0, 8)}…${address.slice(-4)}`
+
+/** Human-readable lines for the plan's duplicates and gaps (line numbers are 1-based). */
+export function describeNonceIssues(plan) {
+  return [
+    ...plan.duplicates.map(d =>
+      `${shortAddress(d.sender)}: nonce ${d.nonce} on lines ${d.indices.map(i => i + 1).join(', ')}${d.identical ? ' (same tx repeated)' : ' (conflicting txs)'}`
+    ),
+    ...plan.gaps.map(g =>
+      `${shortAddress(g.sender)}: ${g.from === g.to ? `nonce ${g.from} is` : `nonces ${g.from}–${g.to} are`} missing from the batch`
+    ),
+  ]
+}
@@ -0,0 +1,301 @@
+// ─── Am I Onchain? lookups ───────────────────────────────────────────────────
+// Per-hash Etherscan V2 / JSON-RPC lookups for Am I Onchain?, plus the job
+// definition the batch worker runs them with (see workers/batchJob.worker.js).
+// Nothing here touches the DOM, so it loads in a worker as well as on the page.
+
+import { transportFetch, sleep } from './rpcTransport'
+
+const ETHERSCAN_API_KEY = import.meta.env.VITE_ETHERSCAN_API_KEY || ''
+export const HAS_API_KEY = ETHERSCAN_API_KEY.length > 0
+const ETHERSCAN_V2 = 'https://api.etherscan.io/v2/api'
+const DELAY_MS = HAS_API_KEY ? 250 : 5500
+// Custom networks are queried on their own RPC, which has no Etherscan quota to respect
+const RPC_DELAY_MS = 100
+// Lookups retry until a definitive answer; this caps a single hash at roughly half an hour
+const MAX_LOOKUP_ATTEMPTS = 20
+// Transient-retry lines logged per run, so a rate-limited batch doesn't flood the log
+const TRANSIENT_LOG_BUDGET = 80
+
+function isPermanentApiError(msg) {
+  const lower = msg.toLowerCase()
+  return (
+    lower.includes('missing/invalid api key') ||
+    lower.includes('invalid api key') ||
+    lower.includes('not supported for this chain') ||
+    lower.includes('upgrade your api plan') ||
+    lower.includes('upgrade to a paid plan') ||
+    lower.includes('chain not supported') ||
+    lower.includes('invalid chainid')
+  )
+}
+
+function interpretTxByHashResponse(json) {
+  if (json?.error && typeof json.error === 'object') {
+    const msg = json.error.message || JSON.stringify(json.error)
+    return { definitive: true, requestSuccess: false, onChain: false, tx: null, error: msg, permanent: isPermanentApiError(msg) }
+  }
+  if (json?.result === undefined) {
+    return { definitive: false, kind: 'no_result' }
+  }
+  const r = json.result
+  // Etherscan V2 wrapper error envelope: {status:"0", message:"NOTOK", result:"<reason>"}
+  if (json.status === '0' || json.message === 'NOTOK') {
+    const msg = typeof r === 'string' ? r : (json.message || 'Etherscan API error')
+    const lower = msg.toLowerCase()
+    if (lower.includes('rate limit') || lower.includes('max rate')) {
+      return { definitive: false, kind: 'rate_limit' }
+    }
+    return { definitive: true, requestSuccess: false, onChain: false, tx: null, error: msg, permanent: isPermanentApiError(msg) }
+  }
+  if (typeof r === 'string') {
+    const lower = r.toLowerCase()
+    if (lower.includes('rate limit') || lower.includes('max rate')) {
+      return { definitive: false, kind: 'rate_limit' }
+    }
+    // Unrecognized string result — surface as error rather than silently marking "not found"
+    return { definitive: true, requestSuccess: false, onChain: false, tx: null, error: r, permanent: isPermanentApiError(r) }
+  }
+  if (r === null) {
+    return { definitive: true, requestSuccess: true, onChain: false, tx: null }
+  }
+  if (typeof r === 'object' && r !== null) {
+    const h = r.hash
+    const onChain = typeof h === 'string' && h.length > 0
+    return { definitive: true, requestSuccess: true, onChain, tx: r }
+  }
+  return { definitive: true, requestSuccess: true, onChain: false, tx: null }
+}
+
+/** Confirmed in a block (not pending / pool). Pending txs have blockNumber null. */
+function isMinedTx(txObj) {
+  if (!txObj || typeof txObj !== 'object') return false
+  const bn = txObj.blockNumber
+  return bn != null && bn !== '' && bn !== '0x' && bn !== '0x0'
+}
+
+function interpretReceiptStatusResponse(json) {
+  if (json?.result === undefined) {
+    return { definitive: false, kind: 'no_result' }
+  }
+  const r = json.result
+  // Etherscan V2 wrapper error envelope on this endpoint
+  if (json.status === '0' && typeof r === 'string' && r !== '0' && r !== '1') {
+    const lower = r.toLowerCase()
+    if (lower.includes('rate limit') || lower.includes('max rate')) {
+      return { definitive: false, kind: 'rate_limit' }
+    }
+    return { definitive: true, execution: 'unknown', error: r, permanent: isPermanentApiError(r) }
+  }
+  if (typeof r === 'string') {
+    const lower = r.toLowerCase()
+    if (lower.includes('rate limit') || lower.includes('max rate')) {
+      return { definitive: false, kind: 'rate_limit' }
+    }
+    if (r === '1') return { definitive: true, execution: 'success' }
+    if (r === '0') return { definitive: true, execution: 'fail' }
+    return { definitive: true, execution: 'unknown' }
+  }
+  if (r === null) {
+    return { definitive: true, execution: 'unknown' }
+  }
+  if (typeof r === 'object' && r !== null && 'status' in r) {
+    // '1' / '0' from Etherscan, '0x1' / '0x0' from an eth_getTransactionReceipt receipt
+    const s = r.status
+    if (s === '1' || s === 1 || s === '0x1') return { definitive: true, execution: 'success' }
+    if (s === '0' || s === 0 || s === '0x0') return { definitive: true, execution: 'fail' }
+    if (s === '' || s == null) return { definitive: true, execution: 'unknown' }
+  }
+  // Pre-Byzantium JSON-RPC receipts have no status field at all
+  if (typeof r === 'object' && r !== null && r.transactionHash) {
+    return { definitive: true, execution: 'unknown' }
+  }
+  return { definitive: false, kind: 'no_result' }
+}
+
+// Endpoints + request options for one lookup: Etherscan V2 for listed chains,
+// JSON-RPC against the network's own endpoints for custom networks. JSON-RPC
+// responses share the Etherscan proxy shape ({ result } / { error }).
+function lookupRequest(network, etherscanParams, rpcMethod, txHash) {
+  if (network.rpcs) {
+    return [network.rpcs, '', { method: 'POST', body: { jsonrpc: '2.0', id: 1, method: rpcMethod, params: [txHash] } }]
+  }
+  const params = { chainid: String(network.chainId), ...etherscanParams, txhash: txHash }
+  if (ETHERSCAN_API_KEY) params.apikey = ETHERSCAN_API_KEY
+  return [ETHERSCAN_V2, '', { params }]
+}
+
+function transientReason(interp) {
+  if (interp.definitive) return null
+  return interp.kind === 'rate_limit' ? 'rate limit in body' : 'missing result field'
+}
+
+/**
+ * Retries through the shared transport until a definitive API interpretation,
+ * abort, or MAX_LOOKUP_ATTEMPTS. Does not include inter-hash pacing (caller adds
+ * a delay between hashes).
+ */
+async function lookupTxWithBackoff(network, txHash, signal, onTransient) {
+  const [endpoints, path, request] = lookupRequest(network, { module: 'proxy', action: 'eth_getTransactionByHash' }, 'eth_getTransactionByHash', txHash)
+  const result = await transportFetch(endpoints, path, {
+    ...request,
+    signal,
+    maxAttempts: MAX_LOOKUP_ATTEMPTS,
+    baseDelayMs: 1500,
+    maxDelayMs: 120000,
+    retryIf: json => transientReason(interpretTxByHashResponse(json)),
+    onRetry: ({ attempt, reason, waitMs }) => {
+      onTransient?.(`${reason} — retry in ${Math.round(waitMs / 1000)}s (attempt ${attempt})`)
+    },
+  })
+  if (result.error) {
+    return { requestSuccess: false, onChain: false, tx: null, error: result.error, permanent: false }
+  }
+
+  const interp = interpretTxByHashResponse(result.data)
+  return {
+    requestSuccess: interp.requestSuccess,
+    onChain: interp.onChain,
+    tx: interp.tx ?? null,
+    error: interp.error,
+    permanent: interp.permanent,
+  }
+}
+
+async function lookupReceiptStatusWithBackoff(network, txHash, signal, onTransient) {
+  const [endpoints, path, request] = lookupRequest(network, { module: 'transaction', action: 'gettxreceiptstatus' }, 'eth_getTransactionReceipt', txHash)
+  const result = await transportFetch(endpoints, path, {
+    ...request,
+    signal,
+    maxAttempts: MAX_LOOKUP_ATTEMPTS,
+    baseDelayMs: 1500,
+    maxDelayMs: 120000,
+    retryIf: json => transientReason(interpretReceiptStatusResponse(json)),
+    onRetry: ({ attempt, reason, waitMs }) => {
+      onTransient?.(`receipt ${reason} — retry in ${Math.round(waitMs / 1000)}s (attempt ${attempt})`)
+    },
+  })
+  if (result.error) return { execution: 'unknown', error: result.error, permanent: false }
+
+  const interp = interpretReceiptStatusResponse(result.data)
+  return { execution: interp.execution, error: interp.error, permanent: interp.permanent }
+}
+
+/** Count completed rows, request/on-chain stats, and per execution_status (receipt). */
+export function tallyFromRef(refArr) {
+  const total = refArr.length
+  let completed = 0
+  let requestOk = 0
+  let onChain = 0
+  const execution = { success: 0, fail: 0, pending: 0, unknown: 0, na: 0 }
+  for (const r of refArr) {
+    if (r == null) continue
+    completed++
+    if (r.requestSuccess) requestOk++
+    if (r.onChain) onChain++
+    const ex = r.executionStatus ?? 'n/a'
+    if (ex === 'success') execution.success++
+    else if (ex === 'fail') execution.fail++
+    else if (ex === 'pending') execution.pending++
+    else if (ex === 'unknown') execution.unknown++
+    else execution.na++
+  }
+  return { completed, requestOk, onChain, total, execution }
+}
+
+// ── Batch job ──────────────────────────────────────────────────────────────
+
+const unfinishedRow = (row, note) => ({
+  rawInput: row.txHash ? '' : row.rawInput,
+  txHash: row.txHash || '',
+  requestSuccess: false,
+  onChain: false,
+  executionStatus: 'n/a',
+  note,
+})
+
+/**
+ * Items are { rawInput, txHash } rows (txHash null when the input isn't a
+ * valid hash). Options: { network }. Runs one hash at a time, paced for the
+ * Etherscan quota, and stops early on a permanent API error (bad key, chain
+ * not on the plan) since every later hash would fail the same way.
+ */
+export const onchainCheckJob = {
+  concurrency: () => 1,
+
+  async run({ rawInput, txHash }, ctx) {
+    const { network } = ctx.options
+    if (!txHash) {
+      return {
+        rawInput,
+        txHash: '',
+        requestSuccess: false,
+        onChain: false,
+        executionStatus: 'n/a',
+        note: 'Invalid tx hash (expected 0x + 64 hex)',
+      }
+    }
+
+    const delayMs = network.rpcs ? RPC_DELAY_MS : DELAY_MS
+    ctx.state.transientLogBudget ??= TRANSIENT_LOG_BUDGET
+    const onTransient = (msg) => {
+      if (ctx.state.transientLogBudget > 0) {
+        ctx.state.transientLogBudget--
+        ctx.log(`${txHash.slice(0, 10)}… ${msg}`)
+      }
+    }
+
+    try {
+      if (ctx.position > 0) await sleep(delayMs, ctx.signal)
+      const data = await lookupTxWithBackoff(network, txHash, ctx.signal, onTransient)
+
+      let executionStatus = 'n/a'
+      let receiptError = null
+      let permanentApiError = data.permanent ? data.error : null
+      if (data.onChain) {
+        if (!data.tx) {
+          executionStatus = 'n/a'
+        } else if (!isMinedTx(data.tx)) {
+          executionStatus = 'pending'
+        } else {
+          await sleep(delayMs, ctx.signal)
+          const recv = await lookupReceiptStatusWithBackoff(network, txHash, ctx.signal, onTransient)
+          executionStatus = recv.execution
+          receiptError = recv.error
+          if (recv.permanent && !permanentApiError) permanentApiError = recv.error
+        }
+      }
+
+      if (permanentApiError) {
+        ctx.log(`Stopping early — Etherscan returned a permanent error for chain ${network.name} (${network.chainId}): "${permanentApiError}". Check your VITE_ETHERSCAN_API_KEY / plan.`)
+        ctx.stop()
+      }
+
+      return {
+        rawInput: '',
+        txHash,
+        requestSuccess: data.requestSuccess,
+        onChain: data.onChain,
+        executionStatus,
+        note: data.error
+          ? `API error: ${data.error}`
+          : receiptError
+            ? `Receipt API error: ${receiptError}`
+            : '',
+      }
+    } catch (e) {
+      if (e.name === 'AbortError') return unfinishedRow({ rawInput, txHash }, 'Aborted')
+      throw e
+    }
+  },
+
+  unfinished: (row, reason) => unfinishedRow(row, reason),
+  tally: tallyFromRef,
+
+  summary(status, results) {
+    if (status === 'done' && !results.some(r => r.note === 'Aborted' || r.note === 'Incomplete')) {
+      return `Done — ${results.length.toLocaleString()} rows.`
+    }
+    if (status === 'failed') return 'Error or interrupt — partial results below.'
+    return status === 'cancelled' ? 'Cancelled — partial results below.' : 'Stopped — partial results below.'
+  },
+}
@@ -0,0 +1,104 @@
+// ─── Private relay submission (EVM) ──────────────────────────────────────────
+// Sensitive rebroadcasts can skip the public mempool: instead of the chain's
+// RPC, Broadcaster hands each EVM transaction to a private relay (a block
+// builder or a Flashbots-style relay) with one of:
+//   eth_sendPrivateTransaction – [{ tx, maxBlockNumber }]; the relay keeps
+//                                offering the tx to builders until maxBlockNumber
+//   eth_sendBundle             – [{ txs: [tx], blockNumber }]; a bundle is only
+//                                valid for its target block, so one goes out
+//                                per block of the window
+// The window is the next `blocks` blocks after the head of the chain's own RPC,
+// which is also where inclusion is tracked: past the window's last block
+// (deadlineBlock) the relay has given up and the tx counts as Dropped.
+//
+// A relay builds blocks for one chain (the default one for Ethereum mainnet),
+// so it only gets transactions signed for that chain id; anything else is
+// refused rather than handed to a relay that can't include it.
+//
+// The relay URL and chain are Broadcaster settings, so a local stand-in that
+// answers these methods can take the place of a real relay when testing.
+//
+// Result: { success, error, txHash, httpStatus,
+//           relay: { method, url, fromBlock, deadlineBlock, bundles } | undefined }
+
+import { parseEvmEnvelope } from './evmTx'
+
+export const RELAY_METHODS = {
+  eth_sendPrivateTransaction: 'Private transaction',
+  eth_sendBundle: 'Bundle per block',
+}
+
+export const DEFAULT_RELAY_URL = 'https://rpc.titanbuilder.xyz'
+export const DEFAULT_RELAY_CHAIN_ID = 1
+export const DEFAULT_RELAY_BLOCKS = 10
+export const MAX_RELAY_BLOCKS = 25
+
+const toQuantity = (n) => `0x${n.toString(16)}`
+
+async function jsonRpc(url, method, params, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal,
+  })
+  const data = await response.json().catch(() => null)
+  const error = data?.error
+    ? data.error.message || JSON.stringify(data.error)
+    : data ? null : `HTTP ${response.status}: not a JSON-RPC response`
+  return { httpStatus: response.status, result: data?.result, error }
+}
+
+const failure = (error, httpStatus = null) => ({ success: false, error, txHash: null, httpStatus })
+
+/** One-line summary of how a result went through the relay, for the results table and export. */
+export function describeRelay(relay) {
+  if (!relay) return null
+  const blocks = relay.fromBlock === relay.deadlineBlock ? `block ${relay.fromBlock}` : `blocks ${relay.fromBlock}–${relay.deadlineBlock}`
+  const bundles = relay.bundles != null ? `, ${relay.bundles} bundle(s) accepted` : ''
+  return `${relay.method} via ${relay.url} for ${blocks}${bundles}`
+}
+
+/** Why a transaction signed for `txChainId` can't go to a relay for `relayChainId`, or null when it can. */
+export function relayChainMismatch(txChainId, relayChainId) {
+  if (txChainId === relayChainId) return null
+  const tx = txChainId == null ? 'has no chain id (pre-EIP-155, replayable on any chain)' : `is signed for chain ${txChainId}`
+  return `Not relayed: the private relay is for chain ${relayChainId}, but this transaction ${tx}`
+}
+
+/**
+ * Submit a raw signed EVM transaction through a private relay for chain
+ * `chainId`. `chainRpc` is the chain's own (browser-callable) RPC, used for
+ * the current head.
+ */
+export async function sendViaRelay({ url, method, chainId, blocks, chainRpc, rawTx, signal }) {
+  if (!RELAY_METHODS[method]) return failure(`Unsupported relay method ${method}`)
+  try {
+    const tx = `0x${rawTx.trim().replace(/^0x/i, '')}`
+    const envelope = parseEvmEnvelope(tx)
+    const mismatch = relayChainMismatch(envelope.chainId, chainId)
+    if (mismatch) return failure(mismatch)
+    const { hash } = envelope
+
+    const head = await jsonRpc(chainRpc, 'eth_blockNumber', [], signal)
+    if (head.error || !head.result) return failure(`Could not read the chain head: ${head.error || 'no result'}`, head.httpStatus)
+    const current = Number(BigInt(head.result))
+    const window = Math.max(1, Math.min(MAX_RELAY_BLOCKS, blocks))
+    const relay = { method, url, fromBlock: current + 1, deadlineBlock: current + window }
+
+    if (method === 'eth_sendPrivateTransaction') {
+      const res = await jsonRpc(url, method, [{ tx, maxBlockNumber: toQuantity(relay.deadlineBlock) }], signal)
+      if (res.error) return failure(res.error, res.httpStatus)
+      return { success: true, error: null, txHash: hash, httpStatus: res.httpStatus, relay }
+    }
+
+    const targets = Array.from({ length: window }, (_, i) => relay.fromBlock + i)
+    const sent = await Promise.all(targets.map(block => jsonRpc(url, method, [{ txs: [tx], blockNumber: toQuantity(block) }], signal)))
+    const accepted = sent.filter(res => !res.error)
+    // A bundle for any one block of the window is enough to get the tx in
+    if (accepted.length === 0) return failure(sent[0].error, sent[0].httpStatus)
+    return { success: true, error: null, txHash: hash, httpStatus: accepted[0].httpStatus, relay: { ...relay, bundles: accepted.length } }
+  } catch (err) {
+    return failure(err.name === 'AbortError' ? 'Aborted' : err.message)
+  }
+}
@@ -0,0 +1,224 @@
+// ─── Bitcoin PSBTs (BIP-174) ─────────────────────────────────────────────────
+// Wallets and co-signers often hand over a signed PSBT instead of a raw
+// transaction. Broadcaster accepts one per line, base64 ("cHNidP8…") or hex
+// ("70736274ff…"), finalizes what it can and sends the extracted network
+// transaction. Inputs a signer already finalized keep their final scriptSig /
+// witness; the rest are finalized here when the spend is standard:
+//   P2PKH                – scriptSig <sig> <pubkey>
+//   P2WPKH, P2SH-P2WPKH  – witness [sig, pubkey] (+ scriptSig <redeemScript>)
+//   P2TR key path        – witness [tap key sig]
+// The partial signature has to belong to the key the script pays to, but
+// signatures themselves are not verified — the node does that on broadcast.
+// Only version 0 PSBTs (with a global unsigned transaction) are read.
+//
+// Finalized: { hex, tx (parseUtxoTx of hex), finalizedHere, inputValues: [bigint | null],
+//              fee (sats, null without every input's UTXO), vsize, feeRate (sat/vB) }
+
+import { bytesToHex, hexToBytes } from 'viem'
+import { base64ToBytes } from './cosmosTx'
+import { createReader, parseUtxoTx, hash160 } from './utxoTx'
+
+const PSBT_MAGIC_HEX = '70736274ff'
+const PSBT_MAGIC_BASE64 = 'cHNidP8'
+
+// Key types used here (BIP-174 / BIP-371)
+const GLOBAL_UNSIGNED_TX = 0x00
+const GLOBAL_VERSION = 0xfb
+const IN_NON_WITNESS_UTXO = 0x00
+const IN_WITNESS_UTXO = 0x01
+const IN_PARTIAL_SIG = 0x02
+const IN_REDEEM_SCRIPT = 0x04
+const IN_FINAL_SCRIPTSIG = 0x07
+const IN_FINAL_SCRIPTWITNESS = 0x08
+const IN_TAP_KEY_SIG = 0x13
+
+/** True when a Broadcaster line is a PSBT rather than a raw transaction. */
+export function isPsbt(payload) {
+  const trimmed = payload.trim()
+  return trimmed.startsWith(PSBT_MAGIC_BASE64) || trimmed.replace(/^0x/i, '').toLowerCase().startsWith(PSBT_MAGIC_HEX)
+}
+
+// ── Serialization ──
+
+const le32 = (n) => Uint8Array.of(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, n >>> 24)
+
+const le64 = (value) => Uint8Array.from({ length: 8 }, (_, i) => Number((value >> BigInt(8 * i)) & 0xffn))
+
+function varint(n) {
+  if (n < 0xfd) return Uint8Array.of(n)
+  if (n <= 0xffff) return Uint8Array.of(0xfd, n & 0xff, n >> 8)
+  return Uint8Array.of(0xfe, ...le32(n))
+}
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0))
+  let pos = 0
+  for (const part of parts) {
+    out.set(part, pos)
+    pos += part.length
+  }
+  return out
+}
+
+const withLength = (bytes) => concat(varint(bytes.length), bytes)
+
+function pushData(bytes) {
+  if (bytes.length < 0x4c) return concat(Uint8Array.of(bytes.length), bytes)
+  if (bytes.length <= 0xff) return concat(Uint8Array.of(0x4c, bytes.length), bytes)
+  return concat(Uint8Array.of(0x4d, bytes.length & 0xff, bytes.length >> 8), bytes)
+}
+
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i])
+
+// ── Parsing ──
+
+// A key-value map up to its 0x00 separator: [{ type, keyData, value }]
+function readMap(r) {
+  const entries = []
+  for (;;) {
+    const keyLength = r.varint()
+    if (keyLength === 0) return entries
+    const key = r.take(keyLength)
+    entries.push({ type: key[0], keyData: key.subarray(1), value: r.take(r.varint()) })
+  }
+}
+
+const findValue = (map, type) => map.find(e => e.type === type)?.value ?? null
+
+function readWitnessStack(bytes) {
+  const r = createReader(bytes)
+  return Array.from({ length: r.varint() }, () => r.take(r.varint()))
+}
+
+function readInput(map, outpoint, index) {
+  const witnessUtxo = findValue(map, IN_WITNESS_UTXO)
+  const nonWitnessUtxo = findValue(map, IN_NON_WITNESS_UTXO)
+  let utxo = null
+  if (witnessUtxo) {
+    const r = createReader(witnessUtxo)
+    utxo = { value: r.u64(), script: r.take(r.varint()) }
+  } else if (nonWitnessUtxo) {
+    const prev = parseUtxoTx(bytesToHex(nonWitnessUtxo).slice(2))
+    if (prev.txid !== outpoint.prevTxid) throw new Error(`Input ${index}: its previous transaction doesn't match the outpoint`)
+    const output = prev.outputs[outpoint.vout]
+    if (!output) throw new Error(`Input ${index}: previous transaction has no output ${outpoint.vout}`)
+    utxo = output
+  }
+  const finalWitness = findValue(map, IN_FINAL_SCRIPTWITNESS)
+  return {
+    utxo,
+    partialSigs: map.filter(e => e.type === IN_PARTIAL_SIG).map(e => ({ pubkey: e.keyData, signature: e.value })),
+    redeemScript: findValue(map, IN_REDEEM_SCRIPT),
+    tapKeySig: findValue(map, IN_TAP_KEY_SIG),
+    finalScriptSig: findValue(map, IN_FINAL_SCRIPTSIG),
+    finalWitness: finalWitness ? readWitnessStack(finalWitness) : null,
+  }
+}
+
+function psbtBytes(payload) {
+  const trimmed = payload.trim()
+  if (trimmed.startsWith(PSBT_MAGIC_BASE64)) return base64ToBytes(trimmed)
+  const hex = trimmed.replace(/^0x/i, '')
+  if (!/^([0-9a-f]{2})+$/i.test(hex)) throw new Error('Not a PSBT (expected base64 or hex)')
+  return hexToBytes(`0x${hex}`)
+}
+
+/** Decode a PSBT: { unsignedHex, tx (parsed unsigned tx), inputs }. Throws on anything malformed. */
+export function decodePsbt(payload) {
+  const bytes = psbtBytes(payload)
+  if (bytesToHex(bytes.subarray(0, 5)).slice(2) !== PSBT_MAGIC_HEX) throw new Error('Missing PSBT magic bytes')
+  const r = createReader(bytes.subarray(5))
+
+  const global = readMap(r)
+  const version = findValue(global, GLOBAL_VERSION)
+  if (version && createReader(version).u32() !== 0) throw new Error('Only version 0 PSBTs are supported — export the PSBT as v0')
+  const unsigned = findValue(global, GLOBAL_UNSIGNED_TX)
+  if (!unsigned) throw new Error('PSBT has no unsigned transaction')
+  const unsignedHex = bytesToHex(unsigned).slice(2)
+  const tx = parseUtxoTx(unsignedHex)
+  if (tx.segwit || tx.inputs.some(i => i.scriptSig.length > 0)) throw new Error('The PSBT\'s unsigned transaction carries signature data')
+
+  const inputs = tx.inputs.map((outpoint, i) => readInput(readMap(r), outpoint, i))
+  tx.outputs.forEach(() => readMap(r))
+  return { unsignedHex, tx, inputs }
+}
+
+// ── Finalizing ──
+
+const isP2pkh = (s) => s.length === 25 && s[0] === 0x76 && s[1] === 0xa9 && s[2] === 0x14 && s[23] === 0x88 && s[24] === 0xac
+const isP2sh = (s) => s.length === 23 && s[0] === 0xa9 && s[1] === 0x14 && s[22] === 0x87
+const isP2wpkh = (s) => s.length === 22 && s[0] === 0x00 && s[1] === 0x14
+const isP2tr = (s) => s.length === 34 && s[0] === 0x51 && s[1] === 0x20
+
+// The partial signature made by the key whose hash160 is `keyHash`
+const signatureFor = (input, keyHash) => input.partialSigs.find(p => sameBytes(hash160(p.pubkey), keyHash))
+
+// { scriptSig, witness } for an input that isn't finalized yet
+function finalizeInput(input, index) {
+  const script = input.utxo?.script
+  if (!script) throw new Error(`Input ${index} is not finalized and has no UTXO data to finalize it`)
+
+  if (isP2tr(script)) {
+    if (!input.tapKeySig) throw new Error(`Input ${index} (P2TR) has no key-path signature — script-path spends must be finalized by the signer`)
+    return { scriptSig: new Uint8Array(0), witness: [input.tapKeySig] }
+  }
+  if (isP2pkh(script)) {
+    const sig = signatureFor(input, script.subarray(3, 23))
+    if (!sig) throw new Error(`Input ${index} (P2PKH) has no signature from its key`)
+    return { scriptSig: concat(pushData(sig.signature), pushData(sig.pubkey)), witness: [] }
+  }
+  // Native or P2SH-wrapped P2WPKH
+  const redeem = input.redeemScript
+  const nested = isP2sh(script) && redeem && isP2wpkh(redeem) && sameBytes(hash160(redeem), script.subarray(2, 22))
+  const program = nested ? redeem : isP2wpkh(script) ? script : null
+  if (!program) throw new Error(`Input ${index} is not finalized and is not a P2PKH, P2WPKH or P2TR key-path spend`)
+  const sig = signatureFor(input, program.subarray(2))
+  if (!sig) throw new Error(`Input ${index} (${nested ? 'P2SH-P2WPKH' : 'P2WPKH'}) has no signature from its key`)
+  return { scriptSig: nested ? pushData(redeem) : new Uint8Array(0), witness: [sig.signature, sig.pubkey] }
+}
+
+/** Finalize a PSBT and extract the network transaction; throws when an input can't be finalized. */
+export function finalizePsbt(payload) {
+  const { tx, inputs } = decodePsbt(payload)
+  let finalizedHere = 0
+  const spends = inputs.map((input, i) => {
+    if (input.finalScriptSig || input.finalWitness) {
+      return { scriptSig: input.finalScriptSig ?? new Uint8Array(0), witness: input.finalWitness ?? [] }
+    }
+    finalizedHere++
+    return finalizeInput(input, i)
+  })
+
+  const segwit = spends.some(s => s.witness.length > 0)
+  const bytes = concat(
+    le32(tx.version),
+    segwit ? Uint8Array.of(0x00, 0x01) : new Uint8Array(0),
+    varint(tx.inputs.length),
+    ...tx.inputs.flatMap((input, i) => [
+      hexToBytes(`0x${input.prevTxid}`).reverse(),
+      le32(input.vout),
+      withLength(spends[i].scriptSig),
+      le32(input.sequence),
+    ]),
+    varint(tx.outputs.length),
+    ...tx.outputs.flatMap(o => [le64(o.value), withLength(o.script)]),
+    ...(segwit ? spends.flatMap(s => [varint(s.witness.length), ...s.witness.map(withLength)]) : []),
+    le32(tx.locktime),
+  )
+  const hex = bytesToHex(bytes).slice(2)
+  const final = parseUtxoTx(hex)
+
+  const inputValues = inputs.map(input => input.utxo?.value ?? null)
+  const fee = inputValues.every(v => v != null)
+    ? inputValues.reduce((sum, v) => sum + v, 0n) - final.outputs.reduce((sum, o) => sum + o.value, 0n)
+    : null
+  return {
+    hex,
+    tx: final,
+    finalizedHere,
+    inputValues,
+    fee,
+    vsize: final.vsize,
+    feeRate: fee != null ? Number(fee) / final.vsize : null,
+  }
+}
@@ -0,0 +1,253 @@
+// ─── Post-broadcast receipt tracking ─────────────────────────────────────────
+// An RPC accepting a transaction only means it reached a mempool. The tracker
+// polls each sent transaction with its family's inclusion lookup until it is
+// Confirmed (with block / slot / ledger) or Reverted, and marks it Dropped once
+// the timeout passes without either.
+//
+// Targets: { type, rpc, txHash, sentAt, deadlineBlock? } — `type` is the
+// network family and `rpc` the chain endpoint to look the transaction up on.
+// EVM txs sent through a private relay carry the last block the relay will try
+// (deadlineBlock); once the chain is past it without a receipt they are Dropped
+// right away instead of after the timeout.
+// Receipts: { status: 'pending' | 'confirmed' | 'reverted' | 'dropped', block, detail, checkedAt }
+
+import { browserRpcUrl, corsFallbackUrl } from '../config/proxy'
+import { transportFetch, sleep } from './rpcTransport'
+import { utxoApiKind, utxoTxUrl } from './utxoApi'
+
+export const RECEIPT_STATUSES = {
+  pending: { label: 'Pending', icon: '⏳' },
+  confirmed: { label: 'Confirmed', icon: '✅' },
+  reverted: { label: 'Reverted', icon: '⛔' },
+  dropped: { label: 'Dropped', icon: '💨' },
+}
+
+const POLL_INTERVAL_MS = 5000
+const LOOKUP_CONCURRENCY = 4
+const LOOKUP_OPTIONS = { maxAttempts: 2, timeoutMs: 15000 }
+
+const PENDING = { status: 'pending', block: null, detail: null }
+
+const jsonRpc = (method, params) => ({ method: 'POST', body: { jsonrpc: '2.0', id: 1, method, params } })
+const trimSlash = (url) => url.replace(/\/$/, '')
+
+// ── Family lookups ──
+// Each returns { status, block, detail }; transport failures stay 'pending'
+// so a flaky endpoint never turns into a false Dropped before the timeout.
+
+async function evmReceipt(rpc, hash, signal) {
+  const res = await transportFetch(browserRpcUrl(rpc), '', { ...jsonRpc('eth_getTransactionReceipt', [hash]), ...LOOKUP_OPTIONS, signal })
+  const receipt = res.data?.result
+  if (!receipt) return PENDING
+  const block = receipt.blockNumber ? parseInt(receipt.blockNumber, 16) : null
+  if (receipt.status === '0x0') return { status: 'reverted', block, detail: 'execution reverted' }
+  return { status: 'confirmed', block, detail: null }
+}
+
+// Confirmation height from a tx lookup per UTXO API (Blockchair reports
+// block_id -1 while the tx is in the mempool)
+const UTXO_HEIGHTS = {
+  bitcoincom: (data) => data?.blockheight,
+  blockcypher: (data) => data?.block_height,
+  blockchair: (data, hash) => data?.data?.[hash]?.transaction?.block_id,
+}
+
+async function utxoReceipt(rpc, hash, signal) {
+  const heightOf = UTXO_HEIGHTS[utxoApiKind(rpc)]
+  if (heightOf) {
+    const res = await transportFetch(utxoTxUrl(rpc, hash), '', { ...LOOKUP_OPTIONS, signal })
+    const height = heightOf(res.data, hash)
+    return height > 0 ? { status: 'confirmed', block: height, detail: null } : PENDING
+  }
+  // Esplora (mempool.space and compatibles)
+  const res = await transportFetch(`${trimSlash(rpc)}/tx/${hash}/status`, '', { ...LOOKUP_OPTIONS, signal })
+  if (res.data?.confirmed) return { status: 'confirmed', block: res.data.block_height ?? null, detail: null }
+  return PENDING
+}
+
+async function solanaReceipt(rpc, signature, signal) {
+  const res = await transportFetch(browserRpcUrl(rpc), '', {
+    ...jsonRpc('getSignatureStatuses', [[signature], { searchTransactionHistory: true }]),
+    ...LOOKUP_OPTIONS,
+    signal,
+  })
+  const status = res.data?.result?.value?.[0]
+  if (!status) return PENDING
+  if (status.err) return { status: 'reverted', block: status.slot ?? null, detail: JSON.stringify(status.err) }
+  if (status.confirmationStatus === 'processed') return PENDING
+  return { status: 'confirmed', block: status.slot ?? null, detail: status.confirmationStatus || null }
+}
+
+async function xrpReceipt(rpc, hash, signal) {
+  const res = await transportFetch(browserRpcUrl(rpc), '', { method: 'POST', body: { method: 'tx', params: [{ transaction: hash }] }, ...LOOKUP_OPTIONS, signal })
+  const result = res.data?.result
+  if (!result?.validated) return PENDING
+  const outcome = result.meta?.TransactionResult || ''
+  const block = result.ledger_index ?? null
+  return outcome === 'tesSUCCESS'
+    ? { status: 'confirmed', block, detail: null }
+    : { status: 'reverted', block, detail: outcome || null }
+}
+
+async function stellarReceipt(rpc, hash, signal) {
+  const res = await transportFetch(`${trimSlash(rpc)}/transactions/${hash}`, '', { ...LOOKUP_OPTIONS, signal })
+  if (!res.ok || !res.data?.hash) return PENDING
+  return res.data.successful === false
+    ? { status: 'reverted', block: res.data.ledger ?? null, detail: res.data.result_xdr || null }
+    : { status: 'confirmed', block: res.data.ledger ?? null, detail: null }
+}
+
+async function cosmosReceipt(rpc, hash, signal) {
+  const url = `${trimSlash(rpc)}/cosmos/tx/v1beta1/txs/${hash}`
+  let res = await transportFetch(url, '', { ...LOOKUP_OPTIONS, signal })
+  // LCDs that fail cross-origin: retry through the proxy, like the broadcast does
+  const fallback = res.status ? null : corsFallbackUrl(url)
+  if (fallback) res = await transportFetch(fallback, '', { ...LOOKUP_OPTIONS, signal })
+  const txr = res.data?.tx_response
+  if (!txr) return PENDING
+  const block = txr.height ? Number(txr.height) : null
+  return Number(txr.code ?? 0) === 0
+    ? { status: 'confirmed', block, detail: null }
+    : { status: 'reverted', block, detail: `code ${txr.code}: ${txr.raw_log || ''}`.trim() }
+}
+
+async function tronReceipt(rpc, txid, signal) {
+  const res = await transportFetch(`${trimSlash(rpc)}/wallet/gettransactioninfobyid`, '', { method: 'POST', body: { value: txid }, ...LOOKUP_OPTIONS, signal })
+  const info = res.data
+  // An empty object until the tx is in a block
+  if (!info?.id || !info.blockNumber) return PENDING
+  const outcome = info.receipt?.result
+  if (info.result === 'FAILED' || (outcome && outcome !== 'SUCCESS')) {
+    return { status: 'reverted', block: info.blockNumber, detail: outcome || info.resMessage || 'FAILED' }
+  }
+  return { status: 'confirmed', block: info.blockNumber, detail: null }
+}
+
+// toncenter v3 indexes transactions by the hash of the message that caused
+// them; the chain's v2 base maps onto the same host's v3
+async function tonReceipt(rpc, messageHash, signal) {
+  const apiKey = import.meta.env.VITE_TONCENTER_API_KEY
+  const msgHash = btoa(String.fromCharCode(...messageHash.match(/.{2}/g).map(b => parseInt(b, 16))))
+  const res = await transportFetch(`${trimSlash(rpc).replace(/\/api\/v2$/, '/api/v3')}/transactionsByMessage`, '', {
+    params: { msg_hash: msgHash, direction: 'in', limit: 1 },
+    headers: apiKey ? { 'X-API-Key': apiKey } : {},
+    ...LOOKUP_OPTIONS,
+    signal,
+  })
+  const tx = res.data?.transactions?.[0]
+  if (!tx) return PENDING
+  const block = tx.mc_block_seqno ?? null
+  const compute = tx.description?.compute_ph
+  if (tx.description?.aborted || compute?.success === false) {
+    return { status: 'reverted', block, detail: compute?.exit_code != null ? `exit code ${compute.exit_code}` : 'aborted' }
+  }
+  return { status: 'confirmed', block, detail: null }
+}
+
+async function aptosReceipt(rpc, hash, signal) {
+  const res = await transportFetch(`${trimSlash(rpc)}/transactions/by_hash/${hash}`, '', { ...LOOKUP_OPTIONS, signal })
+  const tx = res.data
+  // 404 until the fullnode has seen it, then pending_transaction until committed
+  if (!res.ok || !tx?.type || tx.type === 'pending_transaction') return PENDING
+  const block = tx.version != null ? Number(tx.version) : null
+  return tx.success
+    ? { status: 'confirmed', block, detail: tx.vm_status || null }
+    : { status: 'reverted', block, detail: tx.vm_status || null }
+}
+
+async function suiReceipt(rpc, digest, signal) {
+  const res = await transportFetch(browserRpcUrl(rpc), '', { ...jsonRpc('sui_getTransactionBlock', [digest, { showEffects: true }]), ...LOOKUP_OPTIONS, signal })
+  const result = res.data?.result
+  const status = result?.effects?.status
+  if (!status || result.checkpoint == null) return PENDING
+  const block = Number(result.checkpoint)
+  return status.status === 'success'
+    ? { status: 'confirmed', block, detail: null }
+    : { status: 'reverted', block, detail: status.error || 'failure' }
+}
+
+const LOOKUPS = {
+  evm: evmReceipt,
+  bitcoin: utxoReceipt,
+  bitcoincash: utxoReceipt,
+  solana: solanaReceipt,
+  xrp: xrpReceipt,
+  stellar: stellarReceipt,
+  tron: tronReceipt,
+  ton: tonReceipt,
+  aptos: aptosReceipt,
+  sui: suiReceipt,
+  cosmos: cosmosReceipt,
+}
+
+// Head first, receipt second: a tx included in the deadline block can't slip
+// between the two lookups and be marked Dropped
+async function pastDeadline(rpc, deadlineBlock, signal) {
+  const res = await transportFetch(browserRpcUrl(rpc), '', { ...jsonRpc('eth_blockNumber', []), ...LOOKUP_OPTIONS, signal })
+  return res.data?.result != null && Number(BigInt(res.data.result)) > deadlineBlock
+}
+
+/** False for families without an inclusion lookup (Substrate has no tx-by-hash RPC). */
+export const hasReceiptLookup = (type) => !!LOOKUPS[type]
+
+/** One inclusion lookup for a sent transaction. */
+export async function checkReceipt({ type, rpc, txHash, deadlineBlock }, signal) {
+  const lookup = LOOKUPS[type]
+  if (!lookup || !rpc || !txHash) return { ...PENDING, detail: 'No lookup available for this network' }
+  try {
+    const expired = type === 'evm' && deadlineBlock != null && await pastDeadline(rpc, deadlineBlock, signal)
+    const receipt = await lookup(rpc, txHash, signal)
+    if (expired && receipt.status === 'pending') return { status: 'dropped', block: null, detail: `Not included by block ${deadlineBlock} (relay window over)` }
+    return receipt
+  } catch (err) {
+    if (err.name === 'AbortError') throw err
+    return { ...PENDING, detail: err.message }
+  }
+}
+
+/**
+ * Polls targets added with `add(key, target)` every few seconds until each is
+ * settled or `timeoutMs` after its `sentAt` has passed. `onUpdate(changes)` gets
+ * a { key: receipt } map after every round. `stop()` ends polling.
+ */
+export function createReceiptTracker({ timeoutMs, onUpdate, intervalMs = POLL_INTERVAL_MS }) {
+  const controller = new AbortController()
+  const pending = new Map()
+  let running = false
+
+  const poll = async () => {
+    running = true
+    while (pending.size > 0 && !controller.signal.aborted) {
+      const changes = {}
+      const now = Date.now()
+      const queue = [...pending.entries()]
+      const worker = async () => {
+        while (queue.length > 0 && !controller.signal.aborted) {
+          const [key, target] = queue.shift()
+          const receipt = await checkReceipt(target, controller.signal).catch(() => null)
+          if (!receipt || controller.signal.aborted) continue
+          const timedOut = receipt.status === 'pending' && now - target.sentAt >= timeoutMs
+          const next = timedOut ? { ...receipt, status: 'dropped', detail: `Not included after ${Math.round(timeoutMs / 1000)}s` } : receipt
+          if (next.status !== 'pending') pending.delete(key)
+          changes[key] = { ...next, checkedAt: Date.now() }
+        }
+      }
+      await Promise.all(Array.from({ length: LOOKUP_CONCURRENCY }, worker))
+      if (controller.signal.aborted) break
+      onUpdate(changes)
+      if (pending.size > 0) await sleep(intervalMs, controller.signal).catch(() => {})
+    }
+    running = false
+  }
+
+  return {
+    add(key, target) {
+      pending.set(key, target)
+      if (!running) poll()
+    },
+    stop() {
+      controller.abort()
+      pending.clear()
+    },
+  }
+}
@@ -0,0 +1,308 @@
+// ─── Resilient multi-endpoint transport ──────────────────────────────────────
+// One fetch layer for every tool that talks to public RPC / REST APIs. Callers
+// hand it a list of interchangeable endpoints (preferred first) and a path; it
+// takes care of:
+//
+//   - per-host token-bucket rate limiting (shared by every tool in the tab)
+//   - exponential backoff with jitter, honouring Retry-After on 429/503
+//   - failover to the next endpoint on timeouts, network errors and 5xx
+//   - a running health score per endpoint — endpoints that are slow or keep
+//     failing are tried last on the next request
+//
+// Health and rate-limit state live in module scope, so a 429 from toncenter.com
+// in TON Details also slows down TON Safe-to-Fail running in the same tab.
+
+const DEFAULT_HOST_LIMIT = { ratePerSecond: 5, burst: 5 }
+const DEFAULT_RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504]
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000
+
+const HAS_TONCENTER_KEY = !!import.meta.env.VITE_TONCENTER_API_KEY
+const HAS_ETHERSCAN_KEY = !!import.meta.env.VITE_ETHERSCAN_API_KEY
+
+// Published (or observed) free-tier limits of the APIs the tools use. Anything
+// not listed here gets DEFAULT_HOST_LIMIT; tools can override with configureHost.
+const KNOWN_HOST_LIMITS = {
+  'toncenter.com': HAS_TONCENTER_KEY ? { ratePerSecond: 8, burst: 4 } : { ratePerSecond: 1, burst: 1 },
+  'api.etherscan.io': HAS_ETHERSCAN_KEY ? { ratePerSecond: 4, burst: 1 } : { ratePerSecond: 1 / 5.5, burst: 1 },
+  'mempool.space': { ratePerSecond: 3, burst: 3 },
+  'blockstream.info': { ratePerSecond: 3, burst: 3 },
+  'api.blockchair.com': { ratePerSecond: 0.4, burst: 1 },
+  'api.blockcypher.com': { ratePerSecond: 3, burst: 3 },
+}
+
+// Cosmos TX Check races every LCD through the proxy at once
+const PROXY_HOST_LIMIT = { ratePerSecond: 20, burst: 40 }
+
+const hostLimits = new Map(Object.entries(KNOWN_HOST_LIMITS))
+// Our own /api/proxy fans out to many upstream hosts
+if (globalThis.location?.host) hostLimits.set(globalThis.location.host, PROXY_HOST_LIMIT)
+const buckets = new Map()
+const health = new Map()
+
+/** Abortable sleep. Rejects with an AbortError when `signal` fires. */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'))
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    function onAbort() {
+      clearTimeout(timer)
+      reject(new DOMException('Aborted', 'AbortError'))
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url, globalThis.location?.href).host
+  } catch {
+    return url
+  }
+}
+
+// ── Rate limiting ───────────────────────────────────────────────────────────
+
+/**
+ * Set the request budget for one host, e.g. configureHost('api.etherscan.io',
+ * { ratePerSecond: 4, burst: 1 }). Hosts that were never configured get
+ * DEFAULT_HOST_LIMIT.
+ */
+export function configureHost(host, { ratePerSecond, burst = 1 }) {
+  hostLimits.set(host, { ratePerSecond, burst })
+  buckets.delete(host)
+}
+
+function getBucket(host) {
+  let bucket = buckets.get(host)
+  if (!bucket) {
+    const { ratePerSecond, burst } = hostLimits.get(host) || DEFAULT_HOST_LIMIT
+    bucket = { tokens: burst, capacity: burst, perMs: ratePerSecond / 1000, last: Date.now(), blockedUntil: 0 }
+    buckets.set(host, bucket)
+  }
+  return bucket
+}
+
+async function acquireToken(host, signal) {
+  const bucket = getBucket(host)
+  while (true) {
+    const now = Date.now()
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.last) * bucket.perMs)
+    bucket.last = now
+    if (now < bucket.blockedUntil) {
+      await sleep(bucket.blockedUntil - now, signal)
+      continue
+    }
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1
+      return
+    }
+    await sleep(Math.ceil((1 - bucket.tokens) / bucket.perMs), signal)
+  }
+}
+
+// Server said "come back later" — hold every request to that host until then.
+function blockHost(host, ms) {
+  const bucket = getBucket(host)
+  bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms)
+}
+
+// ── Health scoring ──────────────────────────────────────────────────────────
+
+function getHealth(endpoint) {
+  let h = health.get(endpoint)
+  if (!h) {
+    h = { score: 1, latencyMs: 0, successes: 0, failures: 0, consecutiveFailures: 0 }
+    health.set(endpoint, h)
+  }
+  return h
+}
+
+function recordSuccess(endpoint, latencyMs) {
+  const h = getHealth(endpoint)
+  h.successes++
+  h.consecutiveFailures = 0
+  h.score = h.score * 0.7 + 0.3
+  h.latencyMs = h.successes === 1 ? latencyMs : h.latencyMs * 0.7 + latencyMs * 0.3
+}
+
+function recordFailure(endpoint) {
+  const h = getHealth(endpoint)
+  h.failures++
+  h.consecutiveFailures++
+  h.score = h.score * 0.7
+}
+
+// Success rate dominates; latency only breaks ties between similarly healthy
+// endpoints (10s+ costs half a point).
+function rankValue(endpoint) {
+  const h = health.get(endpoint)
+  if (!h) return 1
+  return h.score - Math.min(h.latencyMs, 10000) / 20000
+}
+
+/**
+ * Order endpoints healthiest-first. Ties keep the caller's preference order,
+ * so endpoints that were never used stay in the order they were listed.
+ */
+export function rankEndpoints(endpoints) {
+  return endpoints
+    .map((endpoint, index) => ({ endpoint, index, rank: rankValue(endpoint) }))
+    .sort((a, b) => (b.rank - a.rank) || (a.index - b.index))
+    .map(e => e.endpoint)
+}
+
+/** Current health stats of every endpoint used this session (for debugging / UI). */
+export function getEndpointHealth() {
+  return Object.fromEntries([...health.entries()].map(([endpoint, h]) => [endpoint, { ...h }]))
+}
+
+// ── Backoff ─────────────────────────────────────────────────────────────────
+
+/** Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds. */
+export function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.min(Math.max(seconds, 0) * 1000, MAX_RETRY_AFTER_MS)
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.min(Math.max(date - Date.now(), 0), MAX_RETRY_AFTER_MS)
+}
+
+// "Equal jitter": half the exponential delay is fixed, the other half random.
+function backoffDelay(round, baseDelayMs, maxDelayMs) {
+  const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, round))
+  return exp / 2 + Math.random() * (exp / 2)
+}
+
+// ── Request ─────────────────────────────────────────────────────────────────
+
+function buildUrl(endpoint, path, params) {
+  const url = `${endpoint}${path || ''}`
+  if (!params) return url
+  const query = new URLSearchParams(params).toString()
+  if (!query) return url
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`
+}
+
+async function attemptOnce(url, { method, headers, body, parse, timeoutMs, signal }) {
+  const ctrl = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => { timedOut = true; ctrl.abort() }, timeoutMs)
+  const onAbort = () => ctrl.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+  try {
+    const isJsonBody = body != null && typeof body === 'object' && !(body instanceof FormData) && !(body instanceof Blob)
+    const res = await fetch(url, {
+      method,
+      headers: isJsonBody ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: isJsonBody ? JSON.stringify(body) : body,
+      signal: ctrl.signal,
+    })
+    let data = null
+    if (parse === 'json') data = await res.json().catch(() => null)
+    else if (parse === 'text') data = await res.text().catch(() => '')
+    return { res, data }
+  } catch (e) {
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError')
+    return { error: timedOut ? `timeout after ${Math.round(timeoutMs / 1000)}s` : (e.message || String(e)) }
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Fetch `path` from the healthiest of `endpoints`, failing over and backing off
+ * until a definitive answer arrives or `maxAttempts` is used up.
+ *
+ * A response is definitive unless it is a network error / timeout, its status is
+ * in `retryStatuses`, or `retryIf(data, response)` returns a reason string (for
+ * APIs that report rate limits in a 200 body). Definitive non-2xx responses such
+ * as 404 are returned as-is — deciding what they mean is up to the caller.
+ *
+ * Never throws except for an AbortError from `signal`. Resolves to
+ * { ok, status, data, endpoint, attempts }; `ok` mirrors response.ok. When every
+ * attempt failed, `ok` is false and `error` ("<endpoint>: <reason>") and
+ * `reason` describe the last failure.
+ *
+ * `onRetry({ attempt, endpoint, reason, waitMs })` is called before each retry.
+ */
+export async function transportFetch(endpoints, path = '', options = {}) {
+  const {
+    method = 'GET',
+    params,
+    headers = {},
+    body,
+    parse = 'json',
+    signal,
+    timeoutMs = 20000,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    retryStatuses = DEFAULT_RETRY_STATUSES,
+    retryIf,
+    onRetry,
+  } = options
+  const list = rankEndpoints((Array.isArray(endpoints) ? endpoints : [endpoints]).filter(Boolean))
+  if (list.length === 0) return { ok: false, status: 0, data: null, endpoint: null, attempts: 0, error: 'No endpoints configured', reason: 'No endpoints configured' }
+  const maxAttempts = options.maxAttempts ?? Math.max(4, list.length * 2)
+
+  let lastError = null
+  let lastReason = null
+  let lastStatus = 0
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const endpoint = list[(attempt - 1) % list.length]
+    const host = hostOf(endpoint)
+    await acquireToken(host, signal)
+
+    const started = Date.now()
+    const { res, data, error } = await attemptOnce(buildUrl(endpoint, path, params), { method, headers, body, parse, timeoutMs, signal })
+
+    let reason = error || null
+    let retryAfterMs = null
+    if (res) {
+      lastStatus = res.status
+      if (retryStatuses.includes(res.status)) {
+        reason = `HTTP ${res.status}`
+        retryAfterMs = parseRetryAfter(res.headers.get('Retry-After'))
+        if (retryAfterMs != null) blockHost(host, retryAfterMs)
+      } else {
+        reason = retryIf?.(data, res) || null
+      }
+    }
+
+    if (!reason) {
+      recordSuccess(endpoint, Date.now() - started)
+      return { ok: res.ok, status: res.status, data, endpoint, attempts: attempt }
+    }
+
+    recordFailure(endpoint)
+    lastReason = reason
+    lastError = `${endpoint}: ${reason}`
+    if (attempt === maxAttempts) break
+
+    // Fail over straight away while there are untried endpoints in this round;
+    // back off once every endpoint has failed. Retry-After is enforced per host
+    // by the token bucket, so it only delays the next round if it's longer.
+    const endOfRound = attempt % list.length === 0
+    const waitMs = endOfRound ? backoffDelay(Math.floor((attempt - 1) / list.length), baseDelayMs, maxDelayMs) : 0
+    onRetry?.({ attempt, endpoint, reason, waitMs: Math.max(waitMs, retryAfterMs || 0) })
+    if (waitMs > 0) await sleep(waitMs, signal)
+  }
+
+  return { ok: false, status: lastStatus, data: null, endpoint: null, attempts: maxAttempts, error: lastError, reason: lastReason }
+}
+
+/**
+ * transportFetch for callers that only care about a successful JSON body.
+ * Throws an Error (with `status`) for failures and non-2xx responses.
+ */
+export async function requestJson(endpoints, path = '', options = {}) {
+  const result = await transportFetch(endpoints, path, { ...options, parse: 'json' })
+  if (result.ok) return result.data
+  const err = new Error(result.error || `HTTP ${result.status}`)
+  err.status = result.status
+  throw err
+}
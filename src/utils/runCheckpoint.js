@@ -0,0 +1,141 @@
+// ─── Resumable run checkpoints (IndexedDB) ───────────────────────────────────
+// A batch that runs for an hour can be cut short by a closed tab or a sleeping
+// machine. While it runs, a tool keeps a checkpoint — the input lines, the
+// network and settings it was started with, and each line's outcome so far —
+// so the next visit can pick up where it stopped. There is at most one
+// checkpoint per tool; a run that finishes clears it, a stopped one keeps it.
+//
+//   jobs:  { tool, network, settings, total, startedAt, updatedAt, status: 'running' | 'stopped' }
+//   lines: { tool, index: -1, input: [line…] } and { tool, index, outcome }
+//
+// Outcomes are buffered by createCheckpointWriter and written about once a
+// second, so a fast run costs one small transaction per flush, not per line.
+
+const DB_NAME = 'mbg_run_checkpoints'
+const DB_VERSION = 1
+const JOBS_STORE = 'jobs'
+const LINES_STORE = 'lines'
+const INPUT_LINE = -1
+const FLUSH_INTERVAL_MS = 1000
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        db.createObjectStore(JOBS_STORE, { keyPath: 'tool' })
+        db.createObjectStore(LINES_STORE, { keyPath: ['tool', 'index'] })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(err => {
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+  })
+}
+
+const toolLines = (tool) => IDBKeyRange.bound([tool, INPUT_LINE], [tool, Infinity])
+
+/** Replace the tool's checkpoint with a fresh one for `input` (an array of lines). */
+export async function startCheckpoint(tool, { network = null, settings = {}, input, startedAt = Date.now() }) {
+  const db = await openDb()
+  const tx = db.transaction([JOBS_STORE, LINES_STORE], 'readwrite')
+  const lines = tx.objectStore(LINES_STORE)
+  lines.delete(toolLines(tool))
+  lines.put({ tool, index: INPUT_LINE, input })
+  tx.objectStore(JOBS_STORE).put({ tool, network, settings, total: input.length, startedAt, updatedAt: Date.now(), status: 'running' })
+  await transactionDone(tx)
+}
+
+/** Set the checkpoint's status ('running' | 'stopped'); a no-op when there is none. */
+export async function markCheckpoint(tool, status) {
+  const db = await openDb()
+  const tx = db.transaction(JOBS_STORE, 'readwrite')
+  const store = tx.objectStore(JOBS_STORE)
+  const job = await requestToPromise(store.get(tool))
+  if (job) store.put({ ...job, status, updatedAt: Date.now() })
+  await transactionDone(tx)
+}
+
+/**
+ * The tool's checkpoint — job metadata plus `input` and `outcomes` (a sparse
+ * array aligned with input) — or null when there is none.
+ */
+export async function loadCheckpoint(tool) {
+  const db = await openDb()
+  const tx = db.transaction([JOBS_STORE, LINES_STORE], 'readonly')
+  const job = await requestToPromise(tx.objectStore(JOBS_STORE).get(tool))
+  if (!job) return null
+  const records = await requestToPromise(tx.objectStore(LINES_STORE).getAll(toolLines(tool)))
+  const input = records.find(r => r.index === INPUT_LINE)?.input ?? []
+  const outcomes = new Array(input.length)
+  for (const r of records) {
+    if (r.index !== INPUT_LINE) outcomes[r.index] = r.outcome
+  }
+  return { ...job, input, outcomes }
+}
+
+export async function clearCheckpoint(tool) {
+  const db = await openDb()
+  const tx = db.transaction([JOBS_STORE, LINES_STORE], 'readwrite')
+  tx.objectStore(JOBS_STORE).delete(tool)
+  tx.objectStore(LINES_STORE).delete(toolLines(tool))
+  await transactionDone(tx)
+}
+
+/**
+ * Buffers per-line outcomes for the tool's checkpoint. `record(index, outcome)`
+ * queues a write; `flush()` writes whatever is queued and resolves once stored.
+ */
+export function createCheckpointWriter(tool, intervalMs = FLUSH_INTERVAL_MS) {
+  let queued = new Map()
+  let timer = null
+  let writing = Promise.resolve()
+
+  const flush = () => {
+    clearTimeout(timer)
+    timer = null
+    if (queued.size === 0) return writing
+    const batch = queued
+    queued = new Map()
+    writing = writing.then(async () => {
+      const db = await openDb()
+      const tx = db.transaction([JOBS_STORE, LINES_STORE], 'readwrite')
+      const lines = tx.objectStore(LINES_STORE)
+      for (const [index, outcome] of batch) lines.put({ tool, index, outcome })
+      const jobs = tx.objectStore(JOBS_STORE)
+      const job = await requestToPromise(jobs.get(tool))
+      if (job) jobs.put({ ...job, updatedAt: Date.now() })
+      await transactionDone(tx)
+    }).catch(err => console.error('Failed to write run checkpoint:', err))
+    return writing
+  }
+
+  return {
+    record(index, outcome) {
+      queued.set(index, outcome)
+      if (!timer) timer = setTimeout(flush, intervalMs)
+    },
+    flush,
+  }
+}
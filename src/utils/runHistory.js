@@ -0,0 +1,221 @@
+// ─── Run history (IndexedDB) ─────────────────────────────────────────────────
+// Every finished (or stopped) batch run is saved so it survives a refresh and
+// can be reopened, diffed against another run or re-run for its failed items.
+//
+// Each tool describes its rows with a small config object:
+//
+//   {
+//     tool: 'onchain-check',            // history bucket
+//     keyOf: (item) => string,          // identity used to line up rows in a diff
+//     statusOf: (item) => string,       // what a diff compares
+//     isFailed: (item) => boolean,      // rows offered for "Re-run failed"
+//     inputOf?: (item) => string,       // input line to re-run (default keyOf)
+//   }
+//
+// Runs of tens of thousands of rows are written in chunks across separate
+// transactions, yielding to the event loop in between, so saving never blocks
+// the UI for long. Metadata lives in its own store so listing stays cheap.
+
+const DB_NAME = 'mbg_run_history'
+const DB_VERSION = 1
+const RUNS_STORE = 'runs'
+const CHUNKS_STORE = 'chunks'
+const CHUNK_SIZE = 2000
+const INPUT_CHUNK = -1
+const MAX_RUNS_PER_TOOL = 25
+
+export const RUN_HISTORY_EVENT = 'mbg:run-history'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        const runs = db.createObjectStore(RUNS_STORE, { keyPath: 'id' })
+        runs.createIndex('tool', 'tool')
+        db.createObjectStore(CHUNKS_STORE, { keyPath: ['runId', 'index'] })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(err => {
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+  })
+}
+
+const yieldToUi = () => new Promise(resolve => setTimeout(resolve, 0))
+
+function notifyChanged(tool) {
+  window.dispatchEvent(new CustomEvent(RUN_HISTORY_EVENT, { detail: { tool } }))
+}
+
+function newRunId() {
+  return crypto.randomUUID ? crypto.randomUUID() : `run-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Save a run. `failedInputs` overrides the per-row isFailed() for tools whose
+ * failures aren't rows (e.g. BTC Fetcher addresses that never completed).
+ * Returns the new run id.
+ */
+export async function saveRun(config, { network = null, settings = {}, input = '', items = [], failedInputs = null, startedAt = null }) {
+  const db = await openDb()
+  const id = newRunId()
+  const failedCount = failedInputs ? failedInputs.length : items.filter(config.isFailed).length
+  const meta = {
+    id,
+    tool: config.tool,
+    network,
+    settings,
+    startedAt: startedAt || Date.now(),
+    finishedAt: Date.now(),
+    total: items.length,
+    failed: failedCount,
+    failedInputs,
+    chunkCount: Math.ceil(items.length / CHUNK_SIZE),
+  }
+
+  // Rows first, metadata last — a run only shows up in the list once complete
+  const inputTx = db.transaction(CHUNKS_STORE, 'readwrite')
+  inputTx.objectStore(CHUNKS_STORE).put({ runId: id, index: INPUT_CHUNK, input })
+  await transactionDone(inputTx)
+
+  for (let c = 0; c < meta.chunkCount; c++) {
+    await yieldToUi()
+    const tx = db.transaction(CHUNKS_STORE, 'readwrite')
+    tx.objectStore(CHUNKS_STORE).put({ runId: id, index: c, items: items.slice(c * CHUNK_SIZE, (c + 1) * CHUNK_SIZE) })
+    await transactionDone(tx)
+  }
+
+  const metaTx = db.transaction(RUNS_STORE, 'readwrite')
+  metaTx.objectStore(RUNS_STORE).put(meta)
+  await transactionDone(metaTx)
+
+  await pruneRuns(config.tool)
+  notifyChanged(config.tool)
+  return id
+}
+
+/** Run metadata for a tool, newest first (no rows). */
+export async function listRuns(tool) {
+  const db = await openDb()
+  const tx = db.transaction(RUNS_STORE, 'readonly')
+  const runs = await requestToPromise(tx.objectStore(RUNS_STORE).index('tool').getAll(tool))
+  return runs.sort((a, b) => b.finishedAt - a.finishedAt)
+}
+
+/** Full run: metadata plus `input` and `items`. */
+export async function loadRun(id) {
+  const db = await openDb()
+  const metaTx = db.transaction(RUNS_STORE, 'readonly')
+  const meta = await requestToPromise(metaTx.objectStore(RUNS_STORE).get(id))
+  if (!meta) throw new Error('Run not found — it may have been deleted')
+
+  const chunksTx = db.transaction(CHUNKS_STORE, 'readonly')
+  const chunks = await requestToPromise(
+    chunksTx.objectStore(CHUNKS_STORE).getAll(IDBKeyRange.bound([id, INPUT_CHUNK], [id, Infinity]))
+  )
+  const input = chunks.find(c => c.index === INPUT_CHUNK)?.input ?? ''
+  const items = chunks
+    .filter(c => c.index !== INPUT_CHUNK)
+    .sort((a, b) => a.index - b.index)
+    .flatMap(c => c.items)
+  return { ...meta, input, items }
+}
+
+async function deleteRunRecords(db, id) {
+  const tx = db.transaction([RUNS_STORE, CHUNKS_STORE], 'readwrite')
+  tx.objectStore(RUNS_STORE).delete(id)
+  tx.objectStore(CHUNKS_STORE).delete(IDBKeyRange.bound([id, INPUT_CHUNK], [id, Infinity]))
+  await transactionDone(tx)
+}
+
+export async function deleteRun(id) {
+  const db = await openDb()
+  const metaTx = db.transaction(RUNS_STORE, 'readonly')
+  const meta = await requestToPromise(metaTx.objectStore(RUNS_STORE).get(id))
+  await deleteRunRecords(db, id)
+  if (meta) notifyChanged(meta.tool)
+}
+
+export async function clearRuns(tool) {
+  const db = await openDb()
+  for (const run of await listRuns(tool)) await deleteRunRecords(db, run.id)
+  notifyChanged(tool)
+}
+
+async function pruneRuns(tool) {
+  const db = await openDb()
+  const stale = (await listRuns(tool)).slice(MAX_RUNS_PER_TOOL)
+  for (const run of stale) await deleteRunRecords(db, run.id)
+}
+
+/** Calls fn(tool) whenever any run is saved or deleted. Returns an unsubscribe function. */
+export function subscribeRunHistory(fn) {
+  const handler = (e) => fn(e.detail?.tool)
+  window.addEventListener(RUN_HISTORY_EVENT, handler)
+  return () => window.removeEventListener(RUN_HISTORY_EVENT, handler)
+}
+
+/** Input lines to re-run for a loaded run — unique, in original order. */
+export function failedInputsOf(config, run) {
+  if (run.failedInputs) return run.failedInputs
+  const inputOf = config.inputOf || config.keyOf
+  return [...new Set(run.items.filter(config.isFailed).map(inputOf).filter(Boolean))]
+}
+
+/**
+ * Compare two loaded runs row by row (matched on keyOf). Returns
+ * { rows: [{ key, before, after, change }], counts } where change is
+ * 'added' | 'removed' | 'changed' and unchanged rows are only counted.
+ */
+export function diffRuns(config, base, other) {
+  const before = new Map()
+  for (const item of base.items) before.set(config.keyOf(item), config.statusOf(item))
+
+  const rows = []
+  const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 }
+  const seen = new Set()
+  for (const item of other.items) {
+    const key = config.keyOf(item)
+    if (seen.has(key)) continue
+    seen.add(key)
+    const after = config.statusOf(item)
+    if (!before.has(key)) {
+      rows.push({ key, before: null, after, change: 'added' })
+      counts.added++
+    } else if (before.get(key) !== after) {
+      rows.push({ key, before: before.get(key), after, change: 'changed' })
+      counts.changed++
+    } else {
+      counts.unchanged++
+    }
+  }
+  for (const [key, status] of before) {
+    if (!seen.has(key)) {
+      rows.push({ key, before: status, after: null, change: 'removed' })
+      counts.removed++
+    }
+  }
+  return { rows, counts }
+}
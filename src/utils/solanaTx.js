@@ -0,0 +1,128 @@
+// ─── Solana wire transactions ────────────────────────────────────────────────
+// Decodes a signed transaction (legacy or v0 message) far enough to preview
+// it before broadcasting: signatures, fee payer, durable nonce, SOL transfers
+// and the compute-budget priority fee.
+
+import { encodeBase58, decodeBase58 } from './base58'
+import { base64ToBytes } from './cosmosTx'
+
+export const LAMPORTS_PER_SIGNATURE = 5000
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111'
+const COMPUTE_BUDGET_PROGRAM = 'ComputeBudget111111111111111111111111111111'
+const DEFAULT_COMPUTE_UNITS = 200000
+
+/** Read a wire transaction in base58, base64 or hex into bytes. */
+export function solanaTxBytes(input) {
+  const text = input.trim().replace(/^["']|["']$/g, '')
+  if (/[+/=]/.test(text)) return base64ToBytes(text)
+  const hex = text.match(/^(?:0x)?([0-9a-fA-F]+)$/)
+  if (hex && hex[1].length % 2 === 0) {
+    return Uint8Array.from(hex[1].match(/.{2}/g), b => parseInt(b, 16))
+  }
+  if (/^[1-9A-HJ-NP-Za-km-z]+$/.test(text)) return decodeBase58(text)
+  return base64ToBytes(text)
+}
+
+function createReader(bytes) {
+  let pos = 0
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new Error('Transaction is truncated')
+    const out = bytes.subarray(pos, pos + n)
+    pos += n
+    return out
+  }
+  // compact-u16: 7 bits per byte, little-endian, at most 3 bytes
+  const shortvec = () => {
+    let value = 0
+    for (let shift = 0; shift < 21; shift += 7) {
+      const byte = take(1)[0]
+      value |= (byte & 0x7f) << shift
+      if ((byte & 0x80) === 0) return value
+    }
+    throw new Error('Invalid compact-u16 length')
+  }
+  return { take, shortvec, get pos() { return pos }, get remaining() { return bytes.length - pos } }
+}
+
+const readU32 = (b, o) => (b[o] | (b[o + 1] << 8) | (b[o + 2] << 16) | (b[o + 3] << 24)) >>> 0
+const readU64 = (b, o) => {
+  let v = 0n
+  for (let i = 7; i >= 0; i--) v = (v << 8n) | BigInt(b[o + i])
+  return v
+}
+
+/**
+ * Decode a signed wire transaction. Returns signatures (base58), fee payer,
+ * recent blockhash (or durable nonce), SOL transfer and fee in lamports.
+ */
+export function decodeSolanaTx(bytes) {
+  const r = createReader(bytes)
+  const sigCount = r.shortvec()
+  if (sigCount === 0) throw new Error('Transaction carries no signatures')
+  const signatures = []
+  for (let i = 0; i < sigCount; i++) signatures.push(encodeBase58(r.take(64)))
+
+  const versioned = (bytes[r.pos] & 0x80) !== 0
+  const version = versioned ? r.take(1)[0] & 0x7f : 'legacy'
+  const [requiredSignatures] = r.take(3)
+  if (requiredSignatures !== sigCount) {
+    throw new Error(`Header expects ${requiredSignatures} signatures, found ${sigCount}`)
+  }
+
+  const keyCount = r.shortvec()
+  const keys = []
+  for (let i = 0; i < keyCount; i++) keys.push(encodeBase58(r.take(32)))
+  const recentBlockhash = encodeBase58(r.take(32))
+
+  const instructions = []
+  const ixCount = r.shortvec()
+  for (let i = 0; i < ixCount; i++) {
+    const programIndex = r.take(1)[0]
+    const accounts = Array.from(r.take(r.shortvec()))
+    const data = r.take(r.shortvec())
+    instructions.push({ program: keys[programIndex] ?? null, accounts, data })
+  }
+  // v0 address-table lookups follow; accounts resolved through them are
+  // unknown offline, so they are skipped
+  if (versioned) {
+    const lookups = r.shortvec()
+    for (let i = 0; i < lookups; i++) {
+      r.take(32)
+      r.take(r.shortvec())
+      r.take(r.shortvec())
+    }
+  }
+  if (r.remaining !== 0) throw new Error(`${r.remaining} trailing bytes after message`)
+
+  let transfer = null
+  let durableNonce = false
+  let unitLimit = DEFAULT_COMPUTE_UNITS
+  let microLamportsPerUnit = 0n
+  for (const ix of instructions) {
+    if (ix.program === SYSTEM_PROGRAM && ix.data.length >= 4) {
+      const kind = readU32(ix.data, 0)
+      if (kind === 2 && ix.data.length >= 12 && !transfer) {
+        transfer = { from: keys[ix.accounts[0]], to: keys[ix.accounts[1]], lamports: readU64(ix.data, 4) }
+      } else if (kind === 4) {
+        durableNonce = true
+      }
+    } else if (ix.program === COMPUTE_BUDGET_PROGRAM && ix.data.length > 0) {
+      if (ix.data[0] === 2 && ix.data.length >= 5) unitLimit = readU32(ix.data, 1)
+      if (ix.data[0] === 3 && ix.data.length >= 9) microLamportsPerUnit = readU64(ix.data, 1)
+    }
+  }
+
+  const priorityFee = (microLamportsPerUnit * BigInt(unitLimit) + 999999n) / 1000000n
+  return {
+    version,
+    signatures,
+    feePayer: keys[0],
+    recentBlockhash,
+    durableNonce,
+    transfer,
+    baseFee: BigInt(LAMPORTS_PER_SIGNATURE * sigCount),
+    priorityFee,
+    instructionCount: instructions.length,
+  }
+}
@@ -0,0 +1,209 @@
+// ─── Stellar transaction envelopes ───────────────────────────────────────────
+// Reads a base64 TransactionEnvelope XDR (v0, v1 or fee-bump) far enough to
+// preview source account, fee, sequence and the first payment, and computes
+// the network-specific hash Horizon will report.
+
+import { sha256 } from 'viem'
+import { base64ToBytes } from './cosmosTx'
+
+export const STROOPS_PER_XLM = 10000000
+
+export const NETWORK_PASSPHRASES = {
+  public: 'Public Global Stellar Network ; September 2015',
+  testnet: 'Test SDF Network ; September 2015',
+}
+
+const ENVELOPE_TX_V0 = 0
+const ENVELOPE_TX = 2
+const ENVELOPE_TX_FEE_BUMP = 5
+const KEY_TYPE_ED25519 = 0
+const KEY_TYPE_MUXED_ED25519 = 0x100
+
+// ─── StrKey (G… / M… addresses) ──
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+function crc16Xmodem(bytes) {
+  let crc = 0
+  for (const byte of bytes) {
+    crc ^= byte << 8
+    for (let i = 0; i < 8; i++) crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+  }
+  return crc
+}
+
+function encodeStrKey(versionByte, payload) {
+  const data = new Uint8Array([versionByte, ...payload])
+  const crc = crc16Xmodem(data)
+  const full = new Uint8Array([...data, crc & 0xff, crc >> 8])
+  let bits = 0
+  let value = 0
+  let out = ''
+  for (const byte of full) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return out
+}
+
+const accountStrKey = (key) => encodeStrKey(6 << 3, key)
+const muxedStrKey = (key, id) => encodeStrKey(12 << 3, [...key, ...id])
+
+// ─── XDR reader ──
+
+function createReader(bytes) {
+  let pos = 0
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new Error('Envelope is truncated')
+    const out = bytes.subarray(pos, pos + n)
+    pos += n
+    return out
+  }
+  const u32 = () => {
+    const b = take(4)
+    return ((b[0] << 24) | (b[1] << 16) | (b[2] << 8) | b[3]) >>> 0
+  }
+  const i64 = () => {
+    const b = take(8)
+    let v = 0n
+    for (const byte of b) v = (v << 8n) | BigInt(byte)
+    return BigInt.asIntN(64, v)
+  }
+  const opaque = () => take((u32() + 3) & ~3)
+  return { take, u32, i64, opaque, get pos() { return pos } }
+}
+
+function readMuxedAccount(r) {
+  const type = r.u32()
+  if (type === KEY_TYPE_ED25519) return accountStrKey(r.take(32))
+  if (type === KEY_TYPE_MUXED_ED25519) {
+    const id = r.take(8)
+    return muxedStrKey(r.take(32), id)
+  }
+  throw new Error(`Unknown account type ${type}`)
+}
+
+function readAccountId(r) {
+  if (r.u32() !== KEY_TYPE_ED25519) throw new Error('Unknown public key type')
+  return accountStrKey(r.take(32))
+}
+
+function readAsset(r) {
+  const type = r.u32()
+  if (type === 0) return 'XLM'
+  const code = String.fromCharCode(...r.take(type === 1 ? 4 : 12)).replace(/\0/g, '')
+  readAccountId(r)
+  return code
+}
+
+function skipSignerKey(r) {
+  const type = r.u32()
+  r.take(32)
+  if (type === 3) r.opaque() // ed25519 signed payload
+}
+
+function skipPreconditions(r) {
+  const type = r.u32()
+  if (type === 1) r.take(16)
+  if (type !== 2) return
+  if (r.u32()) r.take(16) // timeBounds
+  if (r.u32()) r.take(8) // ledgerBounds
+  if (r.u32()) r.take(8) // minSeqNum
+  r.take(12) // minSeqAge + minSeqLedgerGap
+  const extraSigners = r.u32()
+  for (let i = 0; i < extraSigners; i++) skipSignerKey(r)
+}
+
+function skipMemo(r) {
+  const type = r.u32()
+  if (type === 1) r.opaque()
+  else if (type === 2) r.take(8)
+  else if (type === 3 || type === 4) r.take(32)
+}
+
+// Reads the body shared by v0 and v1 transactions after the source account
+function readTxBody(r, v0) {
+  const fee = BigInt(r.u32())
+  const sequence = r.i64()
+  if (v0) {
+    if (r.u32()) r.take(16)
+  } else {
+    skipPreconditions(r)
+  }
+  skipMemo(r)
+
+  const opCount = r.u32()
+  let operation = null
+  if (opCount > 0) {
+    if (r.u32()) readMuxedAccount(r)
+    const type = r.u32()
+    if (type === 0) {
+      operation = { type: 'createAccount', to: readAccountId(r), asset: 'XLM', amount: r.i64() }
+    } else if (type === 1) {
+      const to = readMuxedAccount(r)
+      const asset = readAsset(r)
+      operation = { type: 'payment', to, asset, amount: r.i64() }
+    } else {
+      operation = { type: `op ${type}` }
+    }
+  }
+  return { fee, sequence, opCount, operation }
+}
+
+// The signature list is the tail of every envelope; find where it starts by
+// matching `count` DecoratedSignatures (4-byte hint + 64-byte opaque) at the end
+function signaturesStart(bytes, from) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  for (let count = 0; count <= 20; count++) {
+    const start = bytes.length - 4 - count * 72
+    if (start < from) break
+    if (view.getUint32(start) !== count) continue
+    let ok = true
+    for (let i = 0; i < count && ok; i++) ok = view.getUint32(start + 4 + i * 72 + 4) === 64
+    if (ok) return start
+  }
+  throw new Error('Could not locate the signature list')
+}
+
+/**
+ * Decode a base64 envelope. Returns source, fee (stroops), sequence, first
+ * operation and the hash for the given network passphrase.
+ */
+export function decodeStellarTx(base64, passphrase = NETWORK_PASSPHRASES.public) {
+  const bytes = base64ToBytes(base64)
+  const r = createReader(bytes)
+  const envelopeType = r.u32()
+  const txStart = r.pos
+  let tagged
+  let result
+
+  if (envelopeType === ENVELOPE_TX_V0) {
+    const source = accountStrKey(r.take(32))
+    result = { source, ...readTxBody(r, true) }
+    // v0 is hashed as its v1 equivalent: an ed25519 MuxedAccount tag in front
+    tagged = [0, 0, 0, ENVELOPE_TX, 0, 0, 0, 0, ...bytes.subarray(txStart, signaturesStart(bytes, r.pos))]
+  } else if (envelopeType === ENVELOPE_TX) {
+    const source = readMuxedAccount(r)
+    result = { source, ...readTxBody(r, false) }
+    tagged = [0, 0, 0, ENVELOPE_TX, ...bytes.subarray(txStart, signaturesStart(bytes, r.pos))]
+  } else if (envelopeType === ENVELOPE_TX_FEE_BUMP) {
+    const source = readMuxedAccount(r)
+    const fee = r.i64()
+    if (r.u32() !== ENVELOPE_TX) throw new Error('Fee-bump wraps an unsupported transaction type')
+    const innerSource = readMuxedAccount(r)
+    const inner = readTxBody(r, false)
+    result = { ...inner, source, innerSource, fee, feeBump: true }
+    tagged = [0, 0, 0, ENVELOPE_TX_FEE_BUMP, ...bytes.subarray(txStart, signaturesStart(bytes, r.pos))]
+  } else {
+    throw new Error(`Unknown envelope type ${envelopeType}`)
+  }
+
+  const networkId = sha256(new TextEncoder().encode(passphrase), 'bytes')
+  const hash = sha256(new Uint8Array([...networkId, ...tagged]), 'hex').slice(2)
+  return { ...result, hash }
+}
@@ -0,0 +1,176 @@
+// ─── Substrate extrinsics ────────────────────────────────────────────────────
+// Broadcaster takes a signed extrinsic as hex — exactly what
+// author_submitExtrinsic accepts: a SCALE compact length prefix, a version byte
+// (0x84 = signed v4, 0x45 = general v5), the signer's MultiAddress and
+// MultiSignature, then the signed extensions. Only the leading extensions are
+// common to every chain — era, nonce, tip — so decoding stops there; the call
+// itself depends on the chain's metadata.
+//
+// The extrinsic hash is blake2-256 of the whole encoding, length prefix
+// included. A mortal era is (period, phase): the extrinsic is valid for
+// `period` blocks from the birth block it was signed against, whose hash is
+// part of the signed payload but not of the extrinsic — so whether it has
+// expired is asked of the node (validateSubstrateExtrinsic), not guessed.
+//
+// Decoded: { hash, version, signed, signer, signatureType, era: { immortal } |
+//            { immortal: false, period, phase }, nonce, tip }
+
+import { blake2b } from '@noble/hashes/blake2b'
+import { hexToBytes, bytesToHex } from 'viem'
+import { encodeBase58 } from './base58'
+import { browserRpcUrl } from '../config/proxy'
+import { transportFetch } from './rpcTransport'
+
+const SIGNATURE_TYPES = { 0: ['Ed25519', 64], 1: ['Sr25519', 64], 2: ['Ecdsa', 65] }
+
+// ── SCALE ──
+
+function createScaleReader(bytes) {
+  let pos = 0
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new Error('Truncated extrinsic')
+    const out = bytes.slice(pos, pos + n)
+    pos += n
+    return out
+  }
+  const le = (raw) => raw.reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n)
+  return {
+    get pos() { return pos },
+    take,
+    u8: () => take(1)[0],
+    u64: () => le(take(8)),
+    compact() {
+      const mode = bytes[pos] & 3
+      if (mode === 0) return BigInt(take(1)[0] >> 2)
+      if (mode === 1) return le(take(2)) >> 2n
+      if (mode === 2) return le(take(4)) >> 2n
+      return le(take((take(1)[0] >> 2) + 4))
+    },
+  }
+}
+
+// ── Addresses ──
+
+const SS58_PREFIX = new TextEncoder().encode('SS58PRE')
+
+/** SS58 address of a 32-byte account id under a network prefix (0 Polkadot, 2 Kusama, 42 generic). */
+export function ss58Address(accountId, prefix = 42) {
+  const ident = prefix < 64
+    ? [prefix]
+    : [((prefix & 0xfc) >> 2) | 0x40, (prefix >> 8) | ((prefix & 3) << 6)]
+  const body = [...ident, ...accountId]
+  const checksum = blake2b(Uint8Array.from([...SS58_PREFIX, ...body]), { dkLen: 64 })
+  return encodeBase58(Uint8Array.from([...body, checksum[0], checksum[1]]))
+}
+
+// MultiAddress: Id(AccountId32) | Index(Compact) | Raw(Vec<u8>) | Address32 | Address20
+function readMultiAddress(reader, ss58Prefix) {
+  const tag = reader.u8()
+  if (tag === 0 || tag === 3) return ss58Address(reader.take(32), ss58Prefix)
+  if (tag === 1) return `index ${reader.compact()}`
+  if (tag === 2) return bytesToHex(reader.take(Number(reader.compact())))
+  if (tag === 4) return bytesToHex(reader.take(20))
+  throw new Error(`Unsupported signer address type ${tag}`)
+}
+
+// ── Era ──
+
+// Era extension: 0x00 is immortal, otherwise two bytes encoding (period, phase)
+function decodeEra(reader) {
+  const first = reader.u8()
+  if (first === 0) return { immortal: true }
+  const encoded = first | (reader.u8() << 8)
+  const period = 2 ** ((encoded & 0xf) + 1)
+  const quantizeFactor = Math.max(period >> 12, 1)
+  const phase = (encoded >> 4) * quantizeFactor
+  if (period < 4 || phase >= period) throw new Error('Invalid mortal era')
+  return { immortal: false, period, phase }
+}
+
+// ── Extrinsic ──
+
+export function substrateExtrinsicBytes(payload) {
+  const hex = payload.trim().replace(/^0x/i, '')
+  if (!/^([0-9a-f]{2})+$/i.test(hex)) throw new Error('Not a Substrate extrinsic (expected hex)')
+  return hexToBytes(`0x${hex}`)
+}
+
+export const substrateExtrinsicHash = (bytes) => bytesToHex(blake2b(bytes, { dkLen: 32 }))
+
+/** Decode a hex extrinsic; `ss58Prefix` only affects how the signer is printed. */
+export function decodeSubstrateExtrinsic(payload, { ss58Prefix = 42 } = {}) {
+  const bytes = substrateExtrinsicBytes(payload)
+  const reader = createScaleReader(bytes)
+  const length = Number(reader.compact())
+  if (length !== bytes.length - reader.pos) {
+    throw new Error(`Length prefix says ${length} bytes, but ${bytes.length - reader.pos} follow`)
+  }
+  const versionByte = reader.u8()
+  const version = versionByte & 0x3f
+  const hash = substrateExtrinsicHash(bytes)
+  const base = { hash, version, signed: false, signer: null, signatureType: null, era: null, nonce: null, tip: null }
+
+  if (version === 4 && versionByte & 0x80) {
+    const signer = readMultiAddress(reader, ss58Prefix)
+    const [signatureType, signatureLength] = SIGNATURE_TYPES[reader.u8()] ?? []
+    if (!signatureType) throw new Error('Unsupported signature type')
+    reader.take(signatureLength)
+    return { ...base, signed: true, signer, signatureType, era: decodeEra(reader), nonce: reader.compact(), tip: reader.compact() }
+  }
+  if (version === 5 && (versionByte & 0xc0) === 0x40) {
+    // General transaction: extension version, then the extensions (the
+    // signature lives in an extension such as VerifySignature)
+    reader.u8()
+    return { ...base, signed: true, era: decodeEra(reader), nonce: reader.compact(), tip: reader.compact() }
+  }
+  if (version !== 4 && version !== 5) throw new Error(`Unsupported extrinsic version ${version}`)
+  return base
+}
+
+// ── Node validation ──
+
+const INVALID_TRANSACTION = [
+  'Call', 'Payment', 'Future', 'Stale', 'BadProof', 'AncientBirthBlock', 'ExhaustsResources',
+  'Custom', 'BadMandatory', 'MandatoryValidation', 'BadSigner', 'IndeterminateImplicit', 'UnknownOrigin',
+]
+const UNKNOWN_TRANSACTION = ['CannotLookup', 'NoUnsignedValidator', 'Custom']
+
+const jsonRpc = async (rpc, method, params, signal) => {
+  const res = await transportFetch(browserRpcUrl(rpc), '', {
+    method: 'POST',
+    body: { jsonrpc: '2.0', id: 1, method, params },
+    maxAttempts: 2,
+    timeoutMs: 15000,
+    signal,
+  })
+  if (res.data?.error) throw new Error(res.data.error.message || 'RPC error')
+  if (res.data?.result == null) throw new Error(`No result from ${method}`)
+  return res.data.result
+}
+
+/**
+ * Ask the node whether the extrinsic would enter its pool right now
+ * (TaggedTransactionQueue_validate_transaction against the best block).
+ * Resolves { valid: true, blocksLeft } — blocksLeft is the remaining
+ * longevity, i.e. blocks until the era runs out — or { valid: false, reason }.
+ */
+export async function validateSubstrateExtrinsic(rpc, payload, { signal } = {}) {
+  const extrinsic = bytesToHex(substrateExtrinsicBytes(payload)).slice(2)
+  const bestHash = await jsonRpc(rpc, 'chain_getBlockHash', [], signal)
+  // (source: TransactionSource::External, tx, block_hash)
+  const result = hexToBytes(await jsonRpc(rpc, 'state_call', ['TaggedTransactionQueue_validate_transaction', `0x02${extrinsic}${bestHash.slice(2)}`, bestHash], signal))
+  const reader = createScaleReader(result)
+  if (reader.u8() === 0) {
+    // ValidTransaction { priority: u64, requires, provides: Vec<Vec<u8>>, longevity: u64, propagate }
+    reader.take(8)
+    for (let list = 0; list < 2; list++) {
+      const count = Number(reader.compact())
+      for (let i = 0; i < count; i++) reader.take(Number(reader.compact()))
+    }
+    const longevity = reader.u64()
+    return { valid: true, blocksLeft: longevity >= 2n ** 63n ? null : Number(longevity) }
+  }
+  const kind = reader.u8()
+  const names = kind === 0 ? INVALID_TRANSACTION : UNKNOWN_TRANSACTION
+  return { valid: false, reason: `${kind === 0 ? 'Invalid' : 'Unknown'}: ${names[reader.u8()] ?? 'unrecognised'}` }
+}
@@ -0,0 +1,185 @@
+// ─── Sui signed transactions ─────────────────────────────────────────────────
+// sui_executeTransactionBlock takes the BCS TransactionData (base64) and its
+// signatures separately, so a Broadcaster line carries both: either the
+// { bytes, signature } JSON a wallet's signTransaction returns (txBytes /
+// tx_bytes and signatures arrays are accepted too), or the base64 blobs
+// separated by spaces or commas — transaction bytes first, then each signature.
+// Sui has no account nonce; the gas coin's object version plays that role, and
+// the digest is base58(blake2b-256("TransactionData::" ‖ bytes)).
+//
+// Decoded: { digest, sender, gasOwner, gasBudget, gasPrice, gasPayment: [{ id, version }],
+//            expirationEpoch, commands: [name…], to, amount, signers: [address | null] }
+// Amounts are bigint MIST.
+
+import { blake2b } from '@noble/hashes/blake2b'
+import { bytesToHex } from 'viem'
+import { base64ToBytes } from './cosmosTx'
+import { encodeBase58 } from './base58'
+import { createBcsReader, readTypeTag, shortMoveAddress, pureU64, pureAddress } from './bcs'
+
+export const MIST_PER_SUI = 1000000000
+
+const BASE64_RE = /^[A-Za-z0-9+/]+={0,2}$/
+
+// Serialized signature: flag ‖ signature ‖ public key; the signer address is
+// blake2b-256(flag ‖ public key) for the single-key schemes
+const SIGNATURE_SCHEMES = {
+  0: { name: 'Ed25519', signatureLength: 64, keyLength: 32 },
+  1: { name: 'Secp256k1', signatureLength: 64, keyLength: 33 },
+  2: { name: 'Secp256r1', signatureLength: 64, keyLength: 33 },
+}
+
+// ── Input shapes ──
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+
+/** { txBytes, signatures } (base64) from a Broadcaster line, or null when it isn't one. */
+export function parseSuiPayload(payload) {
+  const text = payload.trim()
+  let txBytes
+  let signatures
+  if (text.startsWith('{')) {
+    try {
+      const json = JSON.parse(text)
+      txBytes = json.bytes ?? json.txBytes ?? json.tx_bytes ?? json.transactionBlockBytes
+      signatures = toList(json.signatures ?? json.signature)
+    } catch {
+      return null
+    }
+  } else {
+    ;[txBytes, ...signatures] = text.split(/[\s,]+/)
+  }
+  if (typeof txBytes !== 'string' || !BASE64_RE.test(txBytes)) return null
+  if (!signatures.every(s => typeof s === 'string' && BASE64_RE.test(s))) return null
+  try {
+    // TransactionData::V1 is the only version
+    if (base64ToBytes(txBytes)[0] !== 0) return null
+  } catch {
+    return null
+  }
+  return { txBytes, signatures }
+}
+
+// ── Programmable transaction ──
+
+const readObjectRef = (r) => {
+  const id = r.address()
+  const version = r.u64()
+  r.vecBytes()
+  return { id, version }
+}
+
+function readCallArg(reader) {
+  const variant = reader.uleb128()
+  if (variant === 0) return { pure: reader.vecBytes() }
+  if (variant !== 1) throw new Error(`Unsupported Sui input kind ${variant}`)
+  const objectKind = reader.uleb128()
+  if (objectKind === 0 || objectKind === 2) return { object: readObjectRef(reader) }
+  if (objectKind === 1) {
+    const id = reader.address()
+    reader.u64()
+    reader.bool()
+    return { object: { id, version: null } }
+  }
+  throw new Error(`Unsupported Sui object input ${objectKind}`)
+}
+
+// Argument: GasCoin | Input(u16) | Result(u16) | NestedResult(u16, u16)
+function readArgument(reader) {
+  const variant = reader.uleb128()
+  if (variant === 0) return { gas: true }
+  if (variant === 1) return { input: reader.u16() }
+  if (variant === 2) return { result: reader.u16() }
+  if (variant === 3) return { result: reader.u16(), nested: reader.u16() }
+  throw new Error(`Unsupported Sui argument ${variant}`)
+}
+
+const readArguments = (r) => r.vector(readArgument)
+const readModules = (r) => r.vector(m => m.vecBytes())
+const readIds = (r) => r.vector(m => m.address())
+
+function readCommand(reader) {
+  const variant = reader.uleb128()
+  switch (variant) {
+    case 0: {
+      const target = `${shortMoveAddress(reader.address())}::${reader.string()}::${reader.string()}`
+      reader.vector(readTypeTag)
+      return { name: target, args: readArguments(reader) }
+    }
+    case 1: return { name: 'TransferObjects', objects: readArguments(reader), recipient: readArgument(reader) }
+    case 2: return { name: 'SplitCoins', coin: readArgument(reader), amounts: readArguments(reader) }
+    case 3: return { name: 'MergeCoins', coin: readArgument(reader), sources: readArguments(reader) }
+    case 4: readModules(reader); readIds(reader); return { name: 'Publish' }
+    case 5: reader.option(readTypeTag); readArguments(reader); return { name: 'MakeMoveVec' }
+    case 6: readModules(reader); readIds(reader); reader.address(); readArgument(reader); return { name: 'Upgrade' }
+    default: throw new Error(`Unsupported Sui command ${variant}`)
+  }
+}
+
+// The common "send SUI" shape: SplitCoins(GasCoin, [amounts…]) then
+// TransferObjects([…], recipient) with both values passed as pure inputs
+function summarizeTransfer(inputs, commands) {
+  const pure = (arg) => (arg?.input != null ? inputs[arg.input]?.pure : null)
+  const transfer = commands.find(c => c.name === 'TransferObjects')
+  const split = commands.find(c => c.name === 'SplitCoins' && c.coin.gas)
+  const amounts = split ? split.amounts.map(a => pureU64(pure(a))) : []
+  return {
+    to: transfer ? pureAddress(pure(transfer.recipient)) : null,
+    amount: amounts.length && amounts.every(a => a != null) ? amounts.reduce((sum, a) => sum + a, 0n) : null,
+  }
+}
+
+// ── Transaction data ──
+
+export function suiDigest(bytes) {
+  const prefixed = Uint8Array.from([...new TextEncoder().encode('TransactionData::'), ...bytes])
+  return encodeBase58(blake2b(prefixed, { dkLen: 32 }))
+}
+
+/** Address of a single-key signature; null for multisig, zkLogin and passkeys. */
+export function suiSignerAddress(signatureBase64) {
+  const bytes = base64ToBytes(signatureBase64)
+  const scheme = SIGNATURE_SCHEMES[bytes[0]]
+  if (!scheme || bytes.length !== 1 + scheme.signatureLength + scheme.keyLength) return null
+  const publicKey = bytes.slice(1 + scheme.signatureLength)
+  return bytesToHex(blake2b(Uint8Array.from([bytes[0], ...publicKey]), { dkLen: 32 }))
+}
+
+/** Decode a Broadcaster Sui line (transaction bytes plus signatures). */
+export function decodeSuiTx(payload) {
+  const parsed = parseSuiPayload(payload)
+  if (!parsed) throw new Error('Not a Sui transaction (expected base64 tx bytes and signatures)')
+  const bytes = base64ToBytes(parsed.txBytes)
+  const reader = createBcsReader(bytes)
+  reader.uleb128()
+
+  const kind = reader.uleb128()
+  if (kind !== 0) throw new Error('Only programmable transactions can be submitted by users')
+  const inputs = reader.vector(readCallArg)
+  const commands = reader.vector(readCommand)
+  const sender = reader.address()
+  const gasPayment = reader.vector(readObjectRef)
+  const gasOwner = reader.address()
+  const gasPrice = reader.u64()
+  const gasBudget = reader.u64()
+  const expirationEpoch = reader.uleb128() === 1 ? reader.u64() : null
+
+  return {
+    digest: suiDigest(bytes),
+    sender,
+    gasOwner,
+    gasBudget,
+    gasPrice,
+    gasPayment,
+    expirationEpoch,
+    commands: commands.map(c => c.name),
+    ...summarizeTransfer(inputs, commands),
+    signers: parsed.signatures.map(s => {
+      try {
+        return suiSignerAddress(s)
+      } catch {
+        return null
+      }
+    }),
+  }
+}
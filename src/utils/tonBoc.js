@@ -0,0 +1,253 @@
+// ─── TON external-message BOCs ───────────────────────────────────────────────
+// A signed TON "transaction" is an external inbound message serialized as a
+// bag of cells (BOC), base64 or hex. This reads enough of it to broadcast and
+// preview: the cell tree, the root cell's representation hash (the message
+// hash toncenter reports and TON Details looks up), the destination wallet,
+// and — for the standard wallet contracts — seqno and valid_until.
+//
+// Decoded: { hash (hex), destination (friendly, bounceable), workchain,
+//            hasStateInit, wallet: 'v3/v4' | 'v5' | null, seqno, validUntil (s) }
+
+import { sha256, bytesToHex } from 'viem'
+import { base64ToBytes } from './cosmosTx'
+
+const BOC_MAGIC = 'b5ee9c72'
+const WALLET_V5_SIGNED_EXTERNAL = 0x7369676e // "sign"
+const SIGNATURE_BITS = 512
+
+/** Payload bytes for a base64 (te6cc…) or hex (b5ee9c72…) BOC; null otherwise. */
+export function tonBocBytes(payload) {
+  const text = payload.trim()
+  const hex = text.replace(/^0x/i, '')
+  if (hex.toLowerCase().startsWith(BOC_MAGIC) && /^([0-9a-f]{2})+$/i.test(hex)) {
+    return Uint8Array.from(hex.match(/.{2}/g), b => parseInt(b, 16))
+  }
+  if (/^te6cc[A-Za-z0-9+/_-]+=*$/.test(text)) {
+    try {
+      return base64ToBytes(text)
+    } catch {
+      return null
+    }
+  }
+  return null
+}
+
+/** Base64 form of a BOC payload, as toncenter's sendBoc expects. */
+export function tonBocBase64(payload) {
+  const bytes = tonBocBytes(payload)
+  if (!bytes) throw new Error('Not a TON BOC (expected base64 te6cc… or hex b5ee9c72…)')
+  return btoa(String.fromCharCode(...bytes))
+}
+
+// ── Bag of cells ──
+
+const readUint = (bytes, pos, size) => {
+  let value = 0
+  for (let i = 0; i < size; i++) value = value * 256 + bytes[pos + i]
+  return value
+}
+
+/** Parse a BOC into its cells; returns the root cell. */
+export function parseBoc(bytes) {
+  if (bytesToHex(bytes.slice(0, 4)).slice(2) !== BOC_MAGIC) throw new Error('Unsupported BOC header')
+  const flags = bytes[4]
+  const hasIndex = (flags & 0x80) !== 0
+  const refSize = flags & 0x07
+  const offSize = bytes[5]
+  let pos = 6
+  const cellCount = readUint(bytes, pos, refSize)
+  const rootCount = readUint(bytes, pos + refSize, refSize)
+  pos += refSize * 3 + offSize // cells, roots, absent, tot_cells_size
+  if (rootCount < 1) throw new Error('BOC has no root cell')
+  const rootIndex = readUint(bytes, pos, refSize)
+  pos += rootCount * refSize
+  if (hasIndex) pos += cellCount * offSize
+
+  const raw = []
+  for (let i = 0; i < cellCount; i++) {
+    if (pos + 2 > bytes.length) throw new Error('Truncated BOC')
+    const d1 = bytes[pos]
+    const d2 = bytes[pos + 1]
+    pos += 2
+    const dataLength = Math.ceil(d2 / 2)
+    const data = bytes.slice(pos, pos + dataLength)
+    pos += dataLength
+    const refs = []
+    for (let r = 0; r < (d1 & 7); r++) {
+      refs.push(readUint(bytes, pos, refSize))
+      pos += refSize
+    }
+    // Odd d2: the last byte is padded with a completion tag (a 1 then 0s)
+    let bitLength = Math.floor(d2 / 2) * 8
+    if (d2 % 2 === 1) {
+      const last = data[dataLength - 1]
+      let trailing = 0
+      while (trailing < 8 && ((last >> trailing) & 1) === 0) trailing++
+      bitLength += 7 - trailing
+    }
+    raw.push({ d1, d2, data, bitLength, refs, exotic: (d1 & 8) !== 0 })
+  }
+  if (pos > bytes.length) throw new Error('Truncated BOC')
+
+  // Cells only reference later cells, so resolve back to front
+  const cells = new Array(cellCount)
+  for (let i = cellCount - 1; i >= 0; i--) {
+    const cell = raw[i]
+    cell.refs = cell.refs.map(r => {
+      if (r <= i || r >= cellCount) throw new Error('Invalid cell reference in BOC')
+      return cells[r]
+    })
+    cell.depth = cell.refs.length ? Math.max(...cell.refs.map(c => c.depth)) + 1 : 0
+    cells[i] = cell
+  }
+  return cells[rootIndex]
+}
+
+/** Representation hash of an ordinary cell (hex). */
+export function cellHash(cell) {
+  if (cell.hash) return cell.hash
+  if (cell.exotic) throw new Error('Exotic cells are not supported')
+  const repr = [cell.d1, cell.d2, ...cell.data]
+  for (const ref of cell.refs) repr.push(ref.depth >> 8, ref.depth & 0xff)
+  for (const ref of cell.refs) repr.push(...Uint8Array.from(cellHash(ref).match(/.{2}/g), b => parseInt(b, 16)))
+  cell.hash = sha256(Uint8Array.from(repr), 'hex').slice(2)
+  return cell.hash
+}
+
+// ── Bit reader over one cell ──
+
+function cellReader(cell) {
+  let bit = 0
+  let ref = 0
+  const reader = {
+    remaining: () => cell.bitLength - bit,
+    bits(n) {
+      if (bit + n > cell.bitLength) throw new Error('Cell underflow')
+      let value = 0n
+      for (let i = 0; i < n; i++, bit++) value = (value << 1n) | BigInt((cell.data[bit >> 3] >> (7 - (bit & 7))) & 1)
+      return value
+    },
+    uint: (n) => Number(reader.bits(n)),
+    peek(n) {
+      const start = bit
+      try {
+        return Number(reader.bits(n))
+      } finally {
+        bit = start
+      }
+    },
+    ref() {
+      if (ref >= cell.refs.length) throw new Error('Missing cell reference')
+      return cell.refs[ref++]
+    },
+  }
+  return reader
+}
+
+// ── Addresses ──
+
+// CRC16-XMODEM, as used by user-friendly TON addresses
+function crc16(bytes) {
+  let crc = 0
+  for (const byte of bytes) {
+    crc ^= byte << 8
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+  }
+  return crc
+}
+
+/** User-friendly (bounceable, url-safe) address for a workchain + 32-byte hash. */
+export function tonFriendlyAddress(workchain, hashHex, { testnet = false } = {}) {
+  const body = [testnet ? 0x91 : 0x11, workchain & 0xff, ...Uint8Array.from(hashHex.match(/.{2}/g), b => parseInt(b, 16))]
+  const crc = crc16(body)
+  return btoa(String.fromCharCode(...body, crc >> 8, crc & 0xff)).replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+function readMsgAddressInt(reader) {
+  const tag = reader.uint(2)
+  if (tag !== 0b10) throw new Error('Unsupported destination address')
+  if (reader.uint(1)) throw new Error('Anycast addresses are not supported')
+  const workchain = Number(BigInt.asIntN(8, reader.bits(8)))
+  const hash = reader.bits(256).toString(16).padStart(64, '0')
+  return { workchain, hash }
+}
+
+// ── External message ──
+
+// split_depth:(Maybe ## 5) special:(Maybe TickTock) code:(Maybe ^Cell)
+// data:(Maybe ^Cell) library:(Maybe ^Cell)
+function skipStateInit(reader) {
+  if (reader.uint(1)) reader.bits(5)
+  if (reader.uint(1)) reader.bits(2)
+  for (let i = 0; i < 3; i++) {
+    if (reader.uint(1)) reader.ref()
+  }
+}
+
+/** Decode a signed external-message BOC (base64 or hex). */
+export function decodeTonExternalMessage(payload) {
+  const bytes = tonBocBytes(payload)
+  if (!bytes) throw new Error('Not a TON BOC (expected base64 te6cc… or hex b5ee9c72…)')
+  const root = parseBoc(bytes)
+  const hash = cellHash(root)
+  const msg = cellReader(root)
+
+  // ext_in_msg_info$10 src:MsgAddressExt dest:MsgAddressInt import_fee:Grams
+  if (msg.uint(2) !== 0b10) throw new Error('Not an external inbound message')
+  const srcTag = msg.uint(2)
+  if (srcTag === 0b01) msg.bits(msg.uint(9))
+  const dest = readMsgAddressInt(msg)
+  msg.bits(msg.uint(4) * 8)
+
+  // init:(Maybe (Either StateInit ^StateInit)) — present on a wallet's first
+  // (deploying) message
+  const hasStateInit = msg.uint(1) === 1
+  if (hasStateInit) {
+    if (msg.uint(1) === 1) msg.ref()
+    else skipStateInit(msg)
+  }
+  // body:(Either X ^X)
+  const body = msg.uint(1) === 1 ? cellReader(msg.ref()) : msg
+
+  return {
+    hash,
+    destination: tonFriendlyAddress(dest.workchain, dest.hash),
+    workchain: dest.workchain,
+    hasStateInit,
+    ...readWalletBody(body),
+  }
+}
+
+// Wallet v5 opens with the "sign" opcode and signs last; v3/v4 sign first:
+//   v5:    op:32 wallet_id:32 valid_until:32 seqno:32 … signature:512
+//   v3/v4: signature:512 subwallet_id:32 valid_until:32 seqno:32 …
+function readWalletBody(body) {
+  const remaining = body.remaining()
+  if (remaining >= 32 * 4 + SIGNATURE_BITS && body.peek(32) === WALLET_V5_SIGNED_EXTERNAL) {
+    body.bits(64)
+    const validUntil = body.uint(32)
+    return { wallet: 'v5', validUntil, seqno: body.uint(32) }
+  }
+  if (remaining >= SIGNATURE_BITS + 32 * 3) {
+    body.bits(SIGNATURE_BITS + 32)
+    const validUntil = body.uint(32)
+    return { wallet: 'v3/v4', validUntil, seqno: body.uint(32) }
+  }
+  return { wallet: null, validUntil: null, seqno: null }
+}
+
+/** True once valid_until has passed and the wallet would refuse the message. */
+export const isTonMessageExpired = (decoded, now = Date.now()) =>
+  decoded.validUntil != null && decoded.validUntil > 0 && decoded.validUntil * 1000 <= now
+
+/** toncenter reports message hashes as base64; results keep them as hex. */
+export function tonHashToHex(hash) {
+  if (typeof hash !== 'string') return null
+  if (/^(0x)?[0-9a-f]{64}$/i.test(hash)) return hash.replace(/^0x/i, '').toLowerCase()
+  try {
+    const bytes = base64ToBytes(hash)
+    return bytes.length === 32 ? bytesToHex(bytes).slice(2) : null
+  } catch {
+    return null
+  }
+}
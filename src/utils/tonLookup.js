@@ -0,0 +1,263 @@
+// ─── TON Safe-to-Fail lookups ────────────────────────────────────────────────
+// Per-hash toncenter lookups for TON Safe-to-Fail, plus the job definition the
+// batch worker runs them with (see workers/batchJob.worker.js). Nothing here
+// touches the DOM, so it loads in a worker as well as on the page.
+
+import { requestJson, sleep } from './rpcTransport'
+
+const TONCENTER_ENDPOINTS = ["https://toncenter.com"]
+
+// ── Utilities ──────────────────────────────────────────────────────────────
+
+function txHexToB64(hex64) {
+  const hex = hex64.toLowerCase()
+  const bytes = new Uint8Array(32)
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16)
+  }
+  const binary = Array.from(bytes).map(b => String.fromCharCode(b)).join('')
+  return btoa(binary)
+}
+
+function getSession() {
+  const apiKey = import.meta.env.VITE_TONCENTER_API_KEY
+  const headers = { 'User-Agent': 'ton-batch-lookup/1.0' }
+  if (apiKey) headers['X-API-Key'] = apiKey
+  return { headers }
+}
+
+// ── Fetch with retry/back-off ──────────────────────────────────────────────
+
+// requestDelayMs is the user's extra per-request politeness delay; the shared
+// transport still enforces toncenter.com's rate limit across all workers.
+async function fetchJson(session, path, params, signal, requestDelayMs) {
+  await sleep(requestDelayMs + Math.random() * 100, signal)
+  return requestJson(TONCENTER_ENDPOINTS, path, {
+    params,
+    headers: session.headers,
+    signal,
+    maxAttempts: 4,
+    baseDelayMs: 2000,
+  })
+}
+
+// ── Status from transaction description ───────────────────────────────────
+
+/**
+ * Inspect a transaction description and return both a status bucket and a
+ * human-readable reason explaining *why* it landed in that bucket.
+ *
+ * Returns { status, reason } where:
+ *   status ∈ 'success' | 'failed' | 'partial' | 'skipped' | 'unknown'
+ *   reason is a short string for the UI, or null when there's nothing to say.
+ */
+function getTxStatusInfo(tx) {
+  const desc = tx?.description
+  if (!desc) return { status: 'unknown', reason: null }
+
+  // Support both TL-B shorthand and possible JSON variants
+  const cp = desc.compute_ph ?? desc.compute_phase
+  const ap = desc.action
+
+  const computeReason = () => {
+    if (!cp) return null
+    if (cp.skipped) {
+      return cp.skipped_reason
+        ? `Compute phase skipped (${cp.skipped_reason})`
+        : 'Compute phase skipped'
+    }
+    const code = cp.exit_code != null ? Number(cp.exit_code) : null
+    if (cp.success === false || cp.success === 'false') {
+      return code !== null
+        ? `Compute phase failed (exit code ${code})`
+        : 'Compute phase failed'
+    }
+    if (code !== null && code !== 0 && code !== 1) {
+      return `Compute phase failed (exit code ${code})`
+    }
+    return null
+  }
+
+  const actionReason = () => {
+    if (!ap) return null
+    if (ap.success === false || ap.success === 'false') {
+      return ap.result_code != null
+        ? `Action phase failed (result code ${ap.result_code})`
+        : 'Action phase failed'
+    }
+    if (ap.skipped_actions > 0 && ap.skipped_actions === ap.tot_actions) {
+      return `All ${ap.tot_actions} action${ap.tot_actions === 1 ? '' : 's'} skipped`
+    }
+    if (ap.skipped_actions > 0 && ap.skipped_actions < ap.tot_actions) {
+      return `${ap.skipped_actions} of ${ap.tot_actions} actions skipped`
+    }
+    return null
+  }
+
+  if (desc.aborted === true) {
+    const reason = computeReason() || actionReason() || 'Transaction aborted'
+    return { status: 'failed', reason }
+  }
+
+  if (cp) {
+    if (cp.skipped) return { status: 'skipped', reason: computeReason() }
+    if (cp.success === false || cp.success === 'false') {
+      return { status: 'failed', reason: computeReason() }
+    }
+    // TonCenter can report success:true even when the TVM exit code is non-zero.
+    // Only exit codes 0 and 1 are genuine TVM successes (e.g. 45 = contract error).
+    const code = cp.exit_code != null ? Number(cp.exit_code) : null
+    if (code !== null && code !== 0 && code !== 1) {
+      return { status: 'failed', reason: computeReason() }
+    }
+  }
+
+  if (ap) {
+    if (ap.success === false || ap.success === 'false') {
+      return { status: 'failed', reason: actionReason() }
+    }
+    if (ap.skipped_actions > 0 && ap.skipped_actions === ap.tot_actions) {
+      return { status: 'failed', reason: actionReason() }
+    }
+    if (ap.skipped_actions > 0 && ap.skipped_actions < ap.tot_actions) {
+      return { status: 'partial', reason: actionReason() }
+    }
+  }
+
+  if (cp?.success === true) {
+    const code = cp.exit_code != null ? Number(cp.exit_code) : null
+    if (code === null || code === 0 || code === 1) {
+      return { status: 'success', reason: null }
+    }
+  }
+
+  return { status: 'unknown', reason: null }
+}
+
+// ── Single hash lookup ─────────────────────────────────────────────────────
+
+async function lookupHash(session, hex64, signal, requestDelayMs) {
+  let tx = null
+  let mode = null
+
+  // 1) Try as message hash (tonscan workflow)
+  const msgHashB64 = txHexToB64(hex64)
+  const byMsg = await fetchJson(
+    session,
+    '/api/v3/transactionsByMessage',
+    { msg_hash: msgHashB64, limit: 1 },
+    signal,
+    requestDelayMs,
+  )
+  const txsByMsg = byMsg?.transactions || []
+  if (txsByMsg.length > 0) {
+    tx   = txsByMsg[0]
+    mode = 'message'
+  }
+
+  // 2) Fallback: try as transaction hash (tonviewer workflow)
+  if (!tx) {
+    const byTx = await fetchJson(
+      session,
+      '/api/v3/transactions',
+      { hash: hex64, limit: 1 },
+      signal,
+      requestDelayMs,
+    )
+    const txsByHash = byTx?.transactions || []
+    if (txsByHash.length > 0) {
+      tx   = txsByHash[0]
+      mode = 'transaction'
+    }
+  }
+
+  if (!tx) return { found: false, mode: null, status: null, reason: null }
+
+  // 3) Check the outer-transaction description (compute + action phase)
+  const { status: txStatus, reason: txReason } = getTxStatusInfo(tx)
+
+  // Already clearly failed at the transaction level — no need to dig deeper
+  if (txStatus === 'failed') {
+    return { found: true, mode, status: 'failed', reason: txReason }
+  }
+
+  // 4) Check trace-level actions for inner failures.
+  //    A transaction can be "Confirmed" on-chain while a child action inside
+  //    the same trace (e.g. Transfer TON) shows as Failed — tonviewer displays
+  //    exactly this pattern. We must inspect every action in the trace.
+  const traceId = tx.trace_id
+  if (traceId) {
+    try {
+      const actData = await fetchJson(
+        session,
+        '/api/v3/actions',
+        { trace_id: traceId, limit: 100, include_transactions: 'false' },
+        signal,
+        requestDelayMs,
+      )
+      const actions = actData?.actions || []
+      // API returns success: true/false per action, not status: 'failed'
+      const failedAction = actions.find(a => a.success === false || a.success === 'false')
+      if (failedAction) {
+        const actionType = failedAction.type || failedAction.action_type || 'action'
+        const errCode = failedAction.error_code ?? failedAction.exit_code ?? null
+        const reason = errCode != null
+          ? `Inner action failed: ${actionType} (code ${errCode})`
+          : `Inner action failed: ${actionType}`
+        return { found: true, mode, status: 'failed', reason }
+      }
+    } catch (e) {
+      // Actions fetch failed — fall through to tx-level status
+      if (e.name === 'AbortError') throw e
+    }
+  }
+
+  return { found: true, mode, status: txStatus, reason: txReason }
+}
+
+// ── Tally ──────────────────────────────────────────────────────────────────
+
+/** Summary counts for the stat cards. Null slots (not looked up yet) are skipped. */
+export function tallyTonResults(results) {
+  const t = { total: 0, found: 0, notFound: 0, success: 0, failed: 0, partial: 0, skipped: 0, unknown: 0, errors: 0 }
+  for (const r of results) {
+    if (r == null) continue
+    t.total++
+    if (r.found) t.found++
+    else if (!r.error) t.notFound++
+    if (r.status === 'success') t.success++
+    else if (r.status === 'failed') t.failed++
+    else if (r.status === 'partial') t.partial++
+    else if (r.status === 'skipped') t.skipped++
+    if (r.found && r.status === 'unknown') t.unknown++
+    if (r.error && r.error !== 'Aborted') t.errors++
+  }
+  return t
+}
+
+// ── Batch job ──────────────────────────────────────────────────────────────
+
+/**
+ * Items are 64-hex hashes. Options: { concurrency, requestDelay, retryPasses }.
+ * API errors are retried at the end with a doubled request delay — they
+ * usually succeed on retry.
+ */
+export const tonBatchJob = {
+  concurrency: (options) => options.concurrency,
+
+  async run(hash, ctx) {
+    ctx.state.session ??= getSession()
+    try {
+      const data = await lookupHash(ctx.state.session, hash, ctx.signal, ctx.options.requestDelay)
+      return { hash, ...data, error: null }
+    } catch (e) {
+      return { hash, found: false, mode: null, status: null, reason: null, error: e.name === 'AbortError' ? 'Aborted' : e.message }
+    }
+  },
+
+  retryable: (r) => !!r?.error && r.error !== 'Aborted',
+  retryOptions: (options) => ({ ...options, requestDelay: Math.max(options.requestDelay * 2, 800) }),
+  // Hashes never reached stay empty and are left out of the results
+  unfinished: () => null,
+  tally: tallyTonResults,
+}
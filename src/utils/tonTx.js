@@ -0,0 +1,64 @@
+// ─── TON transaction hashes ──────────────────────────────────────────────────
+// Hash extraction shared by TON Details, TON Safe-to-Fail and the
+// paste-anything command bar.
+
+export const TX_HEX_RE = /^[0-9a-fA-F]{64}$/
+
+export function extractTxHexFromUrl(url) {
+  /**
+   * Supports:
+   *   - https://tonscan.org/tx/<64hex>               (often a message-hash-as-hex in your workflow)
+   *   - https://tonviewer.com/transaction/<64hex>    (transaction hash)
+   * Also accepts raw 64-hex as input.
+   */
+  url = url.trim()
+
+  if (TX_HEX_RE.test(url)) {
+    return url.toLowerCase()
+  }
+
+  try {
+    const urlObj = new URL(url)
+    const path = urlObj.pathname.trim().replace(/^\/|\/$/g, '')
+
+    let m = path.match(/^tx\/([0-9a-fA-F]{64})$/)
+    if (m) {
+      return m[1].toLowerCase()
+    }
+
+    m = path.match(/^transaction\/([0-9a-fA-F]{64})$/)
+    if (m) {
+      return m[1].toLowerCase()
+    }
+  } catch {
+    // Invalid URL, will throw error below
+  }
+
+  throw new Error(
+    "Unrecognized URL format. Expected:\n" +
+    "  https://tonscan.org/tx/<64hex>\n" +
+    "  https://tonviewer.com/transaction/<64hex>\n" +
+    "  or a raw 64-hex string"
+  )
+}
+
+/** Given one token (line/word), return 64-hex hash or null if invalid/skip. */
+export function tokenToHex(token) {
+  const t = token.trim()
+  if (!t) return null
+  try {
+    return extractTxHexFromUrl(t)
+  } catch {
+    return null
+  }
+}
+
+/** True for Tonscan / Tonviewer transaction links (as opposed to a bare hash). */
+export function isTonExplorerUrl(text) {
+  try {
+    const host = new URL(text.trim()).hostname.replace(/^www\./, '')
+    return host === 'tonscan.org' || host === 'tonviewer.com'
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,197 @@
+// ─── TRON signed transactions ────────────────────────────────────────────────
+// Broadcaster takes a TRON transaction in either shape the node HTTP API
+// uses: the signed JSON object (txID, raw_data, raw_data_hex, signature) that
+// /wallet/broadcasttransaction accepts — on a single line — or the protobuf
+// Transaction hex that /wallet/broadcasthex accepts. Both come down to the
+// raw_data bytes: txID = SHA-256(raw_data), and raw_data carries the TaPoS
+// reference block and the expiration after which nodes refuse the tx.
+//
+// Decoded: { format, txID, signatures, refBlockNum, refBlockHash, expiration,
+//            timestamp, feeLimit, contractType, owner, to, amount, token }
+// Times are ms since epoch; amounts are bigint (sun for TRX, raw units for tokens).
+
+import { sha256, hexToBytes, bytesToHex, recoverAddress } from 'viem'
+import { encodeBase58Check } from './base58'
+
+export const SUN_PER_TRX = 1000000
+
+const TRC20_TRANSFER = 'a9059cbb'
+
+// ── Protobuf (int64-safe: expiration, timestamps and amounts overflow 32 bits) ──
+
+function readVarint(bytes, pos) {
+  let value = 0n
+  let shift = 0n
+  for (;;) {
+    if (pos >= bytes.length) throw new Error('Truncated protobuf varint')
+    const byte = bytes[pos++]
+    value |= BigInt(byte & 0x7f) << shift
+    if ((byte & 0x80) === 0) return { value, pos }
+    shift += 7n
+  }
+}
+
+/** Field number → list of values (bigint for varints, Uint8Array for bytes). */
+function parseMessage(bytes) {
+  const fields = {}
+  let pos = 0
+  while (pos < bytes.length) {
+    const tag = readVarint(bytes, pos)
+    pos = tag.pos
+    const field = Number(tag.value >> 3n)
+    const wireType = Number(tag.value & 7n)
+    let value
+    if (wireType === 0) {
+      const v = readVarint(bytes, pos)
+      value = v.value
+      pos = v.pos
+    } else if (wireType === 2) {
+      const len = readVarint(bytes, pos)
+      pos = len.pos + Number(len.value)
+      if (pos > bytes.length) throw new Error('Truncated protobuf field')
+      value = bytes.slice(len.pos, pos)
+    } else if (wireType === 1) {
+      pos += 8
+      continue
+    } else if (wireType === 5) {
+      pos += 4
+      continue
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`)
+    }
+    ;(fields[field] ||= []).push(value)
+  }
+  return fields
+}
+
+const first = (fields, n) => fields[n]?.[0]
+const text = (bytes) => (bytes ? new TextDecoder().decode(bytes) : '')
+const hexOf = (bytes) => bytesToHex(bytes).slice(2)
+
+/** Base58Check address from the 21-byte (0x41-prefixed) form. */
+export function tronAddress(bytes) {
+  if (!bytes || bytes.length !== 21 || bytes[0] !== 0x41) return null
+  return encodeBase58Check(bytes)
+}
+
+// ── Payload shapes ──
+
+/** 'json', 'hex' or null for anything that isn't a TRON transaction. */
+export function tronPayloadFormat(payload) {
+  const trimmed = payload.trim()
+  if (trimmed.startsWith('{')) {
+    try {
+      const tx = JSON.parse(trimmed)
+      return tx && (tx.raw_data || tx.raw_data_hex) ? 'json' : null
+    } catch {
+      return null
+    }
+  }
+  // Transaction { raw raw_data = 1 } and raw { bytes ref_block_bytes = 1 } (2 bytes)
+  const hex = trimmed.replace(/^0x/i, '').toLowerCase()
+  if (!/^0a[0-9a-f]+$/.test(hex) || hex.length % 2 !== 0) return null
+  try {
+    const raw = first(parseMessage(hexToBytes(`0x${hex}`)), 1)
+    return raw && first(parseMessage(raw), 1)?.length === 2 ? 'hex' : null
+  } catch {
+    return null
+  }
+}
+
+// ── Contracts ──
+
+function decodeContract(contractBytes) {
+  const contract = parseMessage(contractBytes)
+  const any = parseMessage(first(contract, 2) ?? new Uint8Array())
+  const contractType = text(first(any, 1)).split('.').pop() || `Contract #${first(contract, 1) ?? '?'}`
+  const param = parseMessage(first(any, 2) ?? new Uint8Array())
+
+  if (contractType === 'TransferContract') {
+    return { contractType, owner: tronAddress(first(param, 1)), to: tronAddress(first(param, 2)), amount: first(param, 3) ?? 0n, token: 'TRX' }
+  }
+  if (contractType === 'TransferAssetContract') {
+    return { contractType, owner: tronAddress(first(param, 2)), to: tronAddress(first(param, 3)), amount: first(param, 4) ?? 0n, token: `TRC-10 ${text(first(param, 1))}` }
+  }
+  if (contractType === 'TriggerSmartContract') {
+    const contractAddress = tronAddress(first(param, 2))
+    const data = hexOf(first(param, 4) ?? new Uint8Array())
+    // TRC-20 transfer(address,uint256): ABI words carry the 20-byte address
+    if (data.startsWith(TRC20_TRANSFER) && data.length >= 8 + 128) {
+      return {
+        contractType,
+        owner: tronAddress(first(param, 1)),
+        to: tronAddress(hexToBytes(`0x41${data.slice(8 + 24, 8 + 64)}`)),
+        amount: BigInt(`0x${data.slice(8 + 64, 8 + 128)}`),
+        token: `TRC-20 ${contractAddress}`,
+      }
+    }
+    return { contractType, owner: tronAddress(first(param, 1)), to: contractAddress, amount: first(param, 3) ?? 0n, token: 'TRX' }
+  }
+  // Every other system contract puts owner_address first
+  return { contractType, owner: tronAddress(first(param, 1)), to: null, amount: null, token: null }
+}
+
+function decodeRawData(rawBytes) {
+  const raw = parseMessage(rawBytes)
+  const refBlockBytes = first(raw, 1) ?? new Uint8Array()
+  const contracts = raw[11] ?? []
+  if (contracts.length === 0) throw new Error('TRON transaction has no contract')
+  return {
+    refBlockNum: refBlockBytes.length === 2 ? (refBlockBytes[0] << 8) | refBlockBytes[1] : null,
+    refBlockHash: hexOf(first(raw, 4) ?? new Uint8Array()),
+    expiration: Number(first(raw, 8) ?? 0n),
+    timestamp: first(raw, 14) != null ? Number(first(raw, 14)) : null,
+    feeLimit: first(raw, 18) ?? null,
+    memo: text(first(raw, 10)),
+    ...decodeContract(contracts[0]),
+  }
+}
+
+/** Decode a signed TRON transaction (JSON or protobuf hex). */
+export function decodeTronTx(payload) {
+  const format = tronPayloadFormat(payload)
+  if (!format) throw new Error('Not a TRON transaction (expected signed JSON or protobuf hex)')
+
+  let rawBytes
+  let signatures
+  let claimedTxId = null
+  if (format === 'json') {
+    const tx = JSON.parse(payload.trim())
+    if (!tx.raw_data_hex) throw new Error('TRON JSON is missing raw_data_hex')
+    rawBytes = hexToBytes(`0x${tx.raw_data_hex.replace(/^0x/i, '')}`)
+    signatures = tx.signature ?? []
+    claimedTxId = tx.txID ?? null
+  } else {
+    const message = parseMessage(hexToBytes(`0x${payload.trim().replace(/^0x/i, '')}`))
+    rawBytes = first(message, 1)
+    signatures = (message[2] ?? []).map(hexOf)
+  }
+
+  const txID = sha256(rawBytes, 'hex').slice(2)
+  if (claimedTxId && claimedTxId.toLowerCase() !== txID) {
+    throw new Error(`txID ${claimedTxId} does not match raw_data_hex (expected ${txID})`)
+  }
+  return { format, txID, signatures, ...decodeRawData(rawBytes) }
+}
+
+/** True once the node would reject the tx with TRANSACTION_EXPIRATION_ERROR. */
+export const isTronTxExpired = (decoded, now = Date.now()) => decoded.expiration > 0 && decoded.expiration <= now
+
+/** Address that produced the first signature (null when unsigned). */
+export async function recoverTronSigner(decoded) {
+  const signature = decoded.signatures[0]
+  if (!signature || signature.length !== 130) return null
+  const evmAddress = await recoverAddress({ hash: `0x${decoded.txID}`, signature: `0x${signature}` })
+  return tronAddress(hexToBytes(`0x41${evmAddress.slice(2)}`))
+}
+
+/** Node error messages come back hex-encoded from /wallet/broadcasttransaction. */
+export function tronErrorMessage(message) {
+  if (typeof message !== 'string') return ''
+  if (!/^([0-9a-f]{2})+$/i.test(message)) return message
+  try {
+    return new TextDecoder().decode(hexToBytes(`0x${message}`))
+  } catch {
+    return message
+  }
+}
@@ -0,0 +1,405 @@
+// ─── Pre-broadcast decode preview ────────────────────────────────────────────
+// Turns one Broadcaster input line into a uniform preview row, whatever the
+// family, so problems show up before anything is sent.
+//
+// Row shape:
+//   family, chain, chainId       – detected family and chain label
+//   sender, nonce, to, amount, fee – display strings ('' when not applicable)
+//   hash, hashKind               – the hash the network will report and how it's derived
+//   details                      – extra lines shown under the destination (blob sidecar, EIP-7702 delegations)
+//   consumes                     – [{ key, label }] what the tx uses up (nonce, outpoint, sequence…); two
+//                                  different txs with the same key can't both land
+//   warning                      – decoded, but something looks off (wrong chain, unsigned…)
+//   expired                      – past its expiry, nodes will refuse it (TRON, TON, Aptos)
+//   error                        – could not be decoded; the line should not be sent
+
+import { parseTransaction, recoverTransactionAddress, formatUnits, formatGwei } from 'viem'
+import { getChain, getEvmChain } from '../config/chains'
+import { detectAutoNetworkType } from './autoDetect'
+import { base64ToBytes, decodeCosmosTx, computeTxHash, detectChain, formatCoins } from './cosmosTx'
+import { parseUtxoTx, scriptToAddress, inputSender, utxoChainCandidates, UTXO_ADDRESS_PARAMS } from './utxoTx'
+import { UTXO_AUTO_CHAINS } from './utxoApi'
+import { isPsbt, finalizePsbt } from './psbt'
+import { solanaTxBytes, decodeSolanaTx } from './solanaTx'
+import { decodeXrpTx, computeXrpTxHash } from './xrpTx'
+import { decodeStellarTx } from './stellarTx'
+import { decodeTronTx, isTronTxExpired, recoverTronSigner } from './tronTx'
+import { decodeTonExternalMessage, isTonMessageExpired } from './tonBoc'
+import { decodeAptosTx, isAptosTxExpired, APT_COIN } from './aptosTx'
+import { decodeSuiTx } from './suiTx'
+import { decodeSubstrateExtrinsic } from './substrateTx'
+import { parseEvmEnvelope, recoverAuthorities, blobSidecarProblem } from './evmTx'
+
+const EMPTY_SIGNATURE = '1'.repeat(64)
+
+const more = (count) => (count > 1 ? ` (+${count - 1} more)` : '')
+
+const shortId = (id) => (id.length > 18 ? `${id.slice(0, 10)}…${id.slice(-4)}` : id)
+
+// An account-scoped slot (nonce, sequence, seqno) within one chain
+const accountSlot = (scope, account, slot) => ({ key: `${scope}:${account}:${slot}`, label: `${shortId(account)} ${slot}` })
+
+// Blob sidecar and EIP-7702 delegations as preview lines, plus what is wrong with them
+async function describeEnvelope(envelope, chainId) {
+  const { blobs, authorizations } = envelope
+  if (blobs) {
+    const problem = blobSidecarProblem(blobs)
+    const hashes = `${blobs.versionedHashes.length} versioned hash(es)`
+    return blobs.wrapped
+      ? { details: [`${blobs.count} blob(s), wrapper v${blobs.wrapperVersion}, ${hashes}`], warning: problem && `Blob sidecar doesn't match: ${problem}` }
+      : { details: [`bare blob tx, ${hashes}`], warning: 'Bare EIP-4844 transaction without blobs, commitments and proofs — it cannot be broadcast' }
+  }
+  if (authorizations) {
+    const recovered = await recoverAuthorities(authorizations)
+    const foreign = recovered.filter(a => a.chainId !== 0 && a.chainId !== chainId)
+    return {
+      details: recovered.map(a => `${a.authority ?? 'unrecoverable'} delegates to ${a.address} (nonce ${a.nonce})`),
+      warning: recovered.some(a => !a.authority)
+        ? 'An authorization signature does not recover — that delegation will be skipped'
+        : foreign.length ? `${foreign.length} authorization(s) signed for another chain will be skipped` : null,
+    }
+  }
+  return { details: [], warning: null }
+}
+
+async function decodeEvm(tx, { network, isAuto, customNetworks }) {
+  // viem decodes the signed (bare) form; blob wrappers are unwrapped first
+  const envelope = parseEvmEnvelope(tx)
+  const parsed = parseTransaction(envelope.bare)
+  if (parsed.r == null || parsed.s == null) throw new Error('Transaction is not signed')
+  const from = await recoverTransactionAddress({ serializedTransaction: envelope.bare })
+  const chainId = parsed.chainId ?? null
+  const known = chainId != null ? getEvmChain(chainId, customNetworks) : null
+
+  const gas = parsed.gas ?? 0n
+  const fee = parsed.maxFeePerGas != null
+    ? `≤ ${formatUnits(gas * parsed.maxFeePerGas, 18)} (max ${formatGwei(parsed.maxFeePerGas)} / tip ${formatGwei(parsed.maxPriorityFeePerGas ?? 0n)} gwei)`
+    : `≤ ${formatUnits(gas * (parsed.gasPrice ?? 0n), 18)} (${formatGwei(parsed.gasPrice ?? 0n)} gwei)`
+
+  const extras = await describeEnvelope(envelope, chainId)
+  let warning = extras.warning
+  if (chainId == null) warning = 'Pre-EIP-155: no chain id, replayable on any EVM chain'
+  else if (!isAuto && network.chainId && network.chainId !== chainId) warning = `Signed for chain ${chainId}, but ${network.name} is selected`
+  else if (isAuto && !known) warning = `Chain ${chainId} is not in the registry — no RPC to send to`
+
+  return {
+    family: 'evm',
+    chain: known?.name ?? (isAuto ? `Unknown (${chainId ?? '—'})` : network.name),
+    chainId,
+    sender: from,
+    nonce: String(parsed.nonce ?? 0),
+    to: parsed.to ?? 'contract creation',
+    amount: formatUnits(parsed.value ?? 0n, 18),
+    fee,
+    hash: envelope.hash,
+    hashKind: envelope.blobs?.wrapped ? 'keccak-256 of the tx without its sidecar' : 'keccak-256',
+    details: extras.details,
+    consumes: [accountSlot(`evm:${chainId ?? 'any'}`, from, `nonce ${parsed.nonce ?? 0}`)],
+    warning,
+  }
+}
+
+// Fee from the PSBT's UTXO data (raw transactions don't carry input values)
+function psbtFee(psbt, unit) {
+  if (psbt.fee == null) return `${psbt.vsize} vB (the PSBT lacks UTXO data for the fee)`
+  return `${formatUnits(psbt.fee, 8)}${unit} · ${psbt.vsize} vB · ${psbt.feeRate.toFixed(1)} sat/vB`
+}
+
+function decodeUtxo(tx, { network, detected }) {
+  // A PSBT is previewed as the transaction it finalizes to
+  const psbt = isPsbt(tx) ? finalizePsbt(tx) : null
+  const parsed = psbt ? psbt.tx : parseUtxoTx(tx)
+  // Auto mode settles the chain at broadcast time (prev-tx lookup) unless the
+  // structure alone already narrows it to one
+  const guesses = detected?.needsUtxoLookup ? utxoChainCandidates(parsed, UTXO_AUTO_CHAINS.map(c => c.id)) : []
+  const resolved = detected?.needsUtxoLookup ? (guesses.length === 1 ? getChain(guesses[0]) : null) : network
+  const params = UTXO_ADDRESS_PARAMS[resolved?.id] ?? UTXO_ADDRESS_PARAMS[network.type] ?? UTXO_ADDRESS_PARAMS.bitcoin
+  const unit = resolved ? ` ${params.symbol}` : ''
+  const misfit = !detected && UTXO_ADDRESS_PARAMS[network.id] && !utxoChainCandidates(parsed, [network.id]).length
+  const payees = parsed.outputs.map(o => scriptToAddress(o.script, params)).filter(a => a && a !== 'OP_RETURN')
+  const total = parsed.outputs.reduce((sum, o) => sum + o.value, 0n)
+  const first = parsed.inputs[0]
+
+  let warning = null
+  if (misfit) warning = `The transaction format doesn't fit ${network.name} (segwit, Zcash, Dash or FORKID signatures)`
+  else if (psbt?.fee < 0n) warning = 'Outputs spend more than the PSBT\'s inputs hold'
+  else if (psbt?.feeRate != null && psbt.feeRate < 1) warning = `Fee rate ${psbt.feeRate.toFixed(2)} sat/vB is below the default relay minimum`
+
+  return {
+    family: network.type,
+    chain: resolved?.name ?? 'Bitcoin-style (resolved on send)',
+    chainId: null,
+    sender: inputSender(first, params) ?? '',
+    nonce: `${first.prevTxid.slice(0, 10)}…:${first.vout}${more(parsed.inputs.length)}`,
+    to: payees.length ? `${payees[0]}${more(payees.length)}` : '',
+    amount: `${formatUnits(total, 8)}${unit}`,
+    fee: psbt ? psbtFee(psbt, unit) : `${parsed.vsize} vB (input values needed for the fee)`,
+    hash: parsed.txid,
+    hashKind: parsed.overwinter && parsed.version === 5 ? 'ZIP-244 txid' : `double SHA-256 txid${psbt ? ' of the extracted tx' : ''}`,
+    details: psbt ? [`PSBT: ${psbt.finalizedHere} of ${parsed.inputs.length} input(s) finalized here`] : [],
+    consumes: parsed.inputs.map(i => ({ key: `${network.type}:${i.prevTxid}:${i.vout}`, label: `outpoint ${shortId(i.prevTxid)}:${i.vout}` })),
+    warning,
+  }
+}
+
+function decodeSolana(tx, { network }) {
+  const parsed = decodeSolanaTx(solanaTxBytes(tx))
+  return {
+    family: 'solana',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.feePayer,
+    nonce: parsed.durableNonce ? `durable nonce ${parsed.recentBlockhash.slice(0, 8)}…` : `blockhash ${parsed.recentBlockhash.slice(0, 8)}…`,
+    to: parsed.transfer?.to ?? '',
+    amount: parsed.transfer ? `${formatUnits(parsed.transfer.lamports, 9)} SOL` : '',
+    fee: `${formatUnits(parsed.baseFee + parsed.priorityFee, 9)} SOL${parsed.priorityFee > 0n ? ' (incl. priority)' : ''}`,
+    hash: parsed.signatures[0],
+    hashKind: 'first signature',
+    warning: parsed.signatures.includes(EMPTY_SIGNATURE) ? 'A required signature is empty — the transaction is not fully signed' : null,
+  }
+}
+
+async function decodeCosmos(tx, { network }) {
+  const bytes = base64ToBytes(tx)
+  const parsed = decodeCosmosTx(bytes)
+  const detected = detectChain(bytes)
+  const message = parsed.typeUrls[0]?.split('.').pop() ?? ''
+  return {
+    family: 'cosmos',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.sender ?? '',
+    nonce: `seq ${parsed.sequence}`,
+    to: parsed.to ?? message,
+    amount: parsed.amount.length ? formatCoins(parsed.amount) : '',
+    fee: `${formatCoins(parsed.fee) || '0'} · gas ${parsed.gasLimit}`,
+    hash: await computeTxHash(bytes),
+    hashKind: 'SHA-256',
+    consumes: parsed.sender ? [accountSlot(`cosmos:${network.id}`, parsed.sender, `sequence ${parsed.sequence}`)] : [],
+    warning: detected && detected.chain !== network.id ? `Looks like ${detected.chain} (${detected.reason})` : null,
+  }
+}
+
+async function decodeXrp(tx, { network }) {
+  const parsed = decodeXrpTx(tx)
+  const amount = parsed.amount?.drops != null ? `${formatUnits(parsed.amount.drops, 6)} XRP` : parsed.amount?.issued ?? ''
+  return {
+    family: 'xrp',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.account,
+    nonce: String(parsed.sequence),
+    to: parsed.destination ?? parsed.transactionType,
+    amount,
+    fee: parsed.fee?.drops != null ? `${formatUnits(parsed.fee.drops, 6)} XRP` : '',
+    hash: await computeXrpTxHash(tx),
+    hashKind: 'SHA-512Half',
+    consumes: [accountSlot(`xrp:${network.id}`, parsed.account, parsed.ticketSequence ? `ticket ${parsed.ticketSequence}` : `sequence ${parsed.sequence}`)],
+    warning: null,
+  }
+}
+
+function decodeStellar(tx, { network }) {
+  const parsed = decodeStellarTx(tx)
+  const op = parsed.operation
+  return {
+    family: 'stellar',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.source,
+    nonce: String(parsed.sequence),
+    to: op?.to ?? op?.type ?? '',
+    amount: op?.amount != null ? `${formatUnits(op.amount, 7)} ${op.asset}` : '',
+    fee: `${formatUnits(parsed.fee, 7)} XLM${parsed.feeBump ? ' (fee bump)' : ''}`,
+    hash: parsed.hash,
+    hashKind: 'SHA-256 (network-bound)',
+    // A fee bump spends the inner transaction's sequence
+    consumes: [accountSlot(`stellar:${network.id}`, parsed.innerSource ?? parsed.source, `sequence ${parsed.sequence}`)],
+    warning: null,
+  }
+}
+
+async function decodeTron(tx, { network }) {
+  const parsed = decodeTronTx(tx)
+  const signer = await recoverTronSigner(parsed).catch(() => null)
+  const expired = isTronTxExpired(parsed)
+  const amount = parsed.amount == null
+    ? ''
+    : parsed.token === 'TRX' ? `${formatUnits(parsed.amount, 6)} TRX` : `${parsed.amount} (base units) ${parsed.token}`
+
+  let warning = null
+  if (expired) warning = `Expired ${new Date(parsed.expiration).toLocaleString()} — nodes will reject it`
+  else if (parsed.signatures.length === 0) warning = 'Transaction is not signed'
+  else if (signer && parsed.owner && signer !== parsed.owner) warning = `Signed by ${signer}, not the owner (multi-sig permission?)`
+
+  return {
+    family: 'tron',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.owner ?? '',
+    nonce: `ref block ${parsed.refBlockNum ?? '?'} · expires ${new Date(parsed.expiration).toLocaleString()}`,
+    to: parsed.to ?? parsed.contractType,
+    amount,
+    fee: parsed.feeLimit != null ? `≤ ${formatUnits(parsed.feeLimit, 6)} TRX (fee limit)` : 'bandwidth / burned TRX',
+    hash: parsed.txID,
+    hashKind: 'SHA-256 of raw_data',
+    warning,
+    expired,
+  }
+}
+
+function decodeTon(tx, { network }) {
+  const parsed = decodeTonExternalMessage(tx)
+  const expired = isTonMessageExpired(parsed)
+  const validUntil = parsed.validUntil ? new Date(parsed.validUntil * 1000).toLocaleString() : null
+
+  let warning = null
+  if (expired) warning = `valid_until passed ${validUntil} — the wallet will refuse it`
+  else if (!parsed.wallet) warning = 'Not a standard wallet message — seqno and expiry unknown'
+
+  return {
+    family: 'ton',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.destination,
+    nonce: parsed.seqno != null ? `seqno ${parsed.seqno}${validUntil ? ` · valid until ${validUntil}` : ''}` : '',
+    to: parsed.hasStateInit ? 'wallet deploy + message' : `wallet ${parsed.wallet ?? 'contract'}`,
+    amount: '',
+    fee: 'gas from wallet balance',
+    hash: parsed.hash,
+    hashKind: 'message cell hash',
+    consumes: parsed.seqno != null ? [accountSlot(`ton:${network.id}`, parsed.destination, `seqno ${parsed.seqno}`)] : [],
+    warning,
+    expired,
+  }
+}
+
+function decodeAptos(tx, { network }) {
+  const parsed = decodeAptosTx(tx)
+  const expired = isAptosTxExpired(parsed)
+  const expectedChainId = getChain(network.id)?.aptosChainId
+  const expires = new Date(parsed.expiration * 1000).toLocaleString()
+  const amount = parsed.amount == null
+    ? ''
+    : parsed.coin === APT_COIN ? `${formatUnits(parsed.amount, 8)} APT` : `${parsed.amount} (base units) ${parsed.coin}`
+
+  let warning = null
+  if (expired) warning = `Expired ${expires} — the mempool will reject it`
+  else if (expectedChainId && parsed.chainId !== expectedChainId) warning = `Signed for chain id ${parsed.chainId}, but ${network.name} is selected`
+
+  return {
+    family: 'aptos',
+    chain: network.name,
+    chainId: parsed.chainId,
+    sender: parsed.sender,
+    nonce: `seq ${parsed.sequenceNumber} · expires ${expires}`,
+    to: parsed.to ?? parsed.function ?? parsed.payloadType,
+    amount,
+    fee: `≤ ${formatUnits(parsed.maxGasAmount * parsed.gasUnitPrice, 8)} APT (${parsed.gasUnitPrice} octas/gas)`,
+    hash: parsed.hash,
+    hashKind: 'SHA3-256 (APTOS::Transaction)',
+    consumes: [accountSlot(`aptos:${parsed.chainId}`, parsed.sender, `sequence ${parsed.sequenceNumber}`)],
+    warning,
+    expired,
+  }
+}
+
+function decodeSui(tx, { network }) {
+  const parsed = decodeSuiTx(tx)
+  const gasCoin = parsed.gasPayment[0]
+  const sponsored = parsed.gasOwner !== parsed.sender
+
+  let warning = null
+  if (parsed.signers.length === 0) warning = 'Transaction is not signed'
+  else if (sponsored && parsed.signers.length < 2) warning = `Sponsored by ${parsed.gasOwner}, but only one signature is attached`
+  else if (!parsed.signers.includes(parsed.sender) && parsed.signers.every(Boolean)) warning = `Signed by ${parsed.signers[0]}, not the sender`
+
+  return {
+    family: 'sui',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.sender,
+    nonce: [
+      gasCoin ? `gas coin v${gasCoin.version}` : '',
+      parsed.expirationEpoch != null ? `expires after epoch ${parsed.expirationEpoch}` : '',
+    ].filter(Boolean).join(' · '),
+    to: parsed.to ?? parsed.commands.join(', '),
+    amount: parsed.amount != null ? `${formatUnits(parsed.amount, 9)} SUI` : '',
+    fee: `≤ ${formatUnits(parsed.gasBudget, 9)} SUI (budget${sponsored ? ', sponsored' : ''})`,
+    hash: parsed.digest,
+    hashKind: 'Blake2b-256 digest (base58)',
+    // Owned objects are locked to one tx per version; the gas coin always is one
+    consumes: gasCoin ? [accountSlot(`sui:${network.id}`, gasCoin.id, `gas coin v${gasCoin.version}`)] : [],
+    warning,
+  }
+}
+
+// Mortality can't be judged offline (the birth block hash isn't in the
+// extrinsic), and the preview stays offline, so an era's expiry is left to
+// the node check Broadcaster runs right before submitting.
+async function decodeSubstrate(tx, { network }) {
+  const parsed = decodeSubstrateExtrinsic(tx, { ss58Prefix: getChain(network.id)?.ss58Prefix })
+
+  let era = ''
+  if (parsed.era?.immortal) era = 'immortal'
+  else if (parsed.era) era = `mortal ${parsed.era.period} blocks (phase ${parsed.era.phase})`
+
+  const warning = parsed.signed ? null : 'Unsigned extrinsic — nodes only accept inherents and a few bare calls'
+
+  return {
+    family: 'substrate',
+    chain: network.name,
+    chainId: null,
+    sender: parsed.signer ?? '',
+    nonce: [parsed.nonce != null ? `nonce ${parsed.nonce}` : '', era].filter(Boolean).join(' · '),
+    to: '',
+    amount: '',
+    fee: parsed.tip ? `tip ${parsed.tip} (planck)` : '',
+    hash: parsed.hash,
+    hashKind: 'blake2-256 of the extrinsic',
+    consumes: parsed.signer && parsed.nonce != null ? [accountSlot(`substrate:${network.id}`, parsed.signer, `nonce ${parsed.nonce}`)] : [],
+    warning,
+  }
+}
+
+const DECODERS = {
+  evm: decodeEvm,
+  bitcoin: decodeUtxo,
+  bitcoincash: decodeUtxo,
+  solana: decodeSolana,
+  cosmos: decodeCosmos,
+  xrp: decodeXrp,
+  stellar: decodeStellar,
+  tron: decodeTron,
+  ton: decodeTon,
+  aptos: decodeAptos,
+  sui: decodeSui,
+  substrate: decodeSubstrate,
+}
+
+/**
+ * Decode one normalized input line. `network` is the selected network option;
+ * in auto mode the family is detected from the payload first.
+ */
+export async function decodeTxPreview(tx, { network, isAuto = false, customNetworks = [] }) {
+  let family = network.type
+  let detected = null
+  if (isAuto) {
+    detected = detectAutoNetworkType(tx)
+    family = detected?.type ?? null
+  }
+  const base = { family: family ?? 'unknown', chain: '', chainId: null, sender: '', nonce: '', to: '', amount: '', fee: '', hash: '', hashKind: '', details: [], consumes: [], warning: null, expired: false, error: null }
+  if (!DECODERS[family]) return { ...base, error: 'Unrecognized transaction format' }
+
+  const context = {
+    network: detected && family !== 'evm' ? { ...network, id: detected.id ?? family, type: family, name: detected.chainName || family } : network,
+    isAuto,
+    customNetworks,
+    detected: detected && family !== 'evm' ? detected : null,
+  }
+  try {
+    return { ...base, ...(await DECODERS[family](tx, context)) }
+  } catch (err) {
+    return { ...base, error: err.shortMessage || err.message || String(err) }
+  }
+}
@@ -0,0 +1,114 @@
+// ─── Deep-linkable tool state ────────────────────────────────────────────────
+// Tool inputs live in the query string (?chain=8453&h=0x…,0x…) so a link
+// reproduces a check. Lists are comma-joined. When the query would get too
+// long for a comfortable URL, the whole state moves into the fragment as
+// deflate-compressed base64url (#z=…) — fragments never reach the server, so
+// large inputs aren't limited by request-line sizes. `run=1` asks the page to
+// start the check as soon as the state is restored.
+
+const MAX_QUERY_LENGTH = 1800
+const RUN_PARAM = 'run'
+const COMPRESSED_PREFIX = 'z='
+const PLAIN_PREFIX = 'j='
+
+// ─── base64url ──
+
+function bytesToBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+async function pipeThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+const canCompress = () => typeof CompressionStream === 'function'
+
+// ─── Encoding ──
+
+/**
+ * Flatten tool values into a string map. Lists are comma-joined, `true`
+ * becomes '1', and empty values or values equal to `defaults` are dropped.
+ */
+export function flattenState(values, defaults = {}) {
+  const flat = {}
+  for (const [key, value] of Object.entries(values)) {
+    if (value == null || value === false || value === '') continue
+    const text = Array.isArray(value) ? value.join(',') : value === true ? '1' : String(value)
+    if (!text || (key in defaults && String(defaults[key]) === text)) continue
+    flat[key] = text
+  }
+  return flat
+}
+
+// Readable query: keep the characters that commonly appear in hashes and
+// addresses (`,` `:`) unescaped
+const encodeParam = (value) => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3A/g, ':')
+
+/** Build `?query` or `#z=` for a flat state map. */
+export async function buildStateUrl(pathname, flat, { autoRun = false } = {}) {
+  const runSuffix = autoRun ? `${RUN_PARAM}=1` : ''
+  const query = Object.entries(flat).map(([k, v]) => `${k}=${encodeParam(v)}`).join('&')
+  if (query.length <= MAX_QUERY_LENGTH) {
+    const search = [query, runSuffix].filter(Boolean).join('&')
+    return search ? `${pathname}?${search}` : pathname
+  }
+
+  const json = new TextEncoder().encode(JSON.stringify(flat))
+  const fragment = canCompress()
+    ? COMPRESSED_PREFIX + bytesToBase64Url(await pipeThrough(json, new CompressionStream('deflate-raw')))
+    : PLAIN_PREFIX + bytesToBase64Url(json)
+  return `${pathname}${runSuffix ? `?${runSuffix}` : ''}#${fragment}`
+}
+
+/**
+ * Read state from a location. Resolves to { values, autoRun } or null when the
+ * URL carries no tool state. Values are the flat string map.
+ */
+export async function readStateUrl({ search, hash }) {
+  const params = new URLSearchParams(search)
+  const autoRun = params.get(RUN_PARAM) === '1'
+  params.delete(RUN_PARAM)
+
+  const values = Object.fromEntries(params)
+  const fragment = hash.replace(/^#/, '')
+  try {
+    if (fragment.startsWith(COMPRESSED_PREFIX) && canCompress()) {
+      const bytes = await pipeThrough(base64UrlToBytes(fragment.slice(COMPRESSED_PREFIX.length)), new DecompressionStream('deflate-raw'))
+      Object.assign(values, JSON.parse(new TextDecoder().decode(bytes)))
+    } else if (fragment.startsWith(PLAIN_PREFIX)) {
+      Object.assign(values, JSON.parse(new TextDecoder().decode(base64UrlToBytes(fragment.slice(PLAIN_PREFIX.length)))))
+    }
+  } catch (err) {
+    console.error('Ignoring unreadable link state:', err)
+  }
+
+  return Object.keys(values).length > 0 ? { values, autoRun } : null
+}
+
+/** Split a comma-joined list param back into items. */
+export const listParam = (value) => (value ? value.split(',').map(s => s.trim()).filter(Boolean) : [])
+
+/**
+ * Split a newline-joined param back into lines. For items that may contain
+ * commas themselves (JSON-encoded transactions), pass `lines.join('\n')`
+ * instead of the array so they survive the round trip.
+ */
+export const linesParam = (value) => (value ? value.split('\n').map(s => s.trim()).filter(Boolean) : [])
+
+/** Parse a numeric param, falling back when it is missing or not a number. */
+export const numberParam = (value, fallback) => {
+  const n = Number(value)
+  return value != null && value !== '' && Number.isFinite(n) ? n : fallback
+}
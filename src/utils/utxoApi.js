@@ -0,0 +1,75 @@
+// ─── Bitcoin-style REST APIs ─────────────────────────────────────────────────
+// Bitcoin-style chains are served by different REST flavours, so broadcast and
+// lookup URLs are picked per chain from its endpoint — registry entries and
+// custom networks alike:
+//   esplora     – mempool.space, litecoinspace, blockstream: POST {rpc}/tx (plain hex)
+//   blockcypher – DOGE, DASH: POST {rpc}/txs/push { tx }
+//   bitcoincom  – BCH: POST {rpc}/sendRawTransaction { hexes: [hex] }
+//   blockchair  – ZEC: POST {rpc}/push/transaction (form field data=hex)
+// Used by the Broadcaster (send + auto-detect probe) and the receipt tracker.
+
+import { getChainsByFamily } from '../config/chains'
+
+/** Mainnet Bitcoin-style chains that Broadcaster auto mode chooses between, in probe order. */
+export const UTXO_AUTO_CHAINS = [...getChainsByFamily('bitcoin'), ...getChainsByFamily('bitcoincash')]
+  .filter(c => !c.testnet)
+
+const trimSlash = (url) => url.replace(/\/$/, '')
+
+export function utxoApiKind(rpc) {
+  if (rpc.includes('blockcypher')) return 'blockcypher'
+  if (rpc.includes('bitcoin.com')) return 'bitcoincom'
+  if (rpc.includes('blockchair')) return 'blockchair'
+  return 'esplora'
+}
+
+/** { url, headers, body } that submits a raw hex transaction. */
+export function utxoBroadcastRequest(rpc, hex) {
+  const base = trimSlash(rpc)
+  switch (utxoApiKind(rpc)) {
+    case 'blockcypher':
+      return { url: `${base}/txs/push`, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ tx: hex }) }
+    case 'bitcoincom':
+      return { url: `${base}/sendRawTransaction`, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ hexes: [hex] }) }
+    case 'blockchair':
+      return { url: `${base}/push/transaction`, headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams({ data: hex }).toString() }
+    default:
+      return { url: `${base}/tx`, headers: { 'Content-Type': 'text/plain' }, body: hex }
+  }
+}
+
+/**
+ * Txid from a successful broadcast response body: Esplora answers with the
+ * bare txid, Bitcoin.com with [txid], BlockCypher with { tx: { hash } } and
+ * Blockchair with { data: { transaction_hash } }.
+ */
+export function utxoBroadcastTxid(text) {
+  try {
+    const json = JSON.parse(text)
+    if (Array.isArray(json)) return json[0] ?? null
+    return json.tx?.hash || json.data?.transaction_hash || json.txid || text.trim()
+  } catch {
+    return text.trim()
+  }
+}
+
+/** Readable error from a failed broadcast body (Blockchair and BlockCypher wrap it in JSON). */
+export function utxoBroadcastError(text) {
+  try {
+    const json = JSON.parse(text)
+    return json.context?.error || json.error || text
+  } catch {
+    return text
+  }
+}
+
+/** GET URL that answers 2xx when the chain knows `txid`. */
+export function utxoTxUrl(rpc, txid) {
+  const base = trimSlash(rpc)
+  switch (utxoApiKind(rpc)) {
+    case 'blockcypher': return `${base}/txs/${txid}`
+    case 'bitcoincom': return `${base.replace(/\/rawtransactions$/, '')}/transaction/details/${txid}`
+    case 'blockchair': return `${base}/dashboards/transaction/${txid}`
+    default: return `${base}/tx/${txid}`
+  }
+}
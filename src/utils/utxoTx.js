@@ -0,0 +1,372 @@
+// ─── Bitcoin-style raw transactions ──────────────────────────────────────────
+// Parses the serialized format shared by BTC, LTC, BCH, DOGE and DASH (plus the
+// segwit extension and Dash special-transaction payloads) and transparent
+// Zcash v4/v5, computes the txid and turns output scripts back into addresses.
+// Used by the Broadcaster's pre-broadcast preview and auto-detection.
+//
+// Address parameters per chain id:
+//   p2pkh / p2sh  – Base58Check version byte(s); Zcash uses two
+//   hrp           – bech32 prefix for segwit outputs (null when the chain has none)
+//   symbol        – unit shown next to amounts
+//   forkId        – signatures carry SIGHASH_FORKID (BCH)
+//   overwinter    – transactions use the Zcash overwintered format
+//   specialTx     – chain has typed special transactions (Dash DIP-2)
+
+import { blake2b } from '@noble/hashes/blake2b'
+import { hexToBytes, bytesToHex, sha256, ripemd160 } from 'viem'
+import { encodeBase58Check } from './base58'
+
+const BITCOIN_TESTNET = { p2pkh: 0x6f, p2sh: 0xc4, hrp: 'tb', symbol: 'tBTC' }
+
+export const UTXO_ADDRESS_PARAMS = {
+  bitcoin: { p2pkh: 0x00, p2sh: 0x05, hrp: 'bc', symbol: 'BTC' },
+  litecoin: { p2pkh: 0x30, p2sh: 0x32, hrp: 'ltc', symbol: 'LTC' },
+  dogecoin: { p2pkh: 0x1e, p2sh: 0x16, hrp: null, symbol: 'DOGE' },
+  dash: { p2pkh: 0x4c, p2sh: 0x10, hrp: null, symbol: 'DASH', specialTx: true },
+  zcash: { p2pkh: [0x1c, 0xb8], p2sh: [0x1c, 0xbd], hrp: null, symbol: 'ZEC', overwinter: true },
+  bitcoincash: { p2pkh: 0x00, p2sh: 0x05, hrp: null, symbol: 'BCH', forkId: true },
+  'bitcoin-testnet': BITCOIN_TESTNET,
+  'bitcoin-testnet4': BITCOIN_TESTNET,
+  'bitcoin-signet': BITCOIN_TESTNET,
+  'litecoin-testnet': { p2pkh: 0x6f, p2sh: 0x3a, hrp: 'tltc', symbol: 'tLTC' },
+}
+
+export const doubleSha256 = (bytes) => sha256(sha256(bytes, 'bytes'), 'bytes')
+export const hash160 = (bytes) => ripemd160(sha256(bytes, 'bytes'), 'bytes')
+
+const reversedHex = (bytes) => bytesToHex(bytes.slice().reverse()).slice(2)
+
+// ─── Reader ──
+
+export function createReader(bytes) {
+  let pos = 0
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new Error('Transaction is truncated')
+    const out = bytes.subarray(pos, pos + n)
+    pos += n
+    return out
+  }
+  const u32 = () => {
+    const b = take(4)
+    return (b[0] | (b[1] << 8) | (b[2] << 16) | (b[3] << 24)) >>> 0
+  }
+  const u64 = () => {
+    const b = take(8)
+    let v = 0n
+    for (let i = 7; i >= 0; i--) v = (v << 8n) | BigInt(b[i])
+    return v
+  }
+  const varint = () => {
+    const first = take(1)[0]
+    if (first < 0xfd) return first
+    if (first === 0xfd) { const b = take(2); return b[0] | (b[1] << 8) }
+    if (first === 0xfe) return u32()
+    return Number(u64())
+  }
+  return { take, u32, u64, varint, get pos() { return pos }, peek: (i = 0) => bytes[pos + i] }
+}
+
+// ─── Parser ──
+
+function readInputs(r) {
+  const inputCount = r.varint()
+  if (inputCount === 0) throw new Error('Transaction has no inputs')
+  const inputs = []
+  for (let i = 0; i < inputCount; i++) {
+    const prevTxid = reversedHex(r.take(32))
+    const vout = r.u32()
+    const scriptSig = r.take(r.varint())
+    const sequence = r.u32()
+    inputs.push({ prevTxid, vout, scriptSig, sequence, witness: [] })
+  }
+  return inputs
+}
+
+function readOutputs(r) {
+  const outputs = []
+  const outputCount = r.varint()
+  for (let i = 0; i < outputCount; i++) {
+    const value = r.u64()
+    outputs.push({ value, script: r.take(r.varint()) })
+  }
+  return outputs
+}
+
+/** Parse a raw hex transaction into inputs/outputs plus txid, size and vsize. */
+export function parseUtxoTx(hex) {
+  const clean = hex.trim().replace(/^0x/i, '')
+  if (!/^[0-9a-fA-F]+$/.test(clean) || clean.length % 2 !== 0) throw new Error('Not a hex-encoded transaction')
+  const bytes = hexToBytes(`0x${clean}`)
+  const r = createReader(bytes)
+
+  const version = r.u32()
+  if (version >>> 31) return parseZcashTx(bytes, r, version)
+  const segwit = r.peek() === 0x00 && r.peek(1) === 0x01
+  if (segwit) r.take(2)
+  const afterMarker = r.pos
+
+  const inputs = readInputs(r)
+  const outputs = readOutputs(r)
+  const outputsEnd = r.pos
+
+  if (segwit) {
+    for (const input of inputs) {
+      const items = r.varint()
+      for (let i = 0; i < items; i++) input.witness.push(r.take(r.varint()))
+    }
+  }
+  const witnessEnd = r.pos
+  const locktime = r.u32()
+  // Dash special transactions (DIP-2): a 16-bit version ≥ 3 with a non-zero
+  // type in the upper half carry an extra payload after the locktime
+  const specialType = (version & 0xffff) >= 3 ? version >>> 16 : 0
+  if (specialType) r.take(r.varint())
+  if (r.pos !== bytes.length) throw new Error(`${bytes.length - r.pos} trailing bytes after locktime`)
+
+  // txid commits to the legacy serialization: version | inputs | outputs | locktime
+  const stripped = segwit
+    ? new Uint8Array([...bytes.subarray(0, 4), ...bytes.subarray(afterMarker, outputsEnd), ...bytes.subarray(witnessEnd)])
+    : bytes
+  const weight = stripped.length * 3 + bytes.length
+
+  return {
+    version,
+    segwit,
+    overwinter: false,
+    specialType,
+    inputs,
+    outputs,
+    locktime,
+    txid: reversedHex(doubleSha256(stripped)),
+    size: bytes.length,
+    vsize: Math.ceil(weight / 4),
+    weight,
+  }
+}
+
+// ── Zcash ──
+// Overwintered transactions set the top bit of the version. v4 (Sapling) keeps
+// the Bitcoin field order and txid; v5 (NU5) moves lock time and expiry ahead
+// of the inputs and derives the txid from personalized BLAKE2b digests
+// (ZIP-244). Only transparent transactions are handled.
+
+const ZCASH_V4_GROUP_ID = 0x892f2085
+const ZCASH_V5_GROUP_ID = 0x26a7270a
+
+const le32 = (n) => Uint8Array.of(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, n >>> 24)
+const varintSize = (first) => (first < 0xfd ? 1 : first === 0xfd ? 3 : first === 0xfe ? 5 : 9)
+
+const zcashDigest = (personalization, ...parts) => {
+  const data = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0))
+  parts.reduce((offset, p) => { data.set(p, offset); return offset + p.length }, 0)
+  const personal = typeof personalization === 'string' ? new TextEncoder().encode(personalization) : personalization
+  return blake2b(data, { dkLen: 32, personalization: personal })
+}
+
+// Header, transparent, Sapling and Orchard digests under the consensus branch;
+// both shielded bundles are empty here
+function zip244Txid(header, inputs, outputBytes, branchId) {
+  const transparent = inputs.length === 0 && outputBytes.length === 0
+    ? zcashDigest('ZTxIdTranspaHash')
+    : zcashDigest(
+      'ZTxIdTranspaHash',
+      zcashDigest('ZTxIdPrevoutHash', ...inputs.flatMap(i => [hexToBytes(`0x${i.prevTxid}`).reverse(), le32(i.vout)])),
+      zcashDigest('ZTxIdSequencHash', ...inputs.map(i => le32(i.sequence))),
+      zcashDigest('ZTxIdOutputsHash', outputBytes),
+    )
+  const txid = zcashDigest(
+    new Uint8Array([...new TextEncoder().encode('ZcashTxHash_'), ...le32(branchId)]),
+    zcashDigest('ZTxIdHeadersHash', header),
+    transparent,
+    zcashDigest('ZTxIdSaplingHash'),
+    zcashDigest('ZTxIdOrchardHash'),
+  )
+  return reversedHex(txid)
+}
+
+function parseZcashTx(bytes, r, header) {
+  const version = header & 0x7fffffff
+  const groupId = r.u32()
+  const rejectShielded = (...counts) => {
+    if (counts.some(Boolean)) throw new Error('Shielded Zcash transactions are not supported (transparent only)')
+  }
+  let inputs
+  let outputs
+  let locktime
+  let expiryHeight
+  let txid
+  if (version === 4 && groupId === ZCASH_V4_GROUP_ID) {
+    inputs = readInputs(r)
+    outputs = readOutputs(r)
+    locktime = r.u32()
+    expiryHeight = r.u32()
+    r.take(8) // valueBalanceSapling
+    rejectShielded(r.varint(), r.varint(), r.varint())
+    txid = reversedHex(doubleSha256(bytes))
+  } else if (version === 5 && groupId === ZCASH_V5_GROUP_ID) {
+    const branchId = r.u32()
+    locktime = r.u32()
+    expiryHeight = r.u32()
+    inputs = readInputs(r)
+    const outputsStart = r.pos
+    outputs = readOutputs(r)
+    const outputBytes = bytes.subarray(outputsStart + varintSize(bytes[outputsStart]), r.pos)
+    rejectShielded(r.varint(), r.varint(), r.varint())
+    txid = zip244Txid(bytes.subarray(0, 20), inputs, outputBytes, branchId)
+  } else {
+    throw new Error(`Unsupported Zcash transaction version ${version}`)
+  }
+  if (r.pos !== bytes.length) throw new Error(`${bytes.length - r.pos} trailing bytes after the transparent bundle`)
+
+  return {
+    version,
+    segwit: false,
+    overwinter: true,
+    specialType: 0,
+    inputs,
+    outputs,
+    locktime,
+    expiryHeight,
+    txid,
+    size: bytes.length,
+    vsize: bytes.length,
+    weight: bytes.length * 4,
+  }
+}
+
+// ─── Addresses ──
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+  let chk = 1
+  for (const v of values) {
+    const top = chk >>> 25
+    chk = ((chk & 0x1ffffff) << 5) ^ v
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i]
+  }
+  return chk >>> 0
+}
+
+function convertBits(data, from, to) {
+  let acc = 0
+  let bits = 0
+  const out = []
+  for (const value of data) {
+    acc = (acc << from) | value
+    bits += from
+    while (bits >= to) {
+      bits -= to
+      out.push((acc >>> bits) & ((1 << to) - 1))
+    }
+  }
+  if (bits > 0) out.push((acc << (to - bits)) & ((1 << to) - 1))
+  return out
+}
+
+/** Encode a segwit program; v0 uses bech32, v1+ bech32m (BIP-350). */
+export function encodeSegwitAddress(hrp, version, program) {
+  const data = [version, ...convertBits(program, 8, 5)]
+  const hrpExpanded = [...[...hrp].map(c => c.charCodeAt(0) >> 5), 0, ...[...hrp].map(c => c.charCodeAt(0) & 31)]
+  const constant = version === 0 ? 1 : 0x2bc830a3
+  const mod = bech32Polymod([...hrpExpanded, ...data, 0, 0, 0, 0, 0, 0]) ^ constant
+  const checksum = Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31)
+  return `${hrp}1${[...data, ...checksum].map(v => BECH32_CHARSET[v]).join('')}`
+}
+
+const versioned = (version, hash) => encodeBase58Check(new Uint8Array([...[version].flat(), ...hash]))
+
+// OP_0..OP_16 <2-40 byte program>
+const isWitnessProgram = (s) => s.length >= 4 && (s[0] === 0x00 || (s[0] >= 0x51 && s[0] <= 0x60)) && s[1] === s.length - 2
+
+/** Turn an output script into an address, or null for non-standard scripts. */
+export function scriptToAddress(script, params) {
+  const s = script
+  if (s.length === 25 && s[0] === 0x76 && s[1] === 0xa9 && s[2] === 0x14 && s[23] === 0x88 && s[24] === 0xac) {
+    return versioned(params.p2pkh, s.subarray(3, 23))
+  }
+  if (s.length === 23 && s[0] === 0xa9 && s[1] === 0x14 && s[22] === 0x87) {
+    return versioned(params.p2sh, s.subarray(2, 22))
+  }
+  if (params.hrp && isWitnessProgram(s)) {
+    return encodeSegwitAddress(params.hrp, s[0] === 0 ? 0 : s[0] - 0x50, s.subarray(2))
+  }
+  if (s[0] === 0x6a) return 'OP_RETURN'
+  return null
+}
+
+// Split a scriptSig into its data pushes (only the direct-push opcodes used by
+// standard spends)
+function scriptPushes(script) {
+  const pushes = []
+  let pos = 0
+  while (pos < script.length) {
+    const op = script[pos++]
+    let len = op
+    if (op === 0x4c) {
+      len = script[pos++]
+    } else if (op === 0x4d) {
+      len = script[pos] | (script[pos + 1] << 8)
+      pos += 2
+    } else if (op > 0x4b) {
+      return null
+    }
+    pushes.push(script.subarray(pos, pos + len))
+    pos += len
+  }
+  return pushes
+}
+
+const isPubkey = (b) => (b?.length === 33 && (b[0] === 2 || b[0] === 3)) || (b?.length === 65 && b[0] === 4)
+
+/**
+ * Best-effort sender of an input, derived from what it reveals when spent:
+ * P2PKH, P2WPKH and P2SH-P2WPKH expose the public key. Taproot and bare
+ * multisig spends need the previous output, so they return null.
+ */
+export function inputSender(input, params) {
+  const { witness, scriptSig } = input
+  if (witness.length === 2 && isPubkey(witness[1])) {
+    const keyHash = hash160(witness[1])
+    if (scriptSig.length === 0) {
+      return params.hrp ? encodeSegwitAddress(params.hrp, 0, keyHash) : null
+    }
+    // P2SH-wrapped: scriptSig pushes the redeem script 0014<keyHash>
+    return versioned(params.p2sh, hash160(new Uint8Array([0x00, 0x14, ...keyHash])))
+  }
+  const pushes = witness.length === 0 ? scriptPushes(scriptSig) : null
+  if (pushes?.length === 2 && isPubkey(pushes[1])) {
+    return versioned(params.p2pkh, hash160(pushes[1]))
+  }
+  return null
+}
+
+// ─── Chain candidates ──
+
+// Sighash byte of the first signature an input reveals (DER signatures only)
+function inputSighash({ witness, scriptSig }) {
+  const signature = witness.length ? witness[0] : scriptPushes(scriptSig)?.[0]
+  return signature?.length > 8 && signature[0] === 0x30 ? signature[signature.length - 1] : null
+}
+
+/**
+ * The ids in `chainIds` a parsed transaction can belong to, judged from its
+ * structure alone: Zcash and Dash special transactions have their own version
+ * formats, segwit inputs or witness-program outputs need a chain with segwit,
+ * and signatures with or without SIGHASH_FORKID split BCH from the rest.
+ * Order is kept, so the first id is the best guess.
+ */
+export function utxoChainCandidates(parsed, chainIds) {
+  const sighashes = parsed.inputs.map(inputSighash).filter(s => s != null)
+  const forkId = sighashes.some(s => s & 0x40)
+  const usesSegwit = parsed.segwit || parsed.outputs.some(o => isWitnessProgram(o.script))
+  return chainIds.filter(id => {
+    const params = UTXO_ADDRESS_PARAMS[id]
+    if (!params) return false
+    if (!!params.overwinter !== parsed.overwinter) return false
+    if (parsed.specialType && !params.specialTx) return false
+    if (usesSegwit && !params.hrp) return false
+    return sighashes.length === 0 || forkId === !!params.forkId
+  })
+}
@@ -0,0 +1,127 @@
+// ─── XRP Ledger signed blobs ─────────────────────────────────────────────────
+// Best-effort reader for the canonical binary format of a signed transaction:
+// enough to preview type, account, sequence, destination, amount and fee, and
+// to compute the hash the ledger will assign. Fields are serialized sorted by
+// (type code, field code), so the common ones all come before the first
+// object/array and parsing can stop at anything unfamiliar.
+
+import { hexToBytes } from 'viem'
+import { encodeBase58Check, XRP_ALPHABET } from './base58'
+
+export const DROPS_PER_XRP = 1000000
+
+const TX_TYPES = {
+  0: 'Payment', 1: 'EscrowCreate', 2: 'EscrowFinish', 3: 'AccountSet', 4: 'EscrowCancel',
+  5: 'SetRegularKey', 7: 'OfferCreate', 8: 'OfferCancel', 10: 'TicketCreate',
+  12: 'SignerListSet', 13: 'PaymentChannelCreate', 14: 'PaymentChannelFund',
+  15: 'PaymentChannelClaim', 20: 'TrustSet', 21: 'AccountDelete',
+}
+
+// Fixed widths per serialized type code; 7/8/19 are length-prefixed
+const FIXED_WIDTH = { 1: 2, 2: 4, 3: 8, 4: 16, 5: 32, 16: 1, 17: 20, 20: 12, 21: 24 }
+const VL_TYPES = new Set([7, 8, 19])
+const TYPE_OBJECT = 14
+const TYPE_ARRAY = 15
+const TYPE_PATHSET = 18
+
+// (type, field) pairs read from the top level
+const FIELDS = {
+  '1:2': 'transactionType',
+  '2:4': 'sequence',
+  '2:14': 'destinationTag',
+  '2:41': 'ticketSequence',
+  '6:1': 'amount',
+  '6:8': 'fee',
+  '8:1': 'account',
+  '8:3': 'destination',
+}
+
+const readUint = (b) => b.reduce((v, byte) => v * 256 + byte, 0)
+
+function decodeAmount(b) {
+  if ((b[0] & 0x80) === 0) {
+    let drops = 0n
+    for (let i = 0; i < 8; i++) drops = (drops << 8n) | BigInt(i === 0 ? b[0] & 0x3f : b[i])
+    return { drops }
+  }
+  const currency = b.subarray(20, 23)
+  return { issued: String.fromCharCode(...currency).replace(/\0/g, '') || 'IOU' }
+}
+
+export const xrpAddress = (accountId) => encodeBase58Check(new Uint8Array([0x00, ...accountId]), XRP_ALPHABET)
+
+/** Decode a hex signed blob into its headline fields. */
+export function decodeXrpTx(hex) {
+  const clean = hex.trim().replace(/^0x/i, '')
+  if (!/^[0-9a-fA-F]+$/.test(clean) || clean.length % 2 !== 0) throw new Error('Not a hex-encoded tx_blob')
+  const bytes = hexToBytes(`0x${clean}`)
+  let pos = 0
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new Error('tx_blob is truncated')
+    const out = bytes.subarray(pos, pos + n)
+    pos += n
+    return out
+  }
+  const vlLength = () => {
+    const b1 = take(1)[0]
+    if (b1 <= 192) return b1
+    if (b1 <= 240) return 193 + (b1 - 193) * 256 + take(1)[0]
+    const [b2, b3] = take(2)
+    return 12481 + (b1 - 241) * 65536 + b2 * 256 + b3
+  }
+
+  const out = {}
+  let depth = 0
+  while (pos < bytes.length) {
+    const header = take(1)[0]
+    let type = header >> 4
+    let field = header & 0x0f
+    if (type === 0) type = take(1)[0]
+    if (field === 0) field = take(1)[0]
+
+    if (type === TYPE_OBJECT || type === TYPE_ARRAY) {
+      depth += field === 1 ? -1 : 1
+      continue
+    }
+    let value
+    if (type === 6) {
+      value = take((bytes[pos] & 0x80) ? 48 : 8)
+    } else if (VL_TYPES.has(type)) {
+      value = take(vlLength())
+    } else if (FIXED_WIDTH[type]) {
+      value = take(FIXED_WIDTH[type])
+    } else if (type === TYPE_PATHSET) {
+      // Steps flagged account 0x01 / currency 0x10 / issuer 0x20; 0xFF splits paths, 0x00 ends
+      for (let flag = take(1)[0]; flag !== 0x00; flag = take(1)[0]) {
+        if (flag === 0xff) continue
+        take(((flag & 0x01) ? 20 : 0) + ((flag & 0x10) ? 20 : 0) + ((flag & 0x20) ? 20 : 0))
+      }
+      continue
+    } else {
+      break
+    }
+
+    const name = depth === 0 && FIELDS[`${type}:${field}`]
+    if (!name || name in out) continue
+    if (type === 6) out[name] = decodeAmount(value)
+    else if (type === 8) out[name] = xrpAddress(value)
+    else out[name] = readUint(value)
+  }
+
+  if (out.transactionType == null || !out.account) throw new Error('Missing TransactionType or Account — not a signed XRP tx_blob')
+  return {
+    ...out,
+    transactionType: TX_TYPES[out.transactionType] ?? `Type ${out.transactionType}`,
+    sequence: out.sequence || out.ticketSequence || 0,
+  }
+}
+
+/** The ledger hash of a signed blob: SHA-512Half of 'TXN\0' + blob, uppercase. */
+export async function computeXrpTxHash(hex) {
+  const blob = hexToBytes(`0x${hex.trim().replace(/^0x/i, '')}`)
+  const data = new Uint8Array(4 + blob.length)
+  data.set([0x54, 0x58, 0x4e, 0x00])
+  data.set(blob, 4)
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-512', data))
+  return Array.from(digest.subarray(0, 32), b => b.toString(16).padStart(2, '0')).join('').toUpperCase()
+}
@@ -0,0 +1,102 @@
+// ─── Minimal ZIP writer ──────────────────────────────────────────────────────
+// Just enough of the ZIP format to package an XLSX workbook: one flat archive,
+// no encryption, no zip64 (so each file and the archive stay under 4 GB).
+// Entries are deflated with the browser's CompressionStream when available
+// and stored uncompressed otherwise.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// MS-DOS date/time fields used by ZIP headers
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  return { time, day }
+}
+
+/**
+ * Build a ZIP archive from `files` ([{ name, data }], data a string or
+ * Uint8Array). Resolves to the archive bytes.
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder()
+  const { time, day } = dosDateTime(new Date())
+  const canDeflate = typeof CompressionStream === 'function'
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const raw = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const deflated = canDeflate ? await deflateRaw(raw) : null
+    const compressed = deflated && deflated.length < raw.length
+    const body = compressed ? deflated : raw
+    const crc = crc32(raw)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)                    // version needed
+    local.setUint16(6, 0x0800, true)                // UTF-8 names
+    local.setUint16(8, compressed ? 8 : 0, true)    // deflate | store
+    local.setUint16(10, time, true)
+    local.setUint16(12, day, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, body.length, true)
+    local.setUint32(22, raw.length, true)
+    local.setUint16(26, name.length, true)
+    locals.push(new Uint8Array(local.buffer), name, body)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)                  // version made by
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, compressed ? 8 : 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, day, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, body.length, true)
+    central.setUint32(24, raw.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+    centrals.push(new Uint8Array(central.buffer), name)
+
+    offset += 30 + name.length + body.length
+  }
+
+  const centralSize = centrals.reduce((n, part) => n + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)]
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0))
+  let pos = 0
+  for (const part of parts) {
+    out.set(part, pos)
+    pos += part.length
+  }
+  return out
+}
@@ -0,0 +1,168 @@
+// ─── Batch job worker ────────────────────────────────────────────────────────
+// Runs one batch lookup off the main thread: a pool of `concurrency` async
+// workers pulls items, calls the job kind's run(), and streams finished rows
+// back every FLUSH_INTERVAL_MS together with the kind's tally. Pause lets
+// in-flight items finish and holds the pool; cancel aborts in-flight requests.
+//
+// Worker timers aren't throttled like a background tab's main thread, so a
+// long batch keeps its pace when the user switches tabs. Note the worker has
+// its own rpcTransport rate-limit buckets, separate from the page's.
+//
+// A job kind is { concurrency(options), run(item, ctx), unfinished(item, reason),
+// tally(results), retryable?(result), retryOptions?(options), summary?(status, results) }.
+// ctx: { index, position, signal, options, state, log(message), stop() }.
+//
+// Protocol — in:  start { kind, items, options, base? } | pause | resume | cancel
+//            out: progress { entries, done, total, phase, phaseStartedAt, tally }
+//                 | status { status } | log { message }
+//                 | finished { status, entries, done, total, tally }
+// When the job itself throws (unknown kind, a failing tally / unfinished /
+// summary) `finished` still goes out, as { status: 'failed', entries: [] }, so
+// the runner never waits on a job that is gone.
+// With `base` (previous results, same length as items) only the rows the
+// kind considers retryable are run again.
+
+import { tonBatchJob } from '../utils/tonLookup'
+import { onchainCheckJob } from '../utils/onchainLookup'
+
+const JOB_KINDS = {
+  'ton-batch': tonBatchJob,
+  'onchain-check': onchainCheckJob,
+}
+
+const FLUSH_INTERVAL_MS = 250
+
+let control = null
+
+const post = (message) => self.postMessage(message)
+
+self.onmessage = (e) => {
+  const { type } = e.data
+  if (type === 'start') {
+    runJob(e.data).catch(err => {
+      control = null
+      post({ type: 'log', message: `ERROR: ${err.message || err}` })
+      post({ type: 'finished', status: 'failed', entries: [] })
+    })
+  } else if (control) {
+    control[type]?.()
+  }
+}
+
+async function runJob({ kind: kindName, items, options = {}, base = null }) {
+  const kind = JOB_KINDS[kindName]
+  if (!kind) throw new Error(`Unknown job kind "${kindName}"`)
+
+  const controller = new AbortController()
+  const { signal } = controller
+  const results = base ? base.slice() : new Array(items.length).fill(null)
+  const state = {}
+  let pending = []
+  let flushTimer = null
+  let done = 0
+  let total = 0
+  let phase = null
+  let phaseStartedAt = Date.now()
+  let paused = false
+  let resumeGate = null
+  let releaseGate = null
+  let stopped = false
+  let failed = false
+
+  const flush = () => {
+    clearTimeout(flushTimer)
+    flushTimer = null
+    post({ type: 'progress', entries: pending, done, total, phase, phaseStartedAt, tally: kind.tally(results) })
+    pending = []
+  }
+
+  const resume = () => {
+    if (!paused) return
+    paused = false
+    releaseGate()
+    post({ type: 'status', status: 'running' })
+  }
+
+  control = {
+    pause() {
+      if (paused || signal.aborted) return
+      paused = true
+      resumeGate = new Promise(resolve => { releaseGate = resolve })
+      post({ type: 'status', status: 'paused' })
+    },
+    resume,
+    cancel() {
+      controller.abort()
+      resume()
+    },
+  }
+
+  const ctx = {
+    signal,
+    state,
+    log: (message) => post({ type: 'log', message }),
+    stop: () => { stopped = true },
+  }
+
+  const runPass = async (indexes, passOptions, label) => {
+    let next = 0
+    done = 0
+    total = indexes.length
+    phase = label
+    phaseStartedAt = Date.now()
+    flush()
+
+    const worker = async () => {
+      while (true) {
+        if (paused) await resumeGate
+        if (signal.aborted || stopped || failed) return
+        const position = next++
+        if (position >= indexes.length) return
+        const i = indexes[position]
+        try {
+          results[i] = await kind.run(items[i], { ...ctx, index: i, position, options: passOptions })
+        } catch (err) {
+          failed = true
+          ctx.log(`ERROR: ${err.message || err}`)
+          return
+        }
+        pending.push([i, results[i]])
+        done++
+        if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS)
+      }
+    }
+
+    const size = Math.max(1, Math.min(kind.concurrency(passOptions), indexes.length))
+    await Promise.all(Array.from({ length: size }, worker))
+  }
+
+  const retryIndexes = () => results.flatMap((r, i) => (kind.retryable?.(r) ? [i] : []))
+
+  if (base) {
+    const indexes = retryIndexes()
+    await runPass(indexes, kind.retryOptions?.(options) ?? options, `Retrying ${indexes.length.toLocaleString()} errors`)
+  } else {
+    await runPass(items.map((_, i) => i), options, null)
+    for (let pass = 1; pass <= (options.retryPasses || 0) && kind.retryable; pass++) {
+      if (signal.aborted || stopped || failed) break
+      const indexes = retryIndexes()
+      if (indexes.length === 0) break
+      await runPass(indexes, kind.retryOptions?.(options) ?? options, `Auto-retry ${pass}/${options.retryPasses}: ${indexes.length.toLocaleString()} errors`)
+    }
+  }
+
+  const status = failed ? 'failed' : signal.aborted ? 'cancelled' : stopped ? 'stopped' : 'done'
+  const reason = signal.aborted ? 'Aborted' : 'Incomplete'
+  for (let i = 0; i < results.length; i++) {
+    if (results[i] == null && items[i] != null) {
+      results[i] = kind.unfinished(items[i], reason)
+      if (results[i] != null) pending.push([i, results[i]])
+    }
+  }
+
+  clearTimeout(flushTimer)
+  const summary = kind.summary?.(status, results)
+  if (summary) ctx.log(summary)
+  post({ type: 'finished', status, entries: pending, done, total, tally: kind.tally(results) })
+  control = null
+}
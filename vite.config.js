@@ -1,9 +1,51 @@
-import { defineConfig } from 'vite'
+import process from 'node:process'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { forwardProxyRequest, PROXY_PATH, PROXY_CORS_HEADERS } from './src/config/proxy.js'
+import { attachToolboxApi } from './src/server/node.js'
+
+// Serves /api/proxy during `vite dev` with the same allowlist as the Cloudflare
+// and Vercel functions, so proxied RPCs (e.g. Cortex) work locally too.
+function devRpcProxy() {
+  return {
+    name: 'dev-rpc-proxy',
+    configureServer(server) {
+      server.middlewares.use(PROXY_PATH, async (req, res) => {
+        if (req.method === 'OPTIONS') {
+          res.writeHead(204, PROXY_CORS_HEADERS)
+          return res.end()
+        }
+        let body = ''
+        req.setEncoding('utf8')
+        for await (const chunk of req) body += chunk
+        const result = await forwardProxyRequest({
+          method: req.method,
+          target: new URL(req.url, 'http://localhost').searchParams.get('url'),
+          body: body || null,
+          contentType: req.headers['content-type'],
+        })
+        res.writeHead(result.status, { ...PROXY_CORS_HEADERS, 'Content-Type': result.contentType })
+        res.end(result.body)
+      })
+    },
+  }
+}
+
+// Serves the toolbox backend (/api/wht, /api/cbt, /api/tx-id, /api/cosigner,
+// /api/faucet, …) during `vite dev` with in-memory storage. Non-VITE_ variables
+// from .env (e.g. FIREBLOCKS_API_KEY) are passed through as the backend's env.
+function devToolboxApi(env) {
+  return {
+    name: 'dev-toolbox-api',
+    configureServer(server) {
+      attachToolboxApi(server, env)
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), devRpcProxy(), devToolboxApi(loadEnv(mode, process.cwd(), ''))],
   build: {
     rollupOptions: {
       output: {
@@ -36,13 +78,4 @@ export default defineConfig({
   define: {
     global: 'globalThis',
   },
-  server: {
-    proxy: {
-      // Cortex RPC has no CORS headers; proxy in dev to avoid "Failed to fetch"
-      '/rpc/cortex': {
-        target: 'https://security.cortexlabs.ai:30088',
-        changeOrigin: true,
-      },
-    },
-  },
-})
+}))